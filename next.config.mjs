@@ -1,4 +1,14 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // face-api.js is only ever imported in the browser; keep it (and tfjs' Node-only dependencies) out of the server bundle
+  serverExternalPackages: ['face-api.js'],
+  webpack: (config, { isServer }) => {
+    if (!isServer) {
+      // face-api.js references `fs` for its Node.js environment, which is never used in the browser or worker bundles
+      config.resolve.fallback = { ...config.resolve.fallback, fs: false };
+    }
+    return config;
+  },
+};
 
 export default nextConfig;
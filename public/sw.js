@@ -0,0 +1,99 @@
+// Service worker that makes the app usable offline after the first visit.
+// - On install, precaches the app shell and the required face-api.js model files (read from the weight
+//   manifests). Optional models (recognition, the on-demand SSD detector) are cached on first use instead.
+// - Model files and hashed build assets are served cache-first; pages and other same-origin GETs are
+//   network-first with the cached copy as the offline fallback. API calls are never cached.
+
+const CACHE_VERSION = 'v2'; // Bump to drop every cache from a previous version
+const SHELL_CACHE = `face-tracking-shell-${CACHE_VERSION}`;
+const MODEL_CACHE = `face-tracking-models-${CACHE_VERSION}`;
+
+const SHELL_URLS = ['/', '/overlays/glasses.svg', '/overlays/hat.svg', '/overlays/mask.svg']; // Page and AR overlay images
+// The `required` models of FACE_MODELS in lib/modelLoader.js; every visitor needs them to track at all
+const MODEL_MANIFESTS = [
+  'tiny_face_detector_model',
+  'face_landmark_68_model',
+  'face_expression_model',
+].map(model => `/models/${model}-weights_manifest.json`);
+
+// Caches a model manifest and every shard it lists. A missing shard is logged rather than failing the
+// install, so the page can still report it through its own integrity checks.
+const precacheModel = async (cache, manifestUrl) => {
+  const response = await fetch(manifestUrl, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`${manifestUrl}: HTTP ${response.status}`);
+  }
+  const manifest = await response.clone().json();
+  await cache.put(manifestUrl, response);
+  const shardUrls = manifest.flatMap(group => group.paths).map(path => `/models/${path}`);
+  await Promise.all(shardUrls.map(url => cache.add(url)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shellCache = await caches.open(SHELL_CACHE);
+    await shellCache.addAll(SHELL_URLS);
+    const modelCache = await caches.open(MODEL_CACHE);
+    const results = await Promise.allSettled(MODEL_MANIFESTS.map(url => precacheModel(modelCache, url)));
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.warn('Model precache incomplete:', result.reason));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, MODEL_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('face-tracking-') && !current.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Serves from the cache, fetching and caching on a miss
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Fetches from the network, refreshing the cache, and falls back to the cache when offline
+const networkFirst = async (request, cacheName) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) {
+      return cached;
+    }
+    throw err;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return; // Let the browser handle uploads, cross-origin requests and the server API
+  }
+  if (url.pathname.startsWith('/models/')) {
+    event.respondWith(cacheFirst(request, MODEL_CACHE));
+  } else if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE)); // Content-hashed, so a cached copy never goes stale
+  } else {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,182 @@
+// Local WebSocket relay for the app's live event stream (message schema: docs/event-stream.md).
+// The app connects to ws://<host>:<port>/publish; every valid message it sends is forwarded to all clients
+// connected to any other path, e.g. ws://localhost:8765/. Subscribers only listen: what they send is ignored.
+//
+//   npm run relay                         listens on 127.0.0.1:8765
+//   npm run relay -- --port 9000 --host 0.0.0.0
+//   npm run relay -- --origins https://tracker.example,http://localhost:3000
+//
+// EVENT_RELAY_PORT, EVENT_RELAY_HOST and EVENT_RELAY_ORIGINS work as well. Binding to anything but localhost
+// exposes the stream (including recognized names) to the network, so only do that on a trusted one.
+//
+// Browsers send an Origin header with WebSocket connections, and any website open in the user's browser can
+// connect to localhost. Connections from origins not in --origins (default: the app's dev server) are refused;
+// programs that send no Origin header are allowed.
+
+import { WebSocketServer } from 'ws';
+
+const SCHEMA = 'face-tracking-events';
+const SUPPORTED_VERSIONS = [1];
+const MAX_MESSAGE_BYTES = 256 * 1024; // Larger frames close the connection
+const MAX_MESSAGES_PER_SECOND = 100; // Per publisher, with bursts up to the same number; excess is dropped
+const MAX_BUFFERED_BYTES = 1024 * 1024; // Skip subscribers that fall this far behind instead of queueing forever
+const HEARTBEAT_MS = 30000; // Connections that miss a ping for this long are dropped
+
+const argument = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+const port = Number(argument('port') || process.env.EVENT_RELAY_PORT || 8765);
+const host = argument('host') || process.env.EVENT_RELAY_HOST || '127.0.0.1';
+const allowedOrigins = (argument('origins') || process.env.EVENT_RELAY_ORIGINS || 'http://localhost:3000,http://127.0.0.1:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Only pages on the allow-list may subscribe or publish; clients without an Origin header are not browsers
+const isAllowedOrigin = (origin) => !origin || allowedOrigins.includes(origin);
+
+const publishers = new Set();
+const subscribers = new Set();
+const hellos = new Map(); // Publisher source id -> latest 'hello' text, replayed to new subscribers
+
+// Returns why `text` is not a relayable message, or null
+const validate = (text) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return { error: 'Not JSON.' };
+  }
+  if (!message || message.schema !== SCHEMA) {
+    return { error: 'Unknown schema.' };
+  }
+  if (!SUPPORTED_VERSIONS.includes(message.version)) {
+    return { error: `Unsupported version ${message.version}.` };
+  }
+  if (typeof message.type !== 'string' || typeof message.source !== 'string') {
+    return { error: 'Missing type or source.' };
+  }
+  return { message };
+};
+
+// Token bucket of MAX_MESSAGES_PER_SECOND for one publisher
+const createLimiter = () => {
+  let tokens = MAX_MESSAGES_PER_SECOND;
+  let refilledAt = Date.now();
+  return () => {
+    const now = Date.now();
+    tokens = Math.min(MAX_MESSAGES_PER_SECOND, tokens + ((now - refilledAt) / 1000) * MAX_MESSAGES_PER_SECOND);
+    refilledAt = now;
+    if (tokens < 1) {
+      return false;
+    }
+    tokens--;
+    return true;
+  };
+};
+
+const broadcast = (text) => {
+  subscribers.forEach(client => {
+    if (client.readyState === client.OPEN && client.bufferedAmount < MAX_BUFFERED_BYTES) {
+      client.send(text);
+    }
+  });
+};
+
+const logCounts = () => console.log(`${publishers.size} publisher(s), ${subscribers.size} subscriber(s)`);
+
+const server = new WebSocketServer({
+  port,
+  host,
+  maxPayload: MAX_MESSAGE_BYTES,
+  verifyClient: ({ origin }, done) => {
+    if (isAllowedOrigin(origin)) {
+      done(true);
+      return;
+    }
+    console.warn(`Refused a connection from ${origin} (allowed: ${allowedOrigins.join(', ')}).`);
+    done(false, 403, 'Origin not allowed');
+  },
+});
+
+server.on('connection', (socket, request) => {
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  const path = new URL(request.url, 'ws://relay').pathname;
+
+  if (path === '/publish') {
+    publishers.add(socket);
+    const allow = createLimiter();
+    let dropped = 0;
+    let sources = new Set(); // Source ids seen on this connection, to forget their hellos when it closes
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        return;
+      }
+      const text = data.toString();
+      const { message, error } = validate(text);
+      if (error) {
+        console.warn('Dropped an invalid message:', error);
+        return;
+      }
+      if (!allow()) {
+        if (dropped++ % MAX_MESSAGES_PER_SECOND === 0) {
+          console.warn(`Publisher over ${MAX_MESSAGES_PER_SECOND} messages/s; dropping (${dropped} so far).`);
+        }
+        return;
+      }
+      if (message.type === 'hello') {
+        hellos.set(message.source, text);
+        sources.add(message.source);
+      }
+      broadcast(text);
+    });
+    socket.on('close', () => {
+      publishers.delete(socket);
+      sources.forEach(source => hellos.delete(source));
+      sources = new Set();
+      logCounts();
+    });
+  } else {
+    subscribers.add(socket);
+    hellos.forEach(text => socket.send(text)); // Introduce the publishers that are already running
+    socket.on('close', () => {
+      subscribers.delete(socket);
+      logCounts();
+    });
+  }
+  socket.on('error', err => console.warn('Connection error:', err.message));
+  logCounts();
+});
+
+// Drop connections that stopped answering pings (sleeping laptops, killed tabs)
+const heartbeat = setInterval(() => {
+  server.clients.forEach(socket => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, HEARTBEAT_MS);
+
+server.on('listening', () => {
+  console.log(`Event relay listening on ws://${host}:${port} (publish to /publish, subscribe on any other path)`);
+  console.log(`Accepting browser connections from ${allowedOrigins.join(', ')}`);
+});
+server.on('error', (err) => {
+  console.error('Event relay failed:', err.message);
+  process.exit(1);
+});
+
+const shutdown = () => {
+  clearInterval(heartbeat);
+  server.clients.forEach(socket => socket.close(1001, 'Relay shutting down'));
+  server.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
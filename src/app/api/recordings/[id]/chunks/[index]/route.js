@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { writeRecordingChunk, StorageError, MAX_CHUNK_BYTES } from '@/lib/server/storage';
+import { errorResponse } from '@/lib/server/http';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// PUT /api/recordings/:id/chunks/:index — stores one raw chunk of the video (retries overwrite the same index)
+export async function PUT(request, { params }) {
+  try {
+    const { id, index } = await params;
+    if (Number(request.headers.get('content-length')) > MAX_CHUNK_BYTES) {
+      throw new StorageError('Chunk too large.', 413);
+    }
+    const data = Buffer.from(await request.arrayBuffer());
+    await writeRecordingChunk(id, Number(index), data);
+    return NextResponse.json({ index: Number(index), size: data.byteLength });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
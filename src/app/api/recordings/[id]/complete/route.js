@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { completeRecordingUpload } from '@/lib/server/storage';
+import { errorResponse, readJsonBody } from '@/lib/server/http';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// POST /api/recordings/:id/complete — assembles the chunks; body is { totalChunks, trackJson?, vtt? }
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await readJsonBody(request);
+    return NextResponse.json(await completeRecordingUpload(id, body || {}));
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,27 @@
+import { Readable } from 'stream';
+import { openRecordingMedia } from '@/lib/server/storage';
+import { errorResponse } from '@/lib/server/http';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/recordings/:id/media?kind=video|track|captions — streams one of the recording's files.
+// Only videos and captions are served inline; nosniff keeps the browser from reinterpreting any of them
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const kind = request.nextUrl.searchParams.get('kind') || 'video';
+    const { stream, size, type, name, playable } = await openRecordingMedia(id, kind);
+    const disposition = playable && !request.nextUrl.searchParams.get('download') ? 'inline' : 'attachment';
+    return new Response(Readable.toWeb(stream), {
+      headers: {
+        'Content-Type': type,
+        'Content-Length': String(size),
+        'Content-Disposition': `${disposition}; filename="${id}-${name}"`,
+        'X-Content-Type-Options': 'nosniff',
+      },
+    });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { getRecording, deleteRecording } from '@/lib/server/storage';
+import { errorResponse } from '@/lib/server/http';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/recordings/:id — recording metadata
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    return NextResponse.json(await getRecording(id));
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// DELETE /api/recordings/:id — removes the recording and its files
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await deleteRecording(id);
+    return new NextResponse(null, { status: 204 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
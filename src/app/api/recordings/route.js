@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { listRecordings, createRecordingUpload } from '@/lib/server/storage';
+import { errorResponse, readJsonBody } from '@/lib/server/http';
+
+export const runtime = 'nodejs'; // Filesystem access needs the Node.js runtime
+export const dynamic = 'force-dynamic';
+
+// GET /api/recordings — lists uploaded recordings, newest first
+export async function GET() {
+  try {
+    return NextResponse.json({ recordings: await listRecordings() });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// POST /api/recordings — starts a chunked upload from { name, mimeType, startedAt, durationMs, sessionId, expressionSummary }
+export async function POST(request) {
+  try {
+    const details = await readJsonBody(request);
+    return NextResponse.json(await createRecordingUpload(details || {}), { status: 201 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
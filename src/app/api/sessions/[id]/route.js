@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { getSession, deleteSession } from '@/lib/server/storage';
+import { errorResponse } from '@/lib/server/http';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/sessions/:id — the full session, including its timeline entries
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    return NextResponse.json(await getSession(id));
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// DELETE /api/sessions/:id
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await deleteSession(id);
+    return new NextResponse(null, { status: 204 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { listSessions, saveSession } from '@/lib/server/storage';
+import { errorResponse, readJsonBody } from '@/lib/server/http';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/sessions — session summaries (without their timelines), newest first
+export async function GET() {
+  try {
+    return NextResponse.json({ sessions: await listSessions() });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// POST /api/sessions — creates or replaces a session's analytics, keyed by its id
+export async function POST(request) {
+  try {
+    const session = await readJsonBody(request);
+    const stored = await saveSession(session);
+    return NextResponse.json({ id: stored.id, receivedAt: stored.receivedAt }, { status: 201 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -1,68 +1,212 @@
 "use client"; // Marks this component as a Client Component
 
 import React, { useRef, useEffect, useState, useCallback } from 'react';
+import EnrollmentPanel from '@/components/EnrollmentPanel';
+import ExpressionTimeline from '@/components/ExpressionTimeline';
+import SourcePanel from '@/components/SourcePanel';
+import TrackedFacesPanel from '@/components/TrackedFacesPanel';
+import PrivacyPanel from '@/components/PrivacyPanel';
+import DeviceSettingsPanel from '@/components/DeviceSettingsPanel';
+import RecordingLibrary from '@/components/RecordingLibrary';
+import ServerSyncPanel from '@/components/ServerSyncPanel';
+import ModelLoadingPanel from '@/components/ModelLoadingPanel';
+import DetectorSettingsPanel from '@/components/DetectorSettingsPanel';
+import AttentionPanel from '@/components/AttentionPanel';
+import DrowsinessPanel from '@/components/DrowsinessPanel';
+import AutoRecordPanel from '@/components/AutoRecordPanel';
+import SnapshotPanel from '@/components/SnapshotPanel';
+import OverlayPanel from '@/components/OverlayPanel';
+import EventStreamPanel from '@/components/EventStreamPanel';
+import { listIdentities, createFaceMatcher, DEFAULT_MATCH_THRESHOLD } from '@/lib/faceGallery';
+import { createEmptyCounts } from '@/lib/expressions';
+import { createSession, recordDetections, sessionToCSV, sessionToJSON } from '@/lib/sessionLog';
+import { archiveSession } from '@/lib/sessionArchive';
+import {
+  createRecordingTrack, addTrackFrame, addTrackPause, trackToJSON, trackToWebVTT, summarizeTrack,
+} from '@/lib/recordingTrack';
+import {
+  saveRecording, listRecordings, getStorageEstimate, requestPersistentStorage, captureThumbnail,
+  getRecordingMedia, updateRecording, formatBytes,
+} from '@/lib/recordingLibrary';
+import { createChunkJournal, listUnfinishedRecordings } from '@/lib/recordingRecovery';
+import {
+  uploadRecording, uploadSession, loadAutoUploadSetting, saveAutoUploadSetting,
+} from '@/lib/serverUpload';
+import { getMediaKind, loadImage, analyzeVideoFrames } from '@/lib/videoAnalysis';
+import { fetchModelWeights, FACE_MODELS } from '@/lib/modelLoader';
+import {
+  DEFAULT_DETECTOR_SETTINGS, normalizeDetectorSettings, loadDetectorSettings, saveDetectorSettings,
+} from '@/lib/detectorSettings';
+import { registerServiceWorker } from '@/lib/serviceWorker';
+import { DEFAULT_PRIVACY_SETTINGS } from '@/lib/anonymize';
+import { drawSourceFrame, drawDetectionOverlay } from '@/lib/frameRenderer';
+import { getOverlayPlugins, getDefaultOverlaySettings, loadOverlaySettings, saveOverlaySettings } from '@/lib/overlayPlugins';
+import { captureSnapshot, matchesExpression, DEFAULT_SNAPSHOT_SETTINGS, MAX_SNAPSHOTS } from '@/lib/snapshots';
+import {
+  listMediaDevices, buildVideoConstraints, buildAudioConstraints, DEFAULT_MEDIA_SETTINGS,
+} from '@/lib/mediaDevices';
+import { downloadBlob, downloadUrl } from '@/lib/download';
+import { estimateHeadPose } from '@/lib/headPose';
+import { createAttentionMonitor, DEFAULT_ATTENTION_SETTINGS } from '@/lib/attention';
+import { computeEyeAspectRatio, createDrowsinessMonitor, DEFAULT_DROWSINESS_SETTINGS } from '@/lib/drowsiness';
+import { playAlertTone } from '@/lib/alertSound';
+import {
+  createRecorder, getSupportedMimeType, getFileExtension, isFormatSupported, normalizeRecordingSettings, loadRecordingSettings,
+  saveRecordingSettings, DEFAULT_RECORDING_SETTINGS, RECORDING_FORMATS,
+} from '@/lib/recorder';
+import {
+  createEventBus, describeDetections, normalizeEventStreamSettings, loadEventStreamSettings, saveEventStreamSettings,
+  DEFAULT_EVENT_STREAM_SETTINGS,
+} from '@/lib/eventStream';
+import { useFaceTracker } from '@/hooks/useFaceTracker';
+import {
+  createTriggerEvaluator, createPreRollRecorder, normalizeAutoRecordSettings, loadAutoRecordSettings, saveAutoRecordSettings,
+  DEFAULT_AUTO_RECORD_SETTINGS, TRIGGER_LABELS,
+} from '@/lib/autoRecord';
+
+const ENROLLMENT_SAMPLE_INTERVAL_MS = 300; // Minimum delay between two captured enrollment samples
+const ENROLLMENT_TIMEOUT_MS = 20000; // Give up on an enrollment if not enough samples arrive in time
+const MODEL_URL = '/models'; // Path to the face-api.js model files (precached by the service worker)
+
+// Formats a recording's elapsed time as m:ss
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
 
 // Main App component for the Face Tracking and Recording application
 const App = () => {
   // Refs for the video and canvas elements
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  // Ref to hold recorded chunks, ensuring up-to-date access in callbacks
-  const recordedChunksRef = useRef([]);
+  // Refs read by the detection loop, which is created once and must see the latest values
+  const enrollmentRef = useRef(null); // In-flight enrollment capture: { count, samples, lastSampleAt, onProgress, resolve }
+  const sessionRef = useRef(null); // Current session log the detection loop appends to
+  const faceTrackerRef = useRef(null); // Mirrors `faceTracker` for callbacks and loops
+  const faceapiRef = useRef(null); // face-api.js module, imported on the client when the models load
+  const lastResultRef = useRef(null); // Latest { detections, labels, trackIds, identityIds, poses, updatedAt } drawn over every frame
+  const lastFrameRef = useRef(null); // { source, mirror } of the frame last drawn on the canvas, for snapshots
+  const privacyRef = useRef(DEFAULT_PRIVACY_SETTINGS); // Mirrors `privacySettings` for renderFrame
+  const overlaySettingsRef = useRef(getDefaultOverlaySettings()); // Mirrors `overlaySettings` for renderFrame and snapshots
+  const snapshotSettingsRef = useRef(DEFAULT_SNAPSHOT_SETTINGS); // Mirrors `snapshotSettings` for takeSnapshot and handleDetections
+  const lastExpressionCaptureRef = useRef(0); // Time of the last expression-triggered snapshot, for the cooldown
+  const burstRunningRef = useRef(false); // True while a burst is capturing, so bursts don't overlap
+  const mediaSettingsRef = useRef(DEFAULT_MEDIA_SETTINGS); // Mirrors `mediaSettings` for startWebcam
+  const detectorSettingsRef = useRef(DEFAULT_DETECTOR_SETTINGS); // Mirrors `detectorSettings` for updateDetectorSettings
+  const attentionRef = useRef(createAttentionMonitor()); // Per-face looking-at-screen time and look-away alerts
+  const attentionSettingsRef = useRef(DEFAULT_ATTENTION_SETTINGS); // Mirrors `attentionSettings` for handleDetections
+  const drowsinessRef = useRef(createDrowsinessMonitor()); // Per-face blinks, PERCLOS and drowsiness alerts
+  const drowsinessSettingsRef = useRef(DEFAULT_DROWSINESS_SETTINGS); // Mirrors `drowsinessSettings` for handleDetections
+  const recordingTrackRef = useRef(null); // Per-frame metadata for the recording in progress (null when not recording)
+  const recordingPausedAtRef = useRef(null); // When the running recording was paused (null while it records)
+  const activeJournalIdsRef = useRef(new Set()); // Crash-recovery journals of recordings still in progress or being saved
+  const sourceModeRef = useRef('webcam'); // Mirrors `sourceMode` for the detection loop
+  const analysisSignalRef = useRef(null); // { cancelled } flag of the fast analysis pass in progress
+  const analysisEndRef = useRef(null); // { sessionId, endedAt } media-time end of the last analysis pass's session
+  const playOnRecordStartRef = useRef(false); // Start file playback as soon as the recorder is running
+  const autoUploadRef = useRef(false); // Mirrors `autoUpload` for the recorder callbacks and startNewSession
+  const autoRecordRef = useRef(null); // Armed auto-recording: { stream, release, mimeType, preRoll, evaluator, recording, autoStarted, lastActivityAt }
+  const autoRecordSettingsRef = useRef(DEFAULT_AUTO_RECORD_SETTINGS); // Mirrors `autoRecordSettings` for the trigger rules
+  const autoRecordHandlerRef = useRef(null); // Latest handleAutoRecordFrame, called by the detection loop
+  const eventBusRef = useRef(null); // Publishes detections, expression changes and recording state to external consumers
+  const eventStreamSettingsRef = useRef(DEFAULT_EVENT_STREAM_SETTINGS); // Mirrors `eventStreamSettings` for handleDetections
 
   // State variables to manage application logic
-  const [mediaRecorder, setMediaRecorder] = useState(null); // MediaRecorder instance
-  const [recordedChunks, setRecordedChunks] = useState([]); // Array to store video data chunks (for UI display)
-  const [recording, setRecording] = useState(false); // Boolean to indicate if recording is active
+  const [activeRecorder, setActiveRecorder] = useState(null); // Recorder (see lib/recorder) of the recording in progress
+  const [recording, setRecording] = useState(false); // Boolean to indicate if recording is active (also while paused)
+  const [recordingProgress, setRecordingProgress] = useState(null); // { state, durationMs, size, segment } while recording
+  const [recordingSettings, setRecordingSettings] = useState(DEFAULT_RECORDING_SETTINGS); // Format and segment length
+  const [supportedFormats, setSupportedFormats] = useState([]); // Ids of the RECORDING_FORMATS this browser can record
   const [videoUrl, setVideoUrl] = useState(''); // URL for the recorded video
-  const [modelsLoaded, setModelsLoaded] = useState(false); // Boolean to track if face-api models are loaded
+  const [videoMimeType, setVideoMimeType] = useState(''); // Its MIME type, which decides the download's extension
+  const [sidecarUrls, setSidecarUrls] = useState(null); // { json, vtt } object URLs for the recording's metadata files
+  const [detectorSettings, setDetectorSettings] = useState(DEFAULT_DETECTOR_SETTINGS); // Detection model and tuning
+  const [ssdStatus, setSsdStatus] = useState(null); // { status, loaded, total, message } of the on-demand SSD download
+  const [attentionSettings, setAttentionSettings] = useState(DEFAULT_ATTENTION_SETTINGS); // Attention cone and look-away alerts
+  const [attentionStats, setAttentionStats] = useState({ attentiveMs: 0, awayMs: 0, perFace: [] }); // From the attention monitor
+  const [drowsinessSettings, setDrowsinessSettings] = useState(DEFAULT_DROWSINESS_SETTINGS); // Eye-closure thresholds and alerts
+  const [drowsinessStats, setDrowsinessStats] = useState({ perFace: [] }); // From the drowsiness monitor
   const [error, setError] = useState(''); // State to store any error messages
   const [isCameraReady, setIsCameraReady] = useState(false); // State to track camera readiness
   const [cameraPermissionStatus, setCameraPermissionStatus] = useState('unknown'); // 'unknown', 'prompt', 'granted', 'denied'
   // NEW: State for tracking expression counts
-  const [expressionCounts, setExpressionCounts] = useState({
-    neutral: 0, happy: 0, sad: 0, angry: 0, fearful: 0, disgusted: 0, surprised: 0
-  });
+  const [expressionCounts, setExpressionCounts] = useState(createEmptyCounts);
+  const [session, setSession] = useState(null); // Session log backing the timeline chart and exports
+  const [trackStats, setTrackStats] = useState([]); // Per-person statistics from the multi-face tracker
+  const [identities, setIdentities] = useState([]); // Enrolled people stored in IndexedDB
+  const [matchThreshold, setMatchThreshold] = useState(DEFAULT_MATCH_THRESHOLD); // FaceMatcher distance threshold
+  const [sourceMode, setSourceMode] = useState('webcam'); // 'webcam' or 'file'
+  const [mediaFile, setMediaFile] = useState(null); // { kind, name, url } of the selected local file
+  const [playback, setPlayback] = useState({ currentTime: 0, duration: 0, paused: true }); // File video playback state
+  const [analysisProgress, setAnalysisProgress] = useState(null); // 0..1 during a fast analysis pass, null otherwise
+  const [privacySettings, setPrivacySettings] = useState(DEFAULT_PRIVACY_SETTINGS); // Face anonymization mode
+  const [mediaSettings, setMediaSettings] = useState(DEFAULT_MEDIA_SETTINGS); // Camera/microphone selection
+  const [devices, setDevices] = useState({ videoInputs: [], audioInputs: [] }); // Available media inputs
+  const [libraryRecordings, setLibraryRecordings] = useState([]); // Recordings saved in IndexedDB
+  const [unfinishedRecordings, setUnfinishedRecordings] = useState([]); // Interrupted recordings that can be recovered
+  const [storageEstimate, setStorageEstimate] = useState(null); // { usage, quota, persisted } for the origin
+  const [autoUpload, setAutoUpload] = useState(false); // Upload recordings and sessions to the server when they finish
+  const [uploadingIds, setUploadingIds] = useState([]); // Library recordings with an upload in progress
+  const [autoRecordSettings, setAutoRecordSettings] = useState(DEFAULT_AUTO_RECORD_SETTINGS); // Trigger rules, idle timeout and pre-roll
+  const [autoRecordStatus, setAutoRecordStatus] = useState({ state: 'off', trigger: null }); // 'off', 'waiting', 'arming', 'armed' or 'recording'
+  const [overlaySettings, setOverlaySettings] = useState(getDefaultOverlaySettings); // Enabled overlay plugins by id
+  const [snapshots, setSnapshots] = useState([]); // Captured snapshots for the thumbnail strip, newest first
+  const [snapshotSettings, setSnapshotSettings] = useState(DEFAULT_SNAPSHOT_SETTINGS); // Overlay, burst and expression capture options
+  const [burstProgress, setBurstProgress] = useState(null); // Frames captured by the running burst, or null
+  const [eventStreamSettings, setEventStreamSettings] = useState(DEFAULT_EVENT_STREAM_SETTINGS); // Channels and rate limits
+  const [eventStreamStats, setEventStreamStats] = useState({ sent: 0, dropped: 0, transports: [] }); // From the event bus
+  const [isEmbedded, setIsEmbedded] = useState(false); // Whether the app runs in an iframe (postMessage has a parent)
 
-  // Function to load face-api.js models
-  // Made loadModels a useCallback to stabilize its reference for useEffect dependencies
-  const loadModels = useCallback(async () => {
-    try {
-      const MODEL_URL = '/models'; // Path to the downloaded face-api.js models
-
-      // Ensure window.faceapi is available before attempting to load models.
-      if (typeof window.faceapi === 'undefined') {
-        console.warn('faceapi is not yet available. Retrying model load...');
-        setTimeout(loadModels, 500); // Recursive call to retry after a delay
-        return;
-      }
+  // Face tracking core: loads face-api.js and the models (the detector runs in a Web Worker when the browser
+  // supports it), runs the detection loop and disposes everything on unmount. Its callbacks are called after
+  // rendering, so they can refer to the handlers defined further down.
+  const {
+    tracker: faceTracker,
+    ready: modelsLoaded, // Boolean to track if face-api models are loaded
+    modelProgress, // Per-model download state, keyed by net name
+    error: modelLoadError, // Why model loading failed, shown with a retry button
+    recognition: recognitionAvailable, // Whether the optional recognition model loaded
+    perfStats, // { renderFps, detectionFps, inferenceMs, intervalMs, mode } of the live loop
+    load: loadModels, // Also used by the Retry button after a failure
+    stop: stopDetectionLoop,
+  } = useFaceTracker({
+    modelUrl: MODEL_URL,
+    onReady: ({ faceapi, mode, recognition }) => {
+      faceapiRef.current = faceapi;
+      console.log(`Face-API models loaded successfully (${mode}${recognition ? '' : ', without recognition'}).`);
+    },
+    onDetections: (result) => handleDetections(result),
+    onExpression: ({ trackId, expression, previous, probability, timestamp }) => publishEvent(
+      'expression', { trackId, expression, previous, probability }, timestamp,
+    ),
+    onFrame: ({ source }) => renderFrame(source, sourceModeRef.current === 'webcam'), // Only the live webcam is mirrored
+    onError: (err) => console.error('Error during face detection:', err),
+  });
 
-      // Load all necessary face-api.js models concurrently
-      await Promise.all([
-        window.faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL), // Lightweight face detector
-        window.faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL), // Facial landmark detection
-        window.faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL), // Face recognition (dependency for some models)
-        window.faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL) // Facial expression detection
-      ]);
-      setModelsLoaded(true); // Update state to indicate models are successfully loaded
-      console.log('Face-API models loaded successfully.');
-    } catch (err) {
-      console.error('Error loading face-api models:', err);
-      setError('Failed to load face tracking models. Please ensure the /models directory is accessible and contains all necessary files.');
+  // Effect hook to mirror the tracker into its ref and hand it the current detector settings
+  useEffect(() => {
+    faceTrackerRef.current = faceTracker;
+    if (faceTracker) {
+      faceTracker.configure({ detectorSettings: detectorSettingsRef.current });
     }
-  }, []); // Empty dependency array as loadModels itself doesn't depend on external state
+  }, [faceTracker]);
 
   // Function to start the webcam stream
   const startWebcam = useCallback(async () => {
     setError(''); // Clear any previous error messages
     try {
-      // Request access to the user's video stream
-      const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+      // Request access to the user's video stream with the selected camera, resolution and frame rate
+      const stream = await navigator.mediaDevices.getUserMedia({ video: buildVideoConstraints(mediaSettingsRef.current) });
       if (videoRef.current) {
+        // Hot-switching cameras: release the previous stream before attaching the new one
+        if (videoRef.current.srcObject) {
+          videoRef.current.srcObject.getTracks().forEach(track => track.stop());
+        }
         videoRef.current.srcObject = stream; // Set video element's source to the stream
         videoRef.current.play(); // Start playing the video
         setIsCameraReady(true); // Indicate camera is ready
         setCameraPermissionStatus('granted'); // Update permission status
+        setDevices(await listMediaDevices()); // Device labels only become available once access is granted
         console.log('Webcam started.');
       }
     } catch (err) {
@@ -76,53 +220,545 @@ const App = () => {
         setError('No camera found. Please ensure a camera is connected and working.');
       } else if (err.name === 'NotReadableError') {
         setError('Camera is already in use or not accessible. Please close other applications using the camera.');
+      } else if (err.name === 'OverconstrainedError') {
+        setError('The selected camera does not support the requested settings. Try another resolution or frame rate.');
       } else {
         setError(`Failed to access webcam: ${err.message}.`);
       }
     }
   }, []); // useCallback ensures this function is stable across renders
 
-  // Effect hook to handle initial setup: loading models and starting webcam
-  useEffect(() => {
-    // Only attempt to load models and start webcam if faceapi is available
-    if (typeof window.faceapi !== 'undefined') {
-      loadModels();
+  // Function to change camera/microphone settings; camera changes restart the stream without reloading models
+  const updateMediaSettings = (changes) => {
+    const next = { ...mediaSettingsRef.current, ...changes };
+    mediaSettingsRef.current = next;
+    setMediaSettings(next);
+    const affectsCamera = ['videoDeviceId', 'resolution', 'frameRate'].some(key => key in changes);
+    if (affectsCamera && sourceModeRef.current === 'webcam') {
       startWebcam();
-    } else {
-      // If faceapi is not yet available, wait a bit and check again
-      const timeoutId = setTimeout(() => {
-        if (typeof window.faceapi !== 'undefined') {
-          loadModels();
+    }
+  };
+
+  // Effect hook to keep the device list current as cameras and microphones are plugged in or removed
+  useEffect(() => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) {
+      return;
+    }
+    const handleDeviceChange = async () => {
+      const available = await listMediaDevices();
+      setDevices(available);
+      const current = mediaSettingsRef.current;
+      const changes = {};
+      // Fall back to the default device when the selected one disappeared
+      if (current.videoDeviceId && !available.videoInputs.some(device => device.deviceId === current.videoDeviceId)) {
+        changes.videoDeviceId = '';
+      }
+      if (current.audioDeviceId && !available.audioInputs.some(device => device.deviceId === current.audioDeviceId)) {
+        changes.audioDeviceId = '';
+      }
+      if (Object.keys(changes).length > 0) {
+        const next = { ...current, ...changes };
+        mediaSettingsRef.current = next;
+        setMediaSettings(next);
+        if ('videoDeviceId' in changes && sourceModeRef.current === 'webcam') {
           startWebcam();
         }
-      }, 500); // Give it a bit more time to load from CDN
+      }
+    };
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [startWebcam]);
 
-      return () => clearTimeout(timeoutId); // Cleanup timeout
+  // Function to publish an event on the live event stream; `payload` may be a function, only called when the
+  // event isn't rate-limited
+  const publishEvent = useCallback((type, payload, timestamp) => {
+    if (eventBusRef.current) {
+      eventBusRef.current.publish(type, payload, timestamp);
     }
+  }, []);
 
-    // Cleanup function to stop the video stream and clear intervals on component unmount
+  // Effect hook to open the event stream with the saved settings, refresh its counters and close it on unmount
+  useEffect(() => {
+    const bus = createEventBus();
+    eventBusRef.current = bus;
+    const unsubscribe = bus.on('status', setEventStreamStats);
+    const saved = loadEventStreamSettings();
+    eventStreamSettingsRef.current = saved;
+    setEventStreamSettings(saved);
+    setIsEmbedded(window.parent !== window);
+    bus.configure(saved);
+    const intervalId = setInterval(() => setEventStreamStats(bus.getStats()), 1000); // Sent/dropped change on every message
     return () => {
-      if (videoRef.current && videoRef.current.srcObject) {
-        const stream = videoRef.current.srcObject;
+      clearInterval(intervalId);
+      unsubscribe();
+      bus.dispose();
+      eventBusRef.current = null;
+    };
+  }, []);
+
+  // Function to update the event stream settings; changed channels reconnect right away
+  const updateEventStreamSettings = (changes) => {
+    const next = normalizeEventStreamSettings({ ...eventStreamSettingsRef.current, ...changes });
+    eventStreamSettingsRef.current = next;
+    setEventStreamSettings(next);
+    saveEventStreamSettings(next);
+    if (eventBusRef.current) {
+      eventBusRef.current.configure(next);
+    }
+  };
+
+  // Effect hook to handle initial setup: starting the webcam (useFaceTracker loads the models)
+  useEffect(() => {
+    startWebcam();
+
+    // Cleanup function to stop the video stream on component unmount; the tracker stops its loop and detector itself
+    const video = videoRef.current;
+    return () => {
+      if (video && video.srcObject) {
+        const stream = video.srcObject;
         const tracks = stream.getTracks();
         tracks.forEach(track => track.stop()); // Stop all media tracks
       }
-      if (videoRef.current && videoRef.current.detectionIntervalId) {
-        clearInterval(videoRef.current.detectionIntervalId); // Clear detection interval
+    };
+  }, [startWebcam]); // Dependency: startWebcam
+
+  // Function to upload a session's analytics to the server; failures are reported but never interrupt tracking
+  const syncSession = useCallback(async (sessionToSync) => {
+    if (!sessionToSync || sessionToSync.entries.length === 0) {
+      return;
+    }
+    try {
+      await uploadSession(sessionToSync, faceTrackerRef.current ? faceTrackerRef.current.getStats().tracks : []);
+      console.log(`Session ${sessionToSync.id} uploaded.`);
+    } catch (err) {
+      console.error('Error uploading session:', err);
+      setError(`Failed to upload the session analytics: ${err.message}`);
+    }
+  }, []);
+
+  // Function to store a session in the browser so the report page can open it; resolves with whether it was stored.
+  // Live sessions end now; an analysis pass logs in media time, so its session ends where the pass got to
+  const saveSessionForReport = useCallback(async (sessionToSave) => {
+    if (!sessionToSave || sessionToSave.entries.length === 0) {
+      return false;
+    }
+    const analysisEnd = analysisEndRef.current;
+    const endedAt = analysisEnd && analysisEnd.sessionId === sessionToSave.id ? analysisEnd.endedAt : Date.now();
+    try {
+      await archiveSession(sessionToSave, { endedAt, trackStats: faceTrackerRef.current ? faceTrackerRef.current.getStats().tracks : [] });
+      return true;
+    } catch (err) {
+      console.error('Error saving session:', err);
+      setError(`Failed to save the session for its report: ${err.message}`);
+      return false;
+    }
+  }, []);
+
+  // Function to start a new session log and zero the expression counters
+  const startNewSession = useCallback(() => {
+    if (autoUploadRef.current) {
+      syncSession(sessionRef.current); // Keep the finished session's final state on the server
+    }
+    saveSessionForReport(sessionRef.current); // Finished sessions stay available on the report page
+    const newSession = createSession();
+    sessionRef.current = newSession;
+    setSession(newSession);
+    setExpressionCounts(createEmptyCounts());
+    if (faceTrackerRef.current) {
+      faceTrackerRef.current.resetTracking(); // Face ids restart from #1 in every session
+    }
+    setTrackStats([]);
+    attentionRef.current.reset(); // Attention percentages are per session, like the track ids they are keyed by
+    setAttentionStats({ attentiveMs: 0, awayMs: 0, perFace: [] });
+    drowsinessRef.current.reset();
+    setDrowsinessStats({ perFace: [] });
+  }, [syncSession, saveSessionForReport]);
+
+  // Function to open the current session's report in a new tab, so tracking carries on here
+  const openSessionReport = async () => {
+    const current = sessionRef.current;
+    if (!current || current.entries.length === 0) {
+      setError('Nothing has been tracked in this session yet.');
+      return;
+    }
+    if (await saveSessionForReport(current)) {
+      window.open(`/report?id=${encodeURIComponent(current.id)}`, '_blank');
+    }
+  };
+
+  // Effect hook to open the first session on mount
+  useEffect(() => {
+    startNewSession();
+  }, [startNewSession]);
+
+  // Function to (re)load the enrolled identities from IndexedDB
+  const loadIdentities = useCallback(async () => {
+    try {
+      setIdentities(await listIdentities());
+    } catch (err) {
+      console.error('Error loading face gallery:', err);
+      setError(`Failed to load enrolled people: ${err.message}`);
+    }
+  }, []);
+
+  // Function to (re)load the recording library and the storage usage estimate
+  const loadLibrary = useCallback(async () => {
+    try {
+      setLibraryRecordings(await listRecordings());
+      setUnfinishedRecordings(await listUnfinishedRecordings([...activeJournalIdsRef.current]));
+      setStorageEstimate(await getStorageEstimate());
+    } catch (err) {
+      console.error('Error loading recording library:', err);
+      setError(`Failed to load saved recordings: ${err.message}`);
+    }
+  }, []);
+
+  // Effect hook to load the recording library once on mount
+  useEffect(() => {
+    loadLibrary();
+  }, [loadLibrary]);
+
+  // Function to upload a library recording to the server, tracking its status in the library metadata
+  const uploadLibraryRecording = useCallback(async (recording) => {
+    setUploadingIds(ids => [...ids, recording.id]);
+    try {
+      await updateRecording(recording.id, { uploadStatus: 'pending', uploadError: null });
+      const media = await getRecordingMedia(recording.id);
+      const remote = await uploadRecording(recording, media, sessionRef.current ? sessionRef.current.id : null);
+      await updateRecording(recording.id, { uploadStatus: 'uploaded', remoteId: remote.id });
+      console.log(`Recording ${recording.id} uploaded as ${remote.id}.`);
+    } catch (err) {
+      console.error('Error uploading recording:', err);
+      // Keep the failure on the recording so it can be retried, even after a reload
+      await updateRecording(recording.id, { uploadStatus: 'failed', uploadError: err.message }).catch(() => {});
+    } finally {
+      setUploadingIds(ids => ids.filter(id => id !== recording.id));
+      loadLibrary();
+    }
+  }, [loadLibrary]);
+
+  // Function to toggle the automatic upload and remember the choice
+  const updateAutoUpload = (enabled) => {
+    autoUploadRef.current = enabled;
+    setAutoUpload(enabled);
+    saveAutoUploadSetting(enabled);
+  };
+
+  // Effect hook to restore the auto-upload preference and resume uploads a previous visit didn't finish
+  useEffect(() => {
+    const enabled = loadAutoUploadSetting();
+    autoUploadRef.current = enabled;
+    setAutoUpload(enabled);
+    if (!enabled) {
+      return;
+    }
+    (async () => {
+      try {
+        const unfinished = (await listRecordings())
+          .filter(recording => recording.uploadStatus === 'pending' || recording.uploadStatus === 'failed');
+        for (const recording of unfinished) {
+          await uploadLibraryRecording(recording); // One at a time, so uploads don't compete for bandwidth
+        }
+      } catch (err) {
+        console.error('Error resuming uploads:', err);
+      }
+    })();
+  }, [uploadLibraryRecording]);
+
+  // Effect hook to load the face gallery once on mount
+  useEffect(() => {
+    loadIdentities();
+  }, [loadIdentities]);
+
+  // Effect hook to make the app available offline after this first load
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
+  // Effect hook to rebuild the tracker's FaceMatcher whenever the gallery or threshold changes
+  useEffect(() => {
+    if (!faceTracker) {
+      return;
+    }
+    if (!modelsLoaded || !recognitionAvailable) {
+      faceTracker.configure({ faceMatcher: null });
+      return;
+    }
+    faceTracker.configure({
+      faceMatcher: createFaceMatcher(faceapiRef.current, identities, matchThreshold),
+      identityNames: Object.fromEntries(identities.map(identity => [identity.id, identity.name])),
+    });
+  }, [faceTracker, identities, matchThreshold, modelsLoaded, recognitionAvailable]);
+
+  // Function to capture face descriptors for enrollment from the live detection loop.
+  // Resolves with `count` descriptors once they have been collected from frames showing exactly one face.
+  const captureSamples = useCallback((count, onProgress) => {
+    if (enrollmentRef.current) {
+      return Promise.reject(new Error('An enrollment is already in progress.'));
+    }
+    // The tracker computes descriptors for the samples while the capture runs, even if nobody is enrolled yet
+    const collectDescriptors = (enabled) => {
+      if (faceTrackerRef.current) {
+        faceTrackerRef.current.configure({ collectDescriptors: enabled });
+      }
+    };
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        enrollmentRef.current = null;
+        collectDescriptors(false);
+        reject(new Error('Timed out waiting for a single clearly visible face.'));
+      }, ENROLLMENT_TIMEOUT_MS);
+      collectDescriptors(true);
+      enrollmentRef.current = {
+        count,
+        samples: [],
+        lastSampleAt: 0,
+        onProgress,
+        resolve: (samples) => {
+          clearTimeout(timeoutId);
+          enrollmentRef.current = null;
+          collectDescriptors(false);
+          resolve(samples);
+        },
+      };
+    });
+  }, []);
+
+  // Function to draw `source` (video or image element) on the canvas with the latest detection overlay.
+  // Runs on every displayed frame, so it only draws: detection results arrive asynchronously via lastResultRef.
+  const renderFrame = useCallback((source, mirror) => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      return;
+    }
+    lastFrameRef.current = { source, mirror }; // Snapshots redraw the same frame off-screen
+    const result = lastResultRef.current;
+    const hidden = drawSourceFrame(canvas.getContext('2d'), source, mirror, result, privacyRef.current);
+    if (result) {
+      drawDetectionOverlay(faceapiRef.current, canvas, result, hidden, overlaySettingsRef.current, mirror);
+    }
+  }, []);
+
+  // Function to capture the displayed frame as a snapshot (PNG and detections JSON) for the thumbnail strip.
+  // The frame is redrawn off-screen, so the overlay can be left out and it matches the latest detections.
+  const takeSnapshot = useCallback(async (trigger = 'manual') => {
+    const canvas = canvasRef.current;
+    const frame = lastFrameRef.current;
+    if (!canvas || !frame) {
+      return;
+    }
+    try {
+      const snapshot = await captureSnapshot({
+        faceapi: faceapiRef.current,
+        frame,
+        result: lastResultRef.current,
+        privacy: privacyRef.current,
+        size: { width: canvas.width, height: canvas.height },
+        overlays: snapshotSettingsRef.current.overlays,
+        overlaySettings: overlaySettingsRef.current,
+        trigger,
+      });
+      setSnapshots(prevSnapshots => {
+        const kept = [snapshot, ...prevSnapshots];
+        kept.slice(MAX_SNAPSHOTS).forEach(dropped => URL.revokeObjectURL(dropped.url)); // Oldest fall off the strip
+        return kept.slice(0, MAX_SNAPSHOTS);
+      });
+    } catch (err) {
+      console.error('Error capturing snapshot:', err);
+      setError(`Failed to capture a snapshot: ${err.message}`);
+    }
+  }, []);
+
+  // Function to feed each detection result of the face tracker into the overlay, statistics, session log and
+  // recording metadata. Only reads refs, so it is safe to call from long-lived loops. `result.timestamp` is the
+  // wall clock, or media time for the fast file analysis, so statistics reflect the footage, not the pass.
+  const handleDetections = useCallback((result) => {
+    const { detections: resizedDetections, trackIds, labels, identityIds, timestamp: now } = result;
+
+    // Estimate each face's head pose from its landmarks and update the attention totals and alerts
+    const poses = resizedDetections.map(detection => (detection.landmarks ? estimateHeadPose(detection.landmarks.positions) : null));
+    const attentionSettings = attentionSettingsRef.current;
+    const { attentive, newAlerts } = attentionRef.current.update(trackIds, poses, now, attentionSettings);
+    if (newAlerts.length > 0 && attentionSettings.sound) {
+      playAlertTone();
+    }
+
+    // Measure eye openness for blink counting, PERCLOS and drowsiness alerts (a lower, longer tone)
+    const ears = resizedDetections.map(detection => (detection.landmarks ? computeEyeAspectRatio(detection.landmarks.positions) : null));
+    const drowsinessSettings = drowsinessSettingsRef.current;
+    const drowsiness = drowsinessRef.current.update(trackIds, ears, now, drowsinessSettings);
+    if (drowsiness.newAlerts.length > 0 && drowsinessSettings.sound) {
+      playAlertTone({ frequency: 440, count: 3, durationMs: 300 });
+    }
+
+    // Picked up by renderFrame on every displayed frame until the next result
+    lastResultRef.current = { detections: resizedDetections, labels, trackIds, identityIds, poses, updatedAt: result.updatedAt };
+
+    // Capture a snapshot when the watched expression shows up, at most once per cooldown
+    const snapshotSettings = snapshotSettingsRef.current;
+    if (snapshotSettings.expressionCapture &&
+        Date.now() - lastExpressionCaptureRef.current >= snapshotSettings.expressionCooldownSeconds * 1000 &&
+        matchesExpression(resizedDetections, snapshotSettings.expression, snapshotSettings.expressionThreshold)) {
+      lastExpressionCaptureRef.current = Date.now();
+      takeSnapshot('expression');
+    }
+
+    // Collect an enrollment sample when exactly one face is visible
+    const enrollment = enrollmentRef.current;
+    if (enrollment && resizedDetections.length === 1 && resizedDetections[0].descriptor &&
+        now - enrollment.lastSampleAt >= ENROLLMENT_SAMPLE_INTERVAL_MS) {
+      enrollment.samples.push(resizedDetections[0].descriptor);
+      enrollment.lastSampleAt = now;
+      enrollment.onProgress(enrollment.samples.length);
+      if (enrollment.samples.length >= enrollment.count) {
+        enrollment.resolve(enrollment.samples);
+      }
+    }
+
+    // Append this tick to the session time series
+    const faceMetrics = poses.map((pose, index) => ({ pose, attentive: attentive[index], ear: ears[index], eyesClosed: drowsiness.eyesClosed[index] }));
+    if (sessionRef.current) {
+      recordDetections(sessionRef.current, resizedDetections, now, trackIds, faceMetrics);
+    }
+
+    // Publish the frame on the live event stream (the payload is only built when the rate limit lets it through)
+    publishEvent('detections', () => describeDetections(result, {
+      faceMetrics,
+      imageSize: canvasRef.current ? { width: canvasRef.current.width, height: canvasRef.current.height } : null,
+      mirrored: sourceModeRef.current === 'webcam',
+      includeLandmarks: eventStreamSettingsRef.current.includeLandmarks,
+    }), now);
+
+    // Add this frame to the recording's metadata track, on the recorder's clock (nothing is recorded while paused)
+    if (recordingTrackRef.current && recordingPausedAtRef.current === null) {
+      addTrackFrame(recordingTrackRef.current, resizedDetections, now, trackIds);
+    }
+
+    // Feed the pre-roll segments' metadata tracks and the auto-record trigger rules (webcam only)
+    if (autoRecordRef.current) {
+      autoRecordRef.current.preRoll.addFrame(resizedDetections, now, trackIds);
+      if (autoRecordHandlerRef.current) {
+        autoRecordHandlerRef.current({ detections: resizedDetections, identityIds });
+      }
+    }
+
+    // Expression counts (dominant expression per face and frame) and per-person statistics come from the tracker
+    const { tracks, expressionCounts: counts } = faceTrackerRef.current.getStats();
+    setExpressionCounts(counts);
+    setTrackStats(tracks);
+    setAttentionStats(attentionRef.current.getStats(now));
+    setDrowsinessStats(drowsinessRef.current.getStats(now, drowsinessSettings));
+  }, [takeSnapshot, publishEvent]);
+
+  // Function to analyse a still frame and draw it with its overlay, waiting for the result.
+  // Used for images and for the frame-by-frame file analysis, where there is no live loop.
+  const processFrame = useCallback(async (source, displaySize, mirror, timestamp) => {
+    const tracker = faceTrackerRef.current;
+    if (!tracker) {
+      return;
+    }
+    await tracker.analyze(source, { displaySize, timestamp }); // handleDetections runs before this resolves
+    renderFrame(source, mirror);
+  }, [renderFrame]);
+
+  // Function to update the detector settings; the tracker applies them from the next inference,
+  // so changes apply live without restarting the camera
+  const updateDetectorSettings = (changes) => {
+    const next = normalizeDetectorSettings({ ...detectorSettingsRef.current, ...changes });
+    detectorSettingsRef.current = next;
+    if (faceTrackerRef.current) {
+      faceTrackerRef.current.configure({ detectorSettings: next });
+    }
+    setDetectorSettings(next);
+    saveDetectorSettings(next);
+  };
+
+  // Function to update the attention thresholds and alert options; applied from the next analysed frame
+  const updateAttentionSettings = (changes) => {
+    const next = { ...attentionSettingsRef.current, ...changes };
+    attentionSettingsRef.current = next;
+    setAttentionSettings(next);
+  };
+
+  // Function to update the blink/drowsiness thresholds and alert options; applied from the next analysed frame
+  const updateDrowsinessSettings = (changes) => {
+    const next = { ...drowsinessSettingsRef.current, ...changes };
+    drowsinessSettingsRef.current = next;
+    setDrowsinessSettings(next);
+  };
+
+  // Function to toggle an overlay plugin; renderFrame picks the change up on the next displayed frame
+  const toggleOverlay = (id, enabled) => {
+    const next = { ...overlaySettingsRef.current, [id]: enabled };
+    overlaySettingsRef.current = next;
+    setOverlaySettings(next);
+    saveOverlaySettings(next);
+  };
+
+  // Effect hook to restore the overlay toggles saved by a previous visit
+  useEffect(() => {
+    const saved = loadOverlaySettings();
+    overlaySettingsRef.current = saved;
+    setOverlaySettings(saved);
+  }, []);
+
+  // Effect hook to restore the detector settings saved by a previous visit
+  useEffect(() => {
+    const saved = loadDetectorSettings();
+    detectorSettingsRef.current = saved;
+    if (faceTrackerRef.current) {
+      faceTrackerRef.current.configure({ detectorSettings: saved });
+    }
+    setDetectorSettings(saved);
+  }, []);
+
+  // Effect hook to download SSD MobileNet the first time it is selected (or after the detector was recreated)
+  useEffect(() => {
+    const detector = faceTracker ? faceTracker.getDetector() : null;
+    if (!modelsLoaded || !detector || detectorSettings.model !== 'ssdMobilenetv1' || detector.hasModel('ssdMobilenetv1')) {
+      return;
+    }
+    let cancelled = false;
+    const model = FACE_MODELS.find(candidate => candidate.net === 'ssdMobilenetv1');
+    setSsdStatus({ status: 'loading', loaded: 0, total: 0 });
+    fetchModelWeights(MODEL_URL, model, (progress) => {
+      if (!cancelled) {
+        setSsdStatus({ status: 'loading', ...progress });
       }
+    })
+      .then(weights => detector.loadWeights({ [model.net]: weights }))
+      .then(() => {
+        if (!cancelled) {
+          setSsdStatus({ status: 'ready', loaded: 0, total: 0 });
+        }
+      })
+      .catch(err => {
+        console.error('Error loading SSD MobileNet:', err);
+        if (!cancelled) {
+          setSsdStatus({ status: 'failed', loaded: 0, total: 0, message: err.message });
+        }
+      });
+    return () => {
+      cancelled = true; // Switching away mid-download only drops the status updates; the weights still load
     };
-  }, [loadModels, startWebcam]); // Dependencies: loadModels and startWebcam
+  }, [faceTracker, modelsLoaded, detectorSettings.model]);
+
+  // Function to update the privacy settings; renderFrame reads them from the ref on the next frame
+  const updatePrivacySettings = (changes) => {
+    const next = { ...privacyRef.current, ...changes };
+    privacyRef.current = next;
+    setPrivacySettings(next);
+  };
 
   // Function to handle face detection and drawing on the canvas
   const handleVideoPlay = useCallback(async () => {
     // Exit if essential elements or models/faceapi are not ready
-    if (!videoRef.current || !canvasRef.current || !modelsLoaded || typeof window.faceapi === 'undefined') {
+    if (!videoRef.current || !canvasRef.current || !modelsLoaded) {
       return;
     }
 
     const video = videoRef.current;
     const canvas = canvasRef.current;
-    const context = canvas.getContext('2d'); // Get 2D rendering context
 
     // IMPORTANT: Only proceed if video has valid dimensions
     if (video.videoWidth === 0 || video.videoHeight === 0) {
@@ -133,202 +769,755 @@ const App = () => {
 
     // Set canvas dimensions to match video dimensions for accurate drawing
     const displaySize = { width: video.videoWidth, height: video.videoHeight };
-    window.faceapi.matchDimensions(canvas, displaySize);
-
-    // Set up an interval to continuously perform face detection and drawing
-    const detectionInterval = setInterval(async () => {
-      if (!video.paused && !video.ended) {
-        // Draw the current video frame onto the canvas FIRST
-        context.clearRect(0, 0, canvas.width, canvas.height); // Clear previous frame
-        context.save(); // Save the current canvas state
-        context.scale(-1, 1); // Flip horizontally for mirror effect
-        context.translate(-canvas.width, 0); // Translate back to draw correctly
-        context.drawImage(video, 0, 0, canvas.width, canvas.height); // Draw video frame
-        context.restore(); // Restore the canvas state
-
-        // Detect all faces with landmarks and expressions
-        const detections = await window.faceapi.detectAllFaces(
-          video, // Detect on the video element
-          new window.faceapi.TinyFaceDetectorOptions()
-        ).withFaceLandmarks().withFaceExpressions();
-
-        // Resize detected results to fit the display size of the canvas
-        const resizedDetections = window.faceapi.resizeResults(detections, displaySize);
-
-        // Draw the detected face bounding boxes on top of the video frame
-        window.faceapi.draw.drawDetections(canvas, resizedDetections);
-        // Draw the facial landmark points on top of the video frame
-        window.faceapi.draw.drawFaceLandmarks(canvas, resizedDetections);
-        // Draw face expressions on top of the video frame
-        window.faceapi.draw.drawFaceExpressions(canvas, resizedDetections);
-
-        // NEW: Update expression counts
-        if (resizedDetections.length > 0) {
-          setExpressionCounts(prevCounts => {
-            const newCounts = { ...prevCounts };
-            resizedDetections.forEach(detection => {
-              const expressions = detection.expressions;
-              if (expressions) {
-                // Find the dominant expression for the current face
-                const dominantExpression = Object.keys(expressions).reduce((a, b) => expressions[a] > expressions[b] ? a : b);
-                newCounts[dominantExpression]++; // Increment count for dominant expression
-              }
-            });
-            return newCounts;
-          });
-        }
+    faceapiRef.current.matchDimensions(canvas, displaySize);
+    lastResultRef.current = null; // Detections from a previous source don't apply to this one
 
-      } else {
-        // If video is paused or ended, stop the detection interval
-        clearInterval(detectionInterval);
+    // The tracker draws every video frame (through renderFrame) and starts a new inference whenever none is in
+    // flight and the adaptive interval has elapsed; it stops by itself on pause and playing again fires 'play'
+    faceTrackerRef.current.start(video, { displaySize });
+  }, [modelsLoaded]); // Dependency array: modelsLoaded
+
+  // Function to stop the webcam stream attached to the video element, if any
+  const stopWebcam = useCallback(() => {
+    const video = videoRef.current;
+    if (video && video.srcObject) {
+      video.srcObject.getTracks().forEach(track => track.stop()); // Stop all media tracks
+      video.srcObject = null;
+    }
+    setIsCameraReady(false);
+  }, []);
+
+  // Function to switch the app between the live webcam and a local file
+  const changeSourceMode = useCallback((mode) => {
+    sourceModeRef.current = mode;
+    setSourceMode(mode);
+  }, []);
+
+  // Function to switch back to the live webcam
+  const selectWebcam = useCallback(() => {
+    const video = videoRef.current;
+    if (sourceModeRef.current === 'webcam' || !video) {
+      return;
+    }
+    video.pause();
+    video.removeAttribute('src'); // Detach the file so the stream can take over
+    video.load();
+    setMediaFile(prevFile => {
+      if (prevFile) {
+        URL.revokeObjectURL(prevFile.url);
       }
-    }, 100); // Run detection and drawing every 100 milliseconds
+      return null;
+    });
+    changeSourceMode('webcam');
+    startNewSession(); // Webcam statistics should not mix with the file's
+    startWebcam();
+  }, [changeSourceMode, startNewSession, startWebcam]);
 
-    videoRef.current.detectionIntervalId = detectionInterval; // Store interval ID for cleanup
-  }, [modelsLoaded]); // Dependency array: modelsLoaded
+  // Function to load a local video or image file as the detection source
+  const selectFile = useCallback(async (file) => {
+    const kind = getMediaKind(file);
+    if (!kind) {
+      setError('Please choose a video or image file.');
+      return;
+    }
+    const video = videoRef.current;
+    if (!video || !canvasRef.current) {
+      return;
+    }
+    setError('');
+    stopWebcam();
+    video.pause();
+    const url = URL.createObjectURL(file);
+    setMediaFile(prevFile => {
+      if (prevFile) {
+        URL.revokeObjectURL(prevFile.url);
+      }
+      return { kind, name: file.name, url };
+    });
+    changeSourceMode('file');
+    startNewSession(); // Each file gets its own statistics
+
+    if (kind === 'video') {
+      video.src = url; // The 'play' listener runs the detection loop while it plays
+      return;
+    }
+
+    // Images are analysed once and stay on the canvas
+    video.removeAttribute('src');
+    video.load();
+    try {
+      const image = await loadImage(url);
+      const displaySize = { width: image.naturalWidth, height: image.naturalHeight };
+      faceapiRef.current.matchDimensions(canvasRef.current, displaySize);
+      await processFrame(image, displaySize, false);
+    } catch (err) {
+      console.error('Error analysing image:', err);
+      setError(`Failed to analyse image: ${err.message}`);
+    }
+  }, [changeSourceMode, processFrame, startNewSession, stopWebcam]);
+
+  // Function to analyse the whole file video frame by frame, faster than real time where inference allows
+  const analyzeFile = useCallback(async () => {
+    const video = videoRef.current;
+    if (!video || !canvasRef.current || !modelsLoaded) {
+      return;
+    }
+    const signal = { cancelled: false };
+    analysisSignalRef.current = signal;
+    setAnalysisProgress(0);
+    startNewSession(); // The pass covers the whole file, so start its statistics from scratch
+    try {
+      const displaySize = { width: video.videoWidth, height: video.videoHeight };
+      faceapiRef.current.matchDimensions(canvasRef.current, displaySize);
+      await analyzeVideoFrames(video, {
+        signal,
+        // Session time follows the file's media time
+        onFrame: (mediaTime) => {
+          const { id, startedAt } = sessionRef.current;
+          analysisEndRef.current = { sessionId: id, endedAt: startedAt + mediaTime * 1000 };
+          return processFrame(video, displaySize, false, startedAt + mediaTime * 1000);
+        },
+        onProgress: setAnalysisProgress,
+      });
+    } catch (err) {
+      console.error('Error analysing video:', err);
+      setError(`Failed to analyse video: ${err.message}`);
+    } finally {
+      analysisSignalRef.current = null;
+      setAnalysisProgress(null);
+    }
+  }, [modelsLoaded, processFrame, startNewSession]);
+
+  // Function to cancel the fast analysis pass
+  const cancelAnalysis = () => {
+    if (analysisSignalRef.current) {
+      analysisSignalRef.current.cancelled = true;
+    }
+  };
+
+  // Function to play/pause the file video
+  const togglePlayback = () => {
+    const video = videoRef.current;
+    if (!video) {
+      return;
+    }
+    if (video.paused || video.ended) {
+      video.play();
+    } else {
+      video.pause();
+    }
+  };
+
+  // Function to seek the file video
+  const seekFile = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+    }
+  };
+
+  // Effect hook to mirror the file video's playback state into React and refresh the overlay after seeking
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || sourceMode !== 'file') {
+      return;
+    }
+    const updatePlayback = () => setPlayback({
+      currentTime: video.currentTime,
+      duration: Number.isFinite(video.duration) ? video.duration : 0,
+      paused: video.paused || video.ended,
+    });
+    const handleSeeked = () => {
+      // While paused, show the detections for the frame that was seeked to (the analysis pass draws its own)
+      if (video.paused && modelsLoaded && !analysisSignalRef.current && video.videoWidth > 0) {
+        const displaySize = { width: video.videoWidth, height: video.videoHeight };
+        faceapiRef.current.matchDimensions(canvasRef.current, displaySize);
+        processFrame(video, displaySize, false);
+      }
+    };
+    const events = ['timeupdate', 'durationchange', 'play', 'pause', 'ended', 'loadedmetadata'];
+    events.forEach(eventName => video.addEventListener(eventName, updatePlayback));
+    video.addEventListener('seeked', handleSeeked);
+    return () => {
+      events.forEach(eventName => video.removeEventListener(eventName, updatePlayback));
+      video.removeEventListener('seeked', handleSeeked);
+    };
+  }, [sourceMode, modelsLoaded, processFrame]);
 
   // Effect hook to attach/detach the 'play' event listener to the video element
   useEffect(() => {
     const video = videoRef.current;
     if (video && modelsLoaded) {
       video.addEventListener('play', handleVideoPlay);
+      if (!video.paused && video.readyState >= 2) {
+        handleVideoPlay(); // Models finished loading (or were reloaded) while the video was already playing
+      }
     }
 
     return () => {
       if (video) {
         video.removeEventListener('play', handleVideoPlay);
-        if (video.detectionIntervalId) {
-          clearInterval(video.detectionIntervalId);
-        }
       }
+      stopDetectionLoop();
+    };
+  }, [modelsLoaded, handleVideoPlay, stopDetectionLoop]); // Dependencies: modelsLoaded, handleVideoPlay and stopDetectionLoop
+
+  // Function to release the object URLs of the current recording's metadata files
+  const releaseSidecars = () => {
+    setSidecarUrls(prevUrls => {
+      if (prevUrls) {
+        URL.revokeObjectURL(prevUrls.json);
+        URL.revokeObjectURL(prevUrls.vtt);
+      }
+      return null;
+    });
+  };
+
+  // The recorder needs a moving picture: the live camera or a file video
+  const isSourceReady = sourceMode === 'webcam' ? isCameraReady : Boolean(mediaFile && mediaFile.kind === 'video');
+
+  // Function to open the stream a recorder captures: the annotated canvas plus, optionally, the selected
+  // microphone (webcam sessions only). Returns { stream, release }, or null after reporting the error
+  const openRecordingStream = useCallback(async () => {
+    // Get the video ONLY from the canvas, as it contains both video and markers
+    const canvasStream = canvasRef.current.captureStream();
+
+    let audioStream = null;
+    if (mediaSettings.recordAudio && sourceMode === 'webcam') {
+      try {
+        audioStream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(mediaSettings) });
+      } catch (err) {
+        console.error('Error accessing microphone:', err);
+        setError(err.name === 'NotAllowedError'
+          ? 'Microphone access denied. Allow microphone permissions or turn off audio recording.'
+          : `Failed to access microphone: ${err.message}.`);
+        return null;
+      }
+    }
+    const stream = new MediaStream([
+      ...canvasStream.getVideoTracks(),
+      ...(audioStream ? audioStream.getAudioTracks() : []),
+    ]);
+    // Releases the microphone once no recorder needs it
+    const release = () => {
+      if (audioStream) {
+        audioStream.getTracks().forEach(track => track.stop());
+      }
+    };
+    return { stream, release };
+  }, [mediaSettings, sourceMode]);
+
+  // Function to follow a recorder (see lib/recorder) from its start: every chunk is journaled for crash recovery,
+  // every segment gets its own metadata track and thumbnail, and every finished segment is saved to the library.
+  // Once the last one is done, the video and its sidecar files are published and the stream released.
+  // `details` is { mimeType, release, trigger, thumbnail, track, chunks }: `release` frees the recorder's stream,
+  // `trigger` is the auto-record rule that started it (null for manual recordings), `track` the first segment's
+  // metadata track and `chunks` what it buffered before being handed over (pre-roll)
+  const attachRecorder = (recorder, details) => {
+    const { mimeType, release, trigger } = details;
+    const segments = new Map(); // Segment index -> { track, thumbnail, journal, name }
+    const baseName = `Recording ${new Date(details.track.startedAt).toLocaleString()}`; // Shared by every part
+    let multipart = false; // Set on the first rollover, before the first part is saved
+
+    // Starts collecting a segment's metadata frames and journaling its chunks
+    const openSegment = (index, track, thumbnail, bufferedChunks = []) => {
+      const name = index > 0 ? `${baseName} (part ${index + 1})` : null;
+      const journal = createChunkJournal({
+        mimeType,
+        startedAt: track.startedAt,
+        name,
+        trigger,
+        sessionId: sessionRef.current ? sessionRef.current.id : null,
+      }, { onError: err => console.error('Crash-recovery journal stopped:', err) });
+      activeJournalIdsRef.current.add(journal.id);
+      bufferedChunks.forEach(chunk => journal.append(chunk));
+      segments.set(index, { track, thumbnail, journal, name });
+      recordingTrackRef.current = track; // Frames go to the newest segment from now on
     };
-  }, [modelsLoaded, handleVideoPlay]); // Dependencies: modelsLoaded and handleVideoPlay
+
+    const updateProgress = () => {
+      setRecordingProgress({
+        state: recorder.getState(),
+        durationMs: recorder.getDurationMs(),
+        size: recorder.getSize(),
+        segment: recorder.getSegmentIndex(),
+      });
+    };
+
+    recorder.on('data', ({ chunk, segment }) => {
+      const open = segments.get(segment);
+      if (open) {
+        open.journal.append(chunk);
+      }
+      updateProgress();
+    });
+
+    recorder.on('state', (state) => {
+      if (state !== 'stopped') { // The final segment clears the progress
+        updateProgress();
+      }
+    });
+
+    recorder.on('rollover', ({ index, startedAt }) => {
+      multipart = true;
+      openSegment(index, createRecordingTrack(startedAt), captureThumbnail(canvasRef.current));
+      console.log(`Recording continues in part ${index + 1}.`);
+    });
+
+    recorder.on('error', (err) => {
+      console.error('Recorder error:', err);
+      setError(`The recorder reported an error: ${err.message}`);
+    });
+
+    recorder.on('segment', (segment) => {
+      const { track, thumbnail, journal, name } = segments.get(segment.index);
+      segments.delete(segment.index);
+
+      if (segment.size > 0) {
+        // Build the sidecar metadata files from the frames collected during the segment
+        const videoSize = { width: canvasRef.current.width, height: canvasRef.current.height };
+        // Coordinates are in source space; webcam recordings are mirrored horizontally
+        const trackInfo = { durationMs: segment.durationMs, videoSize, mirrored: sourceModeRef.current === 'webcam' };
+        const trackJson = trackToJSON(track, trackInfo);
+        const vtt = trackToWebVTT(track, segment.durationMs);
+        if (segment.final) {
+          const url = URL.createObjectURL(segment.blob);
+          setVideoUrl(url); // Update state to display video
+          setVideoMimeType(mimeType);
+          setSidecarUrls({
+            json: URL.createObjectURL(new Blob([trackJson], { type: 'application/json' })),
+            vtt: URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' })),
+          });
+          console.log('Recording stopped. Video URL:', url);
+        }
+
+        // Persist the segment in the local library so a page refresh doesn't lose it; the journal goes once it is safe
+        saveRecording({
+          blob: segment.blob,
+          trackJson,
+          vtt,
+          name: name || (multipart ? `${baseName} (part 1)` : null),
+          startedAt: track.startedAt,
+          durationMs: segment.durationMs,
+          mimeType,
+          thumbnail,
+          expressionSummary: summarizeTrack(track),
+          trigger,
+          sessionId: sessionRef.current ? sessionRef.current.id : null,
+        })
+          .then(saved => {
+            requestPersistentStorage(); // Best effort: ask the browser not to evict the library
+            if (autoUploadRef.current) {
+              uploadLibraryRecording(saved);
+              syncSession(sessionRef.current);
+            }
+            return journal.discard();
+          })
+          .catch(err => {
+            console.error('Error saving recording to library:', err);
+            setError(`The recording could not be saved to the library (${err.name === 'QuotaExceededError' ? 'storage is full' : err.message}). Download it now to keep it.`);
+          })
+          .finally(() => {
+            activeJournalIdsRef.current.delete(journal.id); // Left behind after a failure, so it can be recovered
+            loadLibrary();
+          });
+      } else {
+        journal.discard();
+        activeJournalIdsRef.current.delete(journal.id);
+      }
+
+      if (!segment.final) {
+        return;
+      }
+      release(); // The microphone is only held while recording
+      recordingTrackRef.current = null; // Stop collecting metadata frames
+      recordingPausedAtRef.current = null;
+      setActiveRecorder(null);
+      setRecordingProgress(null);
+      publishEvent('recording', {
+        state: 'stopped',
+        trigger,
+        durationMs: recorder.getDurationMs(),
+        size: recorder.getSize(),
+        mimeType,
+      });
+      if (recorder.getSize() === 0) {
+        setError('Recording stopped, but no video data was captured. This might be due to codec issues or camera not providing data.');
+        setVideoUrl('');
+      }
+
+      // Auto-recording is still armed: go back to buffering pre-roll for the next trigger
+      if (autoRecordRef.current) {
+        autoRecordRef.current.preRoll.start();
+        setAutoRecordStatus({ state: 'armed', trigger: null });
+      }
+    });
+
+    openSegment(0, details.track, details.thumbnail, details.chunks);
+  };
+
+  // Function to switch the UI over to a recorder that has just started; `trigger` is the auto-record rule
+  // that started it (null for manual recordings)
+  const markRecordingStarted = (recorder, trigger = null) => {
+    setActiveRecorder(recorder); // Store the recorder instance in state
+    setRecording(true); // Update recording status to true
+    setRecordingProgress({ state: 'recording', durationMs: recorder.getDurationMs(), size: recorder.getSize(), segment: 0 });
+    setVideoUrl(prevUrl => { // Clear any previous video URL (it is kept in the library)
+      if (prevUrl) {
+        URL.revokeObjectURL(prevUrl);
+      }
+      return '';
+    });
+    releaseSidecars(); // Clear any previous metadata files
+    publishEvent('recording', { state: 'started', trigger });
+    console.log('Recording started.');
+  };
+
+  // Function to turn the oldest pre-roll segment into the recording, so the clip starts a few seconds
+  // before `trigger` fired. The segment keeps recording; only its buffered chunks change hands
+  const promotePreRoll = (trigger) => {
+    const armed = autoRecordRef.current;
+    const segment = armed ? armed.preRoll.promote() : null;
+    if (!segment) {
+      return false;
+    }
+    armed.recording = true;
+    armed.autoStarted = trigger !== 'manual'; // Only triggered recordings stop themselves when idle
+    armed.lastActivityAt = Date.now();
+    const recorder = createRecorder({
+      mediaRecorder: segment.recorder,
+      initialChunks: segment.chunks,
+      startedAt: segment.startedAt,
+      mimeType: armed.mimeType,
+      segmentMs: recordingSettings.segmentMinutes * 60000,
+    });
+    recorder.start();
+    attachRecorder(recorder, {
+      mimeType: armed.mimeType,
+      // The armed stream outlives the recording, unless auto-recording was turned off in the meantime
+      release: () => {
+        armed.recording = false;
+        if (autoRecordRef.current !== armed) {
+          armed.release();
+        }
+      },
+      trigger,
+      thumbnail: captureThumbnail(canvasRef.current), // The moment the trigger fired, not the start of the pre-roll
+      track: segment.track, // Already holds the pre-roll frames, on the segment's clock
+      chunks: segment.chunks,
+    });
+    markRecordingStarted(recorder, trigger);
+    setAutoRecordStatus({ state: 'recording', trigger });
+    console.log(`Recording triggered (${TRIGGER_LABELS[trigger]}) with ${((Date.now() - segment.startedAt) / 1000).toFixed(1)} s of pre-roll.`);
+    return true;
+  };
 
   // Function to start video recording
-  const startRecording = () => {
+  const startRecording = async () => {
     // Check if camera is ready and models are loaded before starting recording
-    if (!videoRef.current || !canvasRef.current || !isCameraReady) {
+    if (!videoRef.current || !canvasRef.current || !isSourceReady) {
       setError('Camera not ready or models not loaded. Please ensure camera access and models are loaded.');
       return;
     }
 
-    // Get the stream ONLY from the canvas, as it now contains both video and markers
-    const canvasStream = canvasRef.current.captureStream();
-
-    let supportedMimeType = '';
-    // Prioritize webm with vp9, then vp8, then generic webm, then mp4 as a last resort
-    const possibleMimeTypes = [
-      'video/webm; codecs=vp9,opus',
-      'video/webm; codecs=vp8,opus',
-      'video/webm; codecs=vp9',
-      'video/webm; codecs=vp8',
-      'video/webm',
-      'video/mp4; codecs=avc1'
-    ];
-
-    for (const type of possibleMimeTypes) {
-      if (MediaRecorder.isTypeSupported(type)) {
-        supportedMimeType = type;
-        console.log(`Using supported MIME type: ${supportedMimeType}`);
-        break;
-      }
+    // With auto-recording armed, the buffered pre-roll is used for manual recordings too
+    if (promotePreRoll('manual')) {
+      return;
     }
 
+    const supportedMimeType = getSupportedMimeType(undefined, recordingSettings.format);
     if (!supportedMimeType) {
-      setError('Your browser does not support any common video recording codecs. Try updating your browser or using a different one.');
+      const format = RECORDING_FORMATS.find(option => option.id === recordingSettings.format);
+      setError(recordingSettings.format === 'auto'
+        ? 'Your browser does not support any common video recording codecs. Try updating your browser or using a different one.'
+        : `Your browser cannot record ${format.label}. Choose another recording format in the settings.`);
       console.error('No supported MIME type found for MediaRecorder.');
       return;
     }
 
-    const options = { mimeType: supportedMimeType, timeslice: 2000 }; // Increased timeslice to 2 seconds for more reliable chunks
+    const opened = await openRecordingStream();
+    if (!opened) {
+      return;
+    }
+
     let recorder;
     try {
-      recorder = new MediaRecorder(canvasStream, options);
+      recorder = createRecorder({
+        stream: opened.stream,
+        mimeType: supportedMimeType,
+        segmentMs: recordingSettings.segmentMinutes * 60000,
+      });
     } catch (e) {
+      opened.release();
       console.error('Error creating MediaRecorder:', e);
       setError(`Failed to create video recorder: ${e.message}. Try a different browser or check codec support.`);
       return;
     }
 
-    // Clear previous recorded chunks from the ref before starting new recording
-    recordedChunksRef.current = [];
-    setRecordedChunks([]); // Also clear the state for UI consistency
+    // Add a small delay before starting the recorder to ensure streams are fully active
+    setTimeout(() => {
+      if (recorder.getState() !== 'inactive') { // Only start if not already started by some other event
+        return;
+      }
+      try {
+        recorder.start(); // Start the recording; chunks arrive every second so a crash loses little
+      } catch (e) {
+        opened.release();
+        console.error('Error starting MediaRecorder:', e);
+        setError(`Failed to start video recorder: ${e.message}.`);
+        return;
+      }
+      setError(''); // Clear any previous recording errors
+      attachRecorder(recorder, {
+        mimeType: supportedMimeType,
+        release: opened.release,
+        trigger: null,
+        thumbnail: captureThumbnail(canvasRef.current), // Library thumbnail, taken from the first recorded frame
+        track: createRecordingTrack(Date.now()), // Start the metadata track on the recorder's clock
+        chunks: [],
+      });
+      markRecordingStarted(recorder);
+      if (playOnRecordStartRef.current) {
+        playOnRecordStartRef.current = false;
+        videoRef.current.play(); // Rendering an annotated file: play it through the recorder from the start
+      }
+    }, 200);
 
-    // Event listener for when data (video chunks) becomes available
-    recorder.ondataavailable = (event) => {
-      if (event.data.size > 0) {
-        console.log('Data available! Chunk size:', event.data.size);
-        recordedChunksRef.current.push(event.data); // Push data to the ref
-      } else {
-        console.warn('Empty data chunk received from MediaRecorder.');
+  };
+
+  // Function to stop video recording
+  const stopRecording = useCallback(() => {
+    if (activeRecorder && recording) {
+      activeRecorder.stop(); // Stop the recorder; the final segment is published once its last chunk is in
+      setRecording(false); // Update recording status to false
+      console.log('Stopping recording...');
+    }
+  }, [activeRecorder, recording]);
+
+  // Function to pause or resume the recording in progress. Paused time is left out of the video, so the
+  // metadata track skips it too
+  const togglePauseRecording = () => {
+    if (!activeRecorder || !recording) {
+      return;
+    }
+    if (activeRecorder.getState() === 'paused') {
+      if (recordingTrackRef.current && recordingPausedAtRef.current !== null) {
+        addTrackPause(recordingTrackRef.current, Date.now() - recordingPausedAtRef.current);
       }
+      recordingPausedAtRef.current = null;
+      activeRecorder.resume();
+      publishEvent('recording', { state: 'resumed' });
+      console.log('Recording resumed.');
+    } else {
+      recordingPausedAtRef.current = Date.now();
+      activeRecorder.pause();
+      publishEvent('recording', { state: 'paused' });
+      console.log('Recording paused.');
+    }
+  };
+
+  // Function to apply the auto-record rules to an analysed frame: start a recording (with its pre-roll)
+  // when a rule fires, and stop an auto-started one once nothing the rules watch has been seen for the idle timeout
+  const handleAutoRecordFrame = (frame) => {
+    const armed = autoRecordRef.current;
+    if (!armed) {
+      return;
+    }
+    const settings = autoRecordSettingsRef.current;
+    const { reason, active } = armed.evaluator.update(frame, settings);
+    const now = Date.now();
+    if (reason || active) {
+      armed.lastActivityAt = now;
+    }
+    if (!recording && !armed.recording) {
+      if (reason) {
+        promotePreRoll(reason);
+      }
+    } else if (armed.recording && armed.autoStarted && now - armed.lastActivityAt >= settings.idleSeconds * 1000) {
+      armed.autoStarted = false; // Stop once, even if the recorder takes a moment to wind down
+      console.log('Auto-recording idle, stopping.');
+      stopRecording();
+    }
+  };
+
+  // Effect hook to hand the latest auto-record handler (it reads the recording state) to the detection loop
+  useEffect(() => {
+    autoRecordHandlerRef.current = handleAutoRecordFrame;
+  });
+
+  // Function to update the recording format and segment length; they apply from the next recording on
+  const updateRecordingSettings = (changes) => {
+    const next = normalizeRecordingSettings({ ...recordingSettings, ...changes });
+    setRecordingSettings(next);
+    saveRecordingSettings(next);
+  };
+
+  // Effect hook to restore the recording settings saved by a previous visit and to find out which formats
+  // this browser can record
+  useEffect(() => {
+    setRecordingSettings(loadRecordingSettings());
+    setSupportedFormats(RECORDING_FORMATS.filter(format => isFormatSupported(format.id)).map(format => format.id));
+  }, []);
+
+  // Function to update the auto-record settings; the trigger rules read them from the ref on the next frame
+  const updateAutoRecordSettings = (changes) => {
+    const next = normalizeAutoRecordSettings({ ...autoRecordSettingsRef.current, ...changes });
+    autoRecordSettingsRef.current = next;
+    setAutoRecordSettings(next);
+    saveAutoRecordSettings(next);
+  };
+
+  // Effect hook to restore the auto-record settings saved by a previous visit
+  useEffect(() => {
+    const saved = loadAutoRecordSettings();
+    autoRecordSettingsRef.current = saved;
+    setAutoRecordSettings(saved);
+  }, []);
+
+  // Effect hook to arm auto-recording (open the recording stream and start buffering pre-roll) while it is
+  // enabled on a live webcam, and to disarm it otherwise. A recording in progress finishes on its own
+  const canArmAutoRecord = autoRecordSettings.enabled && modelsLoaded && sourceMode === 'webcam' && isCameraReady;
+  useEffect(() => {
+    if (!canArmAutoRecord) {
+      setAutoRecordStatus({ state: autoRecordSettings.enabled ? 'waiting' : 'off', trigger: null });
+      return undefined;
+    }
+    let cancelled = false;
+    const arm = async () => {
+      const mimeType = getSupportedMimeType(undefined, recordingSettings.format);
+      if (!mimeType) {
+        setError('Your browser does not support the selected recording format, so auto-recording is unavailable.');
+        return;
+      }
+      setAutoRecordStatus({ state: 'arming', trigger: null });
+      const opened = await openRecordingStream();
+      if (!opened || cancelled) {
+        if (opened) {
+          opened.release();
+        }
+        return;
+      }
+      const preRoll = createPreRollRecorder({ stream: opened.stream, mimeType, preRollMs: autoRecordSettings.preRollSeconds * 1000 });
+      autoRecordRef.current = {
+        ...opened, mimeType, preRoll, evaluator: createTriggerEvaluator(), recording: false, autoStarted: false, lastActivityAt: 0,
+      };
+      preRoll.start();
+      setAutoRecordStatus({ state: 'armed', trigger: null });
     };
+    arm();
 
-    // Event listener for when recording starts
-    recorder.onstart = () => {
-      console.log('MediaRecorder started. State:', recorder.state);
-      setError(''); // Clear any previous recording errors
+    return () => {
+      cancelled = true;
+      const armed = autoRecordRef.current;
+      autoRecordRef.current = null;
+      if (armed) {
+        armed.preRoll.stop();
+        if (!armed.recording) {
+          armed.release(); // Otherwise released when that recording stops
+        }
+      }
     };
+  }, [canArmAutoRecord, autoRecordSettings.enabled, autoRecordSettings.preRollSeconds, recordingSettings.format, openRecordingStream]);
 
-    // Event listener for when recording stops
-    recorder.onstop = () => {
-      console.log('MediaRecorder stopped. State:', recorder.state);
-      console.log('Recorded chunks length on stop (from ref):', recordedChunksRef.current.length);
-
-      // Process recorded chunks from the ref
-      if (recordedChunksRef.current.length > 0) {
-        const blob = new Blob(recordedChunksRef.current, { type: supportedMimeType.split(';')[0] });
-        const url = URL.createObjectURL(blob);
-        setVideoUrl(url); // Update state to display video
-        console.log('Recording stopped. Video URL:', url);
+  // Function to capture `burstCount` snapshots, `burstIntervalMs` apart
+  const takeBurst = useCallback(async () => {
+    if (burstRunningRef.current) {
+      return;
+    }
+    burstRunningRef.current = true;
+    const { burstCount, burstIntervalMs } = snapshotSettingsRef.current;
+    for (let i = 0; i < burstCount; i++) {
+      if (i > 0) {
+        await new Promise(resolve => setTimeout(resolve, burstIntervalMs));
+      }
+      await takeSnapshot('burst');
+      setBurstProgress(i + 1);
+    }
+    burstRunningRef.current = false;
+    setBurstProgress(null);
+  }, [takeSnapshot]);
+
+  // Effect hook for the snapshot shortcuts: S takes a snapshot, Shift+S a burst (ignored while typing)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const target = event.target;
+      const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      if (event.key.toLowerCase() !== 's' || event.repeat || isTyping || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+      event.preventDefault();
+      if (event.shiftKey) {
+        takeBurst();
       } else {
-        setError('Recording stopped, but no video data was captured. This might be due to codec issues or camera not providing data.');
-        setVideoUrl('');
+        takeSnapshot();
       }
-      recordedChunksRef.current = []; // Clear ref for next recording
-      setRecordedChunks([]); // Clear state for UI consistency
     };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [takeSnapshot, takeBurst]);
 
-    // Add a small delay before starting the recorder to ensure streams are fully active
-    setTimeout(() => {
-      if (recorder.state === 'inactive') { // Only start if not already started by some other event
-        recorder.start(); // Start the recording
-        setMediaRecorder(recorder); // Store the recorder instance in state
-        setRecording(true); // Update recording status to true
-        setVideoUrl(''); // Clear any previous video URL
-        console.log('Recording started.');
-      }
-    }, 200);
+  // Function to update the snapshot options; captures read them from the ref
+  const updateSnapshotSettings = (changes) => {
+    const next = { ...snapshotSettingsRef.current, ...changes };
+    snapshotSettingsRef.current = next;
+    setSnapshotSettings(next);
+  };
 
+  // Function to remove one snapshot from the strip
+  const removeSnapshot = (snapshot) => {
+    URL.revokeObjectURL(snapshot.url);
+    setSnapshots(prevSnapshots => prevSnapshots.filter(other => other !== snapshot));
   };
 
-  // Function to stop video recording
-  const stopRecording = () => {
-    if (mediaRecorder && recording) {
-      mediaRecorder.stop(); // Stop the MediaRecorder
-      setRecording(false); // Update recording status to false
-      console.log('Stopping recording...');
+  // Function to remove every snapshot from the strip
+  const clearSnapshots = () => {
+    snapshots.forEach(snapshot => URL.revokeObjectURL(snapshot.url));
+    setSnapshots([]);
+  };
+
+  // Function to render an annotated copy of the file video: rewind, record, and play it through once
+  const renderAnnotatedVideo = () => {
+    const video = videoRef.current;
+    if (!video) {
+      return;
     }
+    video.pause();
+    video.currentTime = 0;
+    playOnRecordStartRef.current = true;
+    startRecording();
   };
 
-  // NEW: Function to reset expression counts
-  const resetExpressionCounts = () => {
-    setExpressionCounts({
-      neutral: 0, happy: 0, sad: 0, angry: 0, fearful: 0, disgusted: 0, surprised: 0
-    });
+  // Effect hook to stop recording automatically when a file video reaches its end
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !recording || sourceMode !== 'file') {
+      return;
+    }
+    video.addEventListener('ended', stopRecording);
+    return () => video.removeEventListener('ended', stopRecording);
+  }, [recording, sourceMode, stopRecording]);
+
+  // Function to export the current session log in the given format ('csv' or 'json')
+  const exportSession = (format) => {
+    if (!session) {
+      return;
+    }
+    if (format === 'csv') {
+      downloadBlob(sessionToCSV(session), `${session.id}.csv`, 'text/csv');
+    } else {
+      downloadBlob(sessionToJSON(session), `${session.id}.json`, 'application/json');
+    }
   };
 
-  // Function to download the recorded video
+  // Function to download the recorded video, together with its metadata files when available
   const downloadVideo = () => {
     if (videoUrl) {
-      const a = document.createElement('a'); // Create a temporary anchor element
-      a.href = videoUrl; // Set the download link to the video URL
-      a.download = `face-tracking-video-${Date.now()}.webm`; // Set the default filename for download
-      document.body.appendChild(a); // Append the anchor to the body (necessary for some browsers)
-      a.click(); // Programmatically click the link to trigger the download
-      document.body.removeChild(a); // Remove the temporary anchor element
-      URL.revokeObjectURL(videoUrl); // Release the object URL to free up memory
-      setVideoUrl(''); // Clear the video URL after download
+      const baseName = `face-tracking-video-${Date.now()}`; // Shared name so the files stay paired
+      downloadUrl(videoUrl, `${baseName}.${getFileExtension(videoMimeType)}`);
+      if (sidecarUrls) {
+        downloadUrl(sidecarUrls.json, `${baseName}.detections.json`);
+        downloadUrl(sidecarUrls.vtt, `${baseName}.vtt`);
+      }
+      // The preview stays available: the recording also lives in the library until deleted there
       console.log('Video downloaded.');
     }
   };
@@ -348,10 +1537,8 @@ const App = () => {
         </div>
       )}
 
-      {/* Loading Indicator for Face-API Models */}
-      {!modelsLoaded && (
-        <div className="text-lg text-gray-400 mb-4 animate-pulse">Loading face tracking models...</div>
-      )}
+      {/* Model loading progress, failures and retry */}
+      <ModelLoadingPanel progress={modelProgress} error={modelLoadError} loaded={modelsLoaded} onRetry={loadModels} />
 
       {/* Video and Canvas Container */}
       <div className="relative w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl overflow-hidden mb-8 aspect-video border-2 border-blue-600">
@@ -362,26 +1549,46 @@ const App = () => {
           muted
           playsInline // Ensures video plays inline on mobile devices
           className="w-full h-full object-cover rounded-xl"
-          style={{ transform: 'scaleX(-1)' }} // Flips video horizontally for a mirror effect
+          style={{ transform: sourceMode === 'webcam' ? 'scaleX(-1)' : 'none' }} // Flips the webcam horizontally for a mirror effect
         ></video>
         {/* Canvas element overlaid on the video for drawing face markers */}
         <canvas
           ref={canvasRef}
-          className="absolute top-0 left-0 w-full h-full rounded-xl"
-          style={{ transform: 'scaleX(-1)' }} // Flips canvas horizontally to match the video
+          className={`absolute top-0 left-0 w-full h-full rounded-xl ${sourceMode === 'file' ? 'object-contain bg-gray-800' : ''}`}
+          style={{ transform: sourceMode === 'webcam' ? 'scaleX(-1)' : 'none' }} // Flips canvas horizontally to match the video
         ></canvas>
+        {/* Live performance readout (outside the canvas, so it is not recorded) */}
+        {perfStats && (
+          <div className="absolute top-2 left-2 px-2 py-1 rounded bg-black bg-opacity-60 text-xs font-mono text-green-300 pointer-events-none">
+            {perfStats.renderFps.toFixed(0)} fps · detect {perfStats.detectionFps.toFixed(1)}/s · {perfStats.inferenceMs.toFixed(0)} ms
+            {perfStats.mode && ` · ${perfStats.mode}`}
+          </div>
+        )}
+        {/* Look-away and drowsiness alerts (outside the canvas, so they are not recorded) */}
+        <div className="absolute top-2 right-2 flex flex-col items-end gap-1 pointer-events-none">
+          {attentionSettings.alertsEnabled && attentionStats.perFace.some(face => face.alerting) && (
+            <div className="px-3 py-1 rounded bg-red-600 bg-opacity-90 text-sm font-semibold text-white animate-pulse">
+              Looking away: {attentionStats.perFace.filter(face => face.alerting).map(face => `#${face.trackId}`).join(', ')}
+            </div>
+          )}
+          {drowsinessStats.perFace.some(face => face.alerting) && (
+            <div className="px-3 py-1 rounded bg-orange-600 bg-opacity-90 text-sm font-semibold text-white animate-pulse">
+              Drowsiness: {drowsinessStats.perFace.filter(face => face.alerting).map(face => `#${face.trackId}`).join(', ')}
+            </div>
+          )}
+        </div>
         {/* Overlay messages based on camera readiness and permission status */}
-        {!isCameraReady && cameraPermissionStatus === 'unknown' && (
+        {sourceMode === 'webcam' && !isCameraReady && cameraPermissionStatus === 'unknown' && (
             <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70 text-white text-xl rounded-xl">
                 Initializing camera...
             </div>
         )}
-        {!isCameraReady && cameraPermissionStatus === 'prompt' && (
+        {sourceMode === 'webcam' && !isCameraReady && cameraPermissionStatus === 'prompt' && (
             <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70 text-white text-xl rounded-xl">
                 Waiting for camera access...
             </div>
         )}
-        {!isCameraReady && cameraPermissionStatus === 'denied' && (
+        {sourceMode === 'webcam' && !isCameraReady && cameraPermissionStatus === 'denied' && (
             <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70 text-red-400 text-xl rounded-xl">
                 Camera access denied. Please allow camera permissions.
             </div>
@@ -391,7 +1598,7 @@ const App = () => {
       {/* Control Buttons Section */}
       <div className="flex flex-col sm:flex-row gap-4 mb-8 w-full max-w-2xl justify-center">
         {/* Request Camera Access Button (shown only if camera not ready and permission is not granted) */}
-        {!isCameraReady && cameraPermissionStatus !== 'granted' && (
+        {sourceMode === 'webcam' && !isCameraReady && cameraPermissionStatus !== 'granted' && (
             <button
               onClick={startWebcam}
               className="px-8 py-3 rounded-full font-semibold text-lg bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white shadow-lg transform hover:scale-105 active:scale-95 transition-all duration-300 ease-in-out"
@@ -404,9 +1611,9 @@ const App = () => {
         <button
           onClick={startRecording}
           // Button is disabled if already recording, models aren't loaded, or camera isn't ready
-          disabled={recording || !modelsLoaded || !isCameraReady}
+          disabled={recording || !modelsLoaded || !isSourceReady}
           className={`px-8 py-3 rounded-full font-semibold text-lg transition-all duration-300 ease-in-out
-            ${recording || !modelsLoaded || !isCameraReady
+            ${recording || !modelsLoaded || !isSourceReady
               ? 'bg-gray-600 text-gray-400 cursor-not-allowed' // Disabled state styling
               : 'bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-600 hover:to-emerald-700 text-white shadow-lg transform hover:scale-105 active:scale-95' // Active state styling
             }`}
@@ -414,6 +1621,19 @@ const App = () => {
           {recording ? 'Recording...' : 'Start Recording'} {/* Dynamic text based on recording state */}
         </button>
 
+        {/* Pause/Resume Recording Button */}
+        <button
+          onClick={togglePauseRecording}
+          disabled={!recording || !activeRecorder} // Button is disabled if not currently recording
+          className={`px-8 py-3 rounded-full font-semibold text-lg transition-all duration-300 ease-in-out
+            ${!recording || !activeRecorder
+              ? 'bg-gray-600 text-gray-400 cursor-not-allowed' // Disabled state styling
+              : 'bg-gradient-to-r from-amber-500 to-orange-600 hover:from-amber-600 hover:to-orange-700 text-white shadow-lg transform hover:scale-105 active:scale-95' // Active state styling
+            }`}
+        >
+          {recordingProgress && recordingProgress.state === 'paused' ? 'Resume' : 'Pause'}
+        </button>
+
         {/* Stop Recording Button */}
         <button
           onClick={stopRecording}
@@ -428,6 +1648,63 @@ const App = () => {
         </button>
       </div>
 
+      {/* Recording status: elapsed time (without pauses), size so far and, when split, the current part */}
+      {recordingProgress && (
+        <p className={`-mt-4 mb-8 text-sm font-mono ${recordingProgress.state === 'paused' ? 'text-amber-300' : 'text-red-300'}`}>
+          ● {recordingProgress.state === 'paused' ? 'Paused' : 'Recording'} {formatElapsed(recordingProgress.durationMs)}
+          {' · '}{formatBytes(recordingProgress.size)}
+          {recordingSettings.segmentMinutes > 0 && ` · part ${recordingProgress.segment + 1}`}
+        </p>
+      )}
+
+      {/* Source selection: live webcam or a local video/image file */}
+      <SourcePanel
+        sourceMode={sourceMode}
+        mediaFile={mediaFile}
+        playback={playback}
+        analysisProgress={analysisProgress}
+        disabled={!modelsLoaded}
+        recording={recording}
+        onSelectWebcam={selectWebcam}
+        onSelectFile={selectFile}
+        onTogglePlay={togglePlayback}
+        onSeek={seekFile}
+        onAnalyze={analyzeFile}
+        onCancelAnalysis={cancelAnalysis}
+        onRenderAnnotated={renderAnnotatedVideo}
+      />
+
+      {/* Camera, microphone and capture settings */}
+      <DeviceSettingsPanel
+        devices={devices}
+        settings={mediaSettings}
+        onChange={updateMediaSettings}
+        recording={recording}
+        disabled={sourceMode !== 'webcam'}
+        recordingSettings={recordingSettings}
+        onRecordingSettingsChange={updateRecordingSettings}
+        supportedFormats={supportedFormats}
+      />
+
+      {/* Automatic recording triggered by faces, expressions or enrolled people */}
+      <AutoRecordPanel
+        settings={autoRecordSettings}
+        onChange={updateAutoRecordSettings}
+        status={autoRecordStatus}
+        identities={identities}
+        recognitionAvailable={recognitionAvailable}
+        recording={recording}
+      />
+
+      {/* Detection model and tuning */}
+      <DetectorSettingsPanel settings={detectorSettings} onChange={updateDetectorSettings} ssdStatus={ssdStatus} />
+
+      {/* Overlay plugins drawn on the preview, recordings and snapshots */}
+      <OverlayPanel plugins={getOverlayPlugins()} settings={overlaySettings} onToggle={toggleOverlay} />
+
+      {/* Face anonymization for the preview and recordings */}
+      <PrivacyPanel settings={privacySettings} onChange={updatePrivacySettings} trackStats={trackStats} />
+
       {/* NEW: Expression Statistics Output Box */}
       <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-purple-600">
         <h2 className="text-2xl font-bold mb-4 text-center text-purple-300">Expression Statistics</h2>
@@ -439,14 +1716,95 @@ const App = () => {
             </div>
           ))}
         </div>
+        {/* Per-person statistics from the multi-face tracker */}
+        <h3 className="text-lg font-semibold mb-2 text-purple-200">Tracked Faces</h3>
+        <TrackedFacesPanel trackStats={trackStats} />
+        {/* Head pose and looking-at-screen time per face */}
+        <AttentionPanel stats={attentionStats} settings={attentionSettings} onChange={updateAttentionSettings} />
+        {/* Eye aspect ratio, blinks and PERCLOS per face */}
+        <DrowsinessPanel stats={drowsinessStats} settings={drowsinessSettings} onChange={updateDrowsinessSettings} />
+        {/* Timeline of expression probabilities for the current session */}
+        <ExpressionTimeline session={session} />
+        <div className="flex gap-3 mb-4">
+          <button
+            onClick={() => exportSession('csv')}
+            className="flex-1 px-6 py-2 rounded-full font-semibold bg-gray-700 hover:bg-gray-600 text-white shadow transition-all duration-300 ease-in-out"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => exportSession('json')}
+            className="flex-1 px-6 py-2 rounded-full font-semibold bg-gray-700 hover:bg-gray-600 text-white shadow transition-all duration-300 ease-in-out"
+          >
+            Export JSON
+          </button>
+          <button
+            onClick={openSessionReport}
+            className="flex-1 px-6 py-2 rounded-full font-semibold bg-gray-700 hover:bg-gray-600 text-white shadow transition-all duration-300 ease-in-out"
+          >
+            Report
+          </button>
+        </div>
         <button
-          onClick={resetExpressionCounts}
+          onClick={startNewSession}
           className="w-full px-6 py-3 rounded-full font-semibold text-lg bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-600 hover:to-blue-700 text-white shadow-lg transform hover:scale-105 active:scale-95 transition-all duration-300 ease-in-out"
         >
-          Reset Counts
+          New Session
         </button>
       </div>
 
+      {/* Enrollment and face gallery management */}
+      <EnrollmentPanel
+        identities={identities}
+        onIdentitiesChanged={loadIdentities}
+        matchThreshold={matchThreshold}
+        onMatchThresholdChange={setMatchThreshold}
+        captureSamples={captureSamples}
+        disabled={!modelsLoaded || !isSourceReady || !recognitionAvailable}
+        recognitionAvailable={recognitionAvailable || !modelsLoaded}
+        onError={setError}
+      />
+
+      {/* Still frames: single snapshots, bursts and expression-triggered captures */}
+      <SnapshotPanel
+        snapshots={snapshots}
+        settings={snapshotSettings}
+        onChange={updateSnapshotSettings}
+        onCapture={() => takeSnapshot()}
+        onBurst={takeBurst}
+        burstProgress={burstProgress}
+        onRemove={removeSnapshot}
+        onClear={clearSnapshots}
+        disabled={!modelsLoaded || !(isSourceReady || (mediaFile && mediaFile.kind === 'image'))}
+      />
+
+      {/* Saved recordings */}
+      <RecordingLibrary
+        recordings={libraryRecordings}
+        unfinished={unfinishedRecordings}
+        storage={storageEstimate}
+        onChanged={loadLibrary}
+        onError={setError}
+      />
+
+      {/* Live event stream for external consumers */}
+      <EventStreamPanel
+        settings={eventStreamSettings}
+        onChange={updateEventStreamSettings}
+        stats={eventStreamStats}
+        embedded={isEmbedded}
+      />
+
+      {/* Upload to the app's server API */}
+      <ServerSyncPanel
+        autoUpload={autoUpload}
+        onAutoUploadChange={updateAutoUpload}
+        recordings={libraryRecordings}
+        uploadingIds={uploadingIds}
+        onRetry={uploadLibraryRecording}
+        onUploadSession={() => syncSession(sessionRef.current)}
+      />
+
       {/* Enhanced Display Recorded Video Section */}
       {videoUrl && (
         <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 border-2 border-green-600">
@@ -455,7 +1813,12 @@ const App = () => {
             src={videoUrl}
             controls // Show video controls (play, pause, volume, etc.)
             className="w-full h-auto rounded-lg mb-4 shadow-inner border border-gray-600"
-          ></video>
+          >
+            {/* Captions showing the dominant expression at each moment of the recording */}
+            {sidecarUrls && (
+              <track kind="captions" src={sidecarUrls.vtt} srcLang="en" label="Expressions" default />
+            )}
+          </video>
           {/* Download Button */}
           <button
             onClick={downloadVideo}
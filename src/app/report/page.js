@@ -0,0 +1,405 @@
+"use client"; // Marks this component as a Client Component
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { EXPRESSIONS, EXPRESSION_COLORS } from '@/lib/expressions';
+import {
+  buildSessionReport, compareReports, reportToHTML, formatDuration, formatPercent, formatSigned, faceLabel,
+} from '@/lib/sessionReport';
+import { listArchivedSessions, getArchivedSession, deleteArchivedSession, MAX_ARCHIVED_SESSIONS } from '@/lib/sessionArchive';
+import { listRecordings, formatBytes } from '@/lib/recordingLibrary';
+import { fetchSessions, fetchSession, fetchServerRecordings } from '@/lib/serverUpload';
+import { downloadBlob } from '@/lib/download';
+
+// Sessions are picked as "<source>:<id>", where the source is 'local' (this browser) or 'server' (uploaded)
+const toKey = (source, id) => (id ? `${source}:${id}` : '');
+const parseKey = (key) => {
+  const separator = key.indexOf(':');
+  return separator > 0 ? { source: key.slice(0, separator), id: key.slice(separator + 1) } : null;
+};
+
+// Loads a session and the recordings it could have made, and builds its report
+const loadReport = async ({ source, id }) => {
+  if (source === 'server') {
+    const [session, recordingList] = await Promise.all([fetchSession(id), fetchServerRecordings()]);
+    return buildSessionReport(session, { endedAt: session.endedAt, recordings: recordingList.recordings });
+  }
+  const [session, recordings] = await Promise.all([getArchivedSession(id), listRecordings()]);
+  return buildSessionReport(session, { endedAt: session.endedAt, recordings });
+};
+
+// Dominant expression of each face over the session's time axis
+const SegmentStrip = ({ report }) => (
+  <div className="space-y-1">
+    {report.faces.map(face => (
+      <div key={face.key} className="flex items-center gap-2">
+        <span className="w-20 shrink-0 text-xs text-gray-400 print:text-gray-600">{faceLabel(face)}</span>
+        <div className="relative flex-1 h-3 bg-gray-700 rounded print:bg-gray-200">
+          {report.segments.filter(segment => segment.faceKey === face.key).map(segment => (
+            <div
+              key={segment.startMs}
+              title={`${segment.expression} ${formatDuration(segment.startMs)}–${formatDuration(segment.endMs)}`}
+              className="absolute top-0 h-full"
+              style={{
+                left: `${(segment.startMs / Math.max(report.durationMs, 1)) * 100}%`,
+                width: `${Math.max((segment.durationMs / Math.max(report.durationMs, 1)) * 100, 0.1)}%`,
+                backgroundColor: EXPRESSION_COLORS[segment.expression],
+              }}
+            ></div>
+          ))}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+// One session's report
+const ReportView = ({ report, title }) => {
+  const stats = [
+    ['Duration', formatDuration(report.durationMs)],
+    ['Face present', formatPercent(report.facePresentShare)],
+    ['Distinct faces', report.distinctFaces],
+    ['Recordings', report.recordings.count],
+  ];
+  const headingClass = 'text-lg font-semibold mt-4 mb-2 text-purple-200 print:text-black';
+  return (
+    <div className="flex-1 min-w-0 break-inside-avoid">
+      <h2 className="text-2xl font-bold text-center text-purple-300 print:text-black">{title}</h2>
+      <p className="text-xs text-gray-400 text-center mb-4 print:text-gray-600">
+        {new Date(report.startedAt).toLocaleString()} · {report.sampleCount} samples
+      </p>
+      <div className="grid grid-cols-2 gap-3">
+        {stats.map(([label, value]) => (
+          <div key={label} className="bg-gray-700 p-3 rounded-lg text-center shadow-inner print:bg-white print:border print:border-gray-300">
+            <p className="text-sm text-gray-300 print:text-gray-600">{label}</p>
+            <p className="text-2xl font-bold">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <h3 className={headingClass}>Expression distribution</h3>
+      <p className="text-xs text-gray-400 mb-2 print:text-gray-600">Share of the time faces were in view, by dominant expression.</p>
+      <div className="w-full h-3 flex rounded-full overflow-hidden bg-gray-700 mb-2 print:bg-gray-200">
+        {EXPRESSIONS.map(expression => (report.expressionShares[expression] > 0 ? (
+          <div
+            key={expression}
+            title={`${expression}: ${formatPercent(report.expressionShares[expression])}`}
+            style={{ width: `${report.expressionShares[expression] * 100}%`, backgroundColor: EXPRESSION_COLORS[expression] }}
+          ></div>
+        ) : null))}
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400 print:text-gray-600">
+            <th className="font-normal">Expression</th>
+            <th className="font-normal">Time</th>
+            <th className="font-normal">Share</th>
+            <th className="font-normal">Peak</th>
+          </tr>
+        </thead>
+        <tbody>
+          {EXPRESSIONS.map(expression => (
+            <tr key={expression}>
+              <td className="capitalize">
+                <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ backgroundColor: EXPRESSION_COLORS[expression] }}></span>
+                {expression}
+              </td>
+              <td>{formatDuration(report.expressionMs[expression])}</td>
+              <td>{formatPercent(report.expressionShares[expression])}</td>
+              <td>
+                {report.peaks[expression]
+                  ? `${formatPercent(report.peaks[expression].probability)} at ${formatDuration(report.peaks[expression].t)}`
+                  : '–'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className={headingClass}>Dominant expression over time</h3>
+      {report.faces.length > 0 ? <SegmentStrip report={report} /> : <p className="text-sm text-gray-400">No faces were detected.</p>}
+
+      <h3 className={headingClass}>Longest segments</h3>
+      {report.longestSegments.length === 0 ? (
+        <p className="text-sm text-gray-400">No segment lasted long enough.</p>
+      ) : (
+        <ul className="text-sm space-y-1">
+          {report.longestSegments.map(segment => (
+            <li key={`${segment.faceKey}-${segment.startMs}`}>
+              {faceLabel(report.faces.find(face => face.key === segment.faceKey))} was <span className="capitalize">{segment.expression}</span> for{' '}
+              {formatDuration(segment.durationMs)} from {formatDuration(segment.startMs)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className={headingClass}>Faces</h3>
+      {report.faces.length === 0 ? (
+        <p className="text-sm text-gray-400">None.</p>
+      ) : (
+        <ul className="text-sm space-y-1">
+          {report.faces.map(face => (
+            <li key={face.key}>
+              {faceLabel(face)}: in view {formatDuration(face.presentMs)}
+              {face.dominantExpression && <>, mostly <span className="capitalize">{face.dominantExpression}</span></>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className={headingClass}>Recordings</h3>
+      {report.recordings.count === 0 ? (
+        <p className="text-sm text-gray-400">No recordings were made.</p>
+      ) : (
+        <ul className="text-sm space-y-1">
+          {report.recordings.items.map(recording => (
+            <li key={`${recording.offsetMs}-${recording.name}`}>
+              <span className="font-semibold">{recording.name}</span> at {formatDuration(recording.offsetMs)} ·{' '}
+              {formatDuration(recording.durationMs)} · {formatBytes(recording.size)}
+              {recording.trigger && ` · ${recording.trigger}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Headline numbers of two reports next to each other, with the change from A to B
+const ComparisonTable = ({ a, b }) => {
+  const diff = compareReports(a, b);
+  const rows = [
+    ['Duration', formatDuration(a.durationMs), formatDuration(b.durationMs), formatSigned(diff.durationMs, formatDuration)],
+    ['Face present', formatPercent(a.facePresentShare), formatPercent(b.facePresentShare), formatSigned(diff.facePresentShare, formatPercent)],
+    ['Distinct faces', a.distinctFaces, b.distinctFaces, formatSigned(diff.distinctFaces, String)],
+    ['Recordings', a.recordings.count, b.recordings.count, formatSigned(diff.recordings, String)],
+    ...EXPRESSIONS.map(expression => [
+      `${expression} share`,
+      formatPercent(a.expressionShares[expression]),
+      formatPercent(b.expressionShares[expression]),
+      formatSigned(diff.expressionShares[expression], formatPercent),
+    ]),
+  ];
+  return (
+    <table className="w-full text-sm mb-6">
+      <thead>
+        <tr className="text-left text-gray-400 print:text-gray-600">
+          <th></th>
+          <th className="font-normal">A</th>
+          <th className="font-normal">B</th>
+          <th className="font-normal">B − A</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, ...cells]) => (
+          <tr key={label} className="border-t border-gray-700 print:border-gray-300">
+            <td className="capitalize py-1">{label}</td>
+            {cells.map((cell, i) => <td key={i}>{cell}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// Page showing the end-of-session report of a stored or uploaded session, optionally compared with another one
+const ReportPage = () => {
+  const [localSessions, setLocalSessions] = useState([]); // Summaries of the sessions archived in this browser
+  const [serverSessions, setServerSessions] = useState([]); // Summaries of the sessions uploaded to the server
+  const [selected, setSelected] = useState(''); // Key of the session to report on
+  const [compareWith, setCompareWith] = useState(''); // Key of the session to compare with, or ''
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Effect hook to read the sessions to show from the URL and load the pickers' lists once on mount
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    setSelected(toKey(params.get('source') || 'local', params.get('id')));
+    setCompareWith(toKey(params.get('compareSource') || 'local', params.get('compare')));
+
+    listArchivedSessions().then(setLocalSessions).catch(err => {
+      console.error('Error loading stored sessions:', err);
+      setError(`Failed to load the sessions stored in this browser: ${err.message}`);
+    });
+    // The server is optional: without it only the local sessions are listed
+    fetchSessions().then(list => setServerSessions(list.sessions)).catch(() => {});
+  }, []);
+
+  // Function to rebuild the reports of the selected sessions and keep the URL shareable
+  const refreshReports = useCallback(async () => {
+    const first = parseKey(selected);
+    const second = parseKey(compareWith);
+    const params = new URLSearchParams();
+    if (first) {
+      params.set('source', first.source);
+      params.set('id', first.id);
+    }
+    if (second) {
+      params.set('compareSource', second.source);
+      params.set('compare', second.id);
+    }
+    window.history.replaceState(null, '', `${window.location.pathname}${first ? `?${params}` : ''}`);
+    if (!first) {
+      setReports([]);
+      return;
+    }
+    setLoading(true);
+    try {
+      setReports(await Promise.all([first, second].filter(Boolean).map(loadReport)));
+      setError('');
+    } catch (err) {
+      console.error('Error building the report:', err);
+      setReports([]);
+      setError(`Could not build the report: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [selected, compareWith]);
+
+  // Effect hook to rebuild the reports whenever the selection changes
+  useEffect(() => {
+    refreshReports();
+  }, [refreshReports]);
+
+  // Function to delete a session stored in this browser, dropping it from the pickers too
+  const handleDeleteLocal = async (id) => {
+    try {
+      await deleteArchivedSession(id);
+      const key = toKey('local', id);
+      if (selected === key) {
+        setSelected('');
+      }
+      if (compareWith === key) {
+        setCompareWith('');
+      }
+      setLocalSessions(await listArchivedSessions());
+    } catch (err) {
+      console.error('Error deleting session:', err);
+      setError(`Failed to delete the session: ${err.message}`);
+    }
+  };
+
+  const handleDownload = () => {
+    const name = reports.length === 2 ? `${reports[0].id}-vs-${reports[1].id}` : reports[0].id;
+    downloadBlob(reportToHTML(reports), `${name}-report.html`, 'text/html');
+  };
+
+  const selectClass = 'w-full px-2 py-1 rounded bg-gray-700 text-white border border-gray-600';
+  const renderOptions = () => (
+    <>
+      {localSessions.length > 0 && (
+        <optgroup label="This browser">
+          {localSessions.map(session => (
+            <option key={session.id} value={toKey('local', session.id)}>
+              {new Date(session.startedAt).toLocaleString()} ({formatDuration(session.endedAt - session.startedAt)})
+            </option>
+          ))}
+        </optgroup>
+      )}
+      {serverSessions.length > 0 && (
+        <optgroup label="Uploaded">
+          {serverSessions.map(session => (
+            <option key={session.id} value={toKey('server', session.id)}>
+              {new Date(session.startedAt).toLocaleString()} ({formatDuration((session.endedAt || session.startedAt) - session.startedAt)})
+            </option>
+          ))}
+        </optgroup>
+      )}
+    </>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-950 to-purple-950 text-white flex flex-col items-center p-4 font-inter print:bg-none print:bg-white print:text-black">
+      <h1 className="text-4xl font-extrabold mb-4 text-center text-blue-300 drop-shadow-lg print:text-black print:drop-shadow-none">
+        {reports.length === 2 ? 'Session Comparison' : 'Session Report'}
+      </h1>
+      <div className="flex gap-4 mb-8 text-sm print:hidden">
+        <Link href="/" className="text-blue-300 hover:underline">← Back to tracking</Link>
+        <Link href="/sessions" className="text-blue-300 hover:underline">Uploaded sessions</Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-700 text-white p-4 rounded-lg mb-6 w-full max-w-2xl text-center shadow-lg print:hidden">
+          <p className="font-bold">Error:</p>
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Session pickers and export */}
+      <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-purple-600 print:hidden">
+        <div className="flex flex-col gap-3 text-sm text-gray-300">
+          <label>
+            Session
+            <select value={selected} onChange={(e) => setSelected(e.target.value)} className={`${selectClass} mt-1`}>
+              <option value="">Choose a session…</option>
+              {renderOptions()}
+            </select>
+          </label>
+          <label>
+            Compare with
+            <select value={compareWith} onChange={(e) => setCompareWith(e.target.value)} className={`${selectClass} mt-1`}>
+              <option value="">Nothing</option>
+              {renderOptions()}
+            </select>
+          </label>
+        </div>
+        {localSessions.length === 0 && serverSessions.length === 0 && (
+          <p className="text-sm text-gray-400 mt-3">
+            Sessions are stored here when you start a new one or open its report from the tracking page.
+          </p>
+        )}
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={() => window.print()}
+            disabled={reports.length === 0}
+            className="flex-1 px-6 py-2 rounded-full font-semibold bg-gray-700 hover:bg-gray-600 text-white shadow transition-all duration-300 ease-in-out disabled:opacity-50"
+          >
+            Print
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={reports.length === 0}
+            className="flex-1 px-6 py-2 rounded-full font-semibold bg-gray-700 hover:bg-gray-600 text-white shadow transition-all duration-300 ease-in-out disabled:opacity-50"
+          >
+            Download HTML
+          </button>
+        </div>
+
+        {/* Sessions stored in this browser, which can be deleted here */}
+        {localSessions.length > 0 && (
+          <div className="mt-6">
+            <p className="text-sm font-semibold text-gray-300 mb-2">
+              Stored in this browser ({localSessions.length}; the newest {MAX_ARCHIVED_SESSIONS} are kept)
+            </p>
+            <ul className="space-y-1 text-sm max-h-48 overflow-y-auto">
+              {localSessions.map(session => (
+                <li key={session.id} className="flex justify-between gap-3 text-gray-300">
+                  <span>
+                    {new Date(session.startedAt).toLocaleString()} ({formatDuration(session.endedAt - session.startedAt)})
+                  </span>
+                  <button onClick={() => handleDeleteLocal(session.id)} className="text-red-300 hover:underline">Delete</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {loading && <p className="text-center text-gray-400 mb-8">Building the report…</p>}
+
+      {reports.length > 0 && (
+        <div className={`w-full ${reports.length === 2 ? 'max-w-5xl' : 'max-w-2xl'} bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-purple-600 print:bg-white print:shadow-none print:border-0 print:p-0`}>
+          {reports.length === 2 && <ComparisonTable a={reports[0]} b={reports[1]} />}
+          <div className="flex flex-col md:flex-row print:flex-row gap-8">
+            {reports.map((report, i) => (
+              <ReportView key={i} report={report} title={reports.length === 2 ? (i === 0 ? 'A' : 'B') : 'Summary'} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportPage;
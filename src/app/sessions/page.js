@@ -0,0 +1,201 @@
+"use client"; // Marks this component as a Client Component
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { EXPRESSIONS, EXPRESSION_COLORS } from '@/lib/expressions';
+import { formatBytes } from '@/lib/recordingLibrary';
+import {
+  fetchSessions, fetchSession, removeSession, fetchServerRecordings, removeServerRecording, serverMediaUrl,
+} from '@/lib/serverUpload';
+import { downloadBlob } from '@/lib/download';
+
+// Formats a duration in milliseconds as m:ss
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Horizontal stacked bar showing the share of each expression in a counts map
+const ExpressionBar = ({ counts }) => {
+  const total = EXPRESSIONS.reduce((sum, expression) => sum + (counts[expression] || 0), 0);
+  if (total === 0) {
+    return <div className="w-full h-3 bg-gray-700 rounded-full"></div>;
+  }
+  return (
+    <div className="w-full h-3 flex rounded-full overflow-hidden bg-gray-700">
+      {EXPRESSIONS.map(expression => (counts[expression] ? (
+        <div
+          key={expression}
+          title={`${expression}: ${counts[expression]}`}
+          style={{ width: `${(counts[expression] / total) * 100}%`, backgroundColor: EXPRESSION_COLORS[expression] }}
+        ></div>
+      ) : null))}
+    </div>
+  );
+};
+
+// Page for browsing the sessions and recordings uploaded to the server API
+const SessionsPage = () => {
+  const [sessions, setSessions] = useState([]);
+  const [recordings, setRecordings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [playing, setPlaying] = useState(null); // Server recording currently shown in the player
+
+  // Function to (re)load both lists from the server
+  const loadUploads = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [sessionList, recordingList] = await Promise.all([fetchSessions(), fetchServerRecordings()]);
+      setSessions(sessionList.sessions);
+      setRecordings(recordingList.recordings);
+      setError('');
+    } catch (err) {
+      console.error('Error loading uploads:', err);
+      setError(`Failed to load uploads: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Effect hook to load the uploads once on mount
+  useEffect(() => {
+    loadUploads();
+  }, [loadUploads]);
+
+  const handleDownloadSession = async (id) => {
+    try {
+      const session = await fetchSession(id);
+      downloadBlob(JSON.stringify(session, null, 2), `${id}.json`, 'application/json');
+    } catch (err) {
+      setError(`Could not download session: ${err.message}`);
+    }
+  };
+
+  const handleDeleteSession = async (id) => {
+    try {
+      await removeSession(id);
+      loadUploads();
+    } catch (err) {
+      setError(`Delete failed: ${err.message}`);
+    }
+  };
+
+  const handleDeleteRecording = async (id) => {
+    try {
+      await removeServerRecording(id);
+      if (playing && playing.id === id) {
+        setPlaying(null);
+      }
+      loadUploads();
+    } catch (err) {
+      setError(`Delete failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-950 to-purple-950 text-white flex flex-col items-center p-4 font-inter">
+      <h1 className="text-4xl font-extrabold mb-4 text-center text-blue-300 drop-shadow-lg">
+        Uploaded Sessions
+      </h1>
+      <div className="flex gap-4 mb-8 text-sm">
+        <Link href="/" className="text-blue-300 hover:underline">← Back to tracking</Link>
+        <button onClick={loadUploads} className="text-blue-300 hover:underline">Refresh</button>
+      </div>
+
+      {error && (
+        <div className="bg-red-700 text-white p-4 rounded-lg mb-6 w-full max-w-2xl text-center shadow-lg">
+          <p className="font-bold">Error:</p>
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Session analytics */}
+      <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-purple-600">
+        <h2 className="text-2xl font-bold mb-4 text-center text-purple-300">Sessions</h2>
+        {loading && sessions.length === 0 ? (
+          <p className="text-center text-gray-400">Loading…</p>
+        ) : sessions.length === 0 ? (
+          <p className="text-center text-gray-400">No sessions have been uploaded yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {sessions.map(session => (
+              <li key={session.id} className="bg-gray-700 p-3 rounded-lg">
+                <div className="flex justify-between items-baseline gap-3 mb-2">
+                  <p className="font-semibold truncate">{new Date(session.startedAt).toLocaleString()}</p>
+                  <p className="text-xs text-gray-400 shrink-0">
+                    {formatDuration((session.endedAt || session.startedAt) - session.startedAt)} · {session.entryCount} samples
+                    {Array.isArray(session.trackStats) && ` · ${session.trackStats.length} faces`}
+                  </p>
+                </div>
+                <ExpressionBar counts={session.expressionCounts || {}} />
+                <div className="flex gap-3 mt-2 text-sm">
+                  <Link href={`/report?source=server&id=${encodeURIComponent(session.id)}`} className="text-purple-300 hover:underline">Report</Link>
+                  <button onClick={() => handleDownloadSession(session.id)} className="text-blue-300 hover:underline">Download JSON</button>
+                  <button onClick={() => handleDeleteSession(session.id)} className="text-red-300 hover:underline">Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Uploaded recordings */}
+      <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-teal-600">
+        <h2 className="text-2xl font-bold mb-4 text-center text-teal-300">Recordings</h2>
+        {playing && (
+          <div className="mb-4">
+            <video
+              src={serverMediaUrl(playing.id)}
+              controls
+              autoPlay
+              className="w-full h-auto rounded-lg shadow-inner border border-gray-600"
+            >
+              {playing.hasCaptions && (
+                <track kind="captions" src={serverMediaUrl(playing.id, 'captions')} srcLang="en" label="Expressions" default />
+              )}
+            </video>
+            <button onClick={() => setPlaying(null)} className="mt-2 text-sm text-gray-300 hover:underline">Close player</button>
+          </div>
+        )}
+        {loading && recordings.length === 0 ? (
+          <p className="text-center text-gray-400">Loading…</p>
+        ) : recordings.length === 0 ? (
+          <p className="text-center text-gray-400">No recordings have been uploaded yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {recordings.map(recording => (
+              <li key={recording.id} className="bg-gray-700 p-3 rounded-lg">
+                <p className="font-semibold truncate">{recording.name}</p>
+                <p className="text-xs text-gray-400">
+                  {new Date(recording.startedAt).toLocaleString()} · {formatDuration(recording.durationMs)} · {formatBytes(recording.size)}
+                  {recording.status !== 'complete' && <span className="text-yellow-300"> · upload incomplete</span>}
+                </p>
+                {recording.expressionSummary && recording.expressionSummary.dominantExpression && (
+                  <p className="text-xs text-purple-300 capitalize">Mostly {recording.expressionSummary.dominantExpression}</p>
+                )}
+                <div className="flex gap-3 mt-1 text-sm">
+                  {recording.status === 'complete' && (
+                    <>
+                      <button onClick={() => setPlaying(recording)} className="text-teal-300 hover:underline">Play</button>
+                      <a href={serverMediaUrl(recording.id, 'video', true)} className="text-blue-300 hover:underline">Video</a>
+                      {recording.hasTrack && (
+                        <a href={serverMediaUrl(recording.id, 'track', true)} className="text-blue-300 hover:underline">Detections</a>
+                      )}
+                      {recording.hasCaptions && (
+                        <a href={serverMediaUrl(recording.id, 'captions', true)} className="text-blue-300 hover:underline">Captions</a>
+                      )}
+                    </>
+                  )}
+                  <button onClick={() => handleDeleteRecording(recording.id)} className="text-red-300 hover:underline">Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsPage;
@@ -0,0 +1,110 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { attentionRatio } from '@/lib/attention';
+
+// Formats a 0..1 ratio as a percentage, or a dash when there is no data yet
+const formatPercent = (ratio) => (ratio === null ? '–' : `${Math.round(ratio * 100)}%`);
+
+// Formats a signed angle in degrees
+const formatAngle = (degrees) => `${degrees >= 0 ? '+' : ''}${Math.round(degrees)}°`;
+
+// Attention statistics (looking at the screen vs. away) and look-away alert settings
+const AttentionPanel = ({
+  stats, // { attentiveMs, awayMs, perFace } from the attention monitor
+  settings, // Attention settings (see DEFAULT_ATTENTION_SETTINGS)
+  onChange, // (partialSettings) => void
+}) => {
+  const inputClass = 'w-16 px-2 py-1 rounded bg-gray-600 text-white border border-gray-500';
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold mb-2 text-purple-200">Attention</h3>
+      <p className="text-sm text-gray-300 mb-2">
+        Looking at the screen: <span className="font-bold text-white">{formatPercent(attentionRatio(stats))}</span> of the session
+      </p>
+
+      {stats.perFace.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-3">
+          {stats.perFace.map(face => (
+            <div
+              key={face.trackId}
+              className={`p-2 rounded-lg text-xs ${face.alerting ? 'bg-red-800 border border-red-500' : 'bg-gray-700'}`}
+            >
+              <div className="flex justify-between mb-1">
+                <span className="font-bold text-white">Face #{face.trackId}</span>
+                <span className={face.attentive ? 'text-green-300' : 'text-yellow-300'}>
+                  {face.attentive ? 'looking' : `away ${(face.awayForMs / 1000).toFixed(1)}s`}
+                </span>
+              </div>
+              <p className="text-gray-300">Attention: {formatPercent(attentionRatio(face))}</p>
+              {face.pose && (
+                <p className="text-gray-400 font-mono">
+                  yaw {formatAngle(face.pose.yaw)} · pitch {formatAngle(face.pose.pitch)} · roll {formatAngle(face.pose.roll)}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Thresholds and alerts */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-300">
+        <label className="flex items-center gap-2">
+          Max yaw
+          <input
+            type="number"
+            min={5}
+            max={90}
+            value={settings.maxYaw}
+            onChange={(e) => onChange({ maxYaw: Math.max(5, Math.min(90, Number(e.target.value) || 5)) })}
+            className={inputClass}
+          />
+          °
+        </label>
+        <label className="flex items-center gap-2">
+          Max pitch
+          <input
+            type="number"
+            min={5}
+            max={90}
+            value={settings.maxPitch}
+            onChange={(e) => onChange({ maxPitch: Math.max(5, Math.min(90, Number(e.target.value) || 5)) })}
+            className={inputClass}
+          />
+          °
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.alertsEnabled}
+            onChange={(e) => onChange({ alertsEnabled: e.target.checked })}
+          />
+          Alert after
+          <input
+            type="number"
+            min={1}
+            max={600}
+            value={settings.lookAwaySeconds}
+            onChange={(e) => onChange({ lookAwaySeconds: Math.max(1, Math.min(600, Number(e.target.value) || 1)) })}
+            disabled={!settings.alertsEnabled}
+            className={inputClass}
+          />
+          s looking away
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.sound}
+            onChange={(e) => onChange({ sound: e.target.checked })}
+            disabled={!settings.alertsEnabled}
+          />
+          Sound
+        </label>
+      </div>
+      <p className="text-xs text-gray-400 mt-1">Head pose needs facial landmarks; faces without them are not counted.</p>
+    </div>
+  );
+};
+
+export default AttentionPanel;
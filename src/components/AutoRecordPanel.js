@@ -0,0 +1,141 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { EXPRESSIONS } from '@/lib/expressions';
+import { TRIGGER_LABELS } from '@/lib/autoRecord';
+
+// Status line for each auto-record state
+const STATUS_TEXT = {
+  off: 'Off',
+  waiting: 'Waiting for the live camera and models',
+  arming: 'Starting…',
+  armed: 'Armed, buffering pre-roll',
+  recording: 'Recording',
+};
+
+// Panel for the auto-recording rules: what starts a recording, when it stops, and how much pre-roll it keeps
+const AutoRecordPanel = ({
+  settings, // Auto-record settings (see DEFAULT_AUTO_RECORD_SETTINGS)
+  onChange, // (partialSettings) => void
+  status, // { state, trigger } of the armed recorder
+  identities, // Enrolled people, for the person trigger
+  recognitionAvailable, // Whether face recognition works (the person trigger needs it)
+  recording, // True while any recording is running; the pre-roll length can't change mid-recording
+}) => {
+  const inputClass = 'w-20 px-2 py-1 rounded bg-gray-700 text-white border border-gray-600';
+  const selectClass = 'px-2 py-1 rounded bg-gray-700 text-white border border-gray-600';
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-orange-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-orange-300">Auto-Record</h2>
+
+      <div className="flex items-center justify-between mb-4">
+        <label className="flex items-center gap-3 text-gray-200 font-semibold">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ enabled: e.target.checked })} />
+          Record automatically
+        </label>
+        <span className={`text-sm ${status.state === 'recording' ? 'text-red-300 animate-pulse' : 'text-gray-400'}`}>
+          {STATUS_TEXT[status.state]}
+          {status.state === 'recording' && status.trigger && ` (${TRIGGER_LABELS[status.trigger]})`}
+        </span>
+      </div>
+
+      {/* Trigger rules */}
+      <h3 className="text-lg font-semibold mb-2 text-orange-200">Start when</h3>
+      <div className="flex flex-col gap-2 text-sm text-gray-300 mb-4">
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={settings.faceAppears} onChange={(e) => onChange({ faceAppears: e.target.checked })} />
+          A face appears
+        </label>
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={settings.faceCountChange} onChange={(e) => onChange({ faceCountChange: e.target.checked })} />
+          The number of faces changes
+        </label>
+        <label className="flex flex-wrap items-center gap-3">
+          <input type="checkbox" checked={settings.expressionTrigger} onChange={(e) => onChange({ expressionTrigger: e.target.checked })} />
+          A face looks
+          <select
+            value={settings.expression}
+            onChange={(e) => onChange({ expression: e.target.value })}
+            disabled={!settings.expressionTrigger}
+            className={`${selectClass} capitalize`}
+          >
+            {EXPRESSIONS.map(expression => (
+              <option key={expression} value={expression}>{expression}</option>
+            ))}
+          </select>
+          with at least
+          <input
+            type="number"
+            min={5}
+            max={100}
+            step={5}
+            value={Math.round(settings.expressionThreshold * 100)}
+            onChange={(e) => onChange({ expressionThreshold: Number(e.target.value) / 100 })}
+            disabled={!settings.expressionTrigger}
+            className={inputClass}
+          />
+          % probability
+        </label>
+        <label className="flex flex-wrap items-center gap-3">
+          <input
+            type="checkbox"
+            checked={settings.personTrigger}
+            onChange={(e) => onChange({ personTrigger: e.target.checked })}
+            disabled={!recognitionAvailable || identities.length === 0}
+          />
+          This person is recognized
+          <select
+            value={settings.identityId}
+            onChange={(e) => onChange({ identityId: e.target.value })}
+            disabled={!settings.personTrigger}
+            className={selectClass}
+          >
+            <option value="">Choose…</option>
+            {identities.map(identity => (
+              <option key={identity.id} value={identity.id}>{identity.name}</option>
+            ))}
+          </select>
+        </label>
+        {(!recognitionAvailable || identities.length === 0) && (
+          <p className="text-xs text-gray-400">The person trigger needs face recognition and at least one enrolled person.</p>
+        )}
+      </div>
+
+      {/* Stop and pre-roll */}
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-300">
+        <label className="flex items-center gap-2">
+          Stop after
+          <input
+            type="number"
+            min={1}
+            max={600}
+            value={settings.idleSeconds}
+            onChange={(e) => onChange({ idleSeconds: Number(e.target.value) })}
+            className={inputClass}
+          />
+          s idle (no faces, or the trigger no longer holds)
+        </label>
+        <label className="flex items-center gap-2">
+          Keep
+          <input
+            type="number"
+            min={1}
+            max={30}
+            value={settings.preRollSeconds}
+            onChange={(e) => onChange({ preRollSeconds: Number(e.target.value) })}
+            disabled={recording}
+            className={inputClass}
+          />
+          s of pre-roll
+        </label>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Works with the live camera. While armed, recordings started by hand also include the pre-roll;
+        only triggered recordings stop on their own.
+      </p>
+    </div>
+  );
+};
+
+export default AutoRecordPanel;
@@ -0,0 +1,115 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import {
+  DETECTOR_MODELS, DETECTOR_PRESETS, TINY_INPUT_SIZES, getPresetId,
+} from '@/lib/detectorSettings';
+import { formatBytes } from '@/lib/recordingLibrary';
+
+// Panel for tuning the face detector: presets, detection model, input size, threshold and optional networks
+const DetectorSettingsPanel = ({
+  settings, // Current detector settings (see DEFAULT_DETECTOR_SETTINGS)
+  onChange, // (partialSettings) => void
+  ssdStatus, // { status, loaded, total, message } of the on-demand SSD MobileNet download, or null
+}) => {
+  const presetId = getPresetId(settings);
+  const selectClass = 'w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600';
+  const isTiny = settings.model === 'tinyFaceDetector';
+
+  // Applies a preset's detector fields, keeping the landmark/expression toggles as they are
+  const applyPreset = (id) => {
+    const { model, inputSize, scoreThreshold } = DETECTOR_PRESETS[id];
+    onChange({ model, inputSize, scoreThreshold });
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-lime-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-lime-300">Detector Settings</h2>
+
+      {/* Presets */}
+      <div className="flex gap-2 mb-4">
+        {Object.entries(DETECTOR_PRESETS).map(([id, preset]) => (
+          <button
+            key={id}
+            onClick={() => applyPreset(id)}
+            className={`flex-1 px-4 py-2 rounded-full font-semibold transition-all duration-300 ease-in-out
+              ${presetId === id
+                ? 'bg-gradient-to-r from-lime-500 to-green-600 text-white shadow-lg'
+                : 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+              }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      {presetId === 'custom' && <p className="text-xs text-gray-400 text-center -mt-2 mb-4">Custom settings</p>}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <label className="text-sm text-gray-300">
+          Detection model
+          <select value={settings.model} onChange={(e) => onChange({ model: e.target.value })} className={selectClass}>
+            {DETECTOR_MODELS.map(model => (
+              <option key={model.id} value={model.id}>{model.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-300">
+          Input size
+          <select
+            value={settings.inputSize}
+            onChange={(e) => onChange({ inputSize: Number(e.target.value) })}
+            disabled={!isTiny}
+            className={selectClass}
+          >
+            {TINY_INPUT_SIZES.map(size => (
+              <option key={size} value={size}>{size} px{size === 416 ? ' (default)' : ''}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-400">
+            {isTiny ? 'Larger finds smaller and more distant faces, but is slower.' : 'SSD MobileNet uses a fixed input size.'}
+          </span>
+        </label>
+      </div>
+
+      {/* SSD MobileNet download state */}
+      {!isTiny && ssdStatus && ssdStatus.status === 'loading' && (
+        <p className="text-sm text-gray-300 mb-4 animate-pulse">
+          Loading SSD MobileNet{ssdStatus.total ? ` (${formatBytes(ssdStatus.loaded)} / ${formatBytes(ssdStatus.total)})` : ''}… the Tiny Face Detector is used until it is ready.
+        </p>
+      )}
+      {!isTiny && ssdStatus && ssdStatus.status === 'failed' && (
+        <p className="text-sm text-red-300 mb-4">
+          SSD MobileNet could not be loaded ({ssdStatus.message}); the Tiny Face Detector is used instead.
+        </p>
+      )}
+
+      <label className="block text-sm text-gray-300 mb-4">
+        Minimum confidence: <span className="font-mono">{settings.scoreThreshold.toFixed(2)}</span>
+        <input
+          type="range"
+          min={0.05}
+          max={0.95}
+          step={0.05}
+          value={settings.scoreThreshold}
+          onChange={(e) => onChange({ scoreThreshold: Number(e.target.value) })}
+          className="w-full"
+        />
+        <span className="text-xs text-gray-400">Lower catches more faces, including more false positives.</span>
+      </label>
+
+      <div className="flex flex-col gap-2 text-sm text-gray-300">
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={settings.landmarks} onChange={(e) => onChange({ landmarks: e.target.checked })} />
+          Detect facial landmarks
+        </label>
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={settings.expressions} onChange={(e) => onChange({ expressions: e.target.checked })} />
+          Detect expressions (statistics, timeline and captions need this)
+        </label>
+        <p className="text-xs text-gray-400">Landmarks are still computed while face recognition is in use.</p>
+      </div>
+    </div>
+  );
+};
+
+export default DetectorSettingsPanel;
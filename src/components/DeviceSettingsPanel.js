@@ -0,0 +1,125 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { RESOLUTION_PRESETS, FRAME_RATES } from '@/lib/mediaDevices';
+import { RECORDING_FORMATS, SEGMENT_MINUTES } from '@/lib/recorder';
+
+// Panel for choosing the camera, microphone, capture resolution and frame rate, and the recording format
+const DeviceSettingsPanel = ({
+  devices, // { videoInputs, audioInputs } from listMediaDevices
+  settings, // Current media settings (see DEFAULT_MEDIA_SETTINGS)
+  onChange, // (partialSettings) => void
+  recording, // True while the recorder is running; the audio option can't change mid-recording
+  disabled, // True while the webcam is not the active source
+  recordingSettings, // { format, segmentMinutes } (see DEFAULT_RECORDING_SETTINGS); they apply to every source
+  onRecordingSettingsChange, // (partialSettings) => void
+  supportedFormats, // Ids of the RECORDING_FORMATS this browser can record
+}) => {
+  const selectClass = 'w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600';
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-sky-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-sky-300">Camera & Microphone</h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <label className="text-sm text-gray-300">
+          Camera
+          <select
+            value={settings.videoDeviceId}
+            onChange={(e) => onChange({ videoDeviceId: e.target.value })}
+            disabled={disabled}
+            className={selectClass}
+          >
+            <option value="">Default camera</option>
+            {devices.videoInputs.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-300">
+          Microphone
+          <select
+            value={settings.audioDeviceId}
+            onChange={(e) => onChange({ audioDeviceId: e.target.value })}
+            disabled={recording}
+            className={selectClass}
+          >
+            <option value="">Default microphone</option>
+            {devices.audioInputs.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-300">
+          Resolution
+          <select
+            value={settings.resolution}
+            onChange={(e) => onChange({ resolution: e.target.value })}
+            disabled={disabled}
+            className={selectClass}
+          >
+            {RESOLUTION_PRESETS.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-300">
+          Frame rate
+          <select
+            value={settings.frameRate}
+            onChange={(e) => onChange({ frameRate: Number(e.target.value) })}
+            disabled={disabled}
+            className={selectClass}
+          >
+            {FRAME_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate === 0 ? 'Browser default' : `${rate} fps`}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="flex items-center gap-3 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={settings.recordAudio}
+          onChange={(e) => onChange({ recordAudio: e.target.checked })}
+          disabled={recording}
+        />
+        Record audio from the selected microphone
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+        <label className="text-sm text-gray-300">
+          Recording format
+          <select
+            value={recordingSettings.format}
+            onChange={(e) => onRecordingSettingsChange({ format: e.target.value })}
+            disabled={recording}
+            className={selectClass}
+          >
+            {RECORDING_FORMATS.map(format => (
+              <option key={format.id} value={format.id} disabled={!supportedFormats.includes(format.id)}>
+                {format.label}{supportedFormats.includes(format.id) ? '' : ' (not supported)'}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-300">
+          Split into files every
+          <select
+            value={recordingSettings.segmentMinutes}
+            onChange={(e) => onRecordingSettingsChange({ segmentMinutes: Number(e.target.value) })}
+            disabled={recording}
+            className={selectClass}
+          >
+            {SEGMENT_MINUTES.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes === 0 ? 'Never (one file)' : `${minutes} min`}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceSettingsPanel;
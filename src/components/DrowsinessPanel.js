@@ -0,0 +1,125 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+
+// Human-readable alert reasons
+const REASON_LABELS = {
+  'eyes-closed': 'eyes closed',
+  perclos: 'high PERCLOS',
+};
+
+// Blink and drowsiness metrics per face (eye aspect ratio, blinks, PERCLOS) and the alert thresholds
+const DrowsinessPanel = ({
+  stats, // { perFace } from the drowsiness monitor
+  settings, // Drowsiness settings (see DEFAULT_DROWSINESS_SETTINGS)
+  onChange, // (partialSettings) => void
+}) => {
+  const inputClass = 'w-20 px-2 py-1 rounded bg-gray-600 text-white border border-gray-500';
+
+  // Clamps a number input to [min, max], falling back to `min` for empty or invalid input
+  const clamped = (value, min, max) => Math.max(min, Math.min(max, Number(value) || min));
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold mb-2 text-purple-200">Blinks & Drowsiness</h3>
+
+      {stats.perFace.length === 0 ? (
+        <p className="text-sm text-gray-400 mb-3">No eye measurements yet; they need facial landmarks.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-3">
+          {stats.perFace.map(face => (
+            <div
+              key={face.trackId}
+              className={`p-2 rounded-lg text-xs ${face.alerting ? 'bg-red-800 border border-red-500' : 'bg-gray-700'}`}
+            >
+              <div className="flex justify-between mb-1">
+                <span className="font-bold text-white">Face #{face.trackId}</span>
+                <span className={face.alerting ? 'text-red-200 font-semibold' : face.eyesClosed ? 'text-yellow-300' : 'text-green-300'}>
+                  {face.alerting ? `Drowsy: ${REASON_LABELS[face.reason]}` : face.eyesClosed ? 'eyes closed' : 'eyes open'}
+                </span>
+              </div>
+              <p className="text-gray-300 font-mono">
+                EAR {face.ear !== null ? face.ear.toFixed(2) : '–'} · PERCLOS {Math.round(face.perclos * 100)}%
+              </p>
+              <p className="text-gray-300">
+                {face.blinkCount} blinks · {face.blinkRate.toFixed(1)} / min
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Thresholds and alerts */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-300">
+        <label className="flex items-center gap-2">
+          Closed below EAR
+          <input
+            type="number"
+            min={0.05}
+            max={0.4}
+            step={0.01}
+            value={settings.earThreshold}
+            onChange={(e) => onChange({ earThreshold: clamped(e.target.value, 0.05, 0.4) })}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          PERCLOS window
+          <input
+            type="number"
+            min={10}
+            max={600}
+            value={settings.perclosWindowSeconds}
+            onChange={(e) => onChange({ perclosWindowSeconds: clamped(e.target.value, 10, 600) })}
+            className={inputClass}
+          />
+          s
+        </label>
+        <label className="flex items-center gap-2">
+          Alert above
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={Math.round(settings.perclosThreshold * 100)}
+            onChange={(e) => onChange({ perclosThreshold: clamped(e.target.value, 1, 100) / 100 })}
+            className={inputClass}
+          />
+          % PERCLOS
+        </label>
+        <label className="flex items-center gap-2">
+          or eyes closed for
+          <input
+            type="number"
+            min={0.5}
+            max={30}
+            step={0.5}
+            value={settings.maxClosedSeconds}
+            onChange={(e) => onChange({ maxClosedSeconds: clamped(e.target.value, 0.5, 30) })}
+            className={inputClass}
+          />
+          s
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.alertsEnabled}
+            onChange={(e) => onChange({ alertsEnabled: e.target.checked })}
+          />
+          Alerts
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.sound}
+            onChange={(e) => onChange({ sound: e.target.checked })}
+            disabled={!settings.alertsEnabled}
+          />
+          Sound
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default DrowsinessPanel;
@@ -0,0 +1,212 @@
+"use client"; // Marks this component as a Client Component
+
+import React, { useRef, useState } from 'react';
+import {
+  addIdentity, renameIdentity, deleteIdentity, exportGallery, importGallery,
+} from '@/lib/faceGallery';
+import { downloadBlob } from '@/lib/download';
+
+const DEFAULT_SAMPLE_COUNT = 5; // Number of descriptors captured per enrollment
+
+// Panel for enrolling known people and managing the locally stored face gallery
+const EnrollmentPanel = ({
+  identities, // Enrolled identities loaded from IndexedDB
+  onIdentitiesChanged, // Called after any change so the parent can reload the gallery
+  matchThreshold, // Current FaceMatcher distance threshold
+  onMatchThresholdChange, // Setter for the distance threshold
+  captureSamples, // async (count, onProgress) => Float32Array[] captured from the live feed
+  disabled, // True while models or camera are not ready
+  recognitionAvailable, // False when the face recognition model failed to load
+  onError, // Reports an error message to the parent
+}) => {
+  const importInputRef = useRef(null);
+  const [name, setName] = useState(''); // Name for the next enrollment
+  const [sampleCount, setSampleCount] = useState(DEFAULT_SAMPLE_COUNT);
+  const [capturedCount, setCapturedCount] = useState(0); // Progress of the capture in flight
+  const [capturing, setCapturing] = useState(false);
+  const [editingId, setEditingId] = useState(null); // Identity currently being renamed
+  const [editingName, setEditingName] = useState('');
+
+  // Captures samples from the live feed and stores them under the entered name
+  const handleEnroll = async () => {
+    if (!name.trim()) {
+      onError('Please enter a name for the person being enrolled.');
+      return;
+    }
+    setCapturing(true);
+    setCapturedCount(0);
+    try {
+      const descriptors = await captureSamples(sampleCount, setCapturedCount);
+      await addIdentity(name, descriptors);
+      setName('');
+      onIdentitiesChanged();
+    } catch (err) {
+      console.error('Error enrolling face:', err);
+      onError(`Enrollment failed: ${err.message}`);
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const handleRename = async (id) => {
+    try {
+      await renameIdentity(id, editingName);
+      setEditingId(null);
+      onIdentitiesChanged();
+    } catch (err) {
+      onError(`Rename failed: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteIdentity(id);
+      onIdentitiesChanged();
+    } catch (err) {
+      onError(`Delete failed: ${err.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    downloadBlob(exportGallery(identities), `face-gallery-${Date.now()}.json`, 'application/json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-importing the same file later
+    if (!file) {
+      return;
+    }
+    try {
+      const imported = await importGallery(await file.text());
+      console.log(`Imported ${imported} identities into the face gallery.`);
+      onIdentitiesChanged();
+    } catch (err) {
+      onError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-amber-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-amber-300">Known People</h2>
+
+      {/* Enrollment form */}
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name"
+          disabled={capturing}
+          className="flex-1 px-4 py-2 rounded-lg bg-gray-700 text-white border border-gray-600"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          Samples
+          <input
+            type="number"
+            min={1}
+            max={20}
+            value={sampleCount}
+            onChange={(e) => setSampleCount(Math.max(1, Math.min(20, Number(e.target.value) || 1)))}
+            disabled={capturing}
+            className="w-16 px-2 py-2 rounded-lg bg-gray-700 text-white border border-gray-600"
+          />
+        </label>
+        <button
+          onClick={handleEnroll}
+          disabled={disabled || capturing}
+          className={`px-6 py-2 rounded-full font-semibold transition-all duration-300 ease-in-out
+            ${disabled || capturing
+              ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+              : 'bg-gradient-to-r from-amber-500 to-orange-600 hover:from-amber-600 hover:to-orange-700 text-white shadow-lg'
+            }`}
+        >
+          {capturing ? `Capturing ${capturedCount}/${sampleCount}...` : 'Enroll Face'}
+        </button>
+      </div>
+      {!recognitionAvailable && (
+        <p className="text-sm text-yellow-300 mb-2">
+          The face recognition model could not be loaded, so enrollment and identification are unavailable.
+        </p>
+      )}
+      <p className="text-xs text-gray-400 mb-4">
+        Make sure only the person being enrolled is in frame, and move your head slightly between samples.
+      </p>
+
+      {/* Match threshold */}
+      <label className="block text-sm text-gray-300 mb-4">
+        Match distance threshold: <span className="font-mono">{matchThreshold.toFixed(2)}</span>
+        <input
+          type="range"
+          min={0.3}
+          max={0.8}
+          step={0.01}
+          value={matchThreshold}
+          onChange={(e) => onMatchThresholdChange(Number(e.target.value))}
+          className="w-full"
+        />
+        <span className="text-xs text-gray-400">Lower is stricter; faces further than this from every enrolled person are labelled Unknown.</span>
+      </label>
+
+      {/* Enrolled identities */}
+      {identities.length === 0 ? (
+        <p className="text-center text-gray-400 mb-4">Nobody is enrolled yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {identities.map(identity => (
+            <li key={identity.id} className="flex items-center gap-2 bg-gray-700 p-3 rounded-lg">
+              {editingId === identity.id ? (
+                <>
+                  <input
+                    type="text"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    className="flex-1 px-2 py-1 rounded bg-gray-600 text-white"
+                  />
+                  <button onClick={() => handleRename(identity.id)} className="text-sm text-green-300 hover:underline">Save</button>
+                  <button onClick={() => setEditingId(null)} className="text-sm text-gray-300 hover:underline">Cancel</button>
+                </>
+              ) : (
+                <>
+                  <span className="flex-1 font-semibold">{identity.name}</span>
+                  <span className="text-xs text-gray-400">{identity.descriptors.length} samples</span>
+                  <button
+                    onClick={() => { setEditingId(identity.id); setEditingName(identity.name); }}
+                    className="text-sm text-blue-300 hover:underline"
+                  >
+                    Rename
+                  </button>
+                  <button onClick={() => handleDelete(identity.id)} className="text-sm text-red-300 hover:underline">Delete</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Import / export */}
+      <div className="flex gap-3">
+        <button
+          onClick={handleExport}
+          disabled={identities.length === 0}
+          className={`flex-1 px-6 py-2 rounded-full font-semibold transition-all duration-300 ease-in-out
+            ${identities.length === 0
+              ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+              : 'bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-600 hover:to-blue-700 text-white shadow-lg'
+            }`}
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => importInputRef.current && importInputRef.current.click()}
+          className="flex-1 px-6 py-2 rounded-full font-semibold bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-600 hover:to-blue-700 text-white shadow-lg transition-all duration-300 ease-in-out"
+        >
+          Import JSON
+        </button>
+        <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+      </div>
+    </div>
+  );
+};
+
+export default EnrollmentPanel;
@@ -0,0 +1,135 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { DEFAULT_EVENT_STREAM_SETTINGS } from '@/lib/eventStream';
+
+// Display text and colour per transport status
+const STATUS_STYLES = {
+  open: { text: 'connected', className: 'text-green-300' },
+  connecting: { text: 'connecting…', className: 'text-yellow-300' },
+  unavailable: { text: 'unavailable', className: 'text-red-300' },
+  closed: { text: 'off', className: 'text-gray-400' },
+};
+
+// Settings of the live event stream (WebSocket relay, BroadcastChannel, postMessage) and its delivery counters
+const EventStreamPanel = ({
+  settings, // Event stream settings (see DEFAULT_EVENT_STREAM_SETTINGS)
+  onChange, // (partialSettings) => void
+  stats, // { sent, dropped, transports: [{ id, status }] } from the event bus
+  embedded, // True when the app runs inside an iframe, so postMessage has a parent to talk to
+}) => {
+  // Text fields apply when they lose focus, so the WebSocket doesn't reconnect on every keystroke
+  const inputClass = 'px-2 py-1 rounded bg-gray-700 text-white border border-gray-600';
+
+  // Status badge for a transport; disabled transports don't appear in the stats
+  const renderStatus = (id) => {
+    const transport = stats.transports.find(entry => entry.id === id);
+    const style = STATUS_STYLES[transport ? transport.status : 'closed'];
+    return <span className={`text-xs ${style.className}`}>{style.text}</span>;
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-violet-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-violet-300">Event Stream</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        Publishes detections, expression changes and recording state to other programs in real time.
+        The message format is described in <code className="text-violet-200">docs/event-stream.md</code>.
+      </p>
+
+      <div className="flex flex-col gap-3 text-sm text-gray-300">
+        <div>
+          <label className="flex items-center gap-3">
+            <input type="checkbox" checked={settings.websocket} onChange={(e) => onChange({ websocket: e.target.checked })} />
+            WebSocket relay
+            {settings.websocket && renderStatus('websocket')}
+          </label>
+          <input
+            type="text"
+            key={settings.websocketUrl}
+            defaultValue={settings.websocketUrl}
+            onBlur={(e) => onChange({ websocketUrl: e.target.value.trim() || DEFAULT_EVENT_STREAM_SETTINGS.websocketUrl })}
+            className={`${inputClass} w-full mt-1`}
+            placeholder="ws://localhost:8765/publish"
+          />
+          <p className="text-xs text-gray-400 mt-1">Start the relay with <code>npm run relay</code>; consumers connect to ws://localhost:8765/.</p>
+        </div>
+
+        <div>
+          <label className="flex items-center gap-3">
+            <input type="checkbox" checked={settings.broadcastChannel} onChange={(e) => onChange({ broadcastChannel: e.target.checked })} />
+            BroadcastChannel (other tabs)
+            {settings.broadcastChannel && renderStatus('broadcastChannel')}
+          </label>
+          <input
+            type="text"
+            key={settings.channelName}
+            defaultValue={settings.channelName}
+            onBlur={(e) => onChange({ channelName: e.target.value.trim() || DEFAULT_EVENT_STREAM_SETTINGS.channelName })}
+            className={`${inputClass} w-full mt-1`}
+          />
+        </div>
+
+        <div>
+          <label className="flex items-center gap-3">
+            <input type="checkbox" checked={settings.postMessage} onChange={(e) => onChange({ postMessage: e.target.checked })} />
+            postMessage to the embedding page
+            {settings.postMessage && renderStatus('postMessage')}
+          </label>
+          <label className="flex items-center gap-2 mt-1">
+            Target origin
+            <input
+              type="text"
+              key={settings.postMessageOrigin}
+              defaultValue={settings.postMessageOrigin}
+              onBlur={(e) => onChange({ postMessageOrigin: e.target.value.trim() })}
+              placeholder="https://embedder.example"
+              className={`${inputClass} flex-1`}
+            />
+          </label>
+          {settings.postMessage && !settings.postMessageOrigin && (
+            <p className="text-xs text-amber-300 mt-1">Enter the embedding page&apos;s exact origin; nothing is posted until it is set.</p>
+          )}
+          {!embedded && <p className="text-xs text-gray-400 mt-1">The app is not embedded in an iframe, so there is no parent page to post to.</p>}
+        </div>
+
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={settings.includeLandmarks} onChange={(e) => onChange({ includeLandmarks: e.target.checked })} />
+          Include the 68 landmark points in detections
+        </label>
+
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+          <label className="flex items-center gap-2">
+            Detections at most
+            <input
+              type="number"
+              min={1}
+              max={60}
+              value={settings.maxDetectionsPerSecond}
+              onChange={(e) => onChange({ maxDetectionsPerSecond: Number(e.target.value) })}
+              className={`${inputClass} w-20`}
+            />
+            /s
+          </label>
+          <label className="flex items-center gap-2">
+            Other events at most
+            <input
+              type="number"
+              min={1}
+              max={200}
+              value={settings.maxEventsPerSecond}
+              onChange={(e) => onChange({ maxEventsPerSecond: Number(e.target.value) })}
+              className={`${inputClass} w-20`}
+            />
+            /s
+          </label>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-400 mt-4 text-center">
+        {stats.sent} messages sent · {stats.dropped} dropped by the rate limits
+      </p>
+    </div>
+  );
+};
+
+export default EventStreamPanel;
@@ -0,0 +1,103 @@
+"use client"; // Marks this component as a Client Component
+
+import React, { useRef, useEffect } from 'react';
+import { EXPRESSIONS, EXPRESSION_COLORS } from '@/lib/expressions';
+
+const WINDOW_MS = 60000; // Width of the visible time window
+const REDRAW_INTERVAL_MS = 250; // How often the chart is repainted from the session log
+
+// Scrolling line chart of expression probabilities over the last minute of a session.
+// When several faces are in frame, each tick is plotted as the average over those faces.
+const ExpressionTimeline = ({ session }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !session) {
+      return;
+    }
+    const context = canvas.getContext('2d');
+
+    const draw = () => {
+      // Match the backing store to the rendered size so lines stay crisp
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      context.clearRect(0, 0, width, height);
+
+      // Horizontal grid lines at 0%, 50% and 100%
+      context.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      context.lineWidth = 1;
+      [0, 0.5, 1].forEach(level => {
+        const y = height - level * height;
+        context.beginPath();
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+        context.stroke();
+      });
+
+      const { entries } = session;
+      if (entries.length === 0) {
+        return;
+      }
+
+      // Only the entries inside the visible window, averaged per tick across faces
+      const endT = Math.max(entries[entries.length - 1].t, WINDOW_MS);
+      const startT = endT - WINDOW_MS;
+      const ticks = [];
+      for (let i = entries.length - 1; i >= 0 && entries[i].t >= startT; i--) {
+        const entry = entries[i];
+        const last = ticks[ticks.length - 1];
+        if (last && last.t === entry.t) {
+          EXPRESSIONS.forEach(expression => { last.sums[expression] += entry.expressions[expression]; });
+          last.faces++;
+        } else {
+          ticks.push({ t: entry.t, faces: 1, sums: { ...entry.expressions } });
+        }
+      }
+      ticks.reverse();
+
+      const toX = t => ((t - startT) / WINDOW_MS) * width;
+      context.lineWidth = 2;
+      EXPRESSIONS.forEach(expression => {
+        context.strokeStyle = EXPRESSION_COLORS[expression];
+        context.beginPath();
+        ticks.forEach((tick, index) => {
+          const x = toX(tick.t);
+          const y = height - (tick.sums[expression] / tick.faces) * height;
+          if (index === 0) {
+            context.moveTo(x, y);
+          } else {
+            context.lineTo(x, y);
+          }
+        });
+        context.stroke();
+      });
+    };
+
+    draw();
+    const intervalId = setInterval(draw, REDRAW_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [session]);
+
+  return (
+    <div className="mb-4">
+      <canvas ref={canvasRef} className="w-full h-40 bg-gray-900 rounded-lg shadow-inner"></canvas>
+      {/* Legend */}
+      <div className="flex flex-wrap justify-center gap-3 mt-2 text-xs">
+        {EXPRESSIONS.map(expression => (
+          <span key={expression} className="flex items-center gap-1 capitalize text-gray-300">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: EXPRESSION_COLORS[expression] }}></span>
+            {expression}
+          </span>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 text-center mt-1">Last 60 seconds</p>
+    </div>
+  );
+};
+
+export default ExpressionTimeline;
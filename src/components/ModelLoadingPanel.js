@@ -0,0 +1,73 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { STARTUP_MODELS } from '@/lib/modelLoader';
+import { formatBytes } from '@/lib/recordingLibrary';
+
+// Per-model download progress while the models load, and the failure report with a retry button
+const ModelLoadingPanel = ({
+  progress, // { [net]: { status, loaded, total, message } } from loadModelFiles
+  error, // Message of a fatal loading failure, or ''
+  loaded, // True once the detector is ready
+  onRetry, // Restarts model loading
+}) => {
+  const failedOptional = STARTUP_MODELS.filter(model => !model.required && progress[model.net] && progress[model.net].status === 'failed');
+
+  // Once everything is running, only an unavailable optional model is worth showing
+  if (loaded) {
+    return failedOptional.length > 0 ? (
+      <div className="w-full max-w-2xl bg-yellow-900 text-yellow-100 p-3 rounded-lg mb-4 shadow-md text-sm border border-yellow-600">
+        {failedOptional.map(model => (
+          <p key={model.net}>{model.label} is unavailable: {progress[model.net].message}</p>
+        ))}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className={`w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-4 mb-4 border-2 ${error ? 'border-red-600' : 'border-gray-600'}`}>
+      <p className={`text-lg mb-3 text-center ${error ? 'text-red-300' : 'text-gray-300 animate-pulse'}`}>
+        {error ? 'Face tracking models failed to load' : 'Loading face tracking models...'}
+      </p>
+      <ul className="space-y-2 mb-2">
+        {STARTUP_MODELS.map(model => {
+          const state = progress[model.net] || { status: 'pending', loaded: 0, total: 0 };
+          const percent = state.total ? Math.min(100, (state.loaded / state.total) * 100) : 0;
+          return (
+            <li key={model.net} className="text-sm">
+              <div className="flex justify-between text-gray-300 mb-1">
+                <span>{model.label}{model.required ? '' : ' (optional)'}</span>
+                <span className={state.status === 'failed' ? 'text-red-300' : state.status === 'ready' ? 'text-green-300' : 'text-gray-400'}>
+                  {state.status === 'ready' && 'Ready'}
+                  {state.status === 'failed' && 'Failed'}
+                  {state.status === 'loading' && (state.total ? `${formatBytes(state.loaded)} / ${formatBytes(state.total)}` : 'Starting...')}
+                  {state.status === 'pending' && 'Waiting'}
+                </span>
+              </div>
+              <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${state.status === 'failed' ? 'bg-red-500' : state.status === 'ready' ? 'bg-green-500' : 'bg-blue-500'}`}
+                  style={{ width: `${state.status === 'failed' ? 100 : percent}%` }}
+                ></div>
+              </div>
+              {state.status === 'failed' && <p className="text-xs text-red-300 mt-1">{state.message}</p>}
+            </li>
+          );
+        })}
+      </ul>
+      {error && (
+        <>
+          <p className="text-sm text-red-200 mb-3">{error}</p>
+          <button
+            onClick={onRetry}
+            className="w-full px-6 py-2 rounded-full font-semibold bg-gradient-to-r from-red-500 to-pink-600 hover:from-red-600 hover:to-pink-700 text-white shadow-lg transition-all duration-300 ease-in-out"
+          >
+            Retry
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ModelLoadingPanel;
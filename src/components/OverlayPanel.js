@@ -0,0 +1,53 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+
+// Toggles for the registered overlay plugins, grouped as registered (analysis drawings, AR effects, ...)
+const OverlayPanel = ({
+  plugins, // Registered overlay plugins, in drawing order
+  settings, // { [pluginId]: enabled }
+  onToggle, // (pluginId, enabled) => void
+}) => {
+  // Keep the groups in the order their first plugin was registered
+  const groups = plugins.reduce((acc, plugin) => {
+    const group = acc.find(entry => entry.name === plugin.group);
+    if (group) {
+      group.plugins.push(plugin);
+    } else {
+      acc.push({ name: plugin.group, plugins: [plugin] });
+    }
+    return acc;
+  }, []);
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-yellow-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-yellow-300">Overlays</h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+        {groups.map(group => (
+          <div key={group.name}>
+            <h3 className="text-lg font-semibold mb-2 text-yellow-200">{group.name}</h3>
+            <div className="flex flex-col gap-2">
+              {group.plugins.map(plugin => (
+                <label key={plugin.id} className="flex items-start gap-3 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(settings[plugin.id])}
+                    onChange={(e) => onToggle(plugin.id, e.target.checked)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-semibold text-gray-200">{plugin.label}</span>
+                    {plugin.description && <span className="block text-xs text-gray-400">{plugin.description}</span>}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 mt-4">Overlays are drawn into the canvas, so they also appear in recordings and snapshots.</p>
+    </div>
+  );
+};
+
+export default OverlayPanel;
@@ -0,0 +1,92 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { ANONYMIZE_METHODS } from '@/lib/anonymize';
+
+// Panel for the anonymization ("privacy") mode applied to the preview and to recordings
+const PrivacyPanel = ({
+  settings, // Current privacy settings (see DEFAULT_PRIVACY_SETTINGS)
+  onChange, // (partialSettings) => void
+  trackStats, // Tracked faces, offered as exemptions
+}) => {
+  const toggleExemptTrack = (trackId) => {
+    const exempt = settings.exemptTrackIds.includes(trackId)
+      ? settings.exemptTrackIds.filter(id => id !== trackId)
+      : [...settings.exemptTrackIds, trackId];
+    onChange({ exemptTrackIds: exempt });
+  };
+
+  const activeTracks = trackStats.filter(track => track.active);
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-rose-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-rose-300">Privacy Mode</h2>
+
+      <label className="flex items-center gap-3 mb-4 text-lg font-semibold">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          className="w-5 h-5"
+        />
+        Anonymize faces in the preview and recordings
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <label className="text-sm text-gray-300">
+          Method
+          <select
+            value={settings.method}
+            onChange={(e) => onChange({ method: e.target.value })}
+            className="w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 capitalize"
+          >
+            {ANONYMIZE_METHODS.map(method => (
+              <option key={method} value={method}>{method === 'mask' ? 'Solid mask' : method}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-300">
+          Shape
+          <select
+            value={settings.shape}
+            onChange={(e) => onChange({ shape: e.target.value })}
+            className="w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600"
+          >
+            <option value="box">Detection box</option>
+            <option value="hull">Landmark outline (tighter)</option>
+          </select>
+        </label>
+      </div>
+
+      {/* Exemptions */}
+      <label className="flex items-center gap-3 mb-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={settings.exemptEnrolled}
+          onChange={(e) => onChange({ exemptEnrolled: e.target.checked })}
+        />
+        Keep enrolled people visible
+      </label>
+      {activeTracks.length > 0 && (
+        <div className="flex flex-wrap gap-3 text-sm text-gray-300 mb-2">
+          <span>Keep visible:</span>
+          {activeTracks.map(track => (
+            <label key={track.id} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={settings.exemptTrackIds.includes(track.id)}
+                onChange={() => toggleExemptTrack(track.id)}
+              />
+              Face #{track.id}
+            </label>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-gray-400">
+        When no recent detection is available the whole frame is obscured, so faces are never recorded in the clear while the detector catches up.
+      </p>
+    </div>
+  );
+};
+
+export default PrivacyPanel;
@@ -0,0 +1,234 @@
+"use client"; // Marks this component as a Client Component
+
+import React, { useState, useEffect } from 'react';
+import {
+  getRecordingMedia, renameRecording, deleteRecording, requestPersistentStorage, formatBytes,
+} from '@/lib/recordingLibrary';
+import { restoreUnfinishedRecording, deleteUnfinishedRecording } from '@/lib/recordingRecovery';
+import { getFileExtension, getContainerType } from '@/lib/recorder';
+import { downloadBlob } from '@/lib/download';
+import { TRIGGER_LABELS } from '@/lib/autoRecord';
+
+// Formats a duration in milliseconds as m:ss
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// File name (without extension) used when downloading a stored recording
+const baseNameFor = (recording) => recording.name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || recording.id;
+
+// Gallery of recordings stored in IndexedDB, with replay, rename, download, delete and storage usage, plus
+// recordings interrupted by a crash or a closed tab, which can be recovered into the library
+const RecordingLibrary = ({
+  recordings, // Recording metadata from listRecordings
+  unfinished = [], // Interrupted recordings from listUnfinishedRecordings
+  storage, // { usage, quota, persisted } from getStorageEstimate, or null
+  onChanged, // Called after any change so the parent can reload the list and storage estimate
+  onError, // Reports an error message to the parent
+}) => {
+  const [player, setPlayer] = useState(null); // { id, videoUrl, vttUrl } of the recording being replayed
+  const [editingId, setEditingId] = useState(null); // Recording currently being renamed
+  const [editingName, setEditingName] = useState('');
+
+  // Release the replay URLs when the player changes or the component unmounts
+  useEffect(() => () => {
+    if (player) {
+      URL.revokeObjectURL(player.videoUrl);
+      if (player.vttUrl) {
+        URL.revokeObjectURL(player.vttUrl);
+      }
+    }
+  }, [player]);
+
+  const handlePlay = async (recording) => {
+    try {
+      const media = await getRecordingMedia(recording.id);
+      setPlayer({
+        id: recording.id,
+        videoUrl: URL.createObjectURL(media.blob),
+        vttUrl: media.vtt ? URL.createObjectURL(new Blob([media.vtt], { type: 'text/vtt' })) : null,
+      });
+    } catch (err) {
+      onError(`Could not load recording: ${err.message}`);
+    }
+  };
+
+  const handleDownload = async (recording) => {
+    try {
+      const media = await getRecordingMedia(recording.id);
+      const baseName = baseNameFor(recording);
+      downloadBlob(media.blob, `${baseName}.${getFileExtension(recording.mimeType)}`);
+      if (media.trackJson) {
+        downloadBlob(media.trackJson, `${baseName}.detections.json`, 'application/json');
+      }
+      if (media.vtt) {
+        downloadBlob(media.vtt, `${baseName}.vtt`, 'text/vtt');
+      }
+    } catch (err) {
+      onError(`Could not download recording: ${err.message}`);
+    }
+  };
+
+  const handleRename = async (id) => {
+    try {
+      await renameRecording(id, editingName);
+      setEditingId(null);
+      onChanged();
+    } catch (err) {
+      onError(`Rename failed: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteRecording(id);
+      if (player && player.id === id) {
+        setPlayer(null);
+      }
+      onChanged();
+    } catch (err) {
+      onError(`Delete failed: ${err.message}`);
+    }
+  };
+
+  const handleRecover = async (id) => {
+    try {
+      await restoreUnfinishedRecording(id);
+    } catch (err) {
+      onError(`Recovery failed: ${err.message}`);
+    }
+    onChanged();
+  };
+
+  const handleDiscard = async (id) => {
+    try {
+      await deleteUnfinishedRecording(id);
+      onChanged();
+    } catch (err) {
+      onError(`Discard failed: ${err.message}`);
+    }
+  };
+
+  const handlePersist = async () => {
+    const granted = await requestPersistentStorage();
+    if (!granted) {
+      onError('The browser declined persistent storage; recordings may be evicted if the disk runs low.');
+    }
+    onChanged();
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-teal-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-teal-300">Recording Library</h2>
+
+      {/* Storage usage */}
+      {storage && (
+        <div className="mb-4">
+          <div className="flex justify-between text-xs text-gray-300 mb-1">
+            <span>Storage used: {formatBytes(storage.usage)} of {formatBytes(storage.quota)}</span>
+            <span>
+              {storage.persisted ? 'Persistent' : (
+                <button onClick={handlePersist} className="text-teal-300 hover:underline">Make persistent</button>
+              )}
+            </span>
+          </div>
+          <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${storage.quota && storage.usage / storage.quota > 0.8 ? 'bg-red-500' : 'bg-teal-500'}`}
+              style={{ width: `${storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {/* Recordings interrupted before they could be saved */}
+      {unfinished.length > 0 && (
+        <div className="mb-4 p-3 rounded-lg bg-amber-900/40 border border-amber-600">
+          <p className="text-sm font-semibold text-amber-200 mb-2">Interrupted recordings</p>
+          <ul className="space-y-2">
+            {unfinished.map(recording => (
+              <li key={recording.id} className="flex items-center justify-between gap-3 text-sm">
+                <span className="min-w-0 truncate text-gray-200">
+                  {recording.name || new Date(recording.startedAt).toLocaleString()} · {formatBytes(recording.size)}
+                </span>
+                <span className="flex gap-3 shrink-0">
+                  <button onClick={() => handleRecover(recording.id)} className="text-amber-300 hover:underline">Recover</button>
+                  <button onClick={() => handleDiscard(recording.id)} className="text-red-300 hover:underline">Discard</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Replay player */}
+      {player && (
+        <div className="mb-4">
+          <video src={player.videoUrl} controls autoPlay className="w-full h-auto rounded-lg shadow-inner border border-gray-600">
+            {player.vttUrl && <track kind="captions" src={player.vttUrl} srcLang="en" label="Expressions" default />}
+          </video>
+          <button onClick={() => setPlayer(null)} className="mt-2 text-sm text-gray-300 hover:underline">Close player</button>
+        </div>
+      )}
+
+      {recordings.length === 0 ? (
+        <p className="text-center text-gray-400">No saved recordings yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {recordings.map(recording => (
+            <li key={recording.id} className="flex gap-3 bg-gray-700 p-3 rounded-lg">
+              {recording.thumbnail ? (
+                // eslint-disable-next-line @next/next/no-img-element -- data URL thumbnails can't go through next/image
+                <img src={recording.thumbnail} alt="" className="w-28 h-auto rounded object-cover" />
+              ) : (
+                <div className="w-28 h-16 rounded bg-gray-600"></div>
+              )}
+              <div className="flex-1 min-w-0">
+                {editingId === recording.id ? (
+                  <div className="flex gap-2 mb-1">
+                    <input
+                      type="text"
+                      value={editingName}
+                      onChange={(e) => setEditingName(e.target.value)}
+                      className="flex-1 px-2 py-1 rounded bg-gray-600 text-white"
+                    />
+                    <button onClick={() => handleRename(recording.id)} className="text-sm text-green-300 hover:underline">Save</button>
+                    <button onClick={() => setEditingId(null)} className="text-sm text-gray-300 hover:underline">Cancel</button>
+                  </div>
+                ) : (
+                  <p className="font-semibold truncate">{recording.name}</p>
+                )}
+                <p className="text-xs text-gray-400">
+                  {new Date(recording.startedAt).toLocaleString()} · {formatDuration(recording.durationMs)} · {formatBytes(recording.size)} · {getContainerType(recording.mimeType)}
+                </p>
+                {recording.expressionSummary && recording.expressionSummary.dominantExpression && (
+                  <p className="text-xs text-purple-300 capitalize">Mostly {recording.expressionSummary.dominantExpression}</p>
+                )}
+                {recording.trigger && recording.trigger !== 'manual' && (
+                  <p className="text-xs text-orange-300">Auto-recorded: {TRIGGER_LABELS[recording.trigger]}</p>
+                )}
+                {recording.uploadStatus === 'uploaded' && (
+                  <p className="text-xs text-indigo-300">Uploaded to server</p>
+                )}
+                <div className="flex gap-3 mt-1 text-sm">
+                  <button onClick={() => handlePlay(recording)} className="text-teal-300 hover:underline">Play</button>
+                  <button onClick={() => handleDownload(recording)} className="text-blue-300 hover:underline">Download</button>
+                  <button
+                    onClick={() => { setEditingId(recording.id); setEditingName(recording.name); }}
+                    className="text-blue-300 hover:underline"
+                  >
+                    Rename
+                  </button>
+                  <button onClick={() => handleDelete(recording.id)} className="text-red-300 hover:underline">Delete</button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecordingLibrary;
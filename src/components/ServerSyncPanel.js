@@ -0,0 +1,55 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import Link from 'next/link';
+
+// Panel for the automatic server upload of recordings and session analytics
+const ServerSyncPanel = ({
+  autoUpload, // Whether finished recordings and sessions are uploaded automatically
+  onAutoUploadChange, // (enabled) => void
+  recordings, // Library recordings; their `uploadStatus` drives the status list
+  uploadingIds, // Ids of library recordings currently being uploaded
+  onRetry, // (recording) => void, re-uploads a recording whose upload failed
+  onUploadSession, // Uploads the current session analytics now
+}) => {
+  const failed = recordings.filter(recording => recording.uploadStatus === 'failed' && !uploadingIds.includes(recording.id));
+  const uploadedCount = recordings.filter(recording => recording.uploadStatus === 'uploaded').length;
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-indigo-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-indigo-300">Server Sync</h2>
+
+      <label className="flex items-center gap-3 text-sm text-gray-300 mb-4">
+        <input type="checkbox" checked={autoUpload} onChange={(e) => onAutoUploadChange(e.target.checked)} />
+        Upload recordings and session analytics to the server automatically
+      </label>
+
+      <div className="flex flex-wrap justify-between items-center gap-3 text-sm text-gray-300 mb-2">
+        <span>
+          {uploadedCount} of {recordings.length} saved recordings uploaded
+          {uploadingIds.length > 0 && ` · uploading ${uploadingIds.length}…`}
+        </span>
+        <div className="flex gap-3">
+          <button onClick={onUploadSession} className="text-indigo-300 hover:underline">Upload current session</button>
+          <Link href="/sessions" className="text-indigo-300 hover:underline">Browse uploads</Link>
+        </div>
+      </div>
+
+      {failed.length > 0 && (
+        <ul className="space-y-2 mt-3">
+          {failed.map(recording => (
+            <li key={recording.id} className="flex justify-between items-center gap-3 bg-gray-700 p-2 rounded-lg text-sm">
+              <span className="truncate">
+                {recording.name}
+                <span className="text-red-300"> — upload failed{recording.uploadError ? `: ${recording.uploadError}` : ''}</span>
+              </span>
+              <button onClick={() => onRetry(recording)} className="text-indigo-300 hover:underline shrink-0">Retry</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ServerSyncPanel;
@@ -0,0 +1,155 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { EXPRESSIONS } from '@/lib/expressions';
+import { snapshotBaseName } from '@/lib/snapshots';
+import { downloadBlob, downloadUrl } from '@/lib/download';
+
+// Snapshot capture controls (single frame, burst, expression-triggered) and the strip of captured frames
+const SnapshotPanel = ({
+  snapshots, // Captured snapshots, newest first: { url, blob, json, capturedAt, trigger, overlays }
+  settings, // Snapshot settings (see DEFAULT_SNAPSHOT_SETTINGS)
+  onChange, // (partialSettings) => void
+  onCapture, // () => void, captures one frame
+  onBurst, // () => void, captures `burstCount` frames
+  burstProgress, // Frames captured by the running burst, or null
+  onRemove, // (snapshot) => void
+  onClear, // () => void
+  disabled, // True while there is no frame to capture
+}) => {
+  const inputClass = 'w-20 px-2 py-1 rounded bg-gray-700 text-white border border-gray-600';
+  const buttonClass = (active) => `flex-1 px-6 py-3 rounded-full font-semibold transition-all duration-300 ease-in-out
+    ${active
+      ? 'bg-gradient-to-r from-fuchsia-500 to-pink-600 hover:from-fuchsia-600 hover:to-pink-700 text-white shadow-lg transform hover:scale-105 active:scale-95'
+      : 'bg-gray-600 text-gray-400 cursor-not-allowed'
+    }`;
+
+  // Downloads a snapshot's PNG and its detections JSON under a shared name
+  const handleDownload = (snapshot) => {
+    const baseName = snapshotBaseName(snapshot);
+    downloadUrl(snapshot.url, `${baseName}.png`);
+    downloadBlob(snapshot.json, `${baseName}.detections.json`, 'application/json');
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-fuchsia-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-fuchsia-300">Snapshots</h2>
+
+      <div className="flex gap-3 mb-2">
+        <button onClick={onCapture} disabled={disabled} className={buttonClass(!disabled)}>
+          Take Snapshot
+        </button>
+        <button onClick={onBurst} disabled={disabled || burstProgress !== null} className={buttonClass(!disabled && burstProgress === null)}>
+          {burstProgress !== null ? `Capturing ${burstProgress}/${settings.burstCount}…` : `Burst (${settings.burstCount})`}
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 text-center mb-4">
+        Shortcuts: <kbd className="px-1 rounded bg-gray-700">S</kbd> snapshot, <kbd className="px-1 rounded bg-gray-700">Shift+S</kbd> burst
+      </p>
+
+      <div className="flex flex-col gap-2 text-sm text-gray-300 mb-4">
+        <label className="flex items-center gap-3">
+          <input type="checkbox" checked={settings.overlays} onChange={(e) => onChange({ overlays: e.target.checked })} />
+          Include the detection overlay in the image
+        </label>
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+          <label className="flex items-center gap-2">
+            Burst of
+            <input
+              type="number"
+              min={2}
+              max={50}
+              value={settings.burstCount}
+              onChange={(e) => onChange({ burstCount: Math.max(2, Math.min(50, Number(e.target.value) || 2)) })}
+              disabled={burstProgress !== null}
+              className={inputClass}
+            />
+            frames every
+            <input
+              type="number"
+              min={100}
+              max={10000}
+              step={100}
+              value={settings.burstIntervalMs}
+              onChange={(e) => onChange({ burstIntervalMs: Math.max(100, Math.min(10000, Number(e.target.value) || 100)) })}
+              disabled={burstProgress !== null}
+              className={inputClass}
+            />
+            ms
+          </label>
+        </div>
+        <label className="flex flex-wrap items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.expressionCapture}
+            onChange={(e) => onChange({ expressionCapture: e.target.checked })}
+          />
+          Capture when a face looks
+          <select
+            value={settings.expression}
+            onChange={(e) => onChange({ expression: e.target.value })}
+            disabled={!settings.expressionCapture}
+            className="px-2 py-1 rounded bg-gray-700 text-white border border-gray-600 capitalize"
+          >
+            {EXPRESSIONS.map(expression => (
+              <option key={expression} value={expression}>{expression}</option>
+            ))}
+          </select>
+          at
+          <input
+            type="number"
+            min={5}
+            max={100}
+            step={5}
+            value={Math.round(settings.expressionThreshold * 100)}
+            onChange={(e) => onChange({ expressionThreshold: Math.max(5, Math.min(100, Number(e.target.value) || 5)) / 100 })}
+            disabled={!settings.expressionCapture}
+            className={inputClass}
+          />
+          %, at most every
+          <input
+            type="number"
+            min={1}
+            max={600}
+            value={settings.expressionCooldownSeconds}
+            onChange={(e) => onChange({ expressionCooldownSeconds: Math.max(1, Math.min(600, Number(e.target.value) || 1)) })}
+            disabled={!settings.expressionCapture}
+            className={inputClass}
+          />
+          s
+        </label>
+      </div>
+
+      {/* Thumbnail strip, newest first */}
+      {snapshots.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center">No snapshots yet.</p>
+      ) : (
+        <>
+          <div className="flex gap-3 overflow-x-auto pb-2 mb-3">
+            {snapshots.map(snapshot => (
+              <div key={snapshot.url} className="flex-none w-36 bg-gray-700 rounded-lg p-2">
+                {/* eslint-disable-next-line @next/next/no-img-element -- object URL snapshots can't go through next/image */}
+                <img src={snapshot.url} alt={`Snapshot ${new Date(snapshot.capturedAt).toLocaleTimeString()}`} className="w-full h-20 object-cover rounded" />
+                <p className="text-xs text-gray-400 mt-1">
+                  {new Date(snapshot.capturedAt).toLocaleTimeString()} · {snapshot.trigger}
+                </p>
+                <div className="flex justify-between text-xs mt-1">
+                  <button onClick={() => handleDownload(snapshot)} className="text-blue-300 hover:underline">Download</button>
+                  <button onClick={() => onRemove(snapshot)} className="text-red-300 hover:underline">Remove</button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={onClear}
+            className="w-full px-6 py-2 rounded-full font-semibold bg-gray-700 hover:bg-gray-600 text-white shadow transition-all duration-300 ease-in-out"
+          >
+            Clear Snapshots ({snapshots.length})
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
@@ -0,0 +1,122 @@
+"use client"; // Marks this component as a Client Component
+
+import React, { useRef } from 'react';
+
+// Formats seconds as m:ss for the seek bar
+const formatTime = (seconds) => {
+  const safeSeconds = Number.isFinite(seconds) ? Math.max(0, seconds) : 0;
+  return `${Math.floor(safeSeconds / 60)}:${String(Math.floor(safeSeconds % 60)).padStart(2, '0')}`;
+};
+
+// Panel for choosing between the live webcam and a local video/image file, with playback and analysis controls
+const SourcePanel = ({
+  sourceMode, // 'webcam' or 'file'
+  mediaFile, // { kind: 'video' | 'image', name } for the selected file, or null
+  playback, // { currentTime, duration, paused } of the file video
+  analysisProgress, // 0..1 while a fast analysis pass runs, null otherwise
+  disabled, // True while models are not loaded
+  recording, // True while the recorder is running
+  onSelectWebcam,
+  onSelectFile, // (File) => void
+  onTogglePlay,
+  onSeek, // (seconds) => void
+  onAnalyze,
+  onCancelAnalysis,
+  onRenderAnnotated,
+}) => {
+  const fileInputRef = useRef(null);
+  const analyzing = analysisProgress !== null;
+  const isVideoFile = sourceMode === 'file' && mediaFile && mediaFile.kind === 'video';
+  const busy = disabled || analyzing || recording;
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow picking the same file again
+    if (file) {
+      onSelectFile(file);
+    }
+  };
+
+  const tabClass = (active) => `flex-1 px-6 py-2 rounded-full font-semibold transition-all duration-300 ease-in-out
+    ${active ? 'bg-gradient-to-r from-blue-500 to-cyan-600 text-white shadow-lg' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`;
+
+  const actionClass = (isDisabled) => `flex-1 px-6 py-2 rounded-full font-semibold transition-all duration-300 ease-in-out
+    ${isDisabled
+      ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+      : 'bg-gradient-to-r from-indigo-500 to-blue-600 hover:from-indigo-600 hover:to-blue-700 text-white shadow-lg'
+    }`;
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 rounded-xl shadow-2xl p-6 mb-8 border-2 border-cyan-600">
+      <h2 className="text-2xl font-bold mb-4 text-center text-cyan-300">Source</h2>
+
+      {/* Source selection */}
+      <div className="flex gap-3 mb-4">
+        <button onClick={onSelectWebcam} disabled={busy} className={tabClass(sourceMode === 'webcam')}>
+          Webcam
+        </button>
+        <button onClick={() => fileInputRef.current && fileInputRef.current.click()} disabled={busy} className={tabClass(sourceMode === 'file')}>
+          Video / Image File
+        </button>
+        <input ref={fileInputRef} type="file" accept="video/*,image/*" onChange={handleFileChange} className="hidden" />
+      </div>
+
+      {sourceMode === 'file' && mediaFile && (
+        <p className="text-sm text-gray-300 mb-4 truncate">Analysing: <span className="font-semibold">{mediaFile.name}</span></p>
+      )}
+
+      {/* Playback and analysis controls for video files */}
+      {isVideoFile && (
+        <>
+          <div className="flex items-center gap-3 mb-4">
+            <button
+              onClick={onTogglePlay}
+              disabled={analyzing}
+              className="px-4 py-1 rounded-full bg-gray-700 hover:bg-gray-600 text-white font-semibold"
+            >
+              {playback.paused ? 'Play' : 'Pause'}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={playback.duration || 0}
+              step={0.01}
+              value={playback.currentTime}
+              onChange={(e) => onSeek(Number(e.target.value))}
+              disabled={analyzing || recording}
+              className="flex-1"
+            />
+            <span className="text-xs font-mono text-gray-300">
+              {formatTime(playback.currentTime)} / {formatTime(playback.duration)}
+            </span>
+          </div>
+
+          {analyzing ? (
+            <div className="mb-2">
+              <div className="w-full h-3 bg-gray-700 rounded-full overflow-hidden mb-2">
+                <div className="h-full bg-cyan-500" style={{ width: `${Math.round(analysisProgress * 100)}%` }}></div>
+              </div>
+              <button onClick={onCancelAnalysis} className={actionClass(false)}>
+                Cancel Analysis ({Math.round(analysisProgress * 100)}%)
+              </button>
+            </div>
+          ) : (
+            <div className="flex gap-3">
+              <button onClick={onAnalyze} disabled={busy} className={actionClass(busy)}>
+                Analyse Whole File
+              </button>
+              <button onClick={onRenderAnnotated} disabled={busy} className={actionClass(busy)}>
+                Render Annotated Video
+              </button>
+            </div>
+          )}
+          <p className="text-xs text-gray-400 mt-2">
+            Analysis steps through the file frame by frame as fast as detection allows; rendering plays it in real time through the recorder.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SourcePanel;
@@ -0,0 +1,59 @@
+"use client"; // Marks this component as a Client Component
+
+import React from 'react';
+import { getDominantExpression } from '@/lib/expressions';
+
+// Formats a duration in milliseconds as m:ss
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Formats an epoch timestamp as a local wall-clock time
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// Per-person statistics for every face the tracker has followed during the session
+const TrackedFacesPanel = ({ trackStats }) => {
+  if (trackStats.length === 0) {
+    return <p className="text-center text-gray-400 mb-4">No faces tracked yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3 mb-4">
+      {trackStats.map(track => {
+        const totalTicks = Object.values(track.expressionCounts).reduce((sum, count) => sum + count, 0);
+        return (
+          <div key={track.id} className="bg-gray-700 p-3 rounded-lg shadow-inner">
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-bold text-white">
+                Face #{track.id}
+                <span className={`ml-2 text-xs ${track.active ? 'text-green-300' : 'text-gray-400'}`}>
+                  {track.active ? 'in frame' : 'gone'}
+                </span>
+              </span>
+              <span className="text-xs text-gray-300">
+                {formatClock(track.firstSeen)} – {formatClock(track.lastSeen)} · on screen {formatDuration(track.visibleMs)}
+              </span>
+            </div>
+            <div className="flex flex-wrap gap-2 text-xs">
+              {totalTicks > 0 && (
+                <span className="px-2 py-1 rounded bg-purple-700 text-white capitalize">
+                  mostly {getDominantExpression(track.expressionCounts)}
+                </span>
+              )}
+              {Object.entries(track.expressionCounts)
+                .filter(([, count]) => count > 0)
+                .map(([expression, count]) => (
+                  <span key={expression} className="px-2 py-1 rounded bg-gray-600 text-gray-200 capitalize">
+                    {expression}: {count}
+                  </span>
+                ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TrackedFacesPanel;
@@ -0,0 +1,123 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { createFaceTracker } from '@/lib/faceTracker';
+
+// React binding for the FaceTracker core (see lib/faceTracker): creates a tracker on mount, loads the models
+// and disposes it (stopping the loop and the detection worker) on unmount.
+//
+// `options` are passed to createFaceTracker once, except the callbacks, which may change on every render:
+//   onDetections(result), onExpression(change), onFrame(frame), onReady({ faceapi, mode, recognition }), onError(err)
+// Set `autoLoad: false` to call `load()` yourself.
+//
+// Returns { tracker, status, ready, recognition, error, modelProgress, perfStats, result, load, start, stop } where
+// `tracker` is null until mounted, `result` is the latest 'detections' payload and `ready` is true once the
+// models are loaded (also while running).
+export const useFaceTracker = ({
+  autoLoad = true,
+  onDetections,
+  onExpression,
+  onFrame,
+  onReady,
+  onError,
+  ...trackerOptions
+} = {}) => {
+  const [tracker, setTracker] = useState(null);
+  const [status, setStatus] = useState('idle'); // See the tracker's 'state' event
+  const [recognition, setRecognition] = useState(false); // Whether the optional recognition model loaded
+  const [error, setError] = useState(''); // Why loading failed
+  const [modelProgress, setModelProgress] = useState({}); // Per-model download state, keyed by net name
+  const [perfStats, setPerfStats] = useState(null); // { renderFps, detectionFps, inferenceMs, intervalMs, mode }
+  const [result, setResult] = useState(null); // Latest detections
+
+  // The tracker is created once, so it reads the options and callbacks through refs
+  const trackerOptionsRef = useRef(trackerOptions);
+  const callbacksRef = useRef({});
+  const autoLoadRef = useRef(autoLoad);
+  useEffect(() => {
+    callbacksRef.current = { onDetections, onExpression, onFrame, onReady, onError };
+  });
+
+  // Function to pass the outcome of a successful load on to the state and the `onReady` callback
+  const handleReady = useCallback((info) => {
+    setRecognition(info.recognition);
+    if (callbacksRef.current.onReady) {
+      callbacksRef.current.onReady(info);
+    }
+  }, []);
+
+  // Effect hook to create the tracker on mount and dispose it on unmount
+  useEffect(() => {
+    const instance = createFaceTracker(trackerOptionsRef.current);
+    const call = (name, payload) => {
+      if (callbacksRef.current[name]) {
+        callbacksRef.current[name](payload);
+      }
+    };
+    const unsubscribes = [
+      instance.on('state', setStatus),
+      instance.on('progress', ({ net, progress }) => setModelProgress(prev => ({ ...prev, [net]: progress }))),
+      instance.on('stats', setPerfStats),
+      instance.on('frame', frame => call('onFrame', frame)),
+      instance.on('expression', change => call('onExpression', change)),
+      instance.on('detections', (detected) => {
+        setResult(detected);
+        call('onDetections', detected);
+      }),
+      instance.on('error', (err) => {
+        if (instance.getState() === 'failed') {
+          setError(err.message || 'Unknown error.');
+        }
+        if (callbacksRef.current.onError) {
+          callbacksRef.current.onError(err);
+        } else {
+          console.error('Face tracker error:', err);
+        }
+      }),
+    ];
+    setStatus(instance.getState());
+    setTracker(instance);
+    if (autoLoadRef.current) {
+      instance.load().then(handleReady).catch(() => {}); // Failures are reported through the 'error' event
+    }
+    return () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      instance.dispose();
+      setTracker(null);
+    };
+  }, [handleReady]);
+
+  // Loads (or, after a failure, retries loading) the models
+  const load = useCallback(() => {
+    if (!tracker) {
+      return Promise.resolve();
+    }
+    setError('');
+    setModelProgress({});
+    return tracker.load().then(handleReady).catch(() => {}); // Failures are reported through the 'error' event
+  }, [tracker, handleReady]);
+
+  const start = useCallback((video, options) => {
+    if (tracker) {
+      tracker.start(video, options);
+    }
+  }, [tracker]);
+
+  const stop = useCallback(() => {
+    if (tracker) {
+      tracker.stop();
+    }
+  }, [tracker]);
+
+  return {
+    tracker,
+    status,
+    ready: status === 'ready' || status === 'running',
+    recognition,
+    error,
+    modelProgress,
+    perfStats,
+    result,
+    load,
+    start,
+    stop,
+  };
+};
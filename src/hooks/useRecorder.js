@@ -0,0 +1,123 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { createRecorder, DEFAULT_TIMESLICE_MS } from '@/lib/recorder';
+
+// React binding for the recorder core (see lib/recorder): records a MediaStream (a camera stream, or
+// `canvas.captureStream()` to include the face tracker's overlay) and keeps the finished recording as an object URL.
+// Unmounting stops a running recording and revokes the URL.
+//
+// Returns { state, recording, error, size, start, pause, resume, stop, reset } where `state` is 'inactive',
+// 'recording', 'paused' or 'stopped', `recording` is { blob, url, mimeType, size, durationMs } once stopped and
+// `size` counts the bytes so far. With `segmentMs`, `recording` is the last segment and `onSegment` receives each
+// finished segment, the last one included.
+export const useRecorder = ({
+  mimeType, // Defaults to the best format the browser supports
+  timeslice = DEFAULT_TIMESLICE_MS,
+  segmentMs = 0, // Splits the recording into files of this much recorded time
+  onSegment, // ({ blob, mimeType, size, durationMs, index, startedAt, final }) => void
+  onStop, // (recording) => void, called when a recording completes
+} = {}) => {
+  const recorderRef = useRef(null);
+  const urlRef = useRef(null); // Mirrors `recording.url` for the cleanup
+  const onStopRef = useRef(onStop);
+  const onSegmentRef = useRef(onSegment);
+  const [state, setState] = useState('inactive');
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState('');
+  const [size, setSize] = useState(0);
+
+  useEffect(() => {
+    onStopRef.current = onStop;
+    onSegmentRef.current = onSegment;
+  });
+
+  // Function to release the previous recording's object URL
+  const reset = useCallback(() => {
+    if (urlRef.current) {
+      URL.revokeObjectURL(urlRef.current);
+      urlRef.current = null;
+    }
+    setRecording(null);
+    setSize(0);
+    setState(recorderRef.current ? recorderRef.current.getState() : 'inactive');
+  }, []);
+
+  // Function to start recording `stream`; returns false (with `error` set) when recording is impossible, and
+  // false without an error while a recording is running or paused (stop it first)
+  const start = useCallback((stream) => {
+    const previous = recorderRef.current;
+    if (previous && previous.getState() !== 'stopped' && previous.getState() !== 'inactive') {
+      return false;
+    }
+    if (previous) {
+      previous.dispose(); // Finished (or never started): only its listeners are left to drop
+      recorderRef.current = null;
+    }
+    setError('');
+    reset();
+    let recorder;
+    try {
+      recorder = createRecorder({ stream, mimeType, timeslice, segmentMs });
+    } catch (err) {
+      console.error('Error creating the recorder:', err);
+      setError(err.message);
+      return false;
+    }
+    recorderRef.current = recorder;
+    recorder.on('state', setState);
+    recorder.on('data', progress => setSize(progress.size));
+    recorder.on('error', err => setError(err.message || 'Recording failed.'));
+    recorder.on('segment', (segment) => {
+      if (onSegmentRef.current) {
+        onSegmentRef.current(segment);
+      }
+    });
+    recorder.on('stop', (result) => {
+      const url = URL.createObjectURL(result.blob);
+      urlRef.current = url;
+      const finished = { ...result, url };
+      setRecording(finished);
+      if (onStopRef.current) {
+        onStopRef.current(finished);
+      }
+    });
+    try {
+      recorder.start();
+    } catch (err) {
+      console.error('Error starting the recorder:', err);
+      setError(err.message);
+      return false;
+    }
+    return true;
+  }, [mimeType, timeslice, segmentMs, reset]);
+
+  const pause = useCallback(() => {
+    if (recorderRef.current) {
+      recorderRef.current.pause();
+    }
+  }, []);
+
+  const resume = useCallback(() => {
+    if (recorderRef.current) {
+      recorderRef.current.resume();
+    }
+  }, []);
+
+  // Function to stop the running recording; resolves when it is complete
+  const stop = useCallback(() => (
+    recorderRef.current ? recorderRef.current.stop() : Promise.resolve(null)
+  ), []);
+
+  // Effect hook to stop a running recording and release its URL on unmount
+  useEffect(() => () => {
+    if (recorderRef.current) {
+      recorderRef.current.dispose();
+      recorderRef.current = null;
+    }
+    if (urlRef.current) {
+      URL.revokeObjectURL(urlRef.current);
+      urlRef.current = null;
+    }
+  }, []);
+
+  return { state, recording, error, size, start, pause, resume, stop, reset };
+};
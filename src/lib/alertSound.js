@@ -0,0 +1,33 @@
+// Short alert tones played through the Web Audio API (no audio files to ship or precache).
+
+let audioContext = null; // Created lazily; browsers only allow it after a user gesture
+
+// Plays `count` beeps of `frequency` Hz; failures (no audio device, autoplay policy) are ignored
+export const playAlertTone = ({ frequency = 880, count = 2, durationMs = 180 } = {}) => {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      return;
+    }
+    if (!audioContext) {
+      audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') {
+      audioContext.resume();
+    }
+    const start = audioContext.currentTime;
+    for (let i = 0; i < count; i++) {
+      const beepStart = start + (i * durationMs * 2) / 1000;
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, beepStart);
+      gain.gain.exponentialRampToValueAtTime(0.001, beepStart + durationMs / 1000);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(beepStart);
+      oscillator.stop(beepStart + durationMs / 1000);
+    }
+  } catch (err) {
+    console.warn('Could not play alert tone:', err);
+  }
+};
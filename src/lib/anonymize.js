@@ -0,0 +1,141 @@
+// Face anonymization for the canvas (and therefore for recordings, which capture the canvas).
+// Regions are computed in source-image coordinates, so callers draw them with the same transform
+// (e.g. the webcam mirror flip) they used for the frame itself.
+
+export const ANONYMIZE_METHODS = ['blur', 'pixelate', 'mask'];
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  enabled: false,
+  method: 'blur', // One of ANONYMIZE_METHODS
+  shape: 'box', // 'box' (padded detection box) or 'hull' (tighter landmark outline)
+  exemptEnrolled: false, // Leave faces matched to an enrolled person visible
+  exemptTrackIds: [], // Leave these tracked faces visible
+};
+
+const BOX_PADDING = 0.2; // Grow boxes by 20% per side: detections lag a frame or two behind the video
+const HULL_SCALE = 1.3; // Grow the landmark hull around its centre to cover the forehead and hairline
+const BLUR_RADIUS_RATIO = 0.12; // Blur radius as a fraction of the face size
+const PIXEL_BLOCKS = 10; // Pixelated faces are rendered at roughly this many blocks across
+const MASK_COLOR = '#111827';
+
+// Convex hull (Andrew's monotone chain) of { x, y } points, counter-clockwise
+export const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) {
+    return sorted;
+  }
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  sorted.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  });
+  const upper = [];
+  [...sorted].reverse().forEach(point => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  });
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+// Outline polygon of the area to hide for one face result
+export const getFaceRegion = (detection, shape) => {
+  const { x, y, width, height } = detection.detection.box;
+  if (shape === 'hull' && detection.landmarks) {
+    const hull = convexHull(detection.landmarks.positions);
+    const cx = hull.reduce((sum, point) => sum + point.x, 0) / hull.length;
+    const cy = hull.reduce((sum, point) => sum + point.y, 0) / hull.length;
+    // Shift the centre up a little so the growth favours the forehead over the chin
+    const anchorY = cy + height * 0.1;
+    return hull.map(point => ({ x: cx + (point.x - cx) * HULL_SCALE, y: anchorY + (point.y - anchorY) * HULL_SCALE }));
+  }
+  const padX = width * BOX_PADDING;
+  const padY = height * BOX_PADDING;
+  return [
+    { x: x - padX, y: y - padY },
+    { x: x + width + padX, y: y - padY },
+    { x: x + width + padX, y: y + height + padY },
+    { x: x - padX, y: y + height + padY },
+  ];
+};
+
+// Bounding box of a polygon, clamped to the canvas
+const boundsOf = (polygon, canvasWidth, canvasHeight) => {
+  const xs = polygon.map(point => point.x);
+  const ys = polygon.map(point => point.y);
+  const left = Math.max(0, Math.floor(Math.min(...xs)));
+  const top = Math.max(0, Math.floor(Math.min(...ys)));
+  const right = Math.min(canvasWidth, Math.ceil(Math.max(...xs)));
+  const bottom = Math.min(canvasHeight, Math.ceil(Math.max(...ys)));
+  return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+};
+
+// True when the 2D context supports CSS filters (not the case in older Safari)
+const supportsFilter = (context) => typeof context.filter === 'string';
+
+let pixelCanvas = null; // Scratch canvas reused for pixelation
+
+// Draws `source` over `bounds` so that it appears pixelated
+const drawPixelated = (context, source, bounds, canvasWidth, canvasHeight) => {
+  const blockSize = Math.max(4, Math.round(Math.max(bounds.width, bounds.height) / PIXEL_BLOCKS));
+  const smallWidth = Math.max(1, Math.ceil(bounds.width / blockSize));
+  const smallHeight = Math.max(1, Math.ceil(bounds.height / blockSize));
+  if (!pixelCanvas) {
+    pixelCanvas = document.createElement('canvas');
+  }
+  pixelCanvas.width = smallWidth;
+  pixelCanvas.height = smallHeight;
+  const sourceScaleX = (source.videoWidth || source.naturalWidth || source.width) / canvasWidth;
+  const sourceScaleY = (source.videoHeight || source.naturalHeight || source.height) / canvasHeight;
+  pixelCanvas.getContext('2d').drawImage(
+    source,
+    bounds.x * sourceScaleX, bounds.y * sourceScaleY, bounds.width * sourceScaleX, bounds.height * sourceScaleY,
+    0, 0, smallWidth, smallHeight
+  );
+  const smoothing = context.imageSmoothingEnabled;
+  context.imageSmoothingEnabled = false; // Keep the blocks hard-edged when scaling back up
+  context.drawImage(pixelCanvas, 0, 0, smallWidth, smallHeight, bounds.x, bounds.y, bounds.width, bounds.height);
+  context.imageSmoothingEnabled = smoothing;
+};
+
+// Hides one polygonal region of the frame; the context must already carry the frame's transform
+const hideRegion = (context, source, polygon, method, canvasWidth, canvasHeight) => {
+  const bounds = boundsOf(polygon, canvasWidth, canvasHeight);
+  if (bounds.width === 0 || bounds.height === 0) {
+    return;
+  }
+  context.save();
+  context.beginPath();
+  polygon.forEach((point, index) => (index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+  context.closePath();
+  context.clip();
+
+  if (method === 'mask') {
+    context.fillStyle = MASK_COLOR;
+    context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  } else if (method === 'blur' && supportsFilter(context)) {
+    const radius = Math.max(8, Math.round(Math.max(bounds.width, bounds.height) * BLUR_RADIUS_RATIO));
+    context.filter = `blur(${radius}px)`;
+    context.drawImage(source, 0, 0, canvasWidth, canvasHeight);
+  } else {
+    drawPixelated(context, source, bounds, canvasWidth, canvasHeight);
+  }
+  context.restore();
+};
+
+// Hides the given faces on the canvas. `faces` are resized face-api results in canvas coordinates.
+export const anonymizeFaces = (context, source, faces, { method, shape }) => {
+  const { width, height } = context.canvas;
+  faces.forEach(face => hideRegion(context, source, getFaceRegion(face, shape), method, width, height));
+};
+
+// Hides the whole frame; used when there is no recent detection result to rely on
+export const anonymizeFrame = (context, source, { method }) => {
+  const { width, height } = context.canvas;
+  const fullFrame = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+  hideRegion(context, source, fullFrame, method, width, height);
+};
@@ -0,0 +1,104 @@
+// Attention tracking: whether each tracked face is looking at the screen, based on its head pose,
+// with per-face and per-session time totals and look-away alerts.
+//
+// A head turned far enough to look away is exactly when the detector tends to lose the face, so a face that
+// goes missing keeps the state it was last seen in: a face lost while looking away is still away (its look-away
+// timer keeps running and can raise the alert), and one lost while attentive simply left the frame.
+
+import { DEFAULT_TRACKER_OPTIONS } from './multiFaceTracker';
+
+export const DEFAULT_ATTENTION_SETTINGS = {
+  maxYaw: 25, // Degrees of left/right head turn still counted as looking at the screen
+  maxPitch: 20, // Degrees of up/down head tilt still counted as looking at the screen
+  alertsEnabled: true,
+  lookAwaySeconds: 3, // Alert when a face has been looking away for longer than this
+  sound: false, // Also play a tone when an alert starts
+};
+
+
+// True when a pose is within the "looking at the screen" cone
+export const isAttentive = (pose, settings = DEFAULT_ATTENTION_SETTINGS) => (
+  Math.abs(pose.yaw) <= settings.maxYaw && Math.abs(pose.pitch) <= settings.maxPitch
+);
+
+// Creates a monitor; `update` is called once per analysed frame with the faces' track ids and poses.
+// Gaps between two samples of a face up to `maxMissingMs` (the tracker's, so a gap it bridges counts here too)
+// are credited as time; longer ones are not.
+export const createAttentionMonitor = ({ maxMissingMs = DEFAULT_TRACKER_OPTIONS.maxMissingMs } = {}) => {
+  let faces = new Map(); // Track id -> { attentiveMs, awayMs, lastSeen, attentive, pose, awaySince, alerting }
+
+  // Updates the per-face state and returns { attentive, newAlerts }: the attentive flag per detection
+  // (null without a pose) and the track ids whose look-away alert started on this frame
+  const update = (trackIds, poses, timestamp, settings = DEFAULT_ATTENTION_SETTINGS) => {
+    const newAlerts = [];
+    const seen = new Set();
+    const checkAlert = (face, trackId) => {
+      if (settings.alertsEnabled && !face.alerting && timestamp - face.awaySince >= settings.lookAwaySeconds * 1000) {
+        face.alerting = true;
+        newAlerts.push(trackId);
+      }
+    };
+    const attentive = poses.map((pose, index) => {
+      const trackId = trackIds[index];
+      if (!pose || trackId === undefined || trackId === null) {
+        return null;
+      }
+      seen.add(trackId);
+      const face = faces.get(trackId) || { attentiveMs: 0, awayMs: 0, lastSeen: timestamp, awaySince: null, alerting: false };
+      const gap = Math.max(0, timestamp - face.lastSeen);
+      const elapsed = gap <= maxMissingMs ? gap : 0;
+      const looking = isAttentive(pose, settings);
+      if (looking) {
+        face.attentiveMs += elapsed;
+        face.awaySince = null;
+        face.alerting = false;
+      } else {
+        face.awayMs += elapsed;
+        if (face.awaySince === null) {
+          face.awaySince = timestamp;
+        }
+        checkAlert(face, trackId);
+      }
+      face.attentive = looking;
+      face.pose = pose;
+      face.lastSeen = timestamp;
+      faces.set(trackId, face);
+      return looking;
+    });
+
+    // A face missing from this frame keeps its state: if it was looking away, it still is
+    faces.forEach((face, trackId) => {
+      if (!seen.has(trackId) && face.awaySince !== null) {
+        checkAlert(face, trackId);
+      }
+    });
+    return { attentive, newAlerts };
+  };
+
+  // Session totals and per-face statistics; `awayForMs` is the length of the current look-away
+  const getStats = (now = Date.now()) => {
+    const perFace = [...faces.entries()].map(([trackId, face]) => ({
+      trackId,
+      attentiveMs: face.attentiveMs,
+      awayMs: face.awayMs,
+      attentive: face.attentive,
+      pose: face.pose,
+      awayForMs: face.awaySince !== null ? now - face.awaySince : 0,
+      alerting: face.alerting,
+    }));
+    const attentiveMs = perFace.reduce((sum, face) => sum + face.attentiveMs, 0);
+    const awayMs = perFace.reduce((sum, face) => sum + face.awayMs, 0);
+    return { attentiveMs, awayMs, perFace };
+  };
+
+  const reset = () => {
+    faces = new Map();
+  };
+
+  return { update, getStats, reset };
+};
+
+// Share of tracked time spent looking at the screen, 0..1, or null before any time was tracked
+export const attentionRatio = ({ attentiveMs, awayMs }) => (
+  attentiveMs + awayMs > 0 ? attentiveMs / (attentiveMs + awayMs) : null
+);
@@ -0,0 +1,172 @@
+// Auto-recording: trigger rules evaluated on every analysed frame, their persisted settings,
+// and the pre-roll buffer that lets a triggered clip start a few seconds before the trigger fired.
+
+import { EXPRESSIONS } from './expressions';
+import { createRecordingTrack, addTrackFrame } from './recordingTrack';
+
+const STORAGE_KEY = 'face-tracking-auto-record';
+
+export const DEFAULT_AUTO_RECORD_SETTINGS = {
+  enabled: false,
+  faceAppears: true, // Start when a face appears in an empty frame
+  faceCountChange: false, // Start when the number of faces changes
+  expressionTrigger: false, // Start when `expression` reaches `expressionThreshold` on any face
+  expression: 'happy',
+  expressionThreshold: 0.8,
+  personTrigger: false, // Start when the enrolled identity `identityId` is recognized
+  identityId: '',
+  idleSeconds: 5, // Stop an auto-started recording after this long without faces (or its trigger condition)
+  preRollSeconds: 3, // Video kept from before the trigger
+};
+
+// Human-readable trigger names, also stored with the recordings they started
+export const TRIGGER_LABELS = {
+  'face-appeared': 'face appeared',
+  'face-count-changed': 'face count changed',
+  expression: 'expression',
+  person: 'person recognized',
+  manual: 'manual',
+};
+
+// Coerces stored or user-provided values into valid settings
+export const normalizeAutoRecordSettings = (settings) => {
+  const merged = { ...DEFAULT_AUTO_RECORD_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) => Math.min(max, Math.max(min, Number(value) || fallback));
+  return {
+    enabled: merged.enabled === true,
+    faceAppears: merged.faceAppears !== false,
+    faceCountChange: merged.faceCountChange === true,
+    expressionTrigger: merged.expressionTrigger === true,
+    expression: EXPRESSIONS.includes(merged.expression) ? merged.expression : DEFAULT_AUTO_RECORD_SETTINGS.expression,
+    expressionThreshold: clamp(merged.expressionThreshold, 0.05, 1, DEFAULT_AUTO_RECORD_SETTINGS.expressionThreshold),
+    personTrigger: merged.personTrigger === true,
+    identityId: typeof merged.identityId === 'string' ? merged.identityId : '',
+    idleSeconds: clamp(merged.idleSeconds, 1, 600, DEFAULT_AUTO_RECORD_SETTINGS.idleSeconds),
+    preRollSeconds: clamp(merged.preRollSeconds, 1, 30, DEFAULT_AUTO_RECORD_SETTINGS.preRollSeconds),
+  };
+};
+
+// Reads the persisted settings, falling back to the defaults
+export const loadAutoRecordSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeAutoRecordSettings(JSON.parse(stored)) : DEFAULT_AUTO_RECORD_SETTINGS;
+  } catch {
+    return DEFAULT_AUTO_RECORD_SETTINGS; // Unavailable storage or corrupt JSON
+  }
+};
+
+export const saveAutoRecordSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Not persisted; the settings still apply to this page load
+  }
+};
+
+// Creates an evaluator that remembers the previous frame's face count
+export const createTriggerEvaluator = () => {
+  let previousCount = null; // Unknown until the first frame
+
+  // Returns { reason, active } for one frame's { detections, identityIds }: the rule that fires on this frame
+  // (or null) and whether anything the enabled rules watch is present, which keeps a recording from idling out
+  const update = ({ detections, identityIds }, settings) => {
+    const count = detections.length;
+    const expressionHit = settings.expressionTrigger && detections.some(detection => (
+      detection.expressions && detection.expressions[settings.expression] >= settings.expressionThreshold
+    ));
+    const personHit = settings.personTrigger && Boolean(settings.identityId) && identityIds.includes(settings.identityId);
+
+    let reason = null;
+    if (settings.faceAppears && !previousCount && count > 0) {
+      reason = 'face-appeared'; // A face already in view when arming counts as appearing
+    } else if (settings.faceCountChange && previousCount !== null && count !== previousCount) {
+      reason = 'face-count-changed';
+    } else if (expressionHit) {
+      reason = 'expression';
+    } else if (personHit) {
+      reason = 'person';
+    }
+    previousCount = count;
+
+    const watchesFaces = settings.faceAppears || settings.faceCountChange;
+    return { reason, active: (watchesFaces && count > 0) || expressionHit || personHit };
+  };
+
+  return { update };
+};
+
+// Keeps the last few seconds of `stream` ready to become a recording. A WebM/MP4 stream can't be cut at an
+// arbitrary chunk (only its first chunk carries the container header), so the rolling buffer is a pair of
+// overlapping standby recorders restarted every `preRollMs`: the older one always holds between one and two
+// pre-roll lengths of chunks, and `promote` hands it over, still recording, when a trigger fires.
+export const createPreRollRecorder = ({ stream, mimeType, preRollMs, timesliceMs = 1000 }) => {
+  let segments = []; // { recorder, chunks, track, startedAt }, oldest first
+  let timer = null;
+
+  const discard = (segment) => {
+    segment.recorder.ondataavailable = null;
+    if (segment.recorder.state !== 'inactive') {
+      segment.recorder.stop();
+    }
+  };
+
+  const startSegment = () => {
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const startedAt = Date.now();
+    // Each segment also collects the detection metadata for its own clock
+    const segment = { recorder, chunks: [], track: createRecordingTrack(startedAt), startedAt };
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        segment.chunks.push(event.data);
+      }
+    };
+    recorder.start(timesliceMs);
+    segments.push(segment);
+    // Only the two newest segments are ever needed
+    while (segments.length > 2) {
+      discard(segments.shift());
+    }
+  };
+
+  // Starts (or keeps) the standby rotation
+  const start = () => {
+    if (timer !== null) {
+      return;
+    }
+    startSegment();
+    timer = setInterval(startSegment, preRollMs);
+  };
+
+  const stopRotation = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Stops the rotation and returns the oldest segment with its recorder still running
+  // ({ recorder, chunks, track, startedAt }, or null when nothing is buffered); the others are discarded
+  const promote = () => {
+    stopRotation();
+    const [oldest, ...rest] = segments;
+    rest.forEach(discard);
+    segments = [];
+    if (oldest) {
+      oldest.recorder.ondataavailable = null; // The caller takes over the chunks
+    }
+    return oldest || null;
+  };
+
+  // Stops the rotation and drops everything buffered
+  const stop = () => {
+    stopRotation();
+    segments.forEach(discard);
+    segments = [];
+  };
+
+  // Adds an analysed frame to every standby segment's metadata track
+  const addFrame = (detections, timestamp, trackIds) => {
+    segments.forEach(segment => addTrackFrame(segment.track, detections, timestamp, trackIds));
+  };
+
+  return { start, promote, stop, addFrame, isRunning: () => timer !== null };
+};
@@ -0,0 +1,85 @@
+// Small promise wrapper around the app's IndexedDB database.
+// Every persistent store used by the app is declared here so schema upgrades live in one place.
+
+const DB_NAME = 'face-tracking-app';
+const DB_VERSION = 4;
+
+// Object stores created in onupgradeneeded, keyed by their primary key path
+export const STORES = {
+  identities: 'identities', // Enrolled people and their face descriptors
+  recordings: 'recordings', // Recording metadata and thumbnails (small, listed often)
+  recordingMedia: 'recordingMedia', // Recording video blobs and sidecar files, keyed by the same id
+  sessions: 'sessions', // Summaries of finished sessions, for the report page's session pickers
+  sessionEntries: 'sessionEntries', // Finished sessions' timelines, keyed by the same id
+  unfinishedRecordings: 'unfinishedRecordings', // Metadata of recordings in progress, kept until they are saved
+  recordingChunks: 'recordingChunks', // Their chunks as they arrive, keyed "<recording id>:<sequence>"
+};
+
+let dbPromise = null; // Shared connection, opened lazily on first use
+
+// Opens (and upgrades if needed) the database, reusing the same connection for later calls
+export const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Create whichever stores are missing, so every older version upgrades to the current schema
+        Object.values(STORES).forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version open in another tab upgrade the schema; the next call reconnects
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null; // Allow a later call to retry opening
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Wraps an IDBRequest in a promise
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs `callback(transaction)` over one or more stores and resolves with its result once the transaction commits
+export const withTransaction = async (storeNames, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(callback(transaction))
+      .then(value => { result = value; })
+      .catch(reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Runs `callback(store)` inside a single-store transaction
+export const withStore = (storeName, mode, callback) => (
+  withTransaction(storeName, mode, transaction => callback(transaction.objectStore(storeName)))
+);
+
+// Convenience helpers for the common single-request operations
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => promisifyRequest(store.getAll()));
+export const getOne = (storeName, key) => withStore(storeName, 'readonly', store => promisifyRequest(store.get(key)));
+export const putOne = (storeName, value) => withStore(storeName, 'readwrite', store => promisifyRequest(store.put(value)));
+export const deleteOne = (storeName, key) => withStore(storeName, 'readwrite', store => promisifyRequest(store.delete(key)));
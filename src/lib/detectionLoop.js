@@ -0,0 +1,106 @@
+// Frame scheduling for the live detection loop.
+// Drawing follows the video's own frames, while inference is rate-limited: at most one in flight,
+// and new ones start no more often than the measured inference latency allows.
+
+export const DEFAULT_RATE_OPTIONS = {
+  minIntervalMs: 33, // Never start inference more often than ~30 times per second
+  maxIntervalMs: 1000, // Keep detecting at least once per second, even on very slow machines
+  headroom: 1.25, // Leave 25% of each interval idle so the UI thread stays responsive
+  smoothing: 0.2, // Weight of the newest sample in the latency moving average
+};
+
+// Calls `onFrame(now)` once per presented video frame (requestVideoFrameCallback where available,
+// requestAnimationFrame otherwise). Returns a function that stops the loop.
+export const startFrameLoop = (video, onFrame) => {
+  const useVideoFrames = typeof video.requestVideoFrameCallback === 'function';
+  let handle = null;
+  let stopped = false;
+
+  const schedule = () => {
+    handle = useVideoFrames
+      ? video.requestVideoFrameCallback(tick)
+      : requestAnimationFrame(tick);
+  };
+  const tick = (now) => {
+    if (stopped) {
+      return;
+    }
+    onFrame(now);
+    schedule();
+  };
+  schedule();
+
+  return () => {
+    stopped = true;
+    if (handle !== null) {
+      if (useVideoFrames) {
+        video.cancelVideoFrameCallback(handle);
+      } else {
+        cancelAnimationFrame(handle);
+      }
+    }
+  };
+};
+
+// Tracks inference latency and frame rates and decides when the next inference may start
+export const createRateController = (options = {}) => {
+  const settings = { ...DEFAULT_RATE_OPTIONS, ...options };
+  let latencyMs = null; // Exponential moving average of inference time
+  let inFlight = false;
+  let lastStart = -Infinity;
+  // Per-second counters for the FPS readout
+  let windowStart = null;
+  let framesInWindow = 0;
+  let detectionsInWindow = 0;
+  let renderFps = 0;
+  let detectionFps = 0;
+
+  const intervalMs = () => {
+    if (latencyMs === null) {
+      return settings.minIntervalMs;
+    }
+    return Math.min(settings.maxIntervalMs, Math.max(settings.minIntervalMs, latencyMs * settings.headroom));
+  };
+
+  // Rolls the per-second counters over into the published rates
+  const updateWindow = (now) => {
+    if (windowStart === null) {
+      windowStart = now;
+    }
+    const elapsed = now - windowStart;
+    if (elapsed >= 1000) {
+      renderFps = (framesInWindow * 1000) / elapsed;
+      detectionFps = (detectionsInWindow * 1000) / elapsed;
+      framesInWindow = 0;
+      detectionsInWindow = 0;
+      windowStart = now;
+    }
+  };
+
+  return {
+    // Call once per drawn frame
+    frameDrawn: (now) => {
+      framesInWindow++;
+      updateWindow(now);
+    },
+    // True when no inference is running and the adaptive interval has elapsed
+    shouldStart: (now) => !inFlight && now - lastStart >= intervalMs(),
+    start: (now) => {
+      inFlight = true;
+      lastStart = now;
+    },
+    finish: (now) => {
+      const sample = now - lastStart;
+      latencyMs = latencyMs === null ? sample : latencyMs + settings.smoothing * (sample - latencyMs);
+      inFlight = false;
+      detectionsInWindow++;
+      updateWindow(now);
+    },
+    getStats: () => ({
+      renderFps,
+      detectionFps,
+      inferenceMs: latencyMs === null ? 0 : latencyMs,
+      intervalMs: intervalMs(),
+    }),
+  };
+};
@@ -0,0 +1,42 @@
+// Converts face-api.js results to structured-clone friendly objects (for postMessage) and back.
+// The rebuilt objects are real face-api instances, so resizeResults, the draw helpers and FaceMatcher
+// work on them exactly as on results computed on the main thread.
+
+// Flattens full detection results (detection + landmarks + expressions [+ descriptor]) into plain data
+export const serializeDetections = (detections) => detections.map(result => {
+  const { detection } = result;
+  const { x, y, width, height } = detection.box;
+  return {
+    score: detection.score,
+    box: { x, y, width, height },
+    imageSize: { width: detection.imageWidth, height: detection.imageHeight },
+    landmarks: result.landmarks ? result.landmarks.positions.map(point => [point.x, point.y]) : null,
+    expressions: result.expressions ? { ...result.expressions } : null,
+    descriptor: result.descriptor || null, // Float32Array survives structured cloning
+  };
+});
+
+// Rebuilds face-api result objects from serialized data using the given face-api module
+export const deserializeDetections = (faceapi, serialized) => serialized.map(plain => {
+  const { box, imageSize } = plain;
+  const relativeBox = new faceapi.Rect(
+    box.x / imageSize.width, box.y / imageSize.height, box.width / imageSize.width, box.height / imageSize.height
+  );
+  const detection = new faceapi.FaceDetection(plain.score, relativeBox, imageSize);
+  let result = faceapi.extendWithFaceDetection({}, detection);
+
+  if (plain.landmarks) {
+    // face-api keeps landmarks relative to the face box ("unshifted") and shifts them by the box origin
+    const relativePositions = plain.landmarks.map(([x, y]) => new faceapi.Point((x - box.x) / box.width, (y - box.y) / box.height));
+    const unshiftedLandmarks = new faceapi.FaceLandmarks68(relativePositions, { width: box.width, height: box.height });
+    result = faceapi.extendWithFaceLandmarks(result, unshiftedLandmarks);
+  }
+  if (plain.expressions) {
+    const probabilities = faceapi.FACE_EXPRESSION_LABELS.map(expression => plain.expressions[expression] || 0);
+    result = faceapi.extendWithFaceExpressions(result, new faceapi.FaceExpressions(probabilities));
+  }
+  if (plain.descriptor) {
+    result = faceapi.extendWithFaceDescriptor(result, plain.descriptor);
+  }
+  return result;
+});
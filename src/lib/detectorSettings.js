@@ -0,0 +1,92 @@
+// Face detector tuning: which detection model runs, its input size and confidence threshold, and which
+// per-face networks run after it. Settings are plain data so they can be persisted and sent to the worker.
+
+export const DETECTOR_MODELS = [
+  { id: 'tinyFaceDetector', label: 'Tiny Face Detector (fast)' },
+  { id: 'ssdMobilenetv1', label: 'SSD MobileNet v1 (accurate, slower)' },
+];
+
+// TinyFaceDetector input sizes; the network requires multiples of 32. Larger finds smaller faces but is slower.
+export const TINY_INPUT_SIZES = [128, 160, 224, 320, 416, 512, 608];
+
+// Presets trading speed for accuracy; anything else shows up as "custom"
+export const DETECTOR_PRESETS = {
+  fast: { label: 'Fast', model: 'tinyFaceDetector', inputSize: 224, scoreThreshold: 0.5 },
+  balanced: { label: 'Balanced', model: 'tinyFaceDetector', inputSize: 416, scoreThreshold: 0.5 },
+  accurate: { label: 'Accurate', model: 'ssdMobilenetv1', inputSize: 416, scoreThreshold: 0.5 },
+};
+
+// Balanced matches face-api.js' TinyFaceDetectorOptions defaults, which the app used before tuning existed
+export const DEFAULT_DETECTOR_SETTINGS = {
+  model: 'tinyFaceDetector',
+  inputSize: 416, // TinyFaceDetector only
+  scoreThreshold: 0.5, // minConfidence for SSD MobileNet
+  landmarks: true, // Run the 68-point landmark network (always on while descriptors are needed)
+  expressions: true, // Run the expression network
+};
+
+const STORAGE_KEY = 'face-tracking-detector-settings';
+
+// Returns the preset matching the settings' detector fields, or 'custom'
+export const getPresetId = (settings) => {
+  const match = Object.entries(DETECTOR_PRESETS).find(([, preset]) => (
+    preset.model === settings.model &&
+    preset.scoreThreshold === settings.scoreThreshold &&
+    (settings.model !== 'tinyFaceDetector' || preset.inputSize === settings.inputSize)
+  ));
+  return match ? match[0] : 'custom';
+};
+
+// Coerces stored or user-provided values into valid settings
+export const normalizeDetectorSettings = (settings) => {
+  const merged = { ...DEFAULT_DETECTOR_SETTINGS, ...settings };
+  return {
+    model: DETECTOR_MODELS.some(model => model.id === merged.model) ? merged.model : DEFAULT_DETECTOR_SETTINGS.model,
+    inputSize: TINY_INPUT_SIZES.includes(Number(merged.inputSize)) ? Number(merged.inputSize) : DEFAULT_DETECTOR_SETTINGS.inputSize,
+    scoreThreshold: Math.min(0.95, Math.max(0.05, Number(merged.scoreThreshold) || DEFAULT_DETECTOR_SETTINGS.scoreThreshold)),
+    landmarks: merged.landmarks !== false,
+    expressions: merged.expressions !== false,
+  };
+};
+
+// Reads the persisted settings, falling back to the defaults
+export const loadDetectorSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeDetectorSettings(JSON.parse(stored)) : DEFAULT_DETECTOR_SETTINGS;
+  } catch {
+    return DEFAULT_DETECTOR_SETTINGS; // Unavailable storage or corrupt JSON
+  }
+};
+
+export const saveDetectorSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Not persisted; the settings still apply to this page load
+  }
+};
+
+// Builds the face-api.js options object for the selected detection model
+export const createDetectionOptions = (faceapi, settings) => (
+  settings.model === 'ssdMobilenetv1'
+    ? new faceapi.SsdMobilenetv1Options({ minConfidence: settings.scoreThreshold })
+    : new faceapi.TinyFaceDetectorOptions({ inputSize: settings.inputSize, scoreThreshold: settings.scoreThreshold })
+);
+
+// Runs detection plus the enabled per-face networks. Descriptors need aligned landmarks, so requesting them
+// turns landmarks on regardless of the setting.
+export const runDetection = (faceapi, input, settings, withDescriptors) => {
+  const withLandmarks = settings.landmarks || withDescriptors;
+  let task = faceapi.detectAllFaces(input, createDetectionOptions(faceapi, settings));
+  if (withLandmarks) {
+    task = task.withFaceLandmarks();
+  }
+  if (settings.expressions) {
+    task = task.withFaceExpressions();
+  }
+  if (withDescriptors) {
+    task = task.withFaceDescriptors();
+  }
+  return task;
+};
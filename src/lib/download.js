@@ -0,0 +1,18 @@
+// Triggers a browser download for the given object URL
+export const downloadUrl = (url, filename) => {
+  const a = document.createElement('a'); // Create a temporary anchor element
+  a.href = url; // Set the download link to the URL
+  a.download = filename; // Set the default filename for download
+  document.body.appendChild(a); // Append the anchor to the body (necessary for some browsers)
+  a.click(); // Programmatically click the link to trigger the download
+  document.body.removeChild(a); // Remove the temporary anchor element
+};
+
+// Triggers a browser download for in-memory data (a Blob or a string)
+export const downloadBlob = (data, filename, type = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,146 @@
+// Blink and drowsiness monitoring from the 68 face landmarks: eye aspect ratio (EAR) per face, blink
+// counting and rate, PERCLOS (share of time the eyes are closed over a sliding window) and alerts
+// when the eyes stay closed too long or PERCLOS exceeds its threshold.
+
+// 68-point indices (iBUG layout), each eye ordered corner, top, top, corner, bottom, bottom
+const LEFT_EYE = [36, 37, 38, 39, 40, 41];
+const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+
+export const DEFAULT_DROWSINESS_SETTINGS = {
+  earThreshold: 0.2, // Eyes count as closed below this eye aspect ratio
+  perclosWindowSeconds: 60, // Sliding window for PERCLOS and the blink rate
+  perclosThreshold: 0.15, // Alert when the eyes were closed for more than this share of the window
+  maxClosedSeconds: 1.5, // Alert when the eyes stay closed longer than this (a microsleep, not a blink)
+  alertsEnabled: true,
+  sound: true, // Also play a tone when an alert starts
+};
+
+const MAX_TICK_GAP_MS = 1000; // Longer gaps between two samples of a face (dropouts) are not credited as time
+const MIN_PERCLOS_COVERAGE = 0.25; // PERCLOS only alerts once this share of the window has been observed
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Eye aspect ratio of one eye (Soukupová & Čech): vertical openings over the horizontal width,
+// roughly 0.25-0.35 for an open eye and near 0 for a closed one
+const eyeAspectRatio = (positions, indices) => {
+  const [p1, p2, p3, p4, p5, p6] = indices.map(index => positions[index]);
+  const width = distance(p1, p4);
+  return width > 0 ? (distance(p2, p6) + distance(p3, p5)) / (2 * width) : null;
+};
+
+// Mean eye aspect ratio of both eyes from FaceLandmarks68 positions, or null without usable landmarks
+export const computeEyeAspectRatio = (positions) => {
+  if (!positions || positions.length < 68) {
+    return null;
+  }
+  const left = eyeAspectRatio(positions, LEFT_EYE);
+  const right = eyeAspectRatio(positions, RIGHT_EYE);
+  return left !== null && right !== null ? (left + right) / 2 : null;
+};
+
+// Creates a monitor; `update` is called once per analysed frame with the faces' track ids and EARs
+export const createDrowsinessMonitor = () => {
+  // Track id -> { ear, eyesClosed, closedSince, lastSeen, firstSeen, blinkCount, blinkTimes, samples, alerting, reason }
+  // where `samples` are { t, ms, closed } time slices inside the PERCLOS window
+  let faces = new Map();
+
+  // Share of the window's observed time with the eyes closed, and how much of the window was observed
+  const perclosOf = (face, windowMs) => {
+    const observedMs = face.samples.reduce((sum, sample) => sum + sample.ms, 0);
+    const closedMs = face.samples.reduce((sum, sample) => sum + (sample.closed ? sample.ms : 0), 0);
+    return { perclos: observedMs > 0 ? closedMs / observedMs : 0, coverage: observedMs / windowMs };
+  };
+
+  // Updates the per-face state and returns { eyesClosed, newAlerts }: the closed flag per detection
+  // (null without an EAR) and the track ids whose drowsiness alert started on this frame
+  const update = (trackIds, ears, timestamp, settings = DEFAULT_DROWSINESS_SETTINGS) => {
+    const windowMs = settings.perclosWindowSeconds * 1000;
+    const newAlerts = [];
+    const seen = new Set();
+    const eyesClosed = ears.map((ear, index) => {
+      const trackId = trackIds[index];
+      if (ear === null || ear === undefined || trackId === undefined || trackId === null) {
+        return null;
+      }
+      seen.add(trackId);
+      const face = faces.get(trackId) || {
+        ear: null, eyesClosed: false, closedSince: null, lastSeen: timestamp, firstSeen: timestamp,
+        blinkCount: 0, blinkTimes: [], samples: [], alerting: false, reason: null,
+      };
+      const elapsed = Math.min(MAX_TICK_GAP_MS, Math.max(0, timestamp - face.lastSeen));
+      const closed = ear < settings.earThreshold;
+
+      // The time since the previous sample is credited to the state the eyes were in then
+      if (elapsed > 0) {
+        face.samples.push({ t: timestamp, ms: elapsed, closed: face.eyesClosed });
+      }
+      face.samples = face.samples.filter(sample => timestamp - sample.t < windowMs);
+
+      if (closed && !face.eyesClosed) {
+        face.closedSince = timestamp;
+      } else if (!closed && face.eyesClosed) {
+        face.blinkCount++; // Eyes reopened: one blink (long closures count too, and also alert)
+        face.blinkTimes.push(timestamp);
+        face.closedSince = null;
+      }
+      face.blinkTimes = face.blinkTimes.filter(time => timestamp - time < windowMs);
+      face.ear = ear;
+      face.eyesClosed = closed;
+      face.lastSeen = timestamp;
+
+      // Alert on a long closure or a high PERCLOS; the alert clears once neither applies
+      const { perclos, coverage } = perclosOf(face, windowMs);
+      let reason = null;
+      if (closed && timestamp - face.closedSince >= settings.maxClosedSeconds * 1000) {
+        reason = 'eyes-closed';
+      } else if (coverage >= MIN_PERCLOS_COVERAGE && perclos > settings.perclosThreshold) {
+        reason = 'perclos';
+      }
+      if (reason && settings.alertsEnabled && !face.alerting) {
+        newAlerts.push(trackId);
+      }
+      face.alerting = Boolean(reason) && settings.alertsEnabled;
+      face.reason = face.alerting ? reason : null;
+      faces.set(trackId, face);
+      return closed;
+    });
+
+    // A face that left the frame no longer alerts and starts a fresh closure when it returns
+    faces.forEach((face, trackId) => {
+      if (!seen.has(trackId)) {
+        face.alerting = false;
+        face.reason = null;
+        face.eyesClosed = false;
+        face.closedSince = null;
+      }
+    });
+    return { eyesClosed, newAlerts };
+  };
+
+  // Per-face metrics: current EAR, session blink count, blinks per minute over the window, PERCLOS and the alert state
+  const getStats = (now = Date.now(), settings = DEFAULT_DROWSINESS_SETTINGS) => {
+    const windowMs = settings.perclosWindowSeconds * 1000;
+    const perFace = [...faces.entries()].map(([trackId, face]) => {
+      const { perclos } = perclosOf(face, windowMs);
+      const observedMs = Math.min(windowMs, Math.max(0, now - face.firstSeen));
+      return {
+        trackId,
+        ear: face.ear,
+        eyesClosed: face.eyesClosed,
+        closedForMs: face.closedSince !== null ? now - face.closedSince : 0,
+        blinkCount: face.blinkCount,
+        blinkRate: observedMs > 0 ? (face.blinkTimes.length * 60000) / observedMs : 0, // Blinks per minute
+        perclos,
+        alerting: face.alerting,
+        reason: face.reason,
+      };
+    });
+    return { perFace };
+  };
+
+  const reset = () => {
+    faces = new Map();
+  };
+
+  return { update, getStats, reset };
+};
@@ -0,0 +1,48 @@
+// Minimal event emitter shared by the framework-agnostic cores (face tracker, recorder).
+// Listeners run synchronously in subscription order; one throwing listener is reported and doesn't stop the others.
+
+export const createEmitter = () => {
+  const listeners = new Map(); // event -> Set of handlers
+
+  // Subscribes `handler` to `event`; returns a function that unsubscribes it again
+  const on = (event, handler) => {
+    if (typeof handler !== 'function') {
+      throw new Error(`A listener for "${event}" must be a function.`);
+    }
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+  };
+
+  const off = (event, handler) => {
+    const handlers = listeners.get(event);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  };
+
+  // Calls every listener of `event` with `payload`; returns false when nobody listens
+  const emit = (event, payload) => {
+    const handlers = listeners.get(event);
+    if (!handlers || handlers.size === 0) {
+      return false;
+    }
+    [...handlers].forEach(handler => {
+      try {
+        handler(payload);
+      } catch (err) {
+        console.error(`Error in a "${event}" listener:`, err);
+      }
+    });
+    return true;
+  };
+
+  const listenerCount = (event) => (listeners.has(event) ? listeners.get(event).size : 0);
+
+  // Drops every listener, e.g. when the owner is disposed
+  const clear = () => listeners.clear();
+
+  return { on, off, emit, listenerCount, clear };
+};
@@ -0,0 +1,385 @@
+// Live event stream for external consumers: publishes the tracker's detections, expression changes and recording
+// state as versioned JSON messages over up to three channels at once:
+//   - a WebSocket to a relay server (scripts/event-relay.mjs), for other programs on the machine or network
+//   - a BroadcastChannel, for other tabs of this origin
+//   - window.postMessage to the parent window, when the app is embedded in an iframe
+// Detections are throttled to `maxDetectionsPerSecond` (newer frames replace dropped ones anyway), discrete events
+// share a token bucket of `maxEventsPerSecond`. The message schema is documented in docs/event-stream.md.
+
+import { createEmitter } from './eventEmitter';
+import { serializeFaces } from './recordingTrack';
+
+export const EVENT_SCHEMA = 'face-tracking-events';
+export const EVENT_SCHEMA_VERSION = 1; // Bumped on any incompatible change to the messages below
+export const EVENT_TYPES = ['hello', 'detections', 'expression', 'recording'];
+
+const STORAGE_KEY = 'face-tracking-event-stream';
+const MIN_RECONNECT_DELAY_MS = 1000; // WebSocket reconnection backoff, doubled after every failed attempt
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export const DEFAULT_EVENT_STREAM_SETTINGS = {
+  websocket: false,
+  websocketUrl: 'ws://localhost:8765/publish', // The relay's publisher endpoint
+  broadcastChannel: false,
+  channelName: EVENT_SCHEMA,
+  postMessage: false, // Only has an effect when the app runs in an iframe
+  postMessageOrigin: '', // Origin the parent window must have; nothing is posted until it is set (never '*')
+  includeLandmarks: false, // Add the 68 landmark points to every face (about 1 KB per face)
+  maxDetectionsPerSecond: 10,
+  maxEventsPerSecond: 20, // Expression and recording events, with bursts up to the same number
+};
+
+const clamp = (value, min, max, fallback) => (Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback);
+
+// Returns `value` if it is exactly an origin such as 'https://host.example', and '' otherwise ('*' included)
+export const normalizeTargetOrigin = (value) => {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  try {
+    const { origin } = new URL(value.trim());
+    return origin !== 'null' && origin === value.trim() ? origin : '';
+  } catch {
+    return '';
+  }
+};
+
+// Fills in missing fields and clamps the rate limits to sane ranges
+export const normalizeEventStreamSettings = (settings) => {
+  const merged = { ...DEFAULT_EVENT_STREAM_SETTINGS, ...settings };
+  return {
+    ...merged,
+    postMessageOrigin: normalizeTargetOrigin(merged.postMessageOrigin),
+    maxDetectionsPerSecond: clamp(Number(merged.maxDetectionsPerSecond), 1, 60, DEFAULT_EVENT_STREAM_SETTINGS.maxDetectionsPerSecond),
+    maxEventsPerSecond: clamp(Number(merged.maxEventsPerSecond), 1, 200, DEFAULT_EVENT_STREAM_SETTINGS.maxEventsPerSecond),
+  };
+};
+
+export const loadEventStreamSettings = () => {
+  try {
+    return normalizeEventStreamSettings(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+  } catch {
+    return DEFAULT_EVENT_STREAM_SETTINGS; // Unavailable storage or corrupt JSON
+  }
+};
+
+export const saveEventStreamSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Not persisted; the settings still apply to this page load
+  }
+};
+
+// --- Messages ---
+
+// Wraps `payload` in the versioned envelope shared by every message
+export const createEventMessage = (type, payload, { seq, source, timestamp }) => ({
+  schema: EVENT_SCHEMA,
+  version: EVENT_SCHEMA_VERSION,
+  type,
+  seq, // Increases by one per message sent by this publisher
+  source, // Random id of the publishing page, to tell several tabs apart
+  timestamp, // Milliseconds since the epoch (media time for file analysis) of the frame or event
+  payload,
+});
+
+// Returns why `message` is not a valid envelope of a supported version, or null when it is
+export const validateEventMessage = (message) => {
+  if (!message || typeof message !== 'object') {
+    return 'Not an object.';
+  }
+  if (message.schema !== EVENT_SCHEMA) {
+    return `Unknown schema "${message.schema}".`;
+  }
+  if (message.version !== EVENT_SCHEMA_VERSION) {
+    return `Unsupported version ${message.version}.`;
+  }
+  if (!EVENT_TYPES.includes(message.type)) {
+    return `Unknown event type "${message.type}".`;
+  }
+  if (!Number.isInteger(message.seq) || typeof message.source !== 'string' || !Number.isFinite(message.timestamp)) {
+    return 'Missing seq, source or timestamp.';
+  }
+  if (!message.payload || typeof message.payload !== 'object') {
+    return 'Missing payload.';
+  }
+  return null;
+};
+
+// Payload of a 'detections' event for one tracker result. `faceMetrics[i]` adds { pose, attentive, eyesClosed }
+// to face i; coordinates are in source pixels of an `imageSize` frame (flip x when `mirrored` to match the screen).
+export const describeDetections = (result, { faceMetrics = [], imageSize = null, mirrored = false, includeLandmarks = false } = {}) => ({
+  imageSize,
+  mirrored,
+  faces: serializeFaces(result.detections, result.trackIds).map((face, index) => {
+    const { landmarks, dominantExpression, ...rest } = face;
+    const metrics = faceMetrics[index] || {};
+    return {
+      ...rest,
+      label: result.labels[index],
+      identityId: result.identityIds[index],
+      expression: dominantExpression,
+      pose: metrics.pose || null,
+      attentive: metrics.attentive !== undefined ? metrics.attentive : null,
+      eyesClosed: metrics.eyesClosed !== undefined ? metrics.eyesClosed : null,
+      ...(includeLandmarks ? { landmarks } : {}),
+    };
+  }),
+});
+
+// --- Rate limiting ---
+
+// Decides which messages may go out: at most `maxDetectionsPerSecond` detections, and a token bucket of
+// `maxEventsPerSecond` for everything else ('hello' is never limited)
+export const createRateLimiter = ({ maxDetectionsPerSecond, maxEventsPerSecond }) => {
+  let lastDetectionAt = -Infinity;
+  let tokens = maxEventsPerSecond;
+  let refilledAt = null;
+
+  return {
+    allow: (type, now) => {
+      if (type === 'hello') {
+        return true;
+      }
+      if (type === 'detections') {
+        if (now - lastDetectionAt < 1000 / maxDetectionsPerSecond) {
+          return false;
+        }
+        lastDetectionAt = now;
+        return true;
+      }
+      if (refilledAt !== null) {
+        tokens = Math.min(maxEventsPerSecond, tokens + ((now - refilledAt) / 1000) * maxEventsPerSecond);
+      }
+      refilledAt = now;
+      if (tokens < 1) {
+        return false;
+      }
+      tokens--;
+      return true;
+    },
+  };
+};
+
+// --- Transports ---
+// A transport is { id, send(message, text), getStatus(), close() }; `onOpen` is called whenever it (re)connects
+// so the bus can introduce itself with a 'hello'. Status is 'connecting', 'open', 'unavailable' or 'closed'.
+
+// WebSocket to the relay, reconnecting with exponential backoff. Messages sent while disconnected are dropped:
+// the stream is live, and the next detections supersede them.
+export const createWebSocketTransport = (url, { onOpen, onStatus, WebSocketImpl = globalThis.WebSocket } = {}) => {
+  let socket = null;
+  let status = 'connecting';
+  let retryDelay = MIN_RECONNECT_DELAY_MS;
+  let retryTimer = null;
+  let closed = false;
+
+  const setStatus = (next) => {
+    status = next;
+    if (onStatus) {
+      onStatus(next);
+    }
+  };
+
+  const connect = () => {
+    setStatus('connecting');
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (err) {
+      console.error('Invalid event stream WebSocket URL:', err);
+      setStatus('unavailable');
+      return;
+    }
+    socket.onopen = () => {
+      retryDelay = MIN_RECONNECT_DELAY_MS;
+      setStatus('open');
+      if (onOpen) {
+        onOpen();
+      }
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (closed) {
+        return;
+      }
+      setStatus('connecting');
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(MAX_RECONNECT_DELAY_MS, retryDelay * 2);
+    };
+    socket.onerror = () => {}; // Followed by 'close', which schedules the retry
+  };
+  connect();
+
+  return {
+    id: 'websocket',
+    send: (message, text) => {
+      if (socket && status === 'open') {
+        socket.send(text);
+      }
+    },
+    getStatus: () => status,
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) {
+        socket.close();
+      }
+      setStatus('closed');
+    },
+  };
+};
+
+// BroadcastChannel to the other tabs of this origin
+export const createBroadcastChannelTransport = (name, { onOpen, BroadcastChannelImpl = globalThis.BroadcastChannel } = {}) => {
+  if (!BroadcastChannelImpl) {
+    return { id: 'broadcastChannel', send: () => {}, getStatus: () => 'unavailable', close: () => {} };
+  }
+  const channel = new BroadcastChannelImpl(name);
+  let status = 'open';
+  if (onOpen) {
+    queueMicrotask(onOpen); // After the caller has registered the transport
+  }
+  return {
+    id: 'broadcastChannel',
+    send: (message) => {
+      if (status === 'open') {
+        channel.postMessage(message);
+      }
+    },
+    getStatus: () => status,
+    close: () => {
+      status = 'closed';
+      channel.close();
+    },
+  };
+};
+
+// window.postMessage to the embedding page; unavailable when the app is not in an iframe
+export const createPostMessageTransport = (targetOrigin, { onOpen, target = globalThis.window ? window.parent : null, self = globalThis.window } = {}) => {
+  // Posting with '*' would hand the stream to whichever page embeds the app, so an exact origin is required
+  if (!target || target === self || !normalizeTargetOrigin(targetOrigin)) {
+    return { id: 'postMessage', send: () => {}, getStatus: () => 'unavailable', close: () => {} };
+  }
+  let status = 'open';
+  if (onOpen) {
+    queueMicrotask(onOpen);
+  }
+  return {
+    id: 'postMessage',
+    send: (message) => {
+      if (status === 'open') {
+        target.postMessage(message, targetOrigin);
+      }
+    },
+    getStatus: () => status,
+    close: () => {
+      status = 'closed';
+    },
+  };
+};
+
+// --- Bus ---
+
+const createSourceId = () => Math.random().toString(36).slice(2, 10);
+
+// Fans published events out to the transports enabled in the settings, after rate limiting.
+// Emits 'status' with getStats() whenever a transport connects or disconnects.
+export const createEventBus = ({
+  source = createSourceId(),
+  now = () => Date.now(),
+  transports: factories = {
+    websocket: createWebSocketTransport,
+    broadcastChannel: createBroadcastChannelTransport,
+    postMessage: createPostMessageTransport,
+  },
+} = {}) => {
+  const emitter = createEmitter();
+  let settings = DEFAULT_EVENT_STREAM_SETTINGS;
+  let limiter = createRateLimiter(settings);
+  let seq = 0;
+  let sent = 0;
+  let dropped = 0;
+  const active = new Map(); // id -> { transport, key }, key being the settings the transport was created with
+
+  const getStats = () => ({
+    sent,
+    dropped,
+    transports: [...active.values()].map(({ transport }) => ({ id: transport.id, status: transport.getStatus() })),
+  });
+  const notify = () => emitter.emit('status', getStats());
+
+  const helloPayload = () => ({
+    app: 'face-tracking-app',
+    events: EVENT_TYPES.filter(type => type !== 'hello'),
+    rateLimits: { maxDetectionsPerSecond: settings.maxDetectionsPerSecond, maxEventsPerSecond: settings.maxEventsPerSecond },
+  });
+
+  // Sends `type` to `targets`; returns false when rate-limited. `payload` may be a function building it,
+  // so payloads that are dropped anyway are never built.
+  const send = (type, payload, timestamp, targets) => {
+    if (!limiter.allow(type, now())) {
+      dropped++;
+      return false;
+    }
+    const message = createEventMessage(type, typeof payload === 'function' ? payload() : payload, { seq: seq++, source, timestamp });
+    const text = JSON.stringify(message);
+    targets.forEach(transport => transport.send(message, text));
+    sent++;
+    return true;
+  };
+
+  // (Re)creates the transports whose settings changed and closes the disabled ones
+  const configure = (changes) => {
+    settings = normalizeEventStreamSettings({ ...settings, ...changes });
+    limiter = createRateLimiter(settings);
+    const wanted = {
+      websocket: settings.websocket ? settings.websocketUrl : null,
+      broadcastChannel: settings.broadcastChannel ? settings.channelName : null,
+      postMessage: settings.postMessage ? settings.postMessageOrigin : null,
+    };
+    Object.entries(wanted).forEach(([id, key]) => {
+      const current = active.get(id);
+      if (current && current.key === key) {
+        return;
+      }
+      if (current) {
+        current.transport.close();
+        active.delete(id);
+      }
+      if (key !== null && factories[id]) {
+        const entry = { key, transport: null };
+        entry.transport = factories[id](key, {
+          onOpen: () => {
+            if (active.get(id) === entry) {
+              send('hello', helloPayload(), now(), [entry.transport]);
+              notify();
+            }
+          },
+          onStatus: () => notify(),
+        });
+        active.set(id, entry);
+      }
+    });
+    notify();
+  };
+
+  return {
+    on: emitter.on,
+    configure,
+    // Publishes an event to every active transport (see `send`); `timestamp` defaults to now
+    publish: (type, payload, timestamp = now()) => {
+      if (active.size === 0) {
+        return false; // Nobody to send to: don't spend the rate limit
+      }
+      return send(type, payload, timestamp, [...active.values()].map(entry => entry.transport));
+    },
+    getSettings: () => settings,
+    getStats,
+    dispose: () => {
+      active.forEach(({ transport }) => transport.close());
+      active.clear();
+      emitter.clear();
+    },
+  };
+};
@@ -0,0 +1,28 @@
+// Shared constants and helpers for the seven expressions reported by faceExpressionNet
+
+// Expression names in the order face-api.js reports them
+export const EXPRESSIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised'];
+
+// Chart/legend colour for each expression
+export const EXPRESSION_COLORS = {
+  neutral: '#9ca3af',
+  happy: '#facc15',
+  sad: '#60a5fa',
+  angry: '#f87171',
+  fearful: '#a78bfa',
+  disgusted: '#4ade80',
+  surprised: '#fb923c',
+};
+
+// Returns a fresh { expression: 0 } counter object
+export const createEmptyCounts = () => Object.fromEntries(EXPRESSIONS.map(expression => [expression, 0]));
+
+// Returns the name of the most probable expression in a probability map
+export const getDominantExpression = (expressions) => (
+  Object.keys(expressions).reduce((a, b) => expressions[a] > expressions[b] ? a : b)
+);
+
+// Copies a FaceExpressions instance (or any probability map) into a plain object with every expression present
+export const toExpressionVector = (expressions) => (
+  Object.fromEntries(EXPRESSIONS.map(expression => [expression, Number(expressions[expression]) || 0]))
+);
@@ -0,0 +1,185 @@
+// Face detector front-end used by the detection loop.
+// Runs inference in a Web Worker when the browser supports OffscreenCanvas, and on the main thread otherwise.
+// Both variants expose the same API:
+//   { mode, recognition, hasModel(net), getWeights(), loadWeights(weights), detect(source, { withDescriptors, settings }), dispose() }
+// where `detect` resolves with face-api results (detection [+ landmarks] [+ expressions] [+ descriptor]) and
+// `settings` are the detector settings (see detectorSettings). Weights come pre-verified from modelLoader;
+// on-demand models such as SSD MobileNet are added later through `loadWeights`, and descriptors are only
+// computed when the recognition model loaded. `getWeights` returns every model loaded so far, so a replacement
+// detector can be built when a worker dies: its requests then reject with a DetectorLostError.
+
+import { deserializeDetections } from './detectionSerialization';
+import { applyModelWeights } from './modelLoader';
+import { runDetection, DEFAULT_DETECTOR_SETTINGS } from './detectorSettings';
+
+const WORKER_INIT_TIMEOUT_MS = 30000; // Fall back to the main thread if the worker never becomes ready
+const DETECT_TIMEOUT_MS = 10000; // A frame taking longer than this means the worker hung
+const LOAD_WEIGHTS_TIMEOUT_MS = 30000;
+
+// Error for requests to a detector whose worker crashed, hung or failed to deserialize a message;
+// the detector is unusable afterwards and should be replaced
+export class DetectorLostError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DetectorLostError';
+  }
+}
+
+// True when the browser can run the detection worker
+const supportsWorker = () => (
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined'
+);
+
+// Detector running face-api.js directly on the main thread
+const createMainThreadDetector = async (faceapi, weights) => {
+  applyModelWeights(faceapi, weights);
+  const loadedWeights = { ...weights };
+  const recognition = 'faceRecognitionNet' in loadedWeights;
+  return {
+    mode: 'main-thread',
+    recognition,
+    hasModel: (net) => net in loadedWeights,
+    getWeights: () => ({ ...loadedWeights }),
+    loadWeights: async (extraWeights) => {
+      applyModelWeights(faceapi, extraWeights);
+      Object.assign(loadedWeights, extraWeights);
+    },
+    detect: (source, { withDescriptors = false, settings = DEFAULT_DETECTOR_SETTINGS } = {}) => (
+      runDetection(faceapi, source, settings, withDescriptors && recognition)
+    ),
+    dispose: () => {},
+  };
+};
+
+// Detector posting frames to detection.worker.js; only one request per frame, matched by id
+const createWorkerDetector = (faceapi, weights) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/detection.worker.js', import.meta.url));
+  const pending = new Map(); // Request id -> { resolve, reject, timeoutId }
+  const loadedWeights = { ...weights }; // Kept on the main thread for a replacement detector
+  let ready = false;
+  let lostError = null; // Set once the worker died; every later request rejects with it
+  let nextId = 1;
+
+  // Terminates the worker and rejects every pending request with `err`
+  const failPending = (err) => {
+    worker.terminate();
+    pending.forEach(request => {
+      clearTimeout(request.timeoutId);
+      request.reject(err);
+    });
+    pending.clear();
+  };
+
+  // Marks the detector as lost (once) and fails everything waiting on the worker
+  const lose = (err) => {
+    if (!lostError) {
+      lostError = err;
+      failPending(err);
+    }
+  };
+
+  // Posts a request and resolves with the worker's reply for the same id. A request the worker does not answer
+  // within `timeoutMs` means it hung, which loses the detector like a crash does
+  const sendRequest = (message, timeoutMs, transfer = []) => new Promise((resolveRequest, rejectRequest) => {
+    if (lostError) {
+      rejectRequest(lostError);
+      return;
+    }
+    const id = nextId++;
+    const timeoutId = setTimeout(() => {
+      lose(new DetectorLostError(`Detection worker did not answer a ${message.type} request within ${timeoutMs / 1000}s.`));
+    }, timeoutMs);
+    pending.set(id, { resolve: resolveRequest, reject: rejectRequest, timeoutId });
+    worker.postMessage({ ...message, id }, transfer);
+  });
+
+  const timeoutId = setTimeout(() => {
+    worker.terminate();
+    reject(new Error('Detection worker did not become ready in time.'));
+  }, WORKER_INIT_TIMEOUT_MS);
+
+  const recognition = 'faceRecognitionNet' in loadedWeights;
+  const detector = {
+    mode: 'worker',
+    recognition,
+    hasModel: (net) => net in loadedWeights,
+    getWeights: () => ({ ...loadedWeights }),
+    loadWeights: async (extraWeights) => {
+      await sendRequest({ type: 'load-weights', weights: extraWeights }, LOAD_WEIGHTS_TIMEOUT_MS);
+      Object.assign(loadedWeights, extraWeights);
+    },
+    detect: async (source, { withDescriptors = false, settings = DEFAULT_DETECTOR_SETTINGS } = {}) => {
+      if (lostError) {
+        throw lostError;
+      }
+      const bitmap = await createImageBitmap(source); // Snapshot of the current frame
+      const detections = await sendRequest(
+        { type: 'detect', bitmap, settings, withDescriptors: withDescriptors && recognition },
+        DETECT_TIMEOUT_MS,
+        [bitmap]
+      );
+      return deserializeDetections(faceapi, detections);
+    },
+    dispose: () => lose(new Error('Detector disposed.')),
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'ready') {
+      clearTimeout(timeoutId);
+      ready = true;
+      resolve(detector);
+    } else if (message.type === 'init-error') {
+      clearTimeout(timeoutId);
+      worker.terminate();
+      reject(new Error(message.message));
+    } else if (message.type === 'result' || message.type === 'weights-loaded' || message.type === 'request-error') {
+      const request = pending.get(message.id);
+      if (!request) {
+        return;
+      }
+      pending.delete(message.id);
+      clearTimeout(request.timeoutId);
+      if (message.type === 'request-error') {
+        request.reject(new Error(message.message));
+      } else {
+        request.resolve(message.detections);
+      }
+    }
+  };
+  // Before 'ready' an error fails the init (and faceDetector falls back to the main thread); afterwards it
+  // loses the detector, so nothing waits forever on a reply from a dead worker
+  worker.onerror = (event) => {
+    if (!ready) {
+      clearTimeout(timeoutId);
+      worker.terminate();
+      reject(new Error(event.message || 'Detection worker failed to start.'));
+      return;
+    }
+    lose(new DetectorLostError(`Detection worker crashed: ${event.message || 'unknown error'}.`));
+  };
+  worker.onmessageerror = () => {
+    if (ready) {
+      lose(new DetectorLostError('Detection worker sent a message that could not be deserialized.'));
+    }
+  };
+
+  // The weights are copied, not transferred: the main thread keeps them for a possible fallback
+  worker.postMessage({ type: 'init', weights });
+});
+
+// Creates the best available detector. `faceapi` is the main-thread module (used to rebuild worker results
+// or to run inference directly) and `weights` the verified model data from loadModelFiles.
+// `worker: false` skips the worker, e.g. to replace one that died.
+export const createFaceDetector = async (faceapi, weights, { worker = true } = {}) => {
+  if (worker && supportsWorker()) {
+    try {
+      return await createWorkerDetector(faceapi, weights);
+    } catch (err) {
+      console.warn('Falling back to main-thread face detection:', err);
+    }
+  }
+  return createMainThreadDetector(faceapi, weights);
+};
@@ -0,0 +1,119 @@
+// Storage and matching helpers for enrolled identities (the "face gallery").
+// Each identity is stored as { id, name, descriptors: number[][], createdAt, updatedAt }.
+
+import { STORES, getAll, putOne, deleteOne, getOne } from './db';
+
+export const GALLERY_EXPORT_VERSION = 1; // Bumped whenever the export file format changes
+export const DESCRIPTOR_LENGTH = 128; // faceRecognitionNet produces 128-dimensional descriptors
+export const DEFAULT_MATCH_THRESHOLD = 0.6; // Same default distance threshold face-api.js uses for FaceMatcher
+
+// Generates a reasonably unique id for a new identity
+const createId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `id-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Checks that a value looks like a usable face descriptor
+const isValidDescriptor = (descriptor) => (
+  Array.isArray(descriptor) &&
+  descriptor.length === DESCRIPTOR_LENGTH &&
+  descriptor.every(value => typeof value === 'number' && Number.isFinite(value))
+);
+
+// Returns all enrolled identities, oldest first
+export const listIdentities = async () => {
+  const identities = await getAll(STORES.identities);
+  return identities.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Enrolls a new identity from the captured descriptors (Float32Array or plain arrays)
+export const addIdentity = async (name, descriptors) => {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error('Please enter a name for the person being enrolled.');
+  }
+  const plainDescriptors = descriptors.map(descriptor => Array.from(descriptor));
+  if (plainDescriptors.length === 0 || !plainDescriptors.every(isValidDescriptor)) {
+    throw new Error('No valid face samples were captured.');
+  }
+  const now = Date.now();
+  const identity = { id: createId(), name: trimmedName, descriptors: plainDescriptors, createdAt: now, updatedAt: now };
+  await putOne(STORES.identities, identity);
+  return identity;
+};
+
+// Renames an existing identity, keeping its descriptors
+export const renameIdentity = async (id, name) => {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error('Name cannot be empty.');
+  }
+  const identity = await getOne(STORES.identities, id);
+  if (!identity) {
+    throw new Error('This person is no longer enrolled.');
+  }
+  const updated = { ...identity, name: trimmedName, updatedAt: Date.now() };
+  await putOne(STORES.identities, updated);
+  return updated;
+};
+
+// Removes an identity from the gallery
+export const deleteIdentity = (id) => deleteOne(STORES.identities, id);
+
+// Serializes the given identities into the portable JSON export format
+export const exportGallery = (identities) => JSON.stringify({
+  version: GALLERY_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  identities: identities.map(({ name, descriptors, createdAt }) => ({ name, descriptors, createdAt })),
+}, null, 2);
+
+// Parses an export file and stores every identity in it as a new entry; returns the number imported
+export const importGallery = async (jsonText) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (err) {
+    throw new Error(`The selected file is not valid JSON: ${err.message}`);
+  }
+  if (!parsed || parsed.version !== GALLERY_EXPORT_VERSION || !Array.isArray(parsed.identities)) {
+    throw new Error('The selected file is not a face gallery export.');
+  }
+
+  const valid = parsed.identities.filter(identity => (
+    identity &&
+    typeof identity.name === 'string' &&
+    identity.name.trim() &&
+    Array.isArray(identity.descriptors) &&
+    identity.descriptors.length > 0 &&
+    identity.descriptors.every(isValidDescriptor)
+  ));
+  if (valid.length === 0) {
+    throw new Error('The selected file does not contain any valid identities.');
+  }
+
+  const now = Date.now();
+  for (const identity of valid) {
+    await putOne(STORES.identities, {
+      id: createId(),
+      name: identity.name.trim(),
+      descriptors: identity.descriptors,
+      createdAt: typeof identity.createdAt === 'number' ? identity.createdAt : now,
+      updatedAt: now,
+    });
+  }
+  return valid.length;
+};
+
+// Builds a face-api.js FaceMatcher for the gallery, labelled by identity id so renames stay cheap.
+// Returns null when nobody is enrolled.
+export const createFaceMatcher = (faceapi, identities, threshold = DEFAULT_MATCH_THRESHOLD) => {
+  if (!faceapi || identities.length === 0) {
+    return null;
+  }
+  const labeledDescriptors = identities.map(identity => new faceapi.LabeledFaceDescriptors(
+    identity.id,
+    identity.descriptors.map(descriptor => Float32Array.from(descriptor))
+  ));
+  return new faceapi.FaceMatcher(labeledDescriptors, threshold);
+};
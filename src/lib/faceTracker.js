@@ -0,0 +1,330 @@
+// Framework-agnostic face tracking core: loads face-api.js and the models, runs the rate-limited detection loop on
+// a video element (or analyses single frames), associates faces into persistent tracks, labels recognized people
+// and reports everything through events, so any page - React or not - can embed tracking.
+//
+//   const tracker = createFaceTracker();
+//   tracker.on('detections', result => ...);
+//   await tracker.load();
+//   tracker.start(video);
+//   ...
+//   tracker.dispose();
+//
+// Events:
+//   'state'      'idle' | 'loading' | 'ready' | 'running' | 'failed' | 'disposed'
+//   'progress'   { net, progress } while a model downloads (see modelLoader)
+//   'ready'      { faceapi, mode, recognition } once the detector is usable, and again after a lost detector
+//                worker was replaced by main-thread detection
+//   'frame'      { source, now } for every presented video frame while running, to draw on
+//   'detections' { detections, trackIds, labels, identityIds, timestamp, updatedAt } after every analysed frame
+//                (detections are resized to the display size)
+//   'expression' { trackId, expression, previous, probability, timestamp } when a face's dominant expression changes
+//   'stats'      { renderFps, detectionFps, inferenceMs, intervalMs, mode } twice per second while running
+//   'error'      Error from loading or from a detection (logged to the console when nobody listens)
+//
+// Everything environment-specific (face-api.js, the detector, the frame scheduler, the clocks) can be injected,
+// which is how the unit tests run it in Node.
+
+import { createEmitter } from './eventEmitter';
+import { createMultiFaceTracker } from './multiFaceTracker';
+import { startFrameLoop, createRateController } from './detectionLoop';
+import { createEmptyCounts, getDominantExpression } from './expressions';
+import { loadModelFiles } from './modelLoader';
+import { createFaceDetector, DetectorLostError } from './faceDetector';
+import { DEFAULT_DETECTOR_SETTINGS } from './detectorSettings';
+
+const STATS_INTERVAL_MS = 500; // How often the running loop publishes its frame rates
+
+export const createFaceTracker = ({
+  faceapi = null, // face-api.js module; imported by load() when omitted
+  detector = null, // Ready detector (see faceDetector); created from the downloaded models by load() when omitted
+  modelUrl = '/models', // Where load() downloads the model files from
+  loadModels = loadModelFiles, // (modelUrl, onProgress) => { weights, failures }
+  createDetector = createFaceDetector, // (faceapi, weights, { worker }) => detector
+  frameLoop = startFrameLoop, // (video, onFrame) => stop
+  rateOptions = {}, // See createRateController
+  trackerOptions = {}, // See createMultiFaceTracker
+  now = () => Date.now(), // Wall clock for detection timestamps
+  clock = () => performance.now(), // Monotonic clock for the loop's latency measurements
+} = {}) => {
+  const emitter = createEmitter();
+  let ownsDetector = !detector; // Injected detectors are disposed by whoever created them
+  let state = detector && faceapi ? 'ready' : 'idle';
+  let loading = null; // Promise of the load in progress
+  let replacing = null; // Promise of the replacement of a lost detector
+  let stopLoop = null; // Stops the running frame loop
+  let perfStats = null;
+  let tracks = createMultiFaceTracker(trackerOptions);
+  let expressionCounts = createEmptyCounts(); // Frames per dominant expression, summed over every face
+  let dominantByTrack = new Map(); // trackId -> last dominant expression, for the 'expression' event
+  let options = {
+    detectorSettings: DEFAULT_DETECTOR_SETTINGS,
+    faceMatcher: null, // face-api FaceMatcher labelled with identity ids, or null when nobody is enrolled
+    identityNames: {}, // Identity id -> display name
+    collectDescriptors: false, // Compute descriptors even without a matcher (e.g. while enrolling someone)
+  };
+
+  const setState = (next) => {
+    if (state !== next) {
+      state = next;
+      emitter.emit('state', next);
+    }
+  };
+
+  const reportError = (err) => {
+    if (!emitter.emit('error', err)) {
+      console.error('Face tracker error:', err);
+    }
+  };
+
+  const describe = () => ({ faceapi, mode: detector.mode, recognition: detector.recognition });
+
+  const assertUsable = () => {
+    if (state === 'disposed') {
+      throw new Error('This face tracker has been disposed.');
+    }
+  };
+
+  // Imports face-api.js (unless injected), downloads and verifies the models and creates the detector.
+  // Resolves with { faceapi, mode, recognition } once the tracker is ready; calling it again after a failure retries.
+  const load = () => {
+    assertUsable();
+    if (detector && faceapi) {
+      return Promise.resolve(describe());
+    }
+    if (loading) {
+      return loading;
+    }
+    setState('loading');
+    loading = (async () => {
+      try {
+        if (!faceapi) {
+          faceapi = await import('face-api.js'); // Kept out of the server render
+        }
+        if (!detector) {
+          const { weights, failures } = await loadModels(modelUrl, (net, progress) => emitter.emit('progress', { net, progress }));
+          const fatalFailures = failures.filter(failure => failure.model.required);
+          if (fatalFailures.length > 0) {
+            throw new Error(fatalFailures.map(failure => failure.message).join(' '));
+          }
+          failures.forEach(failure => console.warn(`${failure.model.label} model unavailable:`, failure.message));
+          const created = await createDetector(faceapi, weights);
+          if (state === 'disposed') {
+            created.dispose(); // Disposed while loading: nobody will use it
+            throw new Error('This face tracker has been disposed.');
+          }
+          detector = created;
+        }
+        setState('ready');
+        emitter.emit('ready', describe());
+        return describe();
+      } catch (err) {
+        if (state !== 'disposed') {
+          setState('failed');
+          reportError(err);
+        }
+        throw err;
+      } finally {
+        loading = null;
+      }
+    })();
+    return loading;
+  };
+
+  // Replaces a detector whose worker died (see DetectorLostError) with a main-thread one built from the same
+  // weights, so a running loop carries on. If that fails too, the loop stops and the tracker is 'failed'
+  const replaceLostDetector = (lost) => {
+    if (!replacing) {
+      replacing = (async () => {
+        try {
+          const created = await createDetector(faceapi, lost.getWeights(), { worker: false });
+          if (state === 'disposed' || detector !== lost) {
+            created.dispose();
+            return;
+          }
+          if (ownsDetector) {
+            lost.dispose();
+          }
+          detector = created;
+          ownsDetector = true;
+          emitter.emit('ready', describe());
+        } catch (err) {
+          if (state !== 'disposed') {
+            stop();
+            setState('failed');
+            reportError(err);
+          }
+        } finally {
+          replacing = null;
+        }
+      })();
+    }
+    return replacing;
+  };
+
+  // Updates the detector settings, the FaceMatcher/identity names or `collectDescriptors`; applies from the next frame
+  const configure = (changes) => {
+    options = { ...options, ...changes };
+  };
+
+  // Emits 'expression' for every face whose dominant expression differs from its previous one
+  const updateExpressions = (detections, trackIds, timestamp) => {
+    detections.forEach((detection, index) => {
+      if (!detection.expressions) {
+        return;
+      }
+      const expression = getDominantExpression(detection.expressions);
+      expressionCounts[expression]++;
+      const trackId = trackIds[index];
+      const previous = dominantByTrack.has(trackId) ? dominantByTrack.get(trackId) : null;
+      if (expression !== previous) {
+        dominantByTrack.set(trackId, expression);
+        emitter.emit('expression', { trackId, expression, previous, probability: detection.expressions[expression], timestamp });
+      }
+    });
+  };
+
+  // Detects the faces on the current frame of `source`, resized to `displaySize` (the source's own size when
+  // omitted), and emits 'detections'. `timestamp` defaults to the wall clock; pass media time for file analysis.
+  // Resolves with the result, or null when the tracker was disposed meanwhile.
+  const analyze = async (source, { displaySize = null, timestamp = now() } = {}) => {
+    assertUsable();
+    if (replacing) {
+      await replacing; // Frames wait for the replacement instead of failing on the lost detector
+      if (state === 'disposed') {
+        return null;
+      }
+    }
+    if (!detector || !faceapi) {
+      throw new Error('The face tracker is not loaded yet; call load() first.');
+    }
+
+    // Face descriptors are only worth computing when someone is enrolled or being enrolled
+    const { detectorSettings, faceMatcher, identityNames, collectDescriptors } = options;
+    const withDescriptors = Boolean(faceMatcher || collectDescriptors);
+
+    // Until an on-demand detection model has loaded, the Tiny Face Detector stands in for it
+    const settings = detector.hasModel(detectorSettings.model)
+      ? detectorSettings
+      : { ...detectorSettings, model: 'tinyFaceDetector' };
+    const current = detector;
+    let rawDetections;
+    try {
+      rawDetections = await current.detect(source, { withDescriptors, settings });
+    } catch (err) {
+      if (err instanceof DetectorLostError && state !== 'disposed') {
+        replaceLostDetector(current);
+      }
+      throw err;
+    }
+    if (state === 'disposed') {
+      return null;
+    }
+    const detections = displaySize ? faceapi.resizeResults(rawDetections, displaySize) : rawDetections;
+
+    // Associate this frame's faces with the tracks from previous frames to get stable ids
+    const trackIds = tracks.update(detections, timestamp);
+
+    // Label each face with its track id and, when someone is enrolled,
+    // the best gallery match (or "Unknown" above the threshold)
+    const identityIds = detections.map(() => null); // Matched identity id per face, or null
+    const labels = detections.map((detection, index) => {
+      let label = trackIds[index] !== undefined ? `Face #${trackIds[index]}` : 'Face';
+      if (faceMatcher && detection.descriptor) {
+        const match = faceMatcher.findBestMatch(detection.descriptor);
+        const isKnown = match.label !== 'unknown' && Boolean(identityNames[match.label]);
+        identityIds[index] = isKnown ? match.label : null;
+        label += `: ${isKnown ? identityNames[match.label] : 'Unknown'} (${match.distance.toFixed(2)})`;
+      }
+      return label;
+    });
+
+    updateExpressions(detections, trackIds, timestamp);
+    const result = { detections, trackIds, labels, identityIds, timestamp, updatedAt: clock() };
+    emitter.emit('detections', result);
+    return result;
+  };
+
+  // Stops the running detection loop, if any
+  const stop = () => {
+    if (stopLoop) {
+      stopLoop();
+      stopLoop = null;
+      setState('ready');
+    }
+  };
+
+  // Runs the detection loop on `video`: a 'frame' event for every presented frame, and a new inference whenever
+  // none is in flight and the adaptive interval (based on measured inference latency) has elapsed.
+  // The loop stops by itself when the video pauses or ends; call start() again on 'play'.
+  const start = (video, { displaySize = { width: video.videoWidth, height: video.videoHeight } } = {}) => {
+    assertUsable();
+    if (!detector || !faceapi) {
+      throw new Error('The face tracker is not loaded yet; call load() first.');
+    }
+    stop();
+    const rate = createRateController(rateOptions);
+    let lastStatsUpdate = -Infinity;
+    stopLoop = frameLoop(video, (frameTime) => {
+      if (video.paused || video.ended) {
+        stop();
+        return;
+      }
+      emitter.emit('frame', { source: video, now: frameTime });
+      rate.frameDrawn(frameTime);
+
+      if (rate.shouldStart(frameTime)) {
+        rate.start(frameTime);
+        analyze(video, { displaySize })
+          .catch(reportError)
+          .finally(() => rate.finish(clock()));
+      }
+
+      if (frameTime - lastStatsUpdate >= STATS_INTERVAL_MS) {
+        lastStatsUpdate = frameTime;
+        perfStats = { ...rate.getStats(), mode: detector ? detector.mode : '' };
+        emitter.emit('stats', perfStats);
+      }
+    });
+    setState('running');
+  };
+
+  // Forgets every track and the expression totals; face ids restart from #1
+  const resetTracking = () => {
+    tracks = createMultiFaceTracker(trackerOptions);
+    expressionCounts = createEmptyCounts();
+    dominantByTrack = new Map();
+  };
+
+  // Stops the loop, releases the detector (and its worker) and drops every listener
+  const dispose = () => {
+    if (state === 'disposed') {
+      return;
+    }
+    stop();
+    setState('disposed');
+    if (detector && ownsDetector) {
+      detector.dispose();
+    }
+    detector = null;
+    emitter.clear();
+  };
+
+  return {
+    on: emitter.on,
+    off: emitter.off,
+    load,
+    configure,
+    analyze,
+    start,
+    stop,
+    resetTracking,
+    dispose,
+    getState: () => state,
+    isRunning: () => stopLoop !== null,
+    getFaceApi: () => faceapi,
+    getDetector: () => detector,
+    // { tracks, expressionCounts, perf } - per-track statistics (see createMultiFaceTracker), dominant-expression
+    // frame counts and the loop's latest frame rates
+    getStats: () => ({ tracks: tracks.getStats(), expressionCounts: { ...expressionCounts }, perf: perfStats }),
+  };
+};
@@ -0,0 +1,47 @@
+// Drawing of one displayed frame: the source (video or image) with privacy anonymization, then the detection
+// overlay plugins. Used for the live canvas and for snapshots, so a snapshot shows exactly what is on screen.
+
+import { anonymizeFaces, anonymizeFrame } from './anonymize';
+import { drawOverlayPlugins, getDefaultOverlaySettings } from './overlayPlugins';
+
+const PRIVACY_STALE_RESULT_MS = 1500; // In privacy mode, obscure the whole frame if detections are older than this
+
+// Draws `source` over the whole canvas of `context` (mirrored horizontally when `mirror` is set) and hides
+// faces as the privacy settings require. `result` is the latest detection result or null; it counts as stale
+// when older than PRIVACY_STALE_RESULT_MS at `now`. Returns the indexes of the anonymized faces in `result.detections`.
+export const drawSourceFrame = (context, source, mirror, result, privacy, now = performance.now()) => {
+  const { canvas } = context;
+
+  // Draw the current frame onto the canvas FIRST
+  context.clearRect(0, 0, canvas.width, canvas.height); // Clear previous frame
+  context.save(); // Save the current canvas state
+  if (mirror) {
+    context.scale(-1, 1); // Flip horizontally for mirror effect
+    context.translate(-canvas.width, 0); // Translate back to draw correctly
+  }
+  context.drawImage(source, 0, 0, canvas.width, canvas.height); // Draw video frame
+
+  // Privacy mode hides faces in the same (possibly mirrored) coordinate space as the frame,
+  // before any overlay is drawn, so the canvas - and therefore any recording - never shows them
+  let hidden = []; // Indexes of the faces that were anonymized
+  if (privacy.enabled) {
+    if (!result || now - result.updatedAt > PRIVACY_STALE_RESULT_MS) {
+      anonymizeFrame(context, source, privacy); // No recent detections to rely on: hide everything
+    } else {
+      hidden = result.detections
+        .map((detection, index) => index)
+        .filter(index => !(privacy.exemptEnrolled && result.identityIds[index]) &&
+          !privacy.exemptTrackIds.includes(result.trackIds[index]));
+      anonymizeFaces(context, source, hidden.map(index => result.detections[index]), privacy);
+    }
+  }
+  context.restore(); // Restore the canvas state
+  return hidden;
+};
+
+// Draws the detection overlay for `result` on `canvas` with the enabled overlay plugins (`settings` maps plugin
+// ids to booleans); faces listed in `hidden` were anonymized and each plugin decides what it still shows for them.
+// `mirror` must match the frame's (see drawSourceFrame) so the overlay lines up with the faces as displayed
+export const drawDetectionOverlay = (faceapi, canvas, result, hidden = [], settings = getDefaultOverlaySettings(), mirror = false) => {
+  drawOverlayPlugins(canvas.getContext('2d'), result, hidden, settings, { faceapi, canvas, mirrored: mirror });
+};
@@ -0,0 +1,105 @@
+// Approximate head pose (yaw, pitch, roll) from the 68 face landmarks, without a 3D face model.
+// Roll comes from the eye line; yaw and pitch from where the nose tip sits between the face edges
+// and between the eye line and the chin once roll is undone. Good to within ~10° for moderate angles,
+// which is plenty for "looking at the screen or not".
+//
+// Conventions (image space, y down), all in degrees:
+//   yaw   > 0 when the nose points towards the image's right edge
+//   pitch > 0 when the head tilts down
+//   roll  > 0 when the head tilts clockwise in the image
+
+// 68-point indices (iBUG layout)
+const LEFT_EYE = [36, 37, 38, 39, 40, 41]; // Eye on the image's left
+const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+const JAW_LEFT = 0;
+const JAW_RIGHT = 16;
+const CHIN = 8;
+const NOSE_TIP = 30;
+
+// Nose-tip height between the eye line (0) and the chin (1) for a face looking straight at the camera,
+// and how far that ratio moves for a 90° pitch
+const NEUTRAL_NOSE_HEIGHT = 0.36;
+const NOSE_HEIGHT_RANGE = 0.3;
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const clampUnit = (value) => Math.max(-1, Math.min(1, value));
+
+const centroid = (positions, indices) => {
+  const sum = indices.reduce((acc, index) => ({ x: acc.x + positions[index].x, y: acc.y + positions[index].y }), { x: 0, y: 0 });
+  return { x: sum.x / indices.length, y: sum.y / indices.length };
+};
+
+// Estimates { yaw, pitch, roll } in degrees from FaceLandmarks68 positions ({ x, y } points)
+export const estimateHeadPose = (positions) => {
+  if (!positions || positions.length < 68) {
+    return null;
+  }
+  const leftEye = centroid(positions, LEFT_EYE);
+  const rightEye = centroid(positions, RIGHT_EYE);
+  const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+
+  // Express the other points relative to the eye midpoint with the roll removed, so the eye line is the x axis
+  const origin = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+  const cos = Math.cos(-roll);
+  const sin = Math.sin(-roll);
+  const unroll = ({ x, y }) => {
+    const dx = x - origin.x;
+    const dy = y - origin.y;
+    return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+  };
+  const nose = unroll(positions[NOSE_TIP]);
+  const jawLeft = unroll(positions[JAW_LEFT]);
+  const jawRight = unroll(positions[JAW_RIGHT]);
+  const chin = unroll(positions[CHIN]);
+
+  const faceWidth = jawRight.x - jawLeft.x;
+  if (faceWidth <= 0 || chin.y <= 0) {
+    return null; // Degenerate landmarks (e.g. a face seen edge-on)
+  }
+  // -1 with the nose at the left face edge, +1 at the right edge
+  const yawRatio = ((nose.x - jawLeft.x) - (jawRight.x - nose.x)) / faceWidth;
+  const pitchRatio = (nose.y / chin.y - NEUTRAL_NOSE_HEIGHT) / NOSE_HEIGHT_RANGE;
+
+  return {
+    yaw: toDegrees(Math.asin(clampUnit(yawRatio))),
+    pitch: toDegrees(Math.asin(clampUnit(pitchRatio))),
+    roll: toDegrees(roll),
+  };
+};
+
+// Projects the head's x (right), y (up) and z (out of the face) axes onto the image plane.
+// Returns unit-length 2D vectors { x, y, z } (each { dx, dy }) for drawing an axis gizmo.
+export const projectPoseAxes = ({ yaw, pitch, roll }) => {
+  const [y, p, r] = [yaw, pitch, roll].map(degrees => (degrees * Math.PI) / 180);
+  const project = ([vx, vy, vz]) => {
+    // Pitch about the x axis, then yaw about the vertical axis, then roll in the image plane
+    const y1 = vy * Math.cos(p) + vz * Math.sin(p);
+    const z1 = -vy * Math.sin(p) + vz * Math.cos(p);
+    const x2 = vx * Math.cos(y) + z1 * Math.sin(y);
+    return { dx: x2 * Math.cos(r) - y1 * Math.sin(r), dy: x2 * Math.sin(r) + y1 * Math.cos(r) };
+  };
+  return {
+    x: project([1, 0, 0]),
+    y: project([0, -1, 0]), // Up is -y in image space
+    z: project([0, 0, 1]),
+  };
+};
+
+const AXIS_COLORS = { x: '#ef4444', y: '#22c55e', z: '#3b82f6' };
+
+// Draws the pose axes from the nose tip of a landmarked detection; `length` is in canvas pixels
+export const drawPoseGizmo = (ctx, positions, pose, length) => {
+  const originPoint = positions[NOSE_TIP];
+  const axes = projectPoseAxes(pose);
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  Object.entries(axes).forEach(([axis, { dx, dy }]) => {
+    ctx.strokeStyle = AXIS_COLORS[axis];
+    ctx.beginPath();
+    ctx.moveTo(originPoint.x, originPoint.y);
+    ctx.lineTo(originPoint.x + dx * length, originPoint.y + dy * length);
+    ctx.stroke();
+  });
+  ctx.restore();
+};
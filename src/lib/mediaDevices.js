@@ -0,0 +1,57 @@
+// Helpers for choosing cameras/microphones and building getUserMedia constraints
+
+// Capture resolutions offered in the settings panel ('default' lets the browser decide)
+export const RESOLUTION_PRESETS = [
+  { id: 'default', label: 'Browser default' },
+  { id: '480p', label: '640 × 480', width: 640, height: 480 },
+  { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+];
+
+// Frame rates offered in the settings panel (0 lets the browser decide)
+export const FRAME_RATES = [0, 15, 24, 30, 60];
+
+export const DEFAULT_MEDIA_SETTINGS = {
+  videoDeviceId: '', // '' means the browser's default camera
+  audioDeviceId: '', // '' means the browser's default microphone
+  resolution: 'default', // One of RESOLUTION_PRESETS ids
+  frameRate: 0, // One of FRAME_RATES
+  recordAudio: false, // Mix the selected microphone into recordings
+};
+
+// Lists the available cameras and microphones. Labels are empty until the user has granted access.
+export const listMediaDevices = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return { videoInputs: [], audioInputs: [] };
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const describe = (kind, fallbackLabel) => devices
+    .filter(device => device.kind === kind && device.deviceId)
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `${fallbackLabel} ${index + 1}` }));
+  return {
+    videoInputs: describe('videoinput', 'Camera'),
+    audioInputs: describe('audioinput', 'Microphone'),
+  };
+};
+
+// Builds the `video` constraint for getUserMedia from the media settings
+export const buildVideoConstraints = ({ videoDeviceId, resolution, frameRate }) => {
+  const constraints = {};
+  if (videoDeviceId) {
+    constraints.deviceId = { exact: videoDeviceId };
+  }
+  const preset = RESOLUTION_PRESETS.find(option => option.id === resolution);
+  if (preset && preset.width) {
+    constraints.width = { ideal: preset.width };
+    constraints.height = { ideal: preset.height };
+  }
+  if (frameRate) {
+    constraints.frameRate = { ideal: frameRate };
+  }
+  return Object.keys(constraints).length > 0 ? constraints : true;
+};
+
+// Builds the `audio` constraint for getUserMedia from the media settings
+export const buildAudioConstraints = ({ audioDeviceId }) => (
+  audioDeviceId ? { deviceId: { exact: audioDeviceId } } : true
+);
@@ -0,0 +1,175 @@
+// Downloads and verifies the face-api.js model weights before they are handed to the networks.
+// Each model is a `<file>-weights_manifest.json` listing weight groups and the shard files holding them;
+// we check the manifest's shape, that every shard exists, and that the shards add up to exactly the bytes
+// the manifest describes, so a missing or truncated file is reported by name instead of surfacing as an
+// opaque tensor error deep inside face-api.js.
+
+// Models used by the app, in loading order. `net` is the property on `faceapi.nets`; `onDemand` models are
+// not loaded at startup but fetched with fetchModelWeights when a setting first needs them.
+export const FACE_MODELS = [
+  { net: 'tinyFaceDetector', file: 'tiny_face_detector_model', label: 'Face detector', required: true },
+  { net: 'faceLandmark68Net', file: 'face_landmark_68_model', label: 'Facial landmarks', required: true },
+  { net: 'faceExpressionNet', file: 'face_expression_model', label: 'Expressions', required: true },
+  // Only needed for enrollment and identification; tracking works without it
+  { net: 'faceRecognitionNet', file: 'face_recognition_model', label: 'Face recognition', required: false },
+  // Alternative detector selected in the detector settings (ships as a single .bin shard)
+  { net: 'ssdMobilenetv1', file: 'ssd_mobilenetv1_model', label: 'SSD MobileNet detector', required: false, onDemand: true },
+];
+
+// Models loaded by loadModelFiles at startup
+export const STARTUP_MODELS = FACE_MODELS.filter(model => !model.onDemand);
+
+// Bytes per element for each stored dtype (quantized weights are stored as uint8/uint16)
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1, uint8: 1, uint16: 2 };
+
+// Error for a model whose files are missing, malformed or don't match their manifest
+export class ModelIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelIntegrityError';
+  }
+}
+
+// Number of bytes a weight occupies in the shards, according to its manifest entry
+const weightByteLength = (spec) => {
+  const elements = spec.shape.reduce((product, dimension) => product * dimension, 1);
+  const storedDtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+  const bytes = DTYPE_BYTES[storedDtype];
+  if (!bytes) {
+    throw new ModelIntegrityError(`Weight "${spec.name}" has unsupported dtype "${storedDtype}".`);
+  }
+  return elements * bytes;
+};
+
+// Checks a parsed manifest and returns { paths, specs, expectedBytes }
+export const validateManifest = (manifest, file) => {
+  if (!Array.isArray(manifest) || manifest.length === 0) {
+    throw new ModelIntegrityError(`${file} manifest is not a list of weight groups.`);
+  }
+  const paths = [];
+  const specs = [];
+  manifest.forEach((group, index) => {
+    if (!group || !Array.isArray(group.paths) || group.paths.length === 0 || !Array.isArray(group.weights)) {
+      throw new ModelIntegrityError(`${file} manifest group ${index} has no shard paths or weights.`);
+    }
+    group.weights.forEach(spec => {
+      if (!spec || typeof spec.name !== 'string' || !Array.isArray(spec.shape)) {
+        throw new ModelIntegrityError(`${file} manifest group ${index} has a malformed weight entry.`);
+      }
+    });
+    paths.push(...group.paths);
+    specs.push(...group.weights);
+  });
+  const expectedBytes = specs.reduce((sum, spec) => sum + weightByteLength(spec), 0);
+  return { paths, specs, expectedBytes };
+};
+
+// Reads a response body, reporting the bytes received so far through `onBytes(delta)`
+const readWithProgress = async (response, onBytes) => {
+  if (!response.body || !response.body.getReader) {
+    const buffer = await response.arrayBuffer();
+    onBytes(buffer.byteLength);
+    return new Uint8Array(buffer);
+  }
+  const reader = response.body.getReader();
+  const parts = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    parts.push(value);
+    length += value.byteLength;
+    onBytes(value.byteLength);
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  });
+  return bytes;
+};
+
+// Downloads one model and verifies it against its manifest.
+// Resolves with { specs, data } where `data` is the ArrayBuffer of all shards concatenated in manifest order.
+// `onProgress({ loaded, total })` is called as shard bytes arrive.
+export const fetchModelWeights = async (modelUrl, model, onProgress = () => {}) => {
+  const manifestName = `${model.file}-weights_manifest.json`;
+  const manifestResponse = await fetch(`${modelUrl}/${manifestName}`);
+  if (!manifestResponse.ok) {
+    throw new ModelIntegrityError(`${manifestName} could not be loaded (HTTP ${manifestResponse.status}).`);
+  }
+  let manifest;
+  try {
+    manifest = await manifestResponse.json();
+  } catch {
+    throw new ModelIntegrityError(`${manifestName} is not valid JSON.`);
+  }
+  const { paths, specs, expectedBytes } = validateManifest(manifest, manifestName);
+
+  let loaded = 0;
+  onProgress({ loaded, total: expectedBytes });
+
+  // Request every shard first so a missing file is reported before we spend time downloading the rest
+  const responses = await Promise.all(paths.map(shard => fetch(`${modelUrl}/${shard}`)));
+  const missing = paths.filter((shard, index) => !responses[index].ok);
+  if (missing.length > 0) {
+    responses.forEach(response => response.body && response.body.cancel && response.body.cancel().catch(() => {}));
+    throw new ModelIntegrityError(`${manifestName} references missing shard${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`);
+  }
+
+  const shards = [];
+  for (const response of responses) {
+    shards.push(await readWithProgress(response, (delta) => {
+      loaded += delta;
+      onProgress({ loaded, total: expectedBytes });
+    }));
+  }
+
+  const actualBytes = shards.reduce((sum, shard) => sum + shard.byteLength, 0);
+  if (actualBytes !== expectedBytes) {
+    throw new ModelIntegrityError(`${model.file} shards hold ${actualBytes} bytes but the manifest describes ${expectedBytes}; a shard is truncated or from a different model version.`);
+  }
+
+  const data = new Uint8Array(actualBytes);
+  let offset = 0;
+  shards.forEach(shard => {
+    data.set(shard, offset);
+    offset += shard.byteLength;
+  });
+  return { specs, data: data.buffer };
+};
+
+// Downloads every model in STARTUP_MODELS in parallel.
+// `onModelProgress(net, { status, loaded, total, message })` reports each model's state, where status is
+// 'loading', 'ready' or 'failed'. Resolves with { weights: { [net]: { specs, data } }, failures: [{ model, message }] };
+// never rejects for a single model, so the caller decides which failures are fatal.
+export const loadModelFiles = async (modelUrl, onModelProgress = () => {}) => {
+  const weights = {};
+  const failures = [];
+  await Promise.all(STARTUP_MODELS.map(async model => {
+    let progress = { loaded: 0, total: 0 };
+    try {
+      onModelProgress(model.net, { status: 'loading', ...progress });
+      weights[model.net] = await fetchModelWeights(modelUrl, model, (update) => {
+        progress = update;
+        onModelProgress(model.net, { status: 'loading', ...progress });
+      });
+      onModelProgress(model.net, { status: 'ready', loaded: progress.total, total: progress.total });
+    } catch (err) {
+      const message = err instanceof ModelIntegrityError ? err.message : `${model.file}: ${err.message}`;
+      failures.push({ model, message });
+      onModelProgress(model.net, { status: 'failed', ...progress, message });
+    }
+  }));
+  return { weights, failures };
+};
+
+// Loads verified weights (from loadModelFiles) into a face-api.js instance's networks
+export const applyModelWeights = (faceapi, weights) => {
+  Object.entries(weights).forEach(([net, { specs, data }]) => {
+    faceapi.nets[net].loadFromWeightMap(faceapi.tf.io.decodeWeights(data, specs));
+  });
+};
@@ -0,0 +1,131 @@
+// Associates per-frame face detections into persistent tracks with stable ids and per-track statistics.
+// detectAllFaces returns faces in no particular order, so each frame is matched against the known tracks
+// by box overlap (IoU), falling back to landmark-centroid distance for small or fast-moving faces.
+
+import { createEmptyCounts, getDominantExpression } from './expressions';
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  minIou: 0.3, // Minimum box overlap for a detection to continue a track
+  maxCentroidDistance: 0.5, // Fallback: max landmark-centroid distance, as a fraction of the track's box diagonal
+  maxMissingMs: 1500, // How long a track survives without detections (brief dropouts, occlusions)
+};
+
+// Intersection-over-union of two { x, y, width, height } boxes
+export const boxIou = (a, b) => {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+// Mean position of a detection's landmarks, or its box centre when landmarks are missing
+const centroidOf = (detection) => {
+  const points = detection.landmarks ? detection.landmarks.positions : [];
+  if (points.length === 0) {
+    const { x, y, width, height } = detection.detection.box;
+    return { x: x + width / 2, y: y + height / 2 };
+  }
+  const sum = points.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+};
+
+// Creates a tracker instance; `update` is called once per analysed frame
+export const createMultiFaceTracker = (options = {}) => {
+  const settings = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+  let nextId = 1;
+  let tracks = []; // Live tracks that can still be matched
+  let history = []; // Every track ever created, for statistics
+
+  // Similarity score of a detection against a track (higher is better), or -1 if they cannot match
+  const score = (track, box, centroid) => {
+    const iou = boxIou(track.box, box);
+    if (iou >= settings.minIou) {
+      return 1 + iou; // Overlap matches always beat centroid fallbacks
+    }
+    const diagonal = Math.hypot(track.box.width, track.box.height);
+    const distance = Math.hypot(track.centroid.x - centroid.x, track.centroid.y - centroid.y);
+    return distance <= settings.maxCentroidDistance * diagonal ? 1 - distance / diagonal : -1;
+  };
+
+  // Associates `detections` with tracks and returns one track id per detection (same order)
+  const update = (detections, timestamp = Date.now()) => {
+    // Tracks that have been missing for too long are retired
+    tracks = tracks.filter(track => timestamp - track.lastSeen <= settings.maxMissingMs);
+
+    const candidates = detections.map(detection => {
+      const { x, y, width, height } = detection.detection.box;
+      return { detection, box: { x, y, width, height }, centroid: centroidOf(detection) };
+    });
+
+    // Greedy assignment: best-scoring (track, detection) pairs first
+    const pairs = [];
+    tracks.forEach(track => {
+      candidates.forEach((candidate, index) => {
+        const value = score(track, candidate.box, candidate.centroid);
+        if (value >= 0) {
+          pairs.push({ track, index, value });
+        }
+      });
+    });
+    pairs.sort((a, b) => b.value - a.value);
+
+    const assigned = new Array(candidates.length).fill(null);
+    const usedTracks = new Set();
+    pairs.forEach(({ track, index }) => {
+      if (assigned[index] === null && !usedTracks.has(track)) {
+        assigned[index] = track;
+        usedTracks.add(track);
+      }
+    });
+
+    return candidates.map((candidate, index) => {
+      let track = assigned[index];
+      if (!track) {
+        track = {
+          id: nextId++,
+          firstSeen: timestamp,
+          lastSeen: timestamp,
+          visibleMs: 0,
+          expressionCounts: createEmptyCounts(),
+          box: candidate.box,
+          centroid: candidate.centroid,
+        };
+        tracks.push(track);
+        history.push(track);
+      } else {
+        // Time between consecutive sightings counts as on-screen time, unless the face dropped out
+        const gap = timestamp - track.lastSeen;
+        track.visibleMs += gap <= settings.maxMissingMs ? gap : 0;
+        track.lastSeen = timestamp;
+        track.box = candidate.box;
+        track.centroid = candidate.centroid;
+      }
+      if (candidate.detection.expressions) {
+        track.expressionCounts[getDominantExpression(candidate.detection.expressions)]++;
+      }
+      return track.id;
+    });
+  };
+
+  // Plain snapshot of every track's statistics, suitable for React state
+  const getStats = () => history.map(track => ({
+    id: track.id,
+    firstSeen: track.firstSeen,
+    lastSeen: track.lastSeen,
+    visibleMs: track.visibleMs,
+    expressionCounts: { ...track.expressionCounts },
+    active: tracks.includes(track),
+  }));
+
+  // Forgets every track and restarts ids from 1
+  const reset = () => {
+    nextId = 1;
+    tracks = [];
+    history = [];
+  };
+
+  return { update, getStats, reset };
+};
@@ -0,0 +1,295 @@
+// Pluggable detection overlay. Every plugin draws one face at a time on the 2D context of the output canvas,
+// so whatever it draws also ends up in recordings and snapshots. Plugins run in registration order and are
+// toggled by id; the built-ins are the face-api.js drawings (boxes, landmarks, expressions), the head-pose
+// axes and a few AR effects anchored to the landmarks (glasses, hat, mask, expression emoji).
+//
+// A plugin is { id, label, group, description, defaultEnabled, draw(context, face, env) } where
+//   face = { detection, box, landmarks, expressions, label, trackId, pose, hidden }
+//          (`detection` is the resized face-api result, `landmarks` its 68 points or null, `hidden` is true
+//          for faces the privacy mode anonymized)
+//   env  = { faceapi, canvas, mirrored, toScreenBox(box), drawUnmirrored(draw) }
+//
+// Detections are in source coordinates, so plugins draw under the same mirror transform as the webcam frame
+// and their shapes land on the face as displayed. Text would come out mirrored that way: plugins draw it inside
+// `drawUnmirrored`, placed with `toScreenBox` (a box as it appears on the canvas, flipped when `mirrored`).
+
+import { drawPoseGizmo } from './headPose';
+import { getDominantExpression } from './expressions';
+
+const STORAGE_KEY = 'face-tracking-overlay-settings';
+
+const plugins = new Map(); // id -> plugin, in drawing order
+
+// Adds (or replaces) a plugin; returns a function that removes it again
+export const registerOverlayPlugin = (plugin) => {
+  if (!plugin || !plugin.id || typeof plugin.draw !== 'function') {
+    throw new Error('An overlay plugin needs an id and a draw(context, face, env) function.');
+  }
+  plugins.set(plugin.id, { group: 'Custom', description: '', defaultEnabled: false, label: plugin.id, ...plugin });
+  return () => plugins.delete(plugin.id);
+};
+
+// Registered plugins in drawing order
+export const getOverlayPlugins = () => [...plugins.values()];
+
+// { [id]: enabled } with every plugin's default
+export const getDefaultOverlaySettings = () => Object.fromEntries(getOverlayPlugins().map(plugin => [plugin.id, plugin.defaultEnabled]));
+
+// Reads the persisted toggles; plugins the stored settings don't mention keep their default
+export const loadOverlaySettings = () => {
+  const defaults = getDefaultOverlaySettings();
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(defaults).map(([id, enabled]) => [id, typeof stored[id] === 'boolean' ? stored[id] : enabled]));
+  } catch {
+    return defaults; // Unavailable storage or corrupt JSON
+  }
+};
+
+export const saveOverlaySettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Not persisted; the toggles still apply to this page load
+  }
+};
+
+// Draws every enabled plugin for every face of `result`. A failing plugin is reported once and skipped,
+// so one broken effect can't take the whole overlay (and the recording) down with it.
+const failedPlugins = new Set();
+export const drawOverlayPlugins = (context, result, hidden, settings, { mirrored = false, ...env }) => {
+  const { width } = context.canvas;
+  const pluginEnv = {
+    ...env,
+    mirrored,
+    toScreenBox: (box) => (mirrored ? { x: width - box.x - box.width, y: box.y, width: box.width, height: box.height } : box),
+    drawUnmirrored: (draw) => {
+      context.save();
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      try {
+        draw();
+      } finally {
+        context.restore();
+      }
+    },
+  };
+  const faces = result.detections.map((detection, index) => ({
+    detection,
+    box: detection.detection.box,
+    landmarks: detection.landmarks ? detection.landmarks.positions : null,
+    expressions: detection.expressions || null,
+    label: result.labels[index],
+    trackId: result.trackIds[index],
+    pose: result.poses ? result.poses[index] : null,
+    hidden: hidden.includes(index),
+  }));
+  plugins.forEach(plugin => {
+    if (!settings[plugin.id] || failedPlugins.has(plugin.id)) {
+      return;
+    }
+    faces.forEach(face => {
+      context.save();
+      if (mirrored) {
+        context.translate(width, 0); // Same flip as the webcam frame (see drawSourceFrame)
+        context.scale(-1, 1);
+      }
+      try {
+        plugin.draw(context, face, pluginEnv);
+      } catch (err) {
+        failedPlugins.add(plugin.id);
+        console.error(`Overlay plugin "${plugin.id}" failed and was disabled:`, err);
+      } finally {
+        context.restore();
+      }
+    });
+  });
+};
+
+// --- Helpers for landmark-anchored effects ---
+
+const images = new Map(); // src -> HTMLImageElement, loaded on first use
+
+// Returns the image once it has loaded, or null (the effect simply appears a few frames later)
+const getImage = (src) => {
+  let image = images.get(src);
+  if (!image) {
+    image = new Image();
+    image.src = src;
+    images.set(src, image);
+  }
+  return image.complete && image.naturalWidth > 0 ? image : null;
+};
+
+const centroid = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+});
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Face geometry from the 68 landmarks: eye centres, their midpoint, the in-plane rotation and the face width
+const faceFrame = (landmarks) => {
+  const leftEye = centroid(landmarks.slice(36, 42));
+  const rightEye = centroid(landmarks.slice(42, 48));
+  return {
+    leftEye,
+    rightEye,
+    eyeMid: { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 },
+    angle: Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x),
+    eyeDistance: distance(leftEye, rightEye),
+    faceWidth: distance(landmarks[0], landmarks[16]),
+  };
+};
+
+// Draws `image` centred on `center`, `width` wide (height from its aspect ratio), rotated by `angle` radians;
+// `anchorY` (0 = top, 1 = bottom) is the point of the image placed on `center`
+const drawAnchoredImage = (context, image, center, width, angle, anchorY = 0.5) => {
+  const height = width * (image.naturalHeight / image.naturalWidth);
+  context.translate(center.x, center.y);
+  context.rotate(angle);
+  context.drawImage(image, -width / 2, -height * anchorY, width, height);
+};
+
+// Emoji shown for each dominant expression
+const EXPRESSION_EMOJI = {
+  neutral: '😐',
+  happy: '😄',
+  sad: '😢',
+  angry: '😠',
+  fearful: '😨',
+  disgusted: '🤢',
+  surprised: '😮',
+};
+
+// --- Built-in plugins ---
+
+// AR effects first, so the analysis drawings stay readable on top of them
+registerOverlayPlugin({
+  id: 'mask',
+  label: 'Face mask',
+  group: 'AR effects',
+  description: 'A mask over the nose and mouth, following the nose bridge and chin.',
+  defaultEnabled: false,
+  draw: (context, face) => {
+    const image = getImage('/overlays/mask.svg');
+    if (!image || !face.landmarks) {
+      return;
+    }
+    const { angle, faceWidth } = faceFrame(face.landmarks);
+    const bridge = face.landmarks[28];
+    const chin = face.landmarks[8];
+    const center = { x: (bridge.x + chin.x) / 2, y: (bridge.y + chin.y) / 2 };
+    drawAnchoredImage(context, image, center, faceWidth * 1.05, angle, 0.45);
+  },
+});
+
+registerOverlayPlugin({
+  id: 'glasses',
+  label: 'Glasses',
+  group: 'AR effects',
+  description: 'Glasses centred and rotated on the eyes.',
+  defaultEnabled: false,
+  draw: (context, face) => {
+    const image = getImage('/overlays/glasses.svg');
+    if (!image || !face.landmarks) {
+      return;
+    }
+    const { eyeMid, angle, eyeDistance } = faceFrame(face.landmarks);
+    drawAnchoredImage(context, image, eyeMid, eyeDistance * 2.3, angle, 0.45);
+  },
+});
+
+registerOverlayPlugin({
+  id: 'hat',
+  label: 'Hat',
+  group: 'AR effects',
+  description: 'A top hat sitting above the eyebrows, tilting with the head.',
+  defaultEnabled: false,
+  draw: (context, face) => {
+    const image = getImage('/overlays/hat.svg');
+    if (!image || !face.landmarks) {
+      return;
+    }
+    const { angle, faceWidth } = faceFrame(face.landmarks);
+    // The brim rests on the forehead, about 0.35 face widths above the brow line, along the head's "up"
+    const brows = centroid(face.landmarks.slice(17, 27));
+    const lift = faceWidth * 0.35;
+    const brim = { x: brows.x + Math.sin(angle) * lift, y: brows.y - Math.cos(angle) * lift };
+    drawAnchoredImage(context, image, brim, faceWidth * 1.4, angle, 0.85);
+  },
+});
+
+registerOverlayPlugin({
+  id: 'boxes',
+  label: 'Boxes and labels',
+  group: 'Face analysis',
+  description: 'Detection box with the track id and recognized name (only the track id for anonymized faces).',
+  defaultEnabled: true,
+  draw: (context, face, { faceapi, canvas, toScreenBox, drawUnmirrored }) => {
+    const label = face.hidden ? `Face #${face.trackId}` : face.label;
+    // The box is symmetric, so the whole drawing can go unmirrored at the box's on-screen position
+    drawUnmirrored(() => new faceapi.draw.DrawBox(toScreenBox(face.box), { label }).draw(canvas));
+  },
+});
+
+registerOverlayPlugin({
+  id: 'landmarks',
+  label: 'Landmarks',
+  group: 'Face analysis',
+  description: 'The 68 facial landmark points (not drawn on anonymized faces, they outline the face).',
+  defaultEnabled: true,
+  draw: (context, face, { faceapi, canvas }) => {
+    if (face.detection.landmarks && !face.hidden) {
+      new faceapi.draw.DrawFaceLandmarks(face.detection.landmarks).draw(canvas);
+    }
+  },
+});
+
+registerOverlayPlugin({
+  id: 'expressions',
+  label: 'Expressions',
+  group: 'Face analysis',
+  description: 'Expression probabilities under the box (needs the expression network).',
+  defaultEnabled: true,
+  draw: (context, face, { faceapi, canvas, toScreenBox, drawUnmirrored }) => {
+    if (face.expressions) {
+      const box = toScreenBox(face.box);
+      // Passing the expressions alone (not the detection) makes face-api use the on-screen anchor
+      drawUnmirrored(() => faceapi.draw.drawFaceExpressions(canvas, face.detection.expressions, 0.1, { x: box.x, y: box.y + box.height }));
+    }
+  },
+});
+
+registerOverlayPlugin({
+  id: 'pose',
+  label: 'Head pose axes',
+  group: 'Face analysis',
+  description: 'Yaw/pitch/roll as red, green and blue axes from the nose tip.',
+  defaultEnabled: true,
+  draw: (context, face) => {
+    if (face.pose && face.landmarks && !face.hidden) {
+      drawPoseGizmo(context, face.landmarks, face.pose, face.box.width * 0.5);
+    }
+  },
+});
+
+registerOverlayPlugin({
+  id: 'emoji',
+  label: 'Expression emoji',
+  group: 'AR effects',
+  description: 'An emoji for the dominant expression at the top corner of the box.',
+  defaultEnabled: false,
+  draw: (context, face, { toScreenBox, drawUnmirrored }) => {
+    if (!face.expressions) {
+      return;
+    }
+    const box = toScreenBox(face.box);
+    const size = Math.max(24, box.width * 0.35);
+    drawUnmirrored(() => {
+      context.font = `${size}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(EXPRESSION_EMOJI[getDominantExpression(face.expressions)], box.x + box.width, box.y);
+    });
+  },
+});
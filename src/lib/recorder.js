@@ -0,0 +1,319 @@
+// Framework-agnostic MediaRecorder wrapper: records a MediaStream, collecting a chunk every `timeslice`
+// milliseconds, and reports progress through events. Recordings can be paused and resumed, and split into
+// segments of `segmentMs` of recorded time, each a standalone file produced by its own MediaRecorder.
+//
+//   const recorder = createRecorder({ stream });
+//   recorder.on('stop', ({ blob }) => ...);
+//   recorder.start();
+//   ...
+//   await recorder.stop();
+//
+// Events:
+//   'state'    'inactive' | 'recording' | 'paused' | 'stopped'
+//   'data'     { chunk, size, segment } for every non-empty chunk (`size` is the total recorded so far,
+//              `segment` the index of the segment it belongs to)
+//   'rollover' { index, startedAt } when a new segment starts
+//   'segment'  { blob, mimeType, size, durationMs, index, startedAt, final } for every finished segment,
+//              including the last one (`final`)
+//   'stop'     the last segment's { blob, mimeType, size, durationMs, index, startedAt, final } once every
+//              segment is complete. Without segmenting, that is the whole recording.
+//   'error'    Error raised by a MediaRecorder
+//
+// Durations leave out paused time. Segments roll over when a chunk arrives after `segmentMs`, so they run up to
+// one timeslice longer.
+//
+// A MediaRecorder that is already running (e.g. a pre-roll buffer) can be adopted with `mediaRecorder`, its
+// buffered `initialChunks` and its `startedAt`. `MediaRecorderImpl` and `now` can be injected, which is how the
+// unit tests run it in Node.
+
+import { createEmitter } from './eventEmitter';
+
+// Recording formats in order of preference: webm with vp9, then vp8, then generic webm, then mp4 as a last resort
+export const RECORDING_MIME_TYPES = [
+  'video/webm; codecs=vp9,opus',
+  'video/webm; codecs=vp8,opus',
+  'video/webm; codecs=vp9',
+  'video/webm; codecs=vp8',
+  'video/webm',
+  'video/mp4; codecs=avc1,mp4a.40.2',
+  'video/mp4; codecs=avc1',
+  'video/mp4',
+];
+
+// Formats offered in the settings, each trying its MIME types in order
+export const RECORDING_FORMATS = [
+  { id: 'auto', label: 'Best available', mimeTypes: RECORDING_MIME_TYPES },
+  { id: 'webm', label: 'WebM (VP9/VP8)', mimeTypes: RECORDING_MIME_TYPES.filter(type => type.startsWith('video/webm')) },
+  { id: 'mp4', label: 'MP4 (H.264)', mimeTypes: RECORDING_MIME_TYPES.filter(type => type.startsWith('video/mp4')) },
+];
+
+export const DEFAULT_TIMESLICE_MS = 1000; // How often the recorder hands over a chunk
+
+// Segment lengths offered in the settings, in minutes (0 records a single file)
+export const SEGMENT_MINUTES = [0, 1, 5, 10, 30];
+
+export const DEFAULT_RECORDING_SETTINGS = {
+  format: 'auto', // One of RECORDING_FORMATS ids
+  segmentMinutes: 0, // One of SEGMENT_MINUTES
+};
+
+const STORAGE_KEY = 'face-tracking-recording-settings';
+
+// Coerces stored or user-provided values into valid settings
+export const normalizeRecordingSettings = (settings) => {
+  const merged = { ...DEFAULT_RECORDING_SETTINGS, ...settings };
+  return {
+    format: RECORDING_FORMATS.some(format => format.id === merged.format) ? merged.format : DEFAULT_RECORDING_SETTINGS.format,
+    segmentMinutes: SEGMENT_MINUTES.includes(Number(merged.segmentMinutes)) ? Number(merged.segmentMinutes) : DEFAULT_RECORDING_SETTINGS.segmentMinutes,
+  };
+};
+
+export const loadRecordingSettings = () => {
+  try {
+    return normalizeRecordingSettings(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+  } catch {
+    return DEFAULT_RECORDING_SETTINGS; // Unavailable storage or corrupt JSON
+  }
+};
+
+export const saveRecordingSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Not persisted; the settings still apply to this page load
+  }
+};
+
+// Returns the best MIME type of `format` the browser supports, or '' if it supports none of them
+export const getSupportedMimeType = (MediaRecorderImpl = globalThis.MediaRecorder, format = 'auto') => {
+  if (!MediaRecorderImpl) {
+    return '';
+  }
+  const { mimeTypes } = RECORDING_FORMATS.find(option => option.id === format) || RECORDING_FORMATS[0];
+  return mimeTypes.find(type => MediaRecorderImpl.isTypeSupported(type)) || '';
+};
+
+// Whether the browser can record `format` at all
+export const isFormatSupported = (format, MediaRecorderImpl = globalThis.MediaRecorder) => {
+  const option = RECORDING_FORMATS.find(candidate => candidate.id === format);
+  return Boolean(MediaRecorderImpl && option && option.mimeTypes.some(type => MediaRecorderImpl.isTypeSupported(type)));
+};
+
+// The container part of a MIME type, without codec parameters (e.g. 'video/mp4')
+export const getContainerType = (mimeType) => (mimeType ? mimeType.split(';')[0].trim() : '') || 'video/webm';
+
+// File extension for recordings of a MIME type
+export const getFileExtension = (mimeType) => {
+  const container = getContainerType(mimeType);
+  if (container === 'video/mp4') {
+    return 'mp4';
+  }
+  return container === 'video/x-matroska' ? 'mkv' : 'webm';
+};
+
+export const createRecorder = ({
+  stream, // MediaStream to record (defaults to the adopted recorder's stream)
+  mediaRecorder: adopted = null, // Already running MediaRecorder to take over
+  initialChunks = [], // Chunks the adopted recorder has already produced
+  startedAt: adoptedStartedAt = null, // When the adopted recorder started
+  MediaRecorderImpl = globalThis.MediaRecorder,
+  mimeType = adopted && adopted.mimeType ? adopted.mimeType : getSupportedMimeType(MediaRecorderImpl),
+  timeslice = DEFAULT_TIMESLICE_MS,
+  segmentMs = 0, // Recorded time per segment; 0 records a single file
+  now = () => Date.now(),
+} = {}) => {
+  const source = stream || (adopted && adopted.stream);
+  if (!source) {
+    throw new Error('A stream is required to record.');
+  }
+  if (!mimeType) {
+    throw new Error('Your browser does not support any of the required video recording formats (WebM, MP4).');
+  }
+  const emitter = createEmitter();
+  let state = 'inactive';
+  let size = 0; // Bytes over every segment
+  let completedMs = 0; // Recorded time of the segments before the current one
+  let current = null; // Segment being recorded: { index, mediaRecorder, chunks, size, startedAt, activeMs, activeSince, final }
+  const finishing = new Set(); // Segments whose MediaRecorder is flushing its last chunk
+  let lastResult = null; // 'segment' payload of the final segment
+  let stopping = null; // Promise returned by stop(), resolved by the 'stop' event
+  let resolveStop = null;
+  let disposed = false;
+
+  const setState = (next) => {
+    if (state !== next) {
+      state = next;
+      emitter.emit('state', next);
+    }
+  };
+
+  // Recorded time of a segment so far, without its paused time
+  const segmentElapsed = (segment) => segment.activeMs + (segment.activeSince === null ? 0 : now() - segment.activeSince);
+
+  // Stops counting a segment's time (pause, rollover or stop)
+  const freeze = (segment) => {
+    segment.activeMs = segmentElapsed(segment);
+    segment.activeSince = null;
+  };
+
+  const complete = () => {
+    setState('stopped');
+    if (!disposed) {
+      emitter.emit('stop', lastResult);
+    }
+    if (resolveStop) {
+      resolveStop(lastResult);
+    }
+  };
+
+  const finishSegment = (segment) => {
+    finishing.delete(segment);
+    const result = {
+      blob: new Blob(segment.chunks, { type: getContainerType(mimeType) }),
+      mimeType,
+      size: segment.size,
+      durationMs: segment.activeMs,
+      index: segment.index,
+      startedAt: segment.startedAt,
+      final: segment.final,
+    };
+    segment.chunks = []; // The blob holds them now
+    if (!disposed) {
+      emitter.emit('segment', result);
+    }
+    if (segment.final) {
+      lastResult = result;
+    }
+    if (stopping && lastResult && finishing.size === 0) {
+      complete();
+    }
+  };
+
+  // Starts a new segment on the same stream while the previous one flushes its last chunk
+  const rollover = () => {
+    const previous = current;
+    freeze(previous);
+    completedMs += previous.activeMs;
+    current = createSegment(previous.index + 1, new MediaRecorderImpl(source, { mimeType }), [], null);
+    current.mediaRecorder.start(timeslice);
+    current.startedAt = now();
+    current.activeSince = current.startedAt;
+    emitter.emit('rollover', { index: current.index, startedAt: current.startedAt });
+    finishing.add(previous);
+    previous.mediaRecorder.stop();
+  };
+
+  // Wires a MediaRecorder's events into a new segment record
+  const createSegment = (index, mediaRecorder, chunks, startedAt) => {
+    const segment = {
+      index,
+      mediaRecorder,
+      chunks: [...chunks],
+      size: chunks.reduce((total, chunk) => total + chunk.size, 0),
+      startedAt,
+      activeMs: 0,
+      activeSince: null,
+      final: false,
+    };
+    size += segment.size;
+    mediaRecorder.ondataavailable = (event) => {
+      if (!event.data || event.data.size === 0) {
+        return;
+      }
+      segment.chunks.push(event.data);
+      segment.size += event.data.size;
+      size += event.data.size;
+      emitter.emit('data', { chunk: event.data, size, segment: segment.index });
+      if (segmentMs > 0 && segment === current && state === 'recording' && !stopping && segmentElapsed(segment) >= segmentMs) {
+        rollover();
+      }
+    };
+    mediaRecorder.onerror = (event) => {
+      const err = event.error || new Error('The recorder failed.');
+      if (!emitter.emit('error', err)) {
+        console.error('Recorder error:', err);
+      }
+    };
+    mediaRecorder.onstop = () => finishSegment(segment);
+    return segment;
+  };
+
+  current = createSegment(0, adopted || new MediaRecorderImpl(source, { mimeType }), adopted ? initialChunks : [], adoptedStartedAt);
+
+  // Starts recording (or takes over the adopted recorder); chunks arrive every `timeslice` milliseconds
+  const start = () => {
+    if (state !== 'inactive') {
+      throw new Error('A recorder can only be started once.');
+    }
+    if (current.mediaRecorder.state === 'inactive') {
+      current.mediaRecorder.start(timeslice);
+      current.startedAt = now();
+    } else if (current.startedAt === null) {
+      current.startedAt = now();
+    }
+    current.activeSince = current.startedAt; // An adopted recorder's buffered time counts too
+    setState('recording');
+  };
+
+  const pause = () => {
+    if (state !== 'recording') {
+      return;
+    }
+    current.mediaRecorder.pause();
+    freeze(current);
+    setState('paused');
+  };
+
+  const resume = () => {
+    if (state !== 'paused') {
+      return;
+    }
+    current.mediaRecorder.resume();
+    current.activeSince = now();
+    setState('recording');
+  };
+
+  // Stops recording; resolves with the 'stop' event's payload
+  const stop = () => {
+    if (!stopping) {
+      stopping = new Promise(resolve => {
+        resolveStop = resolve;
+      });
+      freeze(current);
+      current.final = true;
+      if (current.mediaRecorder.state !== 'inactive') {
+        current.mediaRecorder.stop(); // Flushes the last chunk, then fires onstop
+      } else {
+        finishSegment(current);
+      }
+    }
+    return stopping;
+  };
+
+  // Stops recording without emitting events and drops every listener, e.g. when the owner unmounts
+  const dispose = () => {
+    if (disposed) {
+      return;
+    }
+    disposed = true;
+    emitter.clear();
+    if (current.mediaRecorder.state !== 'inactive') {
+      stop();
+    }
+  };
+
+  return {
+    on: emitter.on,
+    off: emitter.off,
+    start,
+    pause,
+    resume,
+    stop,
+    dispose,
+    getState: () => state,
+    getMimeType: () => mimeType,
+    getSize: () => size,
+    getDurationMs: () => completedMs + segmentElapsed(current),
+    getSegmentIndex: () => current.index,
+  };
+};
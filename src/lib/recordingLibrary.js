@@ -0,0 +1,124 @@
+// Local recording library persisted in IndexedDB.
+// Metadata (with a small thumbnail) lives in the `recordings` store so the gallery can list it cheaply;
+// the video blob and its sidecar files live in `recordingMedia` under the same id and are loaded on demand.
+
+import { STORES, getAll, getOne, putOne, withTransaction, promisifyRequest } from './db';
+
+const THUMBNAIL_WIDTH = 240; // Width of the stored thumbnail, in pixels
+
+// Generates a reasonably unique id for a new recording
+const createId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `rec-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Captures a JPEG data URL thumbnail of the canvas' current frame
+export const captureThumbnail = (canvas) => {
+  if (!canvas || canvas.width === 0 || canvas.height === 0) {
+    return null;
+  }
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = THUMBNAIL_WIDTH;
+  thumbnail.height = Math.round((canvas.height / canvas.width) * THUMBNAIL_WIDTH);
+  thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+  return thumbnail.toDataURL('image/jpeg', 0.7);
+};
+
+// Stores a finished recording: `blob`, `trackJson` and `vtt` go to the media store, the other fields are metadata.
+// Resolves with the stored metadata.
+export const saveRecording = async ({ blob, trackJson = null, vtt = null, ...details }) => {
+  const id = createId();
+  const startedAt = details.startedAt || Date.now();
+  const metadata = {
+    id,
+    name: details.name || `Recording ${new Date(startedAt).toLocaleString()}`,
+    startedAt,
+    durationMs: details.durationMs || 0,
+    mimeType: details.mimeType || blob.type,
+    size: blob.size,
+    thumbnail: details.thumbnail || null,
+    expressionSummary: details.expressionSummary || null,
+    trigger: details.trigger || null, // Auto-record rule that started the recording, if any
+    sessionId: details.sessionId || null, // Session running when the recording was made, for its report
+  };
+  await withTransaction([STORES.recordings, STORES.recordingMedia], 'readwrite', transaction => Promise.all([
+    promisifyRequest(transaction.objectStore(STORES.recordings).put(metadata)),
+    promisifyRequest(transaction.objectStore(STORES.recordingMedia).put({ id, blob, trackJson, vtt })),
+  ]));
+  return metadata;
+};
+
+// Returns the metadata of every stored recording, newest first
+export const listRecordings = async () => {
+  const recordings = await getAll(STORES.recordings);
+  return recordings.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// Loads a recording's video blob and sidecar files
+export const getRecordingMedia = async (id) => {
+  const media = await getOne(STORES.recordingMedia, id);
+  if (!media) {
+    throw new Error('The recording data is missing from local storage.');
+  }
+  return media;
+};
+
+// Merges `changes` into a stored recording's metadata and resolves with the updated metadata
+export const updateRecording = async (id, changes) => {
+  const recording = await getOne(STORES.recordings, id);
+  if (!recording) {
+    throw new Error('This recording no longer exists.');
+  }
+  const updated = { ...recording, ...changes, id };
+  await putOne(STORES.recordings, updated);
+  return updated;
+};
+
+// Renames a stored recording
+export const renameRecording = (id, name) => {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    return Promise.reject(new Error('Name cannot be empty.'));
+  }
+  return updateRecording(id, { name: trimmedName });
+};
+
+// Deletes a recording's metadata and media together
+export const deleteRecording = (id) => withTransaction([STORES.recordings, STORES.recordingMedia], 'readwrite', transaction => Promise.all([
+  promisifyRequest(transaction.objectStore(STORES.recordings).delete(id)),
+  promisifyRequest(transaction.objectStore(STORES.recordingMedia).delete(id)),
+]));
+
+// Reports storage usage for the origin: { usage, quota, persisted } (bytes), or null if unsupported
+export const getStorageEstimate = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  return { usage, quota, persisted };
+};
+
+// Asks the browser not to evict the app's storage under pressure; resolves with whether it agreed
+export const requestPersistentStorage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) {
+    return false;
+  }
+  return navigator.storage.persist();
+};
+
+// Formats a byte count for display
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
@@ -0,0 +1,108 @@
+// Crash recovery for recordings: every chunk is written to IndexedDB as it arrives, so a recording interrupted by
+// a crash, a reload or a closed tab can be rebuilt from its chunks on the next visit.
+// A journal is discarded once its recording has been saved to the library; whatever is left over was interrupted.
+
+import { STORES, getAll, getOne, withStore, withTransaction, promisifyRequest } from './db';
+import { saveRecording } from './recordingLibrary';
+import { getContainerType } from './recorder';
+
+const SEQUENCE_DIGITS = 8; // Zero-padded so the chunk keys sort in recording order
+
+const chunkKey = (recordingId, sequence) => `${recordingId}:${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+
+// Key range covering every chunk of a recording
+const chunkRange = (recordingId) => IDBKeyRange.bound(`${recordingId}:`, `${recordingId}:\uffff`);
+
+// Starts a journal for a recording that has just started; `details` is { mimeType, startedAt, name, trigger, sessionId }.
+// Returns { id, append(chunk), discard() }. Writes happen one after another in the background; after the first
+// failure (e.g. a full disk) the journal stops writing and reports the error to `onError`, but the recording goes on.
+export const createChunkJournal = (details, { onError = console.error } = {}) => {
+  const id = `journal-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  const metadata = {
+    id,
+    name: details.name || null,
+    mimeType: details.mimeType,
+    startedAt: details.startedAt || Date.now(),
+    trigger: details.trigger || null,
+    sessionId: details.sessionId || null,
+    size: 0,
+    updatedAt: Date.now(), // Time of the last chunk, which is about when an interrupted recording ends
+  };
+  let sequence = 0;
+  let queue = Promise.resolve();
+  let stopped = false; // After a failure or discard()
+
+  const enqueue = (operation) => {
+    queue = queue.then(operation).catch(err => {
+      if (!stopped) {
+        stopped = true;
+        onError(err);
+      }
+    });
+    return queue;
+  };
+
+  // Stores the next chunk together with the updated metadata
+  const append = (chunk) => {
+    if (stopped) {
+      return;
+    }
+    const key = chunkKey(id, sequence++);
+    metadata.size += chunk.size;
+    metadata.updatedAt = Date.now();
+    const snapshot = { ...metadata };
+    enqueue(() => withTransaction([STORES.unfinishedRecordings, STORES.recordingChunks], 'readwrite', transaction => Promise.all([
+      promisifyRequest(transaction.objectStore(STORES.recordingChunks).put({ id: key, recordingId: id, blob: chunk })),
+      promisifyRequest(transaction.objectStore(STORES.unfinishedRecordings).put(snapshot)),
+    ])));
+  };
+
+  // Deletes the journal once the recording is safe elsewhere; resolves when the pending writes and the delete are done
+  const discard = () => {
+    const pending = enqueue(() => deleteUnfinishedRecording(id));
+    stopped = true;
+    return pending;
+  };
+
+  return { id, append, discard };
+};
+
+// Returns the metadata of every journal left behind by an interrupted recording, oldest first.
+// `excludeIds` are journals of recordings still in progress on this page.
+export const listUnfinishedRecordings = async (excludeIds = []) => {
+  const recordings = await getAll(STORES.unfinishedRecordings);
+  return recordings
+    .filter(recording => !excludeIds.includes(recording.id))
+    .sort((a, b) => a.startedAt - b.startedAt);
+};
+
+// Deletes a journal's metadata and chunks together
+export const deleteUnfinishedRecording = (id) => withTransaction([STORES.unfinishedRecordings, STORES.recordingChunks], 'readwrite', transaction => Promise.all([
+  promisifyRequest(transaction.objectStore(STORES.unfinishedRecordings).delete(id)),
+  promisifyRequest(transaction.objectStore(STORES.recordingChunks).delete(chunkRange(id))),
+]));
+
+// Rebuilds an interrupted recording from its chunks, saves it to the library and deletes the journal.
+// Resolves with the library metadata of the recovered recording.
+export const restoreUnfinishedRecording = async (id) => {
+  const metadata = await getOne(STORES.unfinishedRecordings, id);
+  if (!metadata) {
+    throw new Error('This recording can no longer be recovered.');
+  }
+  const chunks = await withStore(STORES.recordingChunks, 'readonly', store => promisifyRequest(store.getAll(chunkRange(id))));
+  if (chunks.length === 0) {
+    await deleteUnfinishedRecording(id);
+    throw new Error('No video data was saved before the recording was interrupted.');
+  }
+  const saved = await saveRecording({
+    blob: new Blob(chunks.map(chunk => chunk.blob), { type: getContainerType(metadata.mimeType) }),
+    name: metadata.name ? `${metadata.name} (recovered)` : `Recovered recording ${new Date(metadata.startedAt).toLocaleString()}`,
+    startedAt: metadata.startedAt,
+    durationMs: Math.max(0, metadata.updatedAt - metadata.startedAt), // Approximate: pauses are included
+    mimeType: metadata.mimeType,
+    trigger: metadata.trigger,
+    sessionId: metadata.sessionId,
+  });
+  await deleteUnfinishedRecording(id);
+  return saved;
+};
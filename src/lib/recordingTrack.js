@@ -0,0 +1,118 @@
+// Per-frame detection metadata captured alongside a recording.
+// Frame times are relative to the moment the MediaRecorder started, minus the time it spent paused, so they line
+// up with the video's currentTime.
+
+import { createEmptyCounts, getDominantExpression, toExpressionVector } from './expressions';
+
+export const TRACK_EXPORT_VERSION = 1; // Bumped whenever the JSON track format changes
+
+// Creates an empty track whose clock starts at `startedAt` (epoch milliseconds)
+export const createRecordingTrack = (startedAt = Date.now()) => ({
+  startedAt,
+  pausedMs: 0, // Time the recording spent paused so far, which the video doesn't contain
+  frames: [], // { t, faces: [{ trackId, box, score, landmarks, expressions, dominantExpression }] }
+});
+
+// Rounds coordinates so the JSON stays compact
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+// Converts face-api results to the compact per-face records stored in tracks (and snapshot files),
+// tagged with the persistent tracker id of each face when `trackIds` is given
+export const serializeFaces = (detections, trackIds = []) => detections.map((detection, index) => {
+  const { x, y, width, height } = detection.detection.box;
+  const expressions = detection.expressions ? toExpressionVector(detection.expressions) : null;
+  return {
+    trackId: trackIds[index] !== undefined ? trackIds[index] : null,
+    box: { x: round(x), y: round(y), width: round(width), height: round(height) },
+    score: round(detection.detection.score, 3),
+    landmarks: detection.landmarks ? detection.landmarks.positions.map(point => [round(point.x), round(point.y)]) : [],
+    expressions,
+    dominantExpression: expressions ? getDominantExpression(expressions) : null,
+  };
+});
+
+// Appends one frame of face-api results (with landmarks and expressions) to the track,
+// tagged with the persistent tracker id of each face when `trackIds` is given
+export const addTrackFrame = (track, detections, timestamp = Date.now(), trackIds = []) => {
+  track.frames.push({
+    t: Math.max(0, timestamp - track.startedAt - track.pausedMs),
+    faces: serializeFaces(detections, trackIds),
+  });
+};
+
+// Shifts the frames recorded after a pause of `ms` back so they follow on from the frames before it
+export const addTrackPause = (track, ms) => {
+  track.pausedMs += ms;
+};
+
+// Serializes the track as JSON
+export const trackToJSON = (track, extra = {}) => JSON.stringify({
+  version: TRACK_EXPORT_VERSION,
+  startedAt: new Date(track.startedAt).toISOString(),
+  ...extra,
+  frames: track.frames,
+});
+
+// Formats milliseconds as a WebVTT timestamp (HH:MM:SS.mmm)
+export const formatVttTime = (ms) => {
+  const totalMs = Math.max(0, Math.round(ms));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const millis = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(millis, 3)}`;
+};
+
+// Caption text for one frame, e.g. "Face #1: happy (92%)"
+const describeFrame = (frame) => frame.faces
+  .filter(face => face.dominantExpression)
+  .map((face, index) => (
+    `Face #${face.trackId !== null ? face.trackId : index + 1}: ${face.dominantExpression} (${Math.round(face.expressions[face.dominantExpression] * 100)}%)`
+  ))
+  .join('\n');
+
+// Builds a WebVTT cue track of dominant expressions; consecutive frames with the same
+// dominant expressions are merged into one cue so captions don't flicker with the percentages.
+export const trackToWebVTT = (track, durationMs) => {
+  const cues = [];
+  track.frames.forEach(frame => {
+    const key = frame.faces.map(face => `${face.trackId}:${face.dominantExpression}`).join('|');
+    const last = cues[cues.length - 1];
+    if (last) {
+      last.end = frame.t; // Previous cue lasts until this frame
+    }
+    if (last && last.key === key) {
+      return;
+    }
+    cues.push({ key, start: frame.t, end: frame.t, text: describeFrame(frame) });
+  });
+
+  const last = cues[cues.length - 1];
+  if (last) {
+    last.end = Math.max(last.end, durationMs !== undefined ? durationMs : last.start + 1000);
+  }
+
+  const body = cues
+    .filter(cue => cue.text && cue.end > cue.start)
+    .map((cue, index) => `${index + 1}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text}`)
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+};
+
+// Counts, per expression, how many face-frames of the track had it as the dominant expression
+export const summarizeTrack = (track) => {
+  const counts = createEmptyCounts();
+  let faceFrames = 0;
+  track.frames.forEach(frame => frame.faces.forEach(face => {
+    if (face.dominantExpression) {
+      counts[face.dominantExpression]++;
+      faceFrames++;
+    }
+  }));
+  return {
+    counts,
+    faceFrames,
+    dominantExpression: faceFrames > 0 ? getDominantExpression(counts) : null,
+  };
+};
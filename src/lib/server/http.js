@@ -0,0 +1,30 @@
+// Helpers shared by the API route handlers.
+
+import { NextResponse } from 'next/server';
+import { StorageError, MAX_JSON_BYTES } from './storage';
+
+// Turns a thrown error into a JSON error response; unexpected errors are logged and reported as 500
+export const errorResponse = (err) => {
+  if (err instanceof StorageError) {
+    return NextResponse.json({ error: err.message }, { status: err.status });
+  }
+  console.error('API error:', err);
+  return NextResponse.json({ error: 'Internal server error.' }, { status: 500 });
+};
+
+// Parses a JSON request body, rejecting oversized or malformed bodies with a 4xx StorageError
+export const readJsonBody = async (request) => {
+  const length = Number(request.headers.get('content-length'));
+  if (length > MAX_JSON_BYTES) {
+    throw new StorageError('Request body too large.', 413);
+  }
+  const text = await request.text();
+  if (text.length > MAX_JSON_BYTES) {
+    throw new StorageError('Request body too large.', 413);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new StorageError('Request body must be valid JSON.', 400);
+  }
+};
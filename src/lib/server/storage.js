@@ -0,0 +1,310 @@
+// Filesystem storage for uploaded recordings and session analytics (server-side only).
+//
+// Layout under the data directory (FACE_TRACKING_DATA_DIR, default ./data):
+//   recordings/<id>/meta.json          upload metadata and status
+//   recordings/<id>/chunks/<n>.part    chunks received so far (removed once the upload completes)
+//   recordings/<id>/video.<ext>        assembled recording
+//   recordings/<id>/track.json         per-frame detection metadata (optional)
+//   recordings/<id>/captions.vtt       expression captions (optional)
+//   sessions/<id>.json                 session analytics
+
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import { getFileExtension, getContainerType } from '../recorder';
+
+// Upper bounds on request sizes, to keep a misbehaving client from filling the disk in one go
+export const MAX_CHUNK_BYTES = 16 * 1024 * 1024;
+export const MAX_CHUNKS = 10000;
+export const MAX_RECORDING_BYTES = 2 * 1024 * 1024 * 1024; // Total over every chunk of one upload
+export const MAX_JSON_BYTES = 64 * 1024 * 1024;
+
+// Containers an upload may declare. The media route serves videos with this type, so anything else
+// (e.g. text/html) could turn an upload into a page on the app's origin
+export const ALLOWED_VIDEO_TYPES = ['video/webm', 'video/mp4'];
+
+// Error carrying the HTTP status the route handler should respond with
+export class StorageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+// Root directory for all stored data
+export const getDataDir = () => path.resolve(process.env.FACE_TRACKING_DATA_DIR || path.join(process.cwd(), 'data'));
+
+const recordingsDir = () => path.join(getDataDir(), 'recordings');
+const sessionsDir = () => path.join(getDataDir(), 'sessions');
+
+// Ids become path segments, so only allow a safe character set
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+export const assertValidId = (id) => {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new StorageError('Invalid id.', 400);
+  }
+};
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+};
+
+// Writes JSON atomically (temp file + rename) so readers never see a half-written file
+const writeJson = async (file, value) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(value));
+  await fs.rename(temp, file);
+};
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// --- Recordings -------------------------------------------------------------------------------
+
+const recordingDir = (id) => {
+  assertValidId(id);
+  return path.join(recordingsDir(), id);
+};
+
+// Returns the upload's MIME type (codec parameters included) if its container is allowed; throws a 400 otherwise
+export const validateVideoMimeType = (mimeType) => {
+  if (mimeType === undefined || mimeType === null || mimeType === '') {
+    return 'video/webm';
+  }
+  if (typeof mimeType !== 'string' || mimeType.length > 200 || !ALLOWED_VIDEO_TYPES.includes(getContainerType(mimeType).toLowerCase())) {
+    throw new StorageError(`Unsupported video type; expected one of ${ALLOWED_VIDEO_TYPES.join(', ')}.`, 400);
+  }
+  return mimeType;
+};
+
+// Starts a chunked upload and returns its metadata
+export const createRecordingUpload = async (details) => {
+  const id = generateId('rec');
+  const meta = {
+    id,
+    name: typeof details.name === 'string' && details.name.trim() ? details.name.trim().slice(0, 200) : id,
+    mimeType: validateVideoMimeType(details.mimeType),
+    startedAt: Number(details.startedAt) || Date.now(),
+    durationMs: Number(details.durationMs) || 0,
+    sessionId: typeof details.sessionId === 'string' && ID_PATTERN.test(details.sessionId) ? details.sessionId : null,
+    expressionSummary: details.expressionSummary || null,
+    status: 'uploading',
+    size: 0,
+    createdAt: Date.now(),
+  };
+  await fs.mkdir(path.join(recordingDir(id), 'chunks'), { recursive: true });
+  await writeJson(path.join(recordingDir(id), 'meta.json'), meta);
+  return meta;
+};
+
+export const getRecording = async (id) => {
+  const meta = await readJson(path.join(recordingDir(id), 'meta.json'));
+  if (!meta) {
+    throw new StorageError('Recording not found.', 404);
+  }
+  return meta;
+};
+
+// Total size of the chunks received so far, leaving out `exceptFile` (a chunk about to be overwritten)
+const receivedBytes = async (chunksDir, exceptFile) => {
+  const files = await fs.readdir(chunksDir);
+  let total = 0;
+  for (const file of files) {
+    if (file !== exceptFile) {
+      total += (await fs.stat(path.join(chunksDir, file))).size;
+    }
+  }
+  return total;
+};
+
+// Stores one chunk; re-sending the same index overwrites it, so client retries are safe
+export const writeRecordingChunk = async (id, index, data) => {
+  const meta = await getRecording(id);
+  if (meta.status !== 'uploading') {
+    throw new StorageError('This upload is already complete.', 409);
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= MAX_CHUNKS) {
+    throw new StorageError('Invalid chunk index.', 400);
+  }
+  if (data.byteLength > MAX_CHUNK_BYTES) {
+    throw new StorageError('Chunk too large.', 413);
+  }
+  const chunksDir = path.join(recordingDir(id), 'chunks');
+  const file = `${index}.part`;
+  if (await receivedBytes(chunksDir, file) + data.byteLength > MAX_RECORDING_BYTES) {
+    throw new StorageError('Recording too large.', 413);
+  }
+  await fs.writeFile(path.join(chunksDir, file), data);
+};
+
+// Assembles the chunks 0..totalChunks-1 into the final video and stores the sidecar files
+export const completeRecordingUpload = async (id, { totalChunks, trackJson, vtt }) => {
+  const meta = await getRecording(id);
+  if (meta.status === 'complete') {
+    return meta; // A retried completion after a lost response
+  }
+  const count = Number(totalChunks);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CHUNKS) {
+    throw new StorageError(`totalChunks must be an integer from 1 to ${MAX_CHUNKS}.`, 400);
+  }
+  const dir = recordingDir(id);
+  const chunkFiles = Array.from({ length: count }, (_, index) => path.join(dir, 'chunks', `${index}.part`));
+  const missing = [];
+  for (const [index, file] of chunkFiles.entries()) {
+    try {
+      await fs.access(file);
+    } catch {
+      missing.push(index);
+    }
+  }
+  if (missing.length > 0) {
+    throw new StorageError(`Missing chunks: ${missing.join(', ')}`, 409);
+  }
+  // Concurrent chunk writes can each pass the per-write check, so check the total again
+  if (await receivedBytes(path.join(dir, 'chunks')) > MAX_RECORDING_BYTES) {
+    throw new StorageError('Recording too large.', 413);
+  }
+
+  const videoFile = path.join(dir, `video.${getFileExtension(meta.mimeType)}`);
+  const handle = await fs.open(videoFile, 'w');
+  let size = 0;
+  try {
+    for (const file of chunkFiles) {
+      const data = await fs.readFile(file);
+      await handle.write(data);
+      size += data.byteLength;
+    }
+  } finally {
+    await handle.close();
+  }
+  if (typeof trackJson === 'string') {
+    await fs.writeFile(path.join(dir, 'track.json'), trackJson);
+  }
+  if (typeof vtt === 'string') {
+    await fs.writeFile(path.join(dir, 'captions.vtt'), vtt);
+  }
+  await fs.rm(path.join(dir, 'chunks'), { recursive: true, force: true });
+
+  const completed = {
+    ...meta,
+    status: 'complete',
+    size,
+    hasTrack: typeof trackJson === 'string',
+    hasCaptions: typeof vtt === 'string',
+    completedAt: Date.now(),
+  };
+  await writeJson(path.join(dir, 'meta.json'), completed);
+  return completed;
+};
+
+export const listRecordings = async () => {
+  let ids;
+  try {
+    ids = await fs.readdir(recordingsDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const metas = await Promise.all(ids
+    .filter(id => ID_PATTERN.test(id))
+    .map(id => readJson(path.join(recordingsDir(), id, 'meta.json'))));
+  return metas.filter(Boolean).sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const deleteRecording = async (id) => {
+  await getRecording(id); // 404 if missing
+  await fs.rm(recordingDir(id), { recursive: true, force: true });
+};
+
+// Files a client can download for a recording. Only `playable` ones may be served inline; a video whose
+// stored type is not an allowed container (uploaded before it was validated) is served as plain bytes
+const MEDIA_FILES = {
+  video: (meta) => {
+    const type = getContainerType(meta.mimeType).toLowerCase();
+    const playable = ALLOWED_VIDEO_TYPES.includes(type);
+    return { name: `video.${getFileExtension(meta.mimeType)}`, type: playable ? type : 'application/octet-stream', playable };
+  },
+  track: () => ({ name: 'track.json', type: 'application/json', playable: false }),
+  captions: () => ({ name: 'captions.vtt', type: 'text/vtt', playable: true }),
+};
+
+// Opens one of a completed recording's files: { stream, size, type, name, playable }
+export const openRecordingMedia = async (id, kind) => {
+  const meta = await getRecording(id);
+  const describe = MEDIA_FILES[kind];
+  if (!describe) {
+    throw new StorageError('Unknown media kind.', 400);
+  }
+  if (meta.status !== 'complete') {
+    throw new StorageError('The upload has not completed yet.', 409);
+  }
+  const { name, type, playable } = describe(meta);
+  const file = path.join(recordingDir(id), name);
+  let stat;
+  try {
+    stat = await fs.stat(file);
+  } catch {
+    throw new StorageError('File not found.', 404);
+  }
+  return { stream: createReadStream(file), size: stat.size, type, name, playable };
+};
+
+// --- Sessions ---------------------------------------------------------------------------------
+
+const sessionFile = (id) => {
+  assertValidId(id);
+  return path.join(sessionsDir(), `${id}.json`);
+};
+
+// Creates or replaces a session's analytics (clients re-upload the same session as it grows)
+export const saveSession = async (session) => {
+  if (!session || typeof session !== 'object') {
+    throw new StorageError('Expected a session object.', 400);
+  }
+  const id = session.id || generateId('session');
+  const stored = { ...session, id, receivedAt: Date.now() };
+  await writeJson(sessionFile(id), stored);
+  return stored;
+};
+
+export const getSession = async (id) => {
+  const session = await readJson(sessionFile(id));
+  if (!session) {
+    throw new StorageError('Session not found.', 404);
+  }
+  return session;
+};
+
+// Lists sessions without their (potentially large) timelines
+export const listSessions = async () => {
+  let files;
+  try {
+    files = await fs.readdir(sessionsDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const sessions = await Promise.all(files
+    .filter(file => file.endsWith('.json') && ID_PATTERN.test(file.slice(0, -5)))
+    .map(file => readJson(path.join(sessionsDir(), file))));
+  return sessions
+    .filter(Boolean)
+    .map(({ entries, ...summary }) => ({ ...summary, entryCount: Array.isArray(entries) ? entries.length : 0 }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const deleteSession = async (id) => {
+  await getSession(id); // 404 if missing
+  await fs.rm(sessionFile(id), { force: true });
+};
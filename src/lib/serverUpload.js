@@ -0,0 +1,137 @@
+// Client for the app's own /api routes: chunked recording uploads and session analytics, with retries.
+
+import { createEmptyCounts, getDominantExpression } from './expressions';
+
+export const UPLOAD_CHUNK_BYTES = 2 * 1024 * 1024; // Size of each PUT when uploading a recording
+const MAX_ATTEMPTS = 4; // Attempts per request before an upload is reported as failed
+const BASE_RETRY_DELAY_MS = 1000; // Doubles after every failed attempt
+
+const AUTO_UPLOAD_STORAGE_KEY = 'face-tracking-auto-upload';
+
+// Reads the persisted auto-upload preference (off by default)
+export const loadAutoUploadSetting = () => {
+  try {
+    return localStorage.getItem(AUTO_UPLOAD_STORAGE_KEY) === 'true';
+  } catch {
+    return false; // Storage can be unavailable (e.g. disabled cookies)
+  }
+};
+
+export const saveAutoUploadSetting = (enabled) => {
+  try {
+    localStorage.setItem(AUTO_UPLOAD_STORAGE_KEY, String(enabled));
+  } catch {
+    // Not persisted; the toggle still applies to this page load
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Error for a non-2xx API response; 4xx responses (other than 408/429) are not worth retrying
+class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = status >= 500 || status === 408 || status === 429;
+  }
+}
+
+// Runs `operation` until it succeeds, waiting 1s, 2s, 4s... between attempts
+export const withRetry = async (operation, attempts = MAX_ATTEMPTS) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      const retryable = !(err instanceof ApiError) || err.retryable; // Network errors are retryable
+      if (!retryable || attempt >= attempts) {
+        throw err;
+      }
+      console.warn(`Request failed (attempt ${attempt}/${attempts}), retrying:`, err.message);
+      await wait(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// fetch() wrapper that throws ApiError on error statuses and parses JSON responses
+const request = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    let message = `${response.status} ${response.statusText}`;
+    try {
+      const body = await response.json();
+      message = body.error || message;
+    } catch {
+      // Keep the status line as the message
+    }
+    throw new ApiError(message, response.status);
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+const jsonOptions = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+// Uploads a recording in chunks and returns the server's metadata for it.
+// `recording` is library metadata; `media` is { blob, trackJson, vtt } from getRecordingMedia.
+export const uploadRecording = async (recording, media, sessionId = null) => {
+  const created = await withRetry(() => request('/api/recordings', jsonOptions('POST', {
+    name: recording.name,
+    mimeType: recording.mimeType,
+    startedAt: recording.startedAt,
+    durationMs: recording.durationMs,
+    expressionSummary: recording.expressionSummary,
+    sessionId,
+  })));
+
+  const totalChunks = Math.max(1, Math.ceil(media.blob.size / UPLOAD_CHUNK_BYTES));
+  for (let index = 0; index < totalChunks; index++) {
+    const chunk = media.blob.slice(index * UPLOAD_CHUNK_BYTES, (index + 1) * UPLOAD_CHUNK_BYTES);
+    await withRetry(() => request(`/api/recordings/${created.id}/chunks/${index}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: chunk,
+    }));
+  }
+
+  return withRetry(() => request(`/api/recordings/${created.id}/complete`, jsonOptions('POST', {
+    totalChunks,
+    trackJson: media.trackJson || undefined,
+    vtt: media.vtt || undefined,
+  })));
+};
+
+// Builds the analytics payload for a session: its timeline plus aggregate counts and per-person stats
+export const buildSessionPayload = (session, trackStats = []) => {
+  const expressionCounts = createEmptyCounts();
+  session.entries.forEach(entry => {
+    expressionCounts[getDominantExpression(entry.expressions)]++;
+  });
+  const lastEntry = session.entries[session.entries.length - 1];
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: lastEntry ? lastEntry.timestamp : session.startedAt,
+    expressionCounts,
+    trackStats,
+    entries: session.entries,
+  };
+};
+
+// Uploads (or re-uploads) a session's analytics; the server keeps the latest copy per session id
+export const uploadSession = (session, trackStats) => (
+  withRetry(() => request('/api/sessions', jsonOptions('POST', buildSessionPayload(session, trackStats))))
+);
+
+// Read/delete helpers used by the /sessions page
+export const fetchSessions = () => request('/api/sessions');
+export const fetchSession = (id) => request(`/api/sessions/${encodeURIComponent(id)}`);
+export const removeSession = (id) => request(`/api/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+export const fetchServerRecordings = () => request('/api/recordings');
+export const removeServerRecording = (id) => request(`/api/recordings/${encodeURIComponent(id)}`, { method: 'DELETE' });
+export const serverMediaUrl = (id, kind = 'video', download = false) => (
+  `/api/recordings/${encodeURIComponent(id)}/media?kind=${kind}${download ? '&download=1' : ''}`
+);
@@ -0,0 +1,13 @@
+// Registers public/sw.js, which precaches the app shell and the required model files for offline use.
+// Skipped in development: `next dev` serves unhashed, constantly changing chunks that must not be cached.
+export const registerServiceWorker = async () => {
+  if (process.env.NODE_ENV !== 'production' || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return null;
+  }
+  try {
+    return await navigator.serviceWorker.register('/sw.js');
+  } catch (err) {
+    console.warn('Service worker registration failed; the app will not work offline:', err);
+    return null;
+  }
+};
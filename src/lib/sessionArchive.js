@@ -0,0 +1,62 @@
+// Finished sessions kept in IndexedDB for the report page.
+// Like the recording library, a small summary lives in `sessions` so the pickers can list it cheaply, and the
+// timeline lives in `sessionEntries` under the same id, loaded when a report is opened.
+
+import { STORES, getAll, getOne, withTransaction, promisifyRequest } from './db';
+
+// Sessions are archived on every New Session, source switch and analysis pass, so only the newest are kept
+export const MAX_ARCHIVED_SESSIONS = 50;
+
+// Stores (or updates, when the same session is saved again) a session with its timeline, then deletes the
+// oldest sessions beyond MAX_ARCHIVED_SESSIONS. `trackStats` are the multi-face tracker's per-person statistics
+// at the end of the session. `endedAt` is on the session's own clock (media time for file analysis passes) and
+// defaults to the last sample. Resolves with the stored summary, or null for a session without entries (not stored).
+export const archiveSession = async (session, { endedAt = null, trackStats = [] } = {}) => {
+  if (!session || session.entries.length === 0) {
+    return null;
+  }
+  const summary = {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: endedAt !== null ? endedAt : session.entries[session.entries.length - 1].timestamp,
+    entryCount: session.entries.length,
+    faceCount: trackStats.length,
+  };
+  await withTransaction([STORES.sessions, STORES.sessionEntries], 'readwrite', transaction => Promise.all([
+    promisifyRequest(transaction.objectStore(STORES.sessions).put(summary)),
+    promisifyRequest(transaction.objectStore(STORES.sessionEntries).put({ id: session.id, entries: session.entries, trackStats })),
+  ]));
+  await pruneArchivedSessions();
+  return summary;
+};
+
+// Returns the summaries of every archived session, newest first
+export const listArchivedSessions = async () => {
+  const sessions = await getAll(STORES.sessions);
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// Loads an archived session as { id, startedAt, endedAt, entries, trackStats }
+export const getArchivedSession = async (id) => {
+  const [summary, timeline] = await Promise.all([getOne(STORES.sessions, id), getOne(STORES.sessionEntries, id)]);
+  if (!summary || !timeline) {
+    throw new Error('This session is no longer stored in this browser.');
+  }
+  return { ...summary, entries: timeline.entries, trackStats: timeline.trackStats };
+};
+
+// Deletes an archived session's summary and timeline together
+export const deleteArchivedSession = (id) => withTransaction([STORES.sessions, STORES.sessionEntries], 'readwrite', transaction => Promise.all([
+  promisifyRequest(transaction.objectStore(STORES.sessions).delete(id)),
+  promisifyRequest(transaction.objectStore(STORES.sessionEntries).delete(id)),
+]));
+
+// Deletes every archived session but the `keep` newest; resolves with the ids deleted
+export const pruneArchivedSessions = async (keep = MAX_ARCHIVED_SESSIONS) => {
+  const sessions = await listArchivedSessions();
+  const expired = sessions.slice(keep).map(session => session.id);
+  for (const id of expired) {
+    await deleteArchivedSession(id);
+  }
+  return expired;
+};
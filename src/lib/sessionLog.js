@@ -0,0 +1,76 @@
+// Session log: a time series of per-face expression samples recorded by the detection loop.
+// Entries are appended in place (the loop runs every tick), so consumers read them on their own schedule.
+
+import { EXPRESSIONS, toExpressionVector } from './expressions';
+
+export const SESSION_EXPORT_VERSION = 3; // Bumped whenever the JSON export format changes
+
+// Creates a new, empty session starting now
+export const createSession = () => ({
+  id: `session-${Date.now()}`,
+  startedAt: Date.now(), // Epoch milliseconds
+  entries: [], // { t, timestamp, faceIndex, trackId, expressions, box, pose, attentive, ear, eyesClosed }
+});
+
+// Appends one sample per detected face; `detections` are face-api results with expressions,
+// `trackIds` the persistent tracker id of each detection (same order), when available, and
+// `faceMetrics` extra per-face fields derived from the landmarks (e.g. { pose, attentive, ear }), same order
+export const recordDetections = (session, detections, timestamp = Date.now(), trackIds = [], faceMetrics = []) => {
+  detections.forEach((detection, faceIndex) => {
+    if (!detection.expressions) {
+      return;
+    }
+    const { x, y, width, height } = detection.detection.box;
+    session.entries.push({
+      t: timestamp - session.startedAt, // Milliseconds since the session started
+      timestamp,
+      faceIndex,
+      trackId: trackIds[faceIndex] !== undefined ? trackIds[faceIndex] : null,
+      expressions: toExpressionVector(detection.expressions),
+      box: { x, y, width, height },
+      pose: null, // { yaw, pitch, roll } in degrees, when landmarks were detected
+      attentive: null, // Whether the face was looking at the screen, when the pose is known
+      ear: null, // Mean eye aspect ratio of both eyes, when landmarks were detected
+      eyesClosed: null, // Whether the EAR was below the closed-eye threshold
+      ...faceMetrics[faceIndex],
+    });
+  });
+};
+
+// Rounds a number for export so files stay readable
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+// Serializes the session as pretty-printed JSON
+export const sessionToJSON = (session) => JSON.stringify({
+  version: SESSION_EXPORT_VERSION,
+  id: session.id,
+  startedAt: new Date(session.startedAt).toISOString(),
+  expressions: EXPRESSIONS,
+  entries: session.entries,
+}, null, 2);
+
+// Serializes the session as CSV with one row per face per tick
+export const sessionToCSV = (session) => {
+  const header = [
+    'timestamp', 'time_ms', 'face_index', 'track_id', ...EXPRESSIONS, 'box_x', 'box_y', 'box_width', 'box_height',
+    'yaw', 'pitch', 'roll', 'attentive', 'ear', 'eyes_closed',
+  ];
+  const rows = session.entries.map(entry => [
+    new Date(entry.timestamp).toISOString(),
+    entry.t,
+    entry.faceIndex,
+    entry.trackId !== null ? entry.trackId : '',
+    ...EXPRESSIONS.map(expression => round(entry.expressions[expression])),
+    round(entry.box.x, 1),
+    round(entry.box.y, 1),
+    round(entry.box.width, 1),
+    round(entry.box.height, 1),
+    entry.pose ? round(entry.pose.yaw, 1) : '',
+    entry.pose ? round(entry.pose.pitch, 1) : '',
+    entry.pose ? round(entry.pose.roll, 1) : '',
+    entry.attentive !== null && entry.attentive !== undefined ? Number(entry.attentive) : '',
+    entry.ear !== null && entry.ear !== undefined ? round(entry.ear, 3) : '',
+    entry.eyesClosed !== null && entry.eyesClosed !== undefined ? Number(entry.eyesClosed) : '',
+  ]);
+  return [header, ...rows].map(row => row.join(',')).join('\n');
+};
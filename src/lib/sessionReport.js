@@ -0,0 +1,316 @@
+// End-of-session report: summary statistics computed from a session log (see lib/sessionLog), and a
+// self-contained HTML rendering of one report, or two side by side for comparison.
+//
+// Entries are only logged while faces are detected, at whatever rate the detection loop runs, so every
+// statistic is weighted by time rather than counted in ticks: each sample stands for the time until the same
+// face's next sample. Gaps longer than `maxGapMs` mean the face was gone (or the loop was stopped); those
+// samples count for the typical sampling interval only.
+
+import { EXPRESSIONS, EXPRESSION_COLORS, createEmptyCounts, getDominantExpression } from './expressions';
+
+export const DEFAULT_REPORT_OPTIONS = {
+  maxGapMs: 1500, // Same as the multi-face tracker's maxMissingMs: longer gaps mean the face left
+  fallbackIntervalMs: 200, // Sample duration when a session has too few samples to measure the interval
+  minSegmentMs: 1000, // Shorter dominant-expression runs are left out of the longest segments list
+  topSegments: 5, // How many of the longest segments the report lists
+};
+
+// Key grouping a face's samples: the tracker id, or the detection index for logs recorded without tracking
+const faceKey = (entry) => (entry.trackId !== null && entry.trackId !== undefined ? `track-${entry.trackId}` : `index-${entry.faceIndex}`);
+
+// Median of the gaps that are short enough to be regular sampling, or null when there are none
+const measureInterval = (gaps, maxGapMs) => {
+  const regular = gaps.filter(gap => gap > 0 && gap <= maxGapMs).sort((a, b) => a - b);
+  return regular.length > 0 ? regular[Math.floor(regular.length / 2)] : null;
+};
+
+// Formats a duration in milliseconds as m:ss, or h:mm:ss from an hour up
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Formats a 0..1 share as a whole percentage
+export const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+// Recordings that belong to the session: those saved with its id, plus (for recordings saved before they
+// carried one) those that started while it ran
+const selectRecordings = (recordings, sessionId, startedAt, endedAt) => recordings.filter(recording => (
+  recording.sessionId ? recording.sessionId === sessionId : recording.startedAt >= startedAt && recording.startedAt <= endedAt
+));
+
+// Builds the report of `session` ({ id, startedAt, entries }). `endedAt` defaults to the last sample;
+// `recordings` is recording metadata ({ name, startedAt, durationMs, size, trigger, sessionId }) to pick from.
+export const buildSessionReport = (session, { endedAt = null, recordings = [], ...options } = {}) => {
+  const { maxGapMs, fallbackIntervalMs, minSegmentMs, topSegments } = { ...DEFAULT_REPORT_OPTIONS, ...options };
+  const entries = [...session.entries].sort((a, b) => a.t - b.t);
+  const lastEntry = entries[entries.length - 1];
+  const end = Math.max(endedAt || 0, lastEntry ? lastEntry.timestamp : session.startedAt);
+  const durationMs = end - session.startedAt;
+
+  // Group the samples per face (already in time order)
+  const faces = new Map();
+  entries.forEach(entry => {
+    const key = faceKey(entry);
+    if (!faces.has(key)) {
+      faces.set(key, { key, trackId: entry.trackId !== undefined ? entry.trackId : null, faceIndex: entry.faceIndex, samples: [] });
+    }
+    faces.get(key).samples.push(entry);
+  });
+
+  const gaps = [];
+  faces.forEach(face => face.samples.forEach((entry, i) => {
+    if (i > 0) {
+      gaps.push(entry.t - face.samples[i - 1].t);
+    }
+  }));
+  const intervalMs = Math.min(measureInterval(gaps, maxGapMs) || fallbackIntervalMs, maxGapMs);
+
+  // How long a sample at `t` lasts, given the time of the next one (null for the last sample)
+  const sampleDuration = (t, nextT) => {
+    const gap = nextT === null ? Infinity : nextT - t;
+    return Math.max(0, Math.min(gap <= maxGapMs ? gap : intervalMs, durationMs - t));
+  };
+
+  const expressionMs = createEmptyCounts();
+  const probabilitySums = createEmptyCounts(); // Time-weighted sums of the probabilities
+  const peaks = Object.fromEntries(EXPRESSIONS.map(expression => [expression, null]));
+  const segments = [];
+  let faceMs = 0;
+
+  const faceReports = [...faces.values()].map(face => {
+    const faceExpressionMs = createEmptyCounts();
+    let presentMs = 0;
+    let segment = null;
+    face.samples.forEach((entry, i) => {
+      const next = face.samples[i + 1];
+      const weight = sampleDuration(entry.t, next ? next.t : null);
+      const dominant = getDominantExpression(entry.expressions);
+      faceExpressionMs[dominant] += weight;
+      presentMs += weight;
+      EXPRESSIONS.forEach(expression => {
+        const probability = entry.expressions[expression];
+        probabilitySums[expression] += probability * weight;
+        if (probability > 0 && (!peaks[expression] || probability > peaks[expression].probability)) {
+          peaks[expression] = { probability, t: entry.t, trackId: face.trackId };
+        }
+      });
+
+      // Runs of the same dominant expression; a gap ends the run even if the expression doesn't change
+      const continues = segment && segment.expression === dominant && entry.t - segment.lastT <= maxGapMs;
+      if (!continues) {
+        segment = { faceKey: face.key, trackId: face.trackId, expression: dominant, startMs: entry.t, endMs: entry.t, lastT: entry.t };
+        segments.push(segment);
+      }
+      segment.lastT = entry.t;
+      segment.endMs = entry.t + weight;
+    });
+    faceMs += presentMs;
+    EXPRESSIONS.forEach(expression => { expressionMs[expression] += faceExpressionMs[expression]; });
+    return {
+      key: face.key,
+      trackId: face.trackId,
+      faceIndex: face.faceIndex,
+      presentMs,
+      firstSeenMs: face.samples[0].t,
+      lastSeenMs: face.samples[face.samples.length - 1].t,
+      expressionMs: faceExpressionMs,
+      dominantExpression: presentMs > 0 ? getDominantExpression(faceExpressionMs) : null,
+    };
+  });
+
+  // Time with at least one face in view: every logged tick lasts until the next one, across all faces
+  const ticks = [...new Set(entries.map(entry => entry.t))];
+  const facePresentMs = ticks.reduce((sum, t, i) => sum + sampleDuration(t, i + 1 < ticks.length ? ticks[i + 1] : null), 0);
+
+  const sessionRecordings = selectRecordings(recordings, session.id, session.startedAt, end)
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .map(recording => ({
+      name: recording.name,
+      offsetMs: Math.max(0, recording.startedAt - session.startedAt),
+      durationMs: recording.durationMs || 0,
+      size: recording.size || 0,
+      trigger: recording.trigger || null,
+    }));
+
+  const cleanSegments = segments.map(({ lastT, ...rest }) => ({ ...rest, durationMs: rest.endMs - rest.startMs }));
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: end,
+    durationMs,
+    sampleCount: entries.length,
+    intervalMs,
+    facePresentMs,
+    facePresentShare: durationMs > 0 ? Math.min(1, facePresentMs / durationMs) : 0,
+    faceMs, // Summed over faces, so it exceeds facePresentMs when several faces share the frame
+    distinctFaces: faceReports.length,
+    expressionMs,
+    expressionShares: Object.fromEntries(EXPRESSIONS.map(expression => [expression, faceMs > 0 ? expressionMs[expression] / faceMs : 0])),
+    averageProbabilities: Object.fromEntries(EXPRESSIONS.map(expression => [expression, faceMs > 0 ? probabilitySums[expression] / faceMs : 0])),
+    dominantExpression: faceMs > 0 ? getDominantExpression(expressionMs) : null,
+    peaks,
+    segments: cleanSegments,
+    longestSegments: cleanSegments
+      .filter(segment => segment.durationMs >= minSegmentMs)
+      .sort((a, b) => b.durationMs - a.durationMs)
+      .slice(0, topSegments),
+    faces: faceReports.sort((a, b) => b.presentMs - a.presentMs),
+    recordings: {
+      count: sessionRecordings.length,
+      totalDurationMs: sessionRecordings.reduce((sum, recording) => sum + recording.durationMs, 0),
+      totalSize: sessionRecordings.reduce((sum, recording) => sum + recording.size, 0),
+      items: sessionRecordings,
+    },
+  };
+};
+
+// Differences of `b` relative to `a` for the headline numbers of two reports
+export const compareReports = (a, b) => ({
+  durationMs: b.durationMs - a.durationMs,
+  facePresentShare: b.facePresentShare - a.facePresentShare,
+  distinctFaces: b.distinctFaces - a.distinctFaces,
+  recordings: b.recordings.count - a.recordings.count,
+  expressionShares: Object.fromEntries(EXPRESSIONS.map(expression => [
+    expression, b.expressionShares[expression] - a.expressionShares[expression],
+  ])),
+});
+
+// Label of a face in the report: its tracker id, or its detection index for untracked logs
+export const faceLabel = (face) => (face.trackId !== null ? `Face #${face.trackId}` : `Face ${face.faceIndex + 1}`);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Formats a difference with its sign, using `format` for the magnitude
+export const formatSigned = (value, format) => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${format(Math.abs(value))}`;
+
+const REPORT_CSS = `
+body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+h1 { margin: 0 0 0.25rem; }
+h2 { margin: 0 0 0.5rem; font-size: 1.25rem; }
+h3 { margin: 1.25rem 0 0.5rem; font-size: 1rem; }
+.meta { color: #6b7280; margin: 0 0 1.5rem; }
+.columns { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 2rem; }
+.stats { display: grid; grid-template-columns: repeat(2, 1fr); gap: 0.5rem; }
+.stat { border: 1px solid #e5e7eb; border-radius: 6px; padding: 0.5rem; }
+.stat span { display: block; color: #6b7280; font-size: 0.75rem; }
+.stat strong { font-size: 1.25rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+.bar { display: flex; height: 14px; border-radius: 7px; overflow: hidden; background: #e5e7eb; }
+.swatch { display: inline-block; width: 0.75rem; height: 0.75rem; border-radius: 2px; margin-right: 0.375rem; vertical-align: middle; }
+.empty { color: #6b7280; font-style: italic; }
+@media print { body { margin: 0; } .report { break-inside: avoid; } }
+`;
+
+// Stacked bar of the expression shares
+const renderShareBar = (shares) => `<div class="bar">${EXPRESSIONS.filter(expression => shares[expression] > 0).map(expression => (
+  `<div title="${expression} ${formatPercent(shares[expression])}" style="width:${(shares[expression] * 100).toFixed(2)}%;background:${EXPRESSION_COLORS[expression]}"></div>`
+)).join('')}</div>`;
+
+// One row per face, coloured by the dominant expression over the session's time axis
+const renderSegmentStrip = (report) => {
+  const rowHeight = 16;
+  const labelWidth = 70;
+  const width = 600;
+  const scale = (width - labelWidth) / Math.max(report.durationMs, 1);
+  const rows = report.faces.map((face, row) => {
+    const y = row * (rowHeight + 4);
+    const rects = report.segments
+      .filter(segment => segment.faceKey === face.key)
+      .map(segment => (
+        `<rect x="${(labelWidth + segment.startMs * scale).toFixed(1)}" y="${y}" width="${Math.max(segment.durationMs * scale, 0.5).toFixed(1)}" height="${rowHeight}" fill="${EXPRESSION_COLORS[segment.expression]}"><title>${segment.expression} ${formatDuration(segment.startMs)}–${formatDuration(segment.endMs)}</title></rect>`
+      ));
+    return `<text x="0" y="${y + rowHeight - 4}" font-size="11">${escapeHtml(faceLabel(face))}</text>${rects.join('')}`;
+  });
+  const height = Math.max(report.faces.length * (rowHeight + 4), rowHeight);
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Dominant expression over time">${rows.join('')}</svg>`;
+};
+
+// Body of one report, as an HTML fragment
+const renderReportSection = (report, title) => {
+  const stats = [
+    ['Duration', formatDuration(report.durationMs)],
+    ['Face present', formatPercent(report.facePresentShare)],
+    ['Distinct faces', report.distinctFaces],
+    ['Recordings', `${report.recordings.count}${report.recordings.count > 0 ? ` (${formatDuration(report.recordings.totalDurationMs)})` : ''}`],
+  ];
+  const distributionRows = EXPRESSIONS.map(expression => (
+    `<tr><td><span class="swatch" style="background:${EXPRESSION_COLORS[expression]}"></span>${expression}</td><td>${formatDuration(report.expressionMs[expression])}</td><td>${formatPercent(report.expressionShares[expression])}</td><td>${report.peaks[expression] ? `${formatPercent(report.peaks[expression].probability)} at ${formatDuration(report.peaks[expression].t)}` : '–'}</td></tr>`
+  )).join('');
+  const segmentRows = report.longestSegments.map(segment => (
+    `<tr><td>${escapeHtml(faceLabel(report.faces.find(face => face.key === segment.faceKey)))}</td><td>${segment.expression}</td><td>${formatDuration(segment.startMs)}</td><td>${formatDuration(segment.durationMs)}</td></tr>`
+  )).join('');
+  const faceRows = report.faces.map(face => (
+    `<tr><td>${escapeHtml(faceLabel(face))}</td><td>${formatDuration(face.presentMs)}</td><td>${face.dominantExpression || '–'}</td></tr>`
+  )).join('');
+  const recordingRows = report.recordings.items.map(recording => (
+    `<tr><td>${escapeHtml(recording.name)}</td><td>${formatDuration(recording.offsetMs)}</td><td>${formatDuration(recording.durationMs)}</td><td>${escapeHtml(recording.trigger || 'manual')}</td></tr>`
+  )).join('');
+
+  return `<section class="report">
+<h2>${escapeHtml(title)}</h2>
+<p class="meta">${escapeHtml(new Date(report.startedAt).toLocaleString())} · ${report.sampleCount} samples</p>
+<div class="stats">${stats.map(([label, value]) => `<div class="stat"><span>${label}</span><strong>${escapeHtml(value)}</strong></div>`).join('')}</div>
+<h3>Expression distribution (time-weighted)</h3>
+${report.faceMs > 0 ? renderShareBar(report.expressionShares) : '<p class="empty">No faces were detected.</p>'}
+<table><thead><tr><th>Expression</th><th>Time</th><th>Share</th><th>Peak</th></tr></thead><tbody>${distributionRows}</tbody></table>
+<h3>Dominant expression over time</h3>
+${report.faces.length > 0 ? renderSegmentStrip(report) : '<p class="empty">No faces were detected.</p>'}
+<h3>Longest segments</h3>
+${segmentRows ? `<table><thead><tr><th>Face</th><th>Expression</th><th>From</th><th>Length</th></tr></thead><tbody>${segmentRows}</tbody></table>` : '<p class="empty">No segment lasted long enough.</p>'}
+<h3>Faces</h3>
+${faceRows ? `<table><thead><tr><th>Face</th><th>In view</th><th>Mostly</th></tr></thead><tbody>${faceRows}</tbody></table>` : '<p class="empty">None.</p>'}
+<h3>Recordings</h3>
+${recordingRows ? `<table><thead><tr><th>Name</th><th>At</th><th>Length</th><th>Trigger</th></tr></thead><tbody>${recordingRows}</tbody></table>` : '<p class="empty">No recordings were made.</p>'}
+</section>`;
+};
+
+// Table of the headline numbers of two reports and their difference
+const renderComparison = (a, b) => {
+  const diff = compareReports(a, b);
+  const rows = [
+    ['Duration', formatDuration(a.durationMs), formatDuration(b.durationMs), formatSigned(diff.durationMs, formatDuration)],
+    ['Face present', formatPercent(a.facePresentShare), formatPercent(b.facePresentShare), formatSigned(diff.facePresentShare, formatPercent)],
+    ['Distinct faces', a.distinctFaces, b.distinctFaces, formatSigned(diff.distinctFaces, String)],
+    ['Recordings', a.recordings.count, b.recordings.count, formatSigned(diff.recordings, String)],
+    ...EXPRESSIONS.map(expression => [
+      `${expression} share`,
+      formatPercent(a.expressionShares[expression]),
+      formatPercent(b.expressionShares[expression]),
+      formatSigned(diff.expressionShares[expression], formatPercent),
+    ]),
+  ];
+  return `<h2>Comparison</h2>
+<table><thead><tr><th></th><th>A</th><th>B</th><th>B − A</th></tr></thead><tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+};
+
+// Renders one report, or two compared side by side, as a complete HTML document with no external resources
+export const reportToHTML = (reports, { generatedAt = Date.now() } = {}) => {
+  const list = Array.isArray(reports) ? reports : [reports];
+  const compared = list.length === 2;
+  const title = compared ? 'Session comparison' : 'Session report';
+  const sections = list.map((report, i) => renderReportSection(report, compared ? `${i === 0 ? 'A' : 'B'}: ${report.id}` : report.id));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">Generated ${escapeHtml(new Date(generatedAt).toLocaleString())}</p>
+${compared ? renderComparison(list[0], list[1]) : ''}
+<div class="columns">${sections.join('\n')}</div>
+</body>
+</html>
+`;
+};
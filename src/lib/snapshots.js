@@ -0,0 +1,76 @@
+// Still-frame snapshots: the displayed frame as a PNG (with or without the detection overlay) plus a JSON
+// file of that frame's detections. Snapshots are kept in memory for the session's thumbnail strip.
+
+import { drawSourceFrame, drawDetectionOverlay } from './frameRenderer';
+import { serializeFaces } from './recordingTrack';
+
+export const SNAPSHOT_EXPORT_VERSION = 1; // Bumped whenever the JSON snapshot format changes
+export const MAX_SNAPSHOTS = 50; // Oldest snapshots are dropped from the strip beyond this
+
+export const DEFAULT_SNAPSHOT_SETTINGS = {
+  overlays: true, // Include the enabled overlay plugins in the PNG
+  burstCount: 5, // Frames captured by one burst
+  burstIntervalMs: 500, // Delay between two burst frames
+  expressionCapture: false, // Capture automatically when `expression` reaches `expressionThreshold`
+  expression: 'happy',
+  expressionThreshold: 0.9,
+  expressionCooldownSeconds: 5, // Minimum delay between two expression-triggered captures
+};
+
+// Resolves with the canvas contents as a PNG blob
+const canvasToPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The frame could not be encoded as PNG.'))), 'image/png');
+});
+
+// Renders `frame` ({ source, mirror }, the last frame drawn on the live canvas) off-screen at `size` with the
+// same privacy treatment as the live view, and with the overlay for `result` when `overlays` is set
+// (drawn by the plugins enabled in `overlaySettings`).
+// Resolves with { blob, url, capturedAt, json, trigger, overlays } where `json` describes the frame's detections.
+export const captureSnapshot = async ({ faceapi, frame, result, privacy, size, overlays, overlaySettings, trigger = 'manual' }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  // A still frame (image or paused video) can't move away from its detections, however old they are
+  const isStill = !(frame.source instanceof HTMLVideoElement) || frame.source.paused || frame.source.ended;
+  const now = isStill && result ? result.updatedAt : performance.now();
+  const hidden = drawSourceFrame(canvas.getContext('2d'), frame.source, frame.mirror, result, privacy, now);
+  if (overlays && result) {
+    drawDetectionOverlay(faceapi, canvas, result, hidden, overlaySettings, frame.mirror);
+  }
+  const blob = await canvasToPng(canvas);
+  const capturedAt = Date.now();
+
+  // Anonymized faces keep their box and track id but not their landmarks, like the overlay
+  const faces = result
+    ? serializeFaces(result.detections, result.trackIds).map((face, index) => {
+      const isHidden = hidden.includes(index);
+      return {
+        ...face,
+        landmarks: isHidden ? [] : face.landmarks,
+        label: isHidden ? `Face #${face.trackId}` : result.labels[index],
+        identityId: isHidden ? null : result.identityIds[index],
+        pose: result.poses[index],
+        anonymized: isHidden,
+      };
+    })
+    : [];
+  const json = JSON.stringify({
+    version: SNAPSHOT_EXPORT_VERSION,
+    capturedAt: new Date(capturedAt).toISOString(),
+    trigger, // 'manual', 'burst' or 'expression'
+    imageSize: size,
+    mirrored: frame.mirror, // Coordinates are in source space; mirrored frames are flipped horizontally in the PNG
+    overlays,
+    faces,
+  }, null, 2);
+
+  return { blob, url: URL.createObjectURL(blob), capturedAt, json, trigger, overlays };
+};
+
+// True when any face shows `expression` with at least `threshold` probability
+export const matchesExpression = (detections, expression, threshold) => detections.some(detection => (
+  detection.expressions && detection.expressions[expression] >= threshold
+));
+
+// File names shared by a snapshot's PNG and JSON, so they stay paired
+export const snapshotBaseName = (snapshot) => `face-tracking-snapshot-${snapshot.capturedAt}`;
@@ -0,0 +1,61 @@
+// Helpers for running the detection pass over local video and image files
+
+export const DEFAULT_ANALYSIS_STEP_S = 0.1; // Seconds between analysed frames, matching the live loop's 100 ms tick
+
+// Returns 'video', 'image' or null for a File chosen by the user
+export const getMediaKind = (file) => {
+  if (file.type.startsWith('video/')) {
+    return 'video';
+  }
+  if (file.type.startsWith('image/')) {
+    return 'image';
+  }
+  return null;
+};
+
+// Loads an image URL into an HTMLImageElement
+export const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('The selected image could not be decoded.'));
+  image.src = url;
+});
+
+// Seeks a paused video element and waits until the new frame is available
+const seekTo = (video, time) => new Promise((resolve, reject) => {
+  const onSeeked = () => {
+    video.removeEventListener('seeked', onSeeked);
+    video.removeEventListener('error', onError);
+    resolve();
+  };
+  const onError = () => {
+    video.removeEventListener('seeked', onSeeked);
+    video.removeEventListener('error', onError);
+    reject(new Error('Failed to seek the video.'));
+  };
+  video.addEventListener('seeked', onSeeked);
+  video.addEventListener('error', onError);
+  video.currentTime = time;
+});
+
+// Steps a paused video through [startTime, duration] seeking frame by frame and awaiting `onFrame` for each,
+// so the pass runs as fast as inference allows instead of at playback speed.
+// `signal.cancelled` can be set by the caller to stop early.
+export const analyzeVideoFrames = async (video, { onFrame, onProgress, signal, step = DEFAULT_ANALYSIS_STEP_S, startTime = 0 }) => {
+  video.pause();
+  const { duration } = video;
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error('The video duration is unknown, so it cannot be analysed frame by frame.');
+  }
+  for (let time = startTime; time <= duration; time += step) {
+    if (signal && signal.cancelled) {
+      return false;
+    }
+    await seekTo(video, Math.min(time, duration));
+    await onFrame(video.currentTime);
+    if (onProgress) {
+      onProgress(Math.min(1, time / duration));
+    }
+  }
+  return true;
+};
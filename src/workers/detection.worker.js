@@ -0,0 +1,93 @@
+// Web Worker that runs face-api.js inference off the main thread.
+// The main thread transfers an ImageBitmap per frame; results come back serialized (see detectionSerialization).
+//
+// Protocol:
+//   main -> worker: { type: 'init', weights }                      worker -> main: { type: 'ready' } | { type: 'init-error', message }
+//   main -> worker: { type: 'detect', id, bitmap, settings, withDescriptors }
+//                                                                   worker -> main: { type: 'result', id, detections, inferenceMs } | { type: 'request-error', id, message }
+//   main -> worker: { type: 'load-weights', id, weights }          worker -> main: { type: 'weights-loaded', id } | { type: 'request-error', id, message }
+// `weights` is the verified model data from modelLoader.loadModelFiles, so the worker never fetches models itself.
+
+import * as faceapi from 'face-api.js';
+import { serializeDetections } from '../lib/detectionSerialization';
+import { applyModelWeights } from '../lib/modelLoader';
+import { runDetection } from '../lib/detectorSettings';
+
+let canvas = null; // Reused OffscreenCanvas the bitmaps are drawn onto
+
+// face-api.js only knows browser (DOM) and Node environments, so describe the worker's OffscreenCanvas world to it
+const createWorkerEnv = () => ({
+  Canvas: OffscreenCanvas,
+  CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+  Image: class WorkerImage {}, // Never instantiated: frames arrive as bitmaps drawn onto a canvas
+  ImageData,
+  Video: class WorkerVideo {},
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => { throw new Error('Image elements are not available in a worker.'); },
+  fetch: (...args) => fetch(...args),
+  readFile: () => { throw new Error('readFile is not available in a worker.'); },
+});
+
+// Switches tfjs to a backend; resolves with whether it initialized. tfjs resolves to false when a backend fails
+// to initialize (e.g. without a GL context) and only throws for unknown backend names
+const trySetBackend = async (name) => {
+  try {
+    return await faceapi.tf.setBackend(name);
+  } catch (err) {
+    console.warn(`The ${name} backend is unavailable in the worker:`, err);
+    return false;
+  }
+};
+
+const init = async (weights) => {
+  faceapi.env.setEnv(createWorkerEnv());
+
+  // Prefer WebGL on the OffscreenCanvas; fall back to the CPU backend where workers cannot get a GL context.
+  // If neither works, the init error makes faceDetector run detection on the main thread instead
+  if (!(await trySetBackend('webgl'))) {
+    console.warn('WebGL backend unavailable in worker, using CPU.');
+    if (!(await trySetBackend('cpu'))) {
+      throw new Error('No TensorFlow.js backend could be initialized in the worker.');
+    }
+  }
+  await faceapi.tf.ready();
+
+  applyModelWeights(faceapi, weights);
+};
+
+const detect = async (bitmap, settings, withDescriptors) => {
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  }
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close(); // Release the frame as soon as it has been copied
+
+  return serializeDetections(await runDetection(faceapi, canvas, settings, withDescriptors));
+};
+
+self.onmessage = async (event) => {
+  const message = event.data;
+  if (message.type === 'init') {
+    try {
+      await init(message.weights);
+      self.postMessage({ type: 'ready' });
+    } catch (err) {
+      self.postMessage({ type: 'init-error', message: err.message });
+    }
+  } else if (message.type === 'detect') {
+    const startedAt = performance.now();
+    try {
+      const detections = await detect(message.bitmap, message.settings, message.withDescriptors);
+      self.postMessage({ type: 'result', id: message.id, detections, inferenceMs: performance.now() - startedAt });
+    } catch (err) {
+      self.postMessage({ type: 'request-error', id: message.id, message: err.message });
+    }
+  } else if (message.type === 'load-weights') {
+    try {
+      applyModelWeights(faceapi, message.weights);
+      self.postMessage({ type: 'weights-loaded', id: message.id });
+    } catch (err) {
+      self.postMessage({ type: 'request-error', id: message.id, message: err.message });
+    }
+  }
+};
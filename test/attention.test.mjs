@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAttentionMonitor, isAttentive, attentionRatio, DEFAULT_ATTENTION_SETTINGS } from '../src/lib/attention.js';
+
+const LOOKING = { yaw: 5, pitch: 0, roll: 0 };
+const AWAY = { yaw: 60, pitch: 0, roll: 0 };
+const SETTINGS = { ...DEFAULT_ATTENTION_SETTINGS, lookAwaySeconds: 3 };
+
+test('the attention cone is bounded by yaw and pitch', () => {
+  assert.equal(isAttentive(LOOKING), true);
+  assert.equal(isAttentive(AWAY), false);
+  assert.equal(isAttentive({ yaw: 0, pitch: -30 }), false);
+  assert.equal(attentionRatio({ attentiveMs: 0, awayMs: 0 }), null);
+  assert.equal(attentionRatio({ attentiveMs: 300, awayMs: 100 }), 0.75);
+});
+
+test('time is credited to the state of each face, and long gaps are not credited', () => {
+  const monitor = createAttentionMonitor({ maxMissingMs: 1500 });
+  monitor.update([1], [LOOKING], 0, SETTINGS);
+  monitor.update([1], [LOOKING], 1000, SETTINGS);
+  monitor.update([1], [AWAY], 1500, SETTINGS);
+  monitor.update([1], [AWAY], 10000, SETTINGS); // After a gap longer than maxMissingMs
+  const [face] = monitor.getStats(10000).perFace;
+  assert.equal(face.attentiveMs, 1000);
+  assert.equal(face.awayMs, 500);
+});
+
+test('a look-away alert fires once after lookAwaySeconds and clears when the face looks back', () => {
+  const monitor = createAttentionMonitor();
+  assert.deepEqual(monitor.update([1], [AWAY], 0, SETTINGS).newAlerts, []);
+  assert.deepEqual(monitor.update([1], [AWAY], 2900, SETTINGS).newAlerts, []);
+  assert.deepEqual(monitor.update([1], [AWAY], 3000, SETTINGS).newAlerts, [1]);
+  assert.deepEqual(monitor.update([1], [AWAY], 3100, SETTINGS).newAlerts, []);
+  monitor.update([1], [LOOKING], 3200, SETTINGS);
+  assert.equal(monitor.getStats(3200).perFace[0].alerting, false);
+});
+
+test('short detection dropouts do not restart the look-away timer', () => {
+  const monitor = createAttentionMonitor();
+  monitor.update([1], [AWAY], 0, SETTINGS);
+  monitor.update([], [], 1000, SETTINGS); // Face lost for a moment
+  monitor.update([1], [null], 1500, SETTINGS); // Detected without landmarks, so without a pose
+  monitor.update([1], [AWAY], 2000, SETTINGS);
+  assert.equal(monitor.getStats(2000).perFace[0].awayForMs, 2000);
+  assert.deepEqual(monitor.update([1], [AWAY], 3000, SETTINGS).newAlerts, [1]);
+});
+
+test('a face lost while looking away still counts as away and can raise the alert', () => {
+  const monitor = createAttentionMonitor();
+  monitor.update([1], [AWAY], 0, SETTINGS);
+  assert.deepEqual(monitor.update([], [], 2000, SETTINGS).newAlerts, []);
+  assert.deepEqual(monitor.update([], [], 3500, SETTINGS).newAlerts, [1]);
+  const [face] = monitor.getStats(3500).perFace;
+  assert.equal(face.alerting, true);
+  assert.equal(face.awayForMs, 3500);
+});
+
+test('a face lost while attentive just left the frame', () => {
+  const monitor = createAttentionMonitor();
+  monitor.update([1], [LOOKING], 0, SETTINGS);
+  assert.deepEqual(monitor.update([], [], 5000, SETTINGS).newAlerts, []);
+  const [face] = monitor.getStats(5000).perFace;
+  assert.equal(face.alerting, false);
+  assert.equal(face.awayForMs, 0);
+});
+
+test('alerts can be turned off and reset clears every face', () => {
+  const monitor = createAttentionMonitor();
+  const quiet = { ...SETTINGS, alertsEnabled: false };
+  monitor.update([1], [AWAY], 0, quiet);
+  assert.deepEqual(monitor.update([1], [AWAY], 5000, quiet).newAlerts, []);
+  monitor.reset();
+  assert.deepEqual(monitor.getStats().perFace, []);
+});
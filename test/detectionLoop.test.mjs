@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateController, startFrameLoop } from '../src/lib/detectionLoop.js';
+
+test('only one inference runs at a time, and the first may start right away', () => {
+  const rate = createRateController();
+  assert.equal(rate.shouldStart(0), true);
+  rate.start(0);
+  assert.equal(rate.shouldStart(500), false);
+  rate.finish(20);
+  assert.equal(rate.shouldStart(33), true); // 20ms inference: the 33ms floor applies
+  assert.equal(rate.getStats().intervalMs, 33);
+});
+
+test('the interval follows the smoothed latency with headroom, within its bounds', () => {
+  const rate = createRateController({ smoothing: 0.5 });
+  rate.start(0);
+  rate.finish(200);
+  assert.equal(rate.getStats().inferenceMs, 200);
+  assert.equal(rate.getStats().intervalMs, 250);
+  assert.equal(rate.shouldStart(249), false);
+  assert.equal(rate.shouldStart(250), true);
+
+  rate.start(250);
+  rate.finish(350); // 100ms sample, averaged halfway towards it
+  assert.equal(rate.getStats().inferenceMs, 150);
+
+  rate.start(1000);
+  rate.finish(5000);
+  assert.equal(rate.getStats().intervalMs, 1000); // Capped at maxIntervalMs
+});
+
+test('render and detection rates are published once per second', () => {
+  const rate = createRateController();
+  for (let now = 0; now <= 1000; now += 50) {
+    rate.frameDrawn(now);
+    if (now % 200 === 0 && now < 1000) {
+      rate.start(now);
+      rate.finish(now + 10);
+    }
+  }
+  const { renderFps, detectionFps } = rate.getStats();
+  assert.equal(renderFps, 21); // Frames at 0, 50, ..., 1000ms, counted as the window closes
+  assert.equal(detectionFps, 5);
+});
+
+test('the frame loop follows video frames and stops cleanly', () => {
+  let pending = null;
+  let cancelled = null;
+  const video = {
+    requestVideoFrameCallback: (callback) => {
+      pending = callback;
+      return 7;
+    },
+    cancelVideoFrameCallback: (handle) => {
+      cancelled = handle;
+    },
+  };
+  const frames = [];
+  const stop = startFrameLoop(video, now => frames.push(now));
+  pending(10);
+  pending(20);
+  assert.deepEqual(frames, [10, 20]);
+
+  stop();
+  assert.equal(cancelled, 7);
+  pending(30); // A callback already queued by the browser is ignored
+  assert.deepEqual(frames, [10, 20]);
+});
+
+test('the frame loop falls back to requestAnimationFrame', () => {
+  const queued = [];
+  const cancelled = [];
+  globalThis.requestAnimationFrame = (callback) => queued.push(callback);
+  globalThis.cancelAnimationFrame = (handle) => cancelled.push(handle);
+  try {
+    const frames = [];
+    const stop = startFrameLoop({}, now => frames.push(now));
+    queued[0](16);
+    assert.deepEqual(frames, [16]);
+    stop();
+    assert.deepEqual(cancelled, [2]);
+  } finally {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEyeAspectRatio, createDrowsinessMonitor, DEFAULT_DROWSINESS_SETTINGS } from '../src/lib/drowsiness.js';
+
+const OPEN = 0.3;
+const CLOSED = 0.1;
+const SETTINGS = { ...DEFAULT_DROWSINESS_SETTINGS, perclosWindowSeconds: 10 };
+
+// 68 landmark positions whose eyes (30px wide) have the given aspect ratios
+const landmarksWithEyes = (leftEar, rightEar = leftEar) => {
+  const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+  const placeEye = (start, originX, ear) => {
+    const half = ear * 15; // EAR = (2 * half + 2 * half) / (2 * 30)
+    [[0, 0], [10, -half], [20, -half], [30, 0], [20, half], [10, half]].forEach(([x, y], index) => {
+      positions[start + index] = { x: originX + x, y: 100 + y };
+    });
+  };
+  placeEye(36, 100, leftEar);
+  placeEye(42, 200, rightEar);
+  return positions;
+};
+
+// Feeds one face's EAR samples at a fixed interval and returns the alerts they started
+const feed = (monitor, ears, { from = 0, stepMs = 100, settings = SETTINGS } = {}) => {
+  const alerts = [];
+  ears.forEach((ear, index) => {
+    alerts.push(...monitor.update([1], [ear], from + index * stepMs, settings).newAlerts);
+  });
+  return alerts;
+};
+
+test('the eye aspect ratio is the mean of both eyes, and null without 68 landmarks', () => {
+  assert.ok(Math.abs(computeEyeAspectRatio(landmarksWithEyes(0.3)) - 0.3) < 1e-9);
+  assert.ok(Math.abs(computeEyeAspectRatio(landmarksWithEyes(0.2, 0.4)) - 0.3) < 1e-9);
+  assert.equal(computeEyeAspectRatio(null), null);
+  assert.equal(computeEyeAspectRatio(landmarksWithEyes(0.3).slice(0, 60)), null);
+});
+
+test('a blink is counted when the eyes reopen', () => {
+  const monitor = createDrowsinessMonitor();
+  const { eyesClosed } = monitor.update([1], [OPEN], 0, SETTINGS);
+  assert.deepEqual(eyesClosed, [false]);
+  assert.deepEqual(monitor.update([1], [CLOSED], 100, SETTINGS).eyesClosed, [true]);
+  monitor.update([1], [OPEN], 200, SETTINGS);
+  feed(monitor, [OPEN, CLOSED, OPEN], { from: 300 });
+  const [face] = monitor.getStats(500, SETTINGS).perFace;
+  assert.equal(face.blinkCount, 2);
+  assert.equal(face.eyesClosed, false);
+});
+
+test('eyes closed longer than maxClosedSeconds raise one alert that clears when they open', () => {
+  const monitor = createDrowsinessMonitor();
+  const settings = { ...SETTINGS, perclosThreshold: 1 }; // Only the closure rule
+  const alerts = feed(monitor, [OPEN, ...Array(20).fill(CLOSED)], { settings });
+  assert.deepEqual(alerts, [1]); // Closed at 100ms, alert at 1600ms, once
+  let [face] = monitor.getStats(2000, settings).perFace;
+  assert.equal(face.reason, 'eyes-closed');
+  assert.equal(face.closedForMs, 1900);
+
+  monitor.update([1], [OPEN], 2100, settings);
+  [face] = monitor.getStats(2100, settings).perFace;
+  assert.equal(face.alerting, false);
+  assert.equal(face.blinkCount, 1);
+});
+
+test('PERCLOS is the closed share of the observed time and alerts past its threshold', () => {
+  const monitor = createDrowsinessMonitor();
+  const settings = { ...SETTINGS, maxClosedSeconds: 60 }; // Only the PERCLOS rule
+  // Open for 0.7s, closed for 0.3s, over and over: 30% closed
+  const cycle = [OPEN, OPEN, OPEN, OPEN, OPEN, OPEN, OPEN, CLOSED, CLOSED, CLOSED];
+  const alerts = feed(monitor, Array(4).fill(cycle).flat(), { settings });
+  const [face] = monitor.getStats(3900, settings).perFace;
+  assert.ok(Math.abs(face.perclos - 0.3) < 0.03, `perclos ${face.perclos}`);
+  assert.deepEqual(alerts, [1]); // Only once a quarter of the 10s window was observed
+  assert.equal(face.reason, 'perclos');
+});
+
+test('PERCLOS does not alert before enough of the window was observed', () => {
+  const monitor = createDrowsinessMonitor();
+  const settings = { ...SETTINGS, maxClosedSeconds: 60 };
+  assert.deepEqual(feed(monitor, [OPEN, CLOSED, CLOSED, CLOSED, CLOSED], { settings }), []);
+});
+
+test('a face that left the frame stops alerting and starts a fresh closure when it returns', () => {
+  const monitor = createDrowsinessMonitor();
+  const settings = { ...SETTINGS, perclosThreshold: 1 };
+  monitor.update([1], [CLOSED], 0, settings);
+  monitor.update([], [], 1000, settings); // Face lost mid-closure
+  assert.deepEqual(monitor.update([1], [CLOSED], 1200, settings).newAlerts, []); // A fresh closure
+  assert.deepEqual(feed(monitor, Array(16).fill(CLOSED), { from: 1300, settings }), [1]);
+
+  monitor.update([], [], 3000, settings);
+  assert.equal(monitor.getStats(3000, settings).perFace[0].alerting, false);
+  monitor.reset();
+  assert.deepEqual(monitor.getStats(60000, settings).perFace, []);
+});
+
+test('alerts can be turned off', () => {
+  const monitor = createDrowsinessMonitor();
+  const quiet = { ...SETTINGS, alertsEnabled: false };
+  assert.deepEqual(feed(monitor, Array(30).fill(CLOSED), { settings: quiet }), []);
+  assert.equal(monitor.getStats(3000, quiet).perFace[0].alerting, false);
+});
@@ -0,0 +1,242 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEventBus, createRateLimiter, createEventMessage, validateEventMessage, describeDetections,
+  normalizeEventStreamSettings, createWebSocketTransport, createBroadcastChannelTransport, createPostMessageTransport,
+  EVENT_SCHEMA, EVENT_SCHEMA_VERSION,
+} from '../src/lib/eventStream.js';
+import { fakeFace, flush } from './fakes.mjs';
+
+// Transport recording what the bus sends; `open()` simulates the connection being established
+const createFakeTransport = (id) => {
+  const transport = { id, key: null, sent: [], closed: false, status: 'connecting', options: null };
+  const factory = (key, options) => {
+    transport.key = key;
+    transport.options = options;
+    return {
+      id,
+      send: (message, text) => transport.sent.push({ message, text }),
+      getStatus: () => transport.status,
+      close: () => {
+        transport.closed = true;
+      },
+    };
+  };
+  transport.open = () => {
+    transport.status = 'open';
+    transport.options.onOpen();
+  };
+  return { transport, factory };
+};
+
+test('messages carry the versioned envelope and validate', () => {
+  const message = createEventMessage('expression', { trackId: 1 }, { seq: 3, source: 'tab', timestamp: 1000 });
+  assert.deepEqual(message, {
+    schema: EVENT_SCHEMA, version: EVENT_SCHEMA_VERSION, type: 'expression', seq: 3, source: 'tab', timestamp: 1000, payload: { trackId: 1 },
+  });
+  assert.equal(validateEventMessage(message), null);
+  assert.match(validateEventMessage({ ...message, version: 2 }), /Unsupported version/);
+  assert.match(validateEventMessage({ ...message, type: 'nope' }), /Unknown event type/);
+  assert.match(validateEventMessage({ ...message, schema: 'other' }), /Unknown schema/);
+  assert.match(validateEventMessage({ ...message, seq: undefined }), /Missing seq/);
+  assert.match(validateEventMessage(null), /Not an object/);
+});
+
+test('detection payloads describe every face without landmarks unless asked', () => {
+  const face = fakeFace({ x: 10.04, expressions: { happy: 0.8, neutral: 0.2 } });
+  face.landmarks = { positions: [{ x: 1, y: 2 }] };
+  const result = { detections: [face], trackIds: [4], labels: ['Face #4'], identityIds: [null] };
+  const pose = { yaw: 1, pitch: 2, roll: 3 };
+
+  const payload = describeDetections(result, {
+    faceMetrics: [{ pose, attentive: true, eyesClosed: false }], imageSize: { width: 640, height: 480 }, mirrored: true,
+  });
+
+  assert.deepEqual(payload.imageSize, { width: 640, height: 480 });
+  assert.equal(payload.mirrored, true);
+  const [described] = payload.faces;
+  assert.equal(described.trackId, 4);
+  assert.deepEqual(described.box, { x: 10, y: 0, width: 100, height: 100 });
+  assert.equal(described.expression, 'happy');
+  assert.equal(described.label, 'Face #4');
+  assert.equal(described.identityId, null);
+  assert.deepEqual(described.pose, pose);
+  assert.equal(described.attentive, true);
+  assert.equal(described.eyesClosed, false);
+  assert.equal('landmarks' in described, false);
+  assert.deepEqual(describeDetections(result, { includeLandmarks: true }).faces[0].landmarks, [[1, 2]]);
+  assert.equal(describeDetections(result).faces[0].pose, null);
+});
+
+test('the rate limiter throttles detections and caps bursts of other events', () => {
+  const limiter = createRateLimiter({ maxDetectionsPerSecond: 10, maxEventsPerSecond: 3 });
+
+  assert.deepEqual([0, 50, 100, 150, 210].map(now => limiter.allow('detections', now)), [true, false, true, false, true]);
+  assert.deepEqual([0, 0, 0, 0].map(now => limiter.allow('expression', now)), [true, true, true, false]);
+  assert.equal(limiter.allow('recording', 340), true); // One token refilled after a third of a second
+  assert.equal(limiter.allow('recording', 340), false);
+  assert.equal(limiter.allow('hello', 340), true);
+});
+
+test('settings are clamped to the supported rate limits', () => {
+  const settings = normalizeEventStreamSettings({ maxDetectionsPerSecond: 500, maxEventsPerSecond: 0, websocket: true });
+  assert.equal(settings.maxDetectionsPerSecond, 60);
+  assert.equal(settings.maxEventsPerSecond, 1);
+  assert.equal(settings.websocket, true);
+  assert.equal(normalizeEventStreamSettings({ maxDetectionsPerSecond: 'x' }).maxDetectionsPerSecond, 10);
+});
+
+test('the bus fans events out to the enabled transports, says hello on connect and counts drops', () => {
+  let time = 0;
+  const websocket = createFakeTransport('websocket');
+  const channel = createFakeTransport('broadcastChannel');
+  const bus = createEventBus({
+    source: 'tab-1',
+    now: () => time,
+    transports: { websocket: websocket.factory, broadcastChannel: channel.factory },
+  });
+
+  assert.equal(bus.publish('detections', { faces: [] }), false); // No channel enabled yet
+  bus.configure({ websocket: true, websocketUrl: 'ws://relay/publish', broadcastChannel: true, maxDetectionsPerSecond: 5 });
+  assert.equal(websocket.transport.key, 'ws://relay/publish');
+  assert.equal(channel.transport.key, 'face-tracking-events');
+
+  websocket.transport.open();
+  const [hello] = websocket.transport.sent;
+  assert.equal(hello.message.type, 'hello');
+  assert.deepEqual(hello.message.payload.rateLimits, { maxDetectionsPerSecond: 5, maxEventsPerSecond: 20 });
+  assert.equal(channel.transport.sent.length, 0); // The hello only goes to the transport that opened
+
+  let built = 0;
+  const build = () => {
+    built++;
+    return { faces: [] };
+  };
+  assert.equal(bus.publish('detections', build, 123), true);
+  time = 100;
+  assert.equal(bus.publish('detections', build), false); // Within 200 ms of the previous one
+  assert.equal(built, 1);
+
+  const [, detections] = websocket.transport.sent;
+  assert.equal(detections.message.timestamp, 123);
+  assert.equal(detections.message.source, 'tab-1');
+  assert.deepEqual(JSON.parse(detections.text), detections.message);
+  assert.deepEqual(channel.transport.sent.map(entry => entry.message.seq), [1]);
+  assert.deepEqual(bus.getStats(), {
+    sent: 2,
+    dropped: 1,
+    transports: [{ id: 'websocket', status: 'open' }, { id: 'broadcastChannel', status: 'connecting' }],
+  });
+});
+
+test('changing or disabling a channel closes its transport', () => {
+  const websocket = createFakeTransport('websocket');
+  const created = [];
+  const bus = createEventBus({
+    transports: {
+      websocket: (key, options) => {
+        created.push(key);
+        return websocket.factory(key, options);
+      },
+    },
+  });
+  const statuses = [];
+  bus.on('status', stats => statuses.push(stats.transports.length));
+
+  bus.configure({ websocket: true });
+  bus.configure({ maxEventsPerSecond: 5 }); // Same URL: the socket stays
+  bus.configure({ websocketUrl: 'ws://other/publish' });
+  assert.deepEqual(created, ['ws://localhost:8765/publish', 'ws://other/publish']);
+  bus.configure({ websocket: false });
+  assert.equal(websocket.transport.closed, true);
+  assert.equal(bus.getStats().transports.length, 0);
+  assert.deepEqual(statuses, [1, 1, 1, 0]);
+  bus.dispose();
+});
+
+test('the WebSocket transport reconnects with backoff and only sends while open', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const sockets = [];
+  class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    send(text) {
+      this.sent.push(text);
+    }
+
+    close() {
+      this.onclose();
+    }
+  }
+  const opened = [];
+  const transport = createWebSocketTransport('ws://relay/publish', { WebSocketImpl: FakeWebSocket, onOpen: () => opened.push(sockets.length) });
+
+  transport.send({}, 'lost');
+  sockets[0].onopen();
+  transport.send({}, 'first');
+  sockets[0].onclose(); // Relay restarted
+  assert.equal(transport.getStatus(), 'connecting');
+  t.mock.timers.tick(999);
+  assert.equal(sockets.length, 1);
+  t.mock.timers.tick(1);
+  assert.equal(sockets.length, 2);
+  sockets[1].onclose(); // Still down: the next attempt waits twice as long
+  t.mock.timers.tick(1999);
+  assert.equal(sockets.length, 2);
+  t.mock.timers.tick(1);
+  sockets[2].onopen();
+  transport.send({}, 'second');
+
+  assert.deepEqual(sockets[0].sent, ['first']);
+  assert.deepEqual(sockets[2].sent, ['second']);
+  assert.deepEqual(opened, [1, 3]);
+  transport.close();
+  assert.equal(transport.getStatus(), 'closed');
+  t.mock.timers.tick(60000);
+  assert.equal(sockets.length, 3); // No reconnection after close
+});
+
+test('the BroadcastChannel transport reaches other channels of the same name', async () => {
+  const receiver = new BroadcastChannel('face-tracking-test');
+  const received = new Promise(resolve => {
+    receiver.onmessage = event => resolve(event.data);
+  });
+  let opened = false;
+  const transport = createBroadcastChannelTransport('face-tracking-test', { onOpen: () => { opened = true; } });
+  await flush();
+
+  transport.send({ type: 'expression', payload: { trackId: 2 } });
+  assert.deepEqual(await received, { type: 'expression', payload: { trackId: 2 } });
+  assert.equal(opened, true);
+  transport.close();
+  receiver.close();
+});
+
+test('the postMessage transport posts to the parent with the target origin, and only when embedded', () => {
+  const posted = [];
+  const parent = { postMessage: (message, origin) => posted.push({ message, origin }) };
+  const transport = createPostMessageTransport('https://host.example', { target: parent, self: {} });
+  transport.send({ type: 'hello' });
+  assert.deepEqual(posted, [{ message: { type: 'hello' }, origin: 'https://host.example' }]);
+
+  const self = {};
+  assert.equal(createPostMessageTransport('https://host.example', { target: self, self }).getStatus(), 'unavailable');
+});
+
+test('the postMessage transport refuses wildcard and malformed target origins', () => {
+  const posted = [];
+  const parent = { postMessage: (message, origin) => posted.push(origin) };
+  for (const origin of ['*', '', 'https://host.example/path', 'not a url']) {
+    const transport = createPostMessageTransport(origin, { target: parent, self: {} });
+    assert.equal(transport.getStatus(), 'unavailable');
+    transport.send({ type: 'hello' });
+  }
+  assert.deepEqual(posted, []);
+  assert.equal(normalizeEventStreamSettings({ postMessageOrigin: '*' }).postMessageOrigin, '');
+  assert.equal(normalizeEventStreamSettings({ postMessageOrigin: 'https://host.example' }).postMessageOrigin, 'https://host.example');
+  assert.equal(normalizeEventStreamSettings({}).postMessageOrigin, '');
+});
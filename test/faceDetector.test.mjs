@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFaceDetector, DetectorLostError } from '../src/lib/faceDetector.js';
+import { flush } from './fakes.mjs';
+
+// Stand-in for the detection worker: records what it is sent and lets the test answer or crash it
+class FakeWorker {
+  static instances = [];
+
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onmessageerror = null;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+}
+
+beforeEach(() => {
+  FakeWorker.instances = [];
+  globalThis.Worker = FakeWorker;
+  globalThis.OffscreenCanvas = class {};
+  globalThis.createImageBitmap = async source => ({ source });
+});
+
+afterEach(() => {
+  delete globalThis.Worker;
+  delete globalThis.OffscreenCanvas;
+  delete globalThis.createImageBitmap;
+});
+
+// A worker detector whose fake worker has reported ready
+const createReadyDetector = async () => {
+  const creating = createFaceDetector({}, { tinyFaceDetector: {} });
+  const [worker] = FakeWorker.instances;
+  assert.equal(worker.messages[0].type, 'init');
+  worker.reply({ type: 'ready' });
+  return { detector: await creating, worker };
+};
+
+test('detect requests are answered by the worker reply with the same id', async () => {
+  const { detector, worker } = await createReadyDetector();
+  assert.equal(detector.mode, 'worker');
+  const detecting = detector.detect({});
+  await flush();
+  const request = worker.messages.at(-1);
+  assert.equal(request.type, 'detect');
+  worker.reply({ type: 'result', id: request.id, detections: [] });
+  assert.deepEqual(await detecting, []);
+  detector.dispose();
+});
+
+test('a worker crashing mid-request rejects the pending request and every later one', async () => {
+  const { detector, worker } = await createReadyDetector();
+  const detecting = detector.detect({});
+  const loading = detector.loadWeights({ ssdMobilenetv1: {} });
+  await flush();
+
+  worker.onerror({ message: 'Out of memory' });
+
+  await assert.rejects(detecting, err => err instanceof DetectorLostError && /crashed: Out of memory/.test(err.message));
+  await assert.rejects(loading, DetectorLostError);
+  await assert.rejects(detector.detect({}), DetectorLostError);
+  assert.equal(worker.terminated, true);
+  assert.deepEqual(Object.keys(detector.getWeights()), ['tinyFaceDetector']); // For a replacement detector
+});
+
+test('a message that cannot be deserialized loses the detector too', async () => {
+  const { detector, worker } = await createReadyDetector();
+  const detecting = detector.detect({});
+  await flush();
+  worker.onmessageerror({});
+  await assert.rejects(detecting, DetectorLostError);
+});
+
+test('a request the worker never answers times out', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    const { detector, worker } = await createReadyDetector();
+    const detecting = detector.detect({});
+    await flush();
+    mock.timers.tick(10000);
+    await assert.rejects(detecting, /did not answer a detect request within 10s/);
+    assert.equal(worker.terminated, true);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('a worker failing before it is ready makes the detector fall back to the main thread', async () => {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const faceapi = { nets: {}, tf: { io: { decodeWeights: () => ({}) } } };
+    const creating = createFaceDetector(faceapi, {});
+    FakeWorker.instances[0].onerror({ message: 'Script error' });
+    const detector = await creating;
+    assert.equal(detector.mode, 'main-thread');
+    assert.equal(FakeWorker.instances[0].terminated, true);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
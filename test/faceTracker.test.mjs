@@ -0,0 +1,314 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFaceTracker } from '../src/lib/faceTracker.js';
+import { DetectorLostError } from '../src/lib/faceDetector.js';
+import {
+  fakeFace, createFakeFaceApi, createFakeDetector, createFakeMatcher, createFakeVideo, createManualFrameLoop, flush,
+} from './fakes.mjs';
+
+// Tracker with a fake face-api module and detector, ready to analyse
+const createLoadedTracker = (detectorOptions = {}, options = {}) => {
+  const faceapi = createFakeFaceApi();
+  const detector = createFakeDetector(detectorOptions);
+  const tracker = createFaceTracker({ faceapi, detector, now: () => 1000, clock: () => 0, ...options });
+  return { tracker, faceapi, detector };
+};
+
+test('load downloads the models, creates the detector and reports progress', async () => {
+  const faceapi = createFakeFaceApi();
+  const detector = createFakeDetector();
+  const tracker = createFaceTracker({
+    faceapi,
+    loadModels: async (modelUrl, onProgress) => {
+      assert.equal(modelUrl, '/models');
+      onProgress('tinyFaceDetector', { status: 'done', loaded: 10, total: 10 });
+      return { weights: { tinyFaceDetector: {} }, failures: [] };
+    },
+    createDetector: async (api, weights) => {
+      assert.equal(api, faceapi);
+      assert.deepEqual(Object.keys(weights), ['tinyFaceDetector']);
+      return detector;
+    },
+  });
+  const states = [];
+  const progress = [];
+  tracker.on('state', state => states.push(state));
+  tracker.on('progress', event => progress.push(event));
+
+  const info = await tracker.load();
+
+  assert.deepEqual(states, ['loading', 'ready']);
+  assert.deepEqual(progress, [{ net: 'tinyFaceDetector', progress: { status: 'done', loaded: 10, total: 10 } }]);
+  assert.equal(info.mode, 'fake');
+  assert.equal(info.recognition, true);
+  assert.equal(tracker.getDetector(), detector);
+});
+
+test('a missing required model fails the load, and load can be retried', async () => {
+  let attempts = 0;
+  const tracker = createFaceTracker({
+    faceapi: createFakeFaceApi(),
+    loadModels: async () => {
+      attempts++;
+      return attempts === 1
+        ? { weights: {}, failures: [{ model: { required: true, label: 'Face detector' }, message: 'Shard missing.' }] }
+        : { weights: { tinyFaceDetector: {} }, failures: [] };
+    },
+    createDetector: async () => createFakeDetector(),
+  });
+  const errors = [];
+  tracker.on('error', err => errors.push(err.message));
+
+  await assert.rejects(tracker.load(), /Shard missing/);
+  assert.equal(tracker.getState(), 'failed');
+  assert.deepEqual(errors, ['Shard missing.']);
+
+  await tracker.load();
+  assert.equal(tracker.getState(), 'ready');
+});
+
+test('analyze resizes the detections, assigns stable track ids and emits them', async () => {
+  const { tracker, faceapi } = createLoadedTracker({
+    frames: [
+      [fakeFace({ x: 0 }), fakeFace({ x: 200 })],
+      [fakeFace({ x: 205 }), fakeFace({ x: 5 })], // Same people, listed in the other order
+    ],
+  });
+  const emitted = [];
+  tracker.on('detections', result => emitted.push(result));
+
+  const first = await tracker.analyze({}, { displaySize: { width: 200, height: 100 } });
+  const second = await tracker.analyze({}, { displaySize: { width: 200, height: 100 }, timestamp: 1100 });
+
+  assert.deepEqual(faceapi.resizeCalls, [{ width: 200, height: 100 }, { width: 200, height: 100 }]);
+  assert.equal(first.detections[1].detection.box.x, 400);
+  assert.deepEqual(first.trackIds, [1, 2]);
+  assert.deepEqual(second.trackIds, [2, 1]);
+  assert.deepEqual(second.labels, ['Face #2', 'Face #1']);
+  assert.equal(second.timestamp, 1100);
+  assert.deepEqual(emitted, [first, second]);
+  assert.equal(tracker.getStats().tracks.length, 2);
+});
+
+test('expression events fire only when a face\'s dominant expression changes', async () => {
+  const { tracker } = createLoadedTracker({
+    frames: [
+      [fakeFace({ expressions: { neutral: 0.9, happy: 0.1 } })],
+      [fakeFace({ expressions: { neutral: 0.8, happy: 0.2 } })],
+      [fakeFace({ expressions: { neutral: 0.3, happy: 0.7 } })],
+    ],
+  });
+  const changes = [];
+  tracker.on('expression', change => changes.push(change));
+
+  for (let i = 0; i < 3; i++) {
+    await tracker.analyze({});
+  }
+
+  assert.deepEqual(changes.map(({ trackId, expression, previous }) => ({ trackId, expression, previous })), [
+    { trackId: 1, expression: 'neutral', previous: null },
+    { trackId: 1, expression: 'happy', previous: 'neutral' },
+  ]);
+  assert.equal(changes[1].probability, 0.7);
+  assert.equal(tracker.getStats().expressionCounts.neutral, 2);
+  assert.equal(tracker.getStats().expressionCounts.happy, 1);
+});
+
+test('descriptors are only requested with a matcher or while collecting, and matches label the faces', async () => {
+  const { tracker, detector } = createLoadedTracker({
+    frames: [[fakeFace()], [fakeFace({ descriptor: [0.2] }), fakeFace({ x: 300, descriptor: [0.9] })]],
+  });
+
+  await tracker.analyze({});
+  tracker.configure({ faceMatcher: createFakeMatcher('id-1'), identityNames: { 'id-1': 'Ada' } });
+  const result = await tracker.analyze({});
+
+  assert.deepEqual(detector.calls.map(call => call.withDescriptors), [false, true]);
+  assert.deepEqual(result.identityIds, ['id-1', null]);
+  assert.deepEqual(result.labels, ['Face #1: Ada (0.20)', 'Face #2: Unknown (0.80)']);
+
+  tracker.configure({ faceMatcher: null, collectDescriptors: true });
+  await tracker.analyze({});
+  assert.equal(detector.calls[2].withDescriptors, true);
+});
+
+test('the Tiny Face Detector stands in for a detection model that has not loaded yet', async () => {
+  const { tracker, detector } = createLoadedTracker();
+  tracker.configure({ detectorSettings: { model: 'ssdMobilenetv1', inputSize: 416, scoreThreshold: 0.5 } });
+
+  await tracker.analyze({});
+  await detector.loadWeights({ ssdMobilenetv1: {} });
+  await tracker.analyze({});
+
+  assert.deepEqual(detector.calls.map(call => call.settings.model), ['tinyFaceDetector', 'ssdMobilenetv1']);
+});
+
+test('start runs one inference at a time, emits frames and stats, and stops when the video pauses', async () => {
+  const loop = createManualFrameLoop();
+  const { tracker, detector } = createLoadedTracker({ frames: [[fakeFace()]], manual: true }, { frameLoop: loop.frameLoop });
+  const video = createFakeVideo();
+  const frames = [];
+  const stats = [];
+  const states = [];
+  tracker.on('frame', frame => frames.push(frame.now));
+  tracker.on('stats', event => stats.push(event));
+  tracker.on('state', state => states.push(state));
+
+  tracker.start(video);
+  loop.tick(0);
+  loop.tick(40);
+  loop.tick(80);
+  assert.equal(detector.pendingCount(), 1); // The first inference is still running
+  assert.deepEqual(detector.calls[0].source, video);
+
+  detector.resolveNext();
+  await flush();
+  loop.tick(120);
+  assert.equal(detector.calls.length, 2);
+  assert.deepEqual(frames, [0, 40, 80, 120]);
+  assert.equal(stats.length, 1);
+  assert.equal(stats[0].mode, 'fake');
+
+  video.paused = true;
+  loop.tick(160);
+  assert.equal(loop.isRunning(), false);
+  assert.equal(tracker.isRunning(), false);
+  assert.deepEqual(states, ['running', 'ready']);
+});
+
+test('start sizes the results to the video', async () => {
+  const loop = createManualFrameLoop();
+  const { tracker, faceapi } = createLoadedTracker({ frames: [[fakeFace()]] }, { frameLoop: loop.frameLoop });
+
+  tracker.start(createFakeVideo({ width: 300, height: 150 }));
+  loop.tick(0);
+  await flush();
+
+  assert.deepEqual(faceapi.resizeCalls, [{ width: 300, height: 150 }]);
+  tracker.dispose();
+});
+
+test('detection errors are reported through the error event without stopping the loop', async () => {
+  const loop = createManualFrameLoop();
+  const { tracker, detector } = createLoadedTracker({}, { frameLoop: loop.frameLoop });
+  detector.detect = () => Promise.reject(new Error('Backend lost.'));
+  const errors = [];
+  tracker.on('error', err => errors.push(err.message));
+
+  tracker.start(createFakeVideo());
+  loop.tick(0);
+  await flush();
+
+  assert.deepEqual(errors, ['Backend lost.']);
+  assert.equal(tracker.isRunning(), true);
+  tracker.dispose();
+});
+
+test('a lost detector worker is replaced by main-thread detection and the loop keeps running', async () => {
+  const loop = createManualFrameLoop();
+  const lost = createFakeDetector({ models: ['tinyFaceDetector', 'ssdMobilenetv1'] });
+  lost.mode = 'worker';
+  lost.detect = () => Promise.reject(new DetectorLostError('Detection worker crashed: Out of memory.'));
+  const replacement = createFakeDetector({ frames: [[fakeFace()]] });
+  const created = [];
+  const tracker = createFaceTracker({
+    faceapi: createFakeFaceApi(),
+    loadModels: async () => ({ weights: { tinyFaceDetector: {} }, failures: [] }),
+    createDetector: async (api, weights, options) => {
+      created.push({ nets: Object.keys(weights), options });
+      return created.length === 1 ? lost : replacement;
+    },
+    frameLoop: loop.frameLoop,
+    clock: () => 0,
+  });
+  await tracker.load();
+  const errors = [];
+  const ready = [];
+  const detections = [];
+  tracker.on('error', err => errors.push(err.message));
+  tracker.on('ready', info => ready.push(info.mode));
+  tracker.on('detections', result => detections.push(result));
+
+  tracker.start(createFakeVideo());
+  loop.tick(0);
+  await flush();
+  loop.tick(40); // The failed inference finished, so the next one may start
+  await flush();
+
+  assert.deepEqual(errors, ['Detection worker crashed: Out of memory.']);
+  assert.deepEqual(created[1], { nets: ['tinyFaceDetector', 'ssdMobilenetv1'], options: { worker: false } });
+  assert.equal(lost.disposed, 1);
+  assert.equal(tracker.getDetector(), replacement);
+  assert.deepEqual(ready, ['fake']);
+  assert.equal(detections.length, 1);
+  assert.equal(tracker.isRunning(), true);
+
+  tracker.dispose();
+  assert.equal(replacement.disposed, 1);
+});
+
+test('the tracker fails and stops when a lost detector cannot be replaced', async () => {
+  const loop = createManualFrameLoop();
+  const { tracker, detector } = createLoadedTracker({}, {
+    frameLoop: loop.frameLoop,
+    createDetector: async () => {
+      throw new Error('No backend.');
+    },
+  });
+  detector.detect = () => Promise.reject(new DetectorLostError('Detection worker hung.'));
+  const errors = [];
+  tracker.on('error', err => errors.push(err.message));
+
+  tracker.start(createFakeVideo());
+  loop.tick(0);
+  await flush();
+
+  assert.deepEqual(errors.sort(), ['Detection worker hung.', 'No backend.']);
+  assert.equal(tracker.getState(), 'failed');
+  assert.equal(loop.isRunning(), false);
+  assert.equal(detector.disposed, 0); // Injected: left to its owner
+});
+
+test('resetTracking restarts the face ids and the expression totals', async () => {
+  const { tracker } = createLoadedTracker({ frames: [[fakeFace()]] });
+
+  await tracker.analyze({});
+  tracker.resetTracking();
+  const result = await tracker.analyze({}, { timestamp: 1000 });
+
+  assert.deepEqual(result.trackIds, [1]);
+  assert.equal(tracker.getStats().expressionCounts.neutral, 1);
+});
+
+test('dispose stops the loop, releases the detector it created and drops in-flight results', async () => {
+  const loop = createManualFrameLoop();
+  const detector = createFakeDetector({ frames: [[fakeFace()]], manual: true });
+  const tracker = createFaceTracker({
+    faceapi: createFakeFaceApi(),
+    loadModels: async () => ({ weights: {}, failures: [] }),
+    createDetector: async () => detector,
+    frameLoop: loop.frameLoop,
+  });
+  await tracker.load();
+  const emitted = [];
+  tracker.on('detections', result => emitted.push(result));
+
+  tracker.start(createFakeVideo());
+  const pending = tracker.analyze({});
+  tracker.dispose();
+  detector.resolveNext();
+
+  assert.equal(await pending, null);
+  assert.deepEqual(emitted, []);
+  assert.equal(loop.isRunning(), false);
+  assert.equal(detector.disposed, 1);
+  assert.equal(tracker.getState(), 'disposed');
+  await assert.rejects(tracker.analyze({}), /disposed/);
+  assert.throws(() => tracker.start(createFakeVideo()), /disposed/);
+});
+
+test('injected detectors are left to their owner on dispose', () => {
+  const { tracker, detector } = createLoadedTracker();
+  tracker.dispose();
+  assert.equal(detector.disposed, 0);
+});
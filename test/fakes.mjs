@@ -0,0 +1,139 @@
+// Stand-ins for face-api.js, the detector, video elements and media streams, so the cores run in Node.
+
+// A face-api-like result for one face. `box` is in source pixels; `expressions` maps expression to probability.
+export const fakeFace = ({ x = 0, y = 0, width = 100, height = 100, expressions = { neutral: 1 }, descriptor = null } = {}) => ({
+  detection: { box: { x, y, width, height }, score: 0.9 },
+  landmarks: null,
+  expressions,
+  ...(descriptor ? { descriptor } : {}),
+});
+
+// face-api.js module: only resizeResults is used by the tracker. The fake sources are 100px wide, so results
+// are scaled by displaySize.width / 100.
+export const createFakeFaceApi = () => {
+  const faceapi = {
+    resizeCalls: [],
+    resizeResults: (detections, displaySize) => {
+      faceapi.resizeCalls.push(displaySize);
+      const scale = displaySize.width / 100;
+      return detections.map(detection => {
+        const { x, y, width, height } = detection.detection.box;
+        return { ...detection, detection: { ...detection.detection, box: { x: x * scale, y: y * scale, width: width * scale, height: height * scale } } };
+      });
+    },
+  };
+  return faceapi;
+};
+
+// Detector returning the scripted `frames` (one array of faces per detect call; the last one repeats).
+// With `manual` set, every detect call stays pending until `resolveNext()`.
+export const createFakeDetector = ({ frames = [[]], models = ['tinyFaceDetector'], recognition = true, manual = false } = {}) => {
+  let callIndex = 0;
+  const pending = [];
+  const detector = {
+    mode: 'fake',
+    recognition,
+    calls: [], // { source, withDescriptors, settings } per detect call
+    disposed: 0,
+    hasModel: (net) => models.includes(net),
+    getWeights: () => Object.fromEntries(models.map(net => [net, {}])),
+    loadWeights: async (weights) => {
+      models.push(...Object.keys(weights));
+    },
+    detect: (source, options) => {
+      detector.calls.push({ source, ...options });
+      const faces = frames[Math.min(callIndex++, frames.length - 1)];
+      if (!manual) {
+        return Promise.resolve(faces);
+      }
+      return new Promise(resolve => pending.push(() => resolve(faces)));
+    },
+    resolveNext: () => {
+      const next = pending.shift();
+      if (next) {
+        next();
+      }
+    },
+    pendingCount: () => pending.length,
+    dispose: () => {
+      detector.disposed++;
+    },
+  };
+  return detector;
+};
+
+// FaceMatcher labelling every descriptor whose first value is below 0.5 as `label`
+export const createFakeMatcher = (label) => ({
+  findBestMatch: (descriptor) => (descriptor[0] < 0.5 ? { label, distance: descriptor[0] } : { label: 'unknown', distance: 0.8 }),
+});
+
+export const createFakeVideo = ({ width = 100, height = 50 } = {}) => ({ videoWidth: width, videoHeight: height, paused: false, ended: false });
+
+// Frame scheduler driven by the test: `tick(now)` presents one frame to the running loop
+export const createManualFrameLoop = () => {
+  let onFrame = null;
+  return {
+    frameLoop: (video, callback) => {
+      onFrame = callback;
+      return () => {
+        onFrame = null;
+      };
+    },
+    tick: (now) => {
+      if (onFrame) {
+        onFrame(now);
+      }
+    },
+    isRunning: () => onFrame !== null,
+  };
+};
+
+// Lets pending promise callbacks run
+export const flush = () => new Promise(resolve => setImmediate(resolve));
+
+export const createFakeMediaStream = () => {
+  const tracks = [{ kind: 'video', stopped: false, stop() { this.stopped = true; } }];
+  return { getTracks: () => tracks };
+};
+
+// MediaRecorder supporting the types in `FakeMediaRecorder.supportedTypes`; `emitData(bytes)` delivers a chunk
+export class FakeMediaRecorder {
+  static supportedTypes = ['video/webm'];
+
+  static instances = [];
+
+  static isTypeSupported(type) {
+    return FakeMediaRecorder.supportedTypes.includes(type);
+  }
+
+  constructor(stream, options) {
+    this.stream = stream;
+    this.options = options;
+    this.state = 'inactive';
+    this.timeslice = undefined;
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start(timeslice) {
+    this.state = 'recording';
+    this.timeslice = timeslice;
+  }
+
+  pause() {
+    this.state = 'paused';
+  }
+
+  resume() {
+    this.state = 'recording';
+  }
+
+  emitData(bytes) {
+    this.ondataavailable({ data: new Blob([new Uint8Array(bytes)]) });
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.emitData(1); // The final chunk is flushed before 'stop', like browsers do
+    setImmediate(() => this.onstop());
+  }
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateHeadPose, projectPoseAxes } from '../src/lib/headPose.js';
+
+// 68 landmark positions for a face 120px wide with the eye line at y=0 and the chin at y=100, moved to
+// (200, 200) and rotated by `rollDegrees`. `nose` places the nose tip relative to the eye midpoint.
+const faceLandmarks = ({ nose = { x: 0, y: 36 }, rollDegrees = 0 } = {}) => {
+  const points = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+  const set = (indices, point) => indices.forEach(index => { points[index] = point; });
+  set([36, 37, 38, 39, 40, 41], { x: -30, y: 0 });
+  set([42, 43, 44, 45, 46, 47], { x: 30, y: 0 });
+  set([0], { x: -60, y: 20 });
+  set([16], { x: 60, y: 20 });
+  set([8], { x: 0, y: 100 });
+  set([30], nose);
+  const angle = (rollDegrees * Math.PI) / 180;
+  return points.map(({ x, y }) => ({
+    x: 200 + x * Math.cos(angle) - y * Math.sin(angle),
+    y: 200 + x * Math.sin(angle) + y * Math.cos(angle),
+  }));
+};
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+test('a centred nose at the neutral height faces the camera', () => {
+  const { yaw, pitch, roll } = estimateHeadPose(faceLandmarks());
+  assertClose(yaw, 0);
+  assertClose(pitch, 0);
+  assertClose(roll, 0);
+});
+
+test('yaw follows the nose towards a face edge, and pitch its height towards the chin', () => {
+  // Nose a quarter of the face width right of centre: asin(0.5)
+  assertClose(estimateHeadPose(faceLandmarks({ nose: { x: 30, y: 36 } })).yaw, 30);
+  assertClose(estimateHeadPose(faceLandmarks({ nose: { x: -30, y: 36 } })).yaw, -30);
+  // Nose 15% of the eye-to-chin height lower than neutral: asin(0.15 / 0.3), looking down
+  assertClose(estimateHeadPose(faceLandmarks({ nose: { x: 0, y: 51 } })).pitch, 30);
+  assertClose(estimateHeadPose(faceLandmarks({ nose: { x: 0, y: 200 } })).pitch, 90); // Clamped
+});
+
+test('roll is read from the eye line and removed before yaw and pitch', () => {
+  const pose = estimateHeadPose(faceLandmarks({ nose: { x: 30, y: 51 }, rollDegrees: 20 }));
+  assertClose(pose.roll, 20);
+  assertClose(pose.yaw, 30);
+  assertClose(pose.pitch, 30);
+});
+
+test('missing or degenerate landmarks give no pose', () => {
+  assert.equal(estimateHeadPose(null), null);
+  assert.equal(estimateHeadPose(faceLandmarks().slice(0, 67)), null);
+  const edgeOn = faceLandmarks();
+  edgeOn[16] = { ...edgeOn[0] }; // Zero face width
+  assert.equal(estimateHeadPose(edgeOn), null);
+});
+
+test('pose axes project to the image axes for a frontal face and turn with yaw', () => {
+  const frontal = projectPoseAxes({ yaw: 0, pitch: 0, roll: 0 });
+  assertClose(frontal.x.dx, 1);
+  assertClose(frontal.y.dy, -1); // Up
+  assertClose(frontal.z.dx, 0);
+  assertClose(frontal.z.dy, 0); // Pointing straight at the camera
+
+  const turned = projectPoseAxes({ yaw: 90, pitch: 0, roll: 0 });
+  assertClose(turned.z.dx, 1); // The face points towards the image's right edge
+  assertClose(turned.x.dx, 0);
+});
@@ -0,0 +1,100 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateManifest, fetchModelWeights, loadModelFiles, ModelIntegrityError, STARTUP_MODELS,
+} from '../src/lib/modelLoader.js';
+
+const MODEL = { net: 'tinyFaceDetector', file: 'tiny', label: 'Face detector', required: true };
+
+// A manifest with a 2x2 float32 weight (16 bytes) and a 4-element uint8-quantized one (4 bytes) over two shards
+const MANIFEST = [{
+  paths: ['tiny-shard1', 'tiny-shard2'],
+  weights: [
+    { name: 'conv/filters', shape: [2, 2], dtype: 'float32' },
+    { name: 'conv/bias', shape: [4], dtype: 'float32', quantization: { dtype: 'uint8', min: 0, scale: 1 } },
+  ],
+}];
+
+// Serves `files` (name -> JSON value or Uint8Array) from /models; anything else is a 404
+const serveModels = (files) => {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    const name = url.replace('/models/', '');
+    requested.push(name);
+    if (!(name in files)) {
+      return new Response('Not found', { status: 404 });
+    }
+    const body = files[name];
+    return new Response(body instanceof Uint8Array ? body : JSON.stringify(body));
+  };
+  return requested;
+};
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('manifests are checked for shape and their byte size is computed from the stored dtypes', () => {
+  const { paths, specs, expectedBytes } = validateManifest(MANIFEST, 'tiny');
+  assert.deepEqual(paths, ['tiny-shard1', 'tiny-shard2']);
+  assert.equal(specs.length, 2);
+  assert.equal(expectedBytes, 20);
+
+  assert.throws(() => validateManifest({}, 'tiny'), ModelIntegrityError);
+  assert.throws(() => validateManifest([], 'tiny'), ModelIntegrityError);
+  assert.throws(() => validateManifest([{ paths: [], weights: [] }], 'tiny'), /no shard paths/);
+  assert.throws(() => validateManifest([{ paths: ['a'], weights: [{ shape: [1] }] }], 'tiny'), /malformed weight/);
+  assert.throws(() => validateManifest([{ paths: ['a'], weights: [{ name: 'w', shape: [1], dtype: 'float64' }] }], 'tiny'), /unsupported dtype/);
+});
+
+test('shards are concatenated in manifest order with progress reported', async () => {
+  serveModels({
+    'tiny-weights_manifest.json': MANIFEST,
+    'tiny-shard1': new Uint8Array(12).fill(1),
+    'tiny-shard2': new Uint8Array(8).fill(2),
+  });
+  const progress = [];
+  const { specs, data } = await fetchModelWeights('/models', MODEL, update => progress.push(update));
+  assert.equal(specs.length, 2);
+  const bytes = new Uint8Array(data);
+  assert.equal(bytes.length, 20);
+  assert.equal(bytes[11], 1);
+  assert.equal(bytes[12], 2);
+  assert.deepEqual(progress[0], { loaded: 0, total: 20 });
+  assert.deepEqual(progress.at(-1), { loaded: 20, total: 20 });
+});
+
+test('missing, truncated and malformed model files are reported by name', async () => {
+  serveModels({ 'tiny-weights_manifest.json': MANIFEST, 'tiny-shard1': new Uint8Array(12) });
+  await assert.rejects(fetchModelWeights('/models', MODEL), /missing shard: tiny-shard2/);
+
+  serveModels({
+    'tiny-weights_manifest.json': MANIFEST,
+    'tiny-shard1': new Uint8Array(12),
+    'tiny-shard2': new Uint8Array(7),
+  });
+  await assert.rejects(fetchModelWeights('/models', MODEL), /tiny shards hold 19 bytes but the manifest describes 20/);
+
+  serveModels({});
+  await assert.rejects(fetchModelWeights('/models', MODEL), /could not be loaded \(HTTP 404\)/);
+
+  globalThis.fetch = async () => new Response('<html>');
+  await assert.rejects(fetchModelWeights('/models', MODEL), /not valid JSON/);
+});
+
+test('loadModelFiles loads every startup model and collects failures instead of rejecting', async () => {
+  const requested = serveModels({
+    'tiny_face_detector_model-weights_manifest.json': MANIFEST,
+    'tiny-shard1': new Uint8Array(12),
+    'tiny-shard2': new Uint8Array(8),
+  });
+  const states = [];
+  const { weights, failures } = await loadModelFiles('/models', (net, { status }) => states.push([net, status]));
+  assert.deepEqual(Object.keys(weights), ['tinyFaceDetector']);
+  assert.deepEqual(failures.map(failure => failure.model.net).sort(), STARTUP_MODELS.slice(1).map(model => model.net).sort());
+  assert.ok(states.some(([net, status]) => net === 'tinyFaceDetector' && status === 'ready'));
+  assert.ok(states.some(([net, status]) => net === 'faceLandmark68Net' && status === 'failed'));
+  assert.ok(!requested.some(name => name.startsWith('ssd_mobilenetv1_model'))); // On-demand models wait until needed
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { boxIou, createMultiFaceTracker } from '../src/lib/multiFaceTracker.js';
+import { fakeFace } from './fakes.mjs';
+
+test('boxIou is the shared area over the combined area', () => {
+  const box = { x: 0, y: 0, width: 10, height: 10 };
+  assert.equal(boxIou(box, box), 1);
+  assert.equal(boxIou(box, { x: 5, y: 0, width: 10, height: 10 }), 50 / 150);
+  assert.equal(boxIou(box, { x: 20, y: 20, width: 10, height: 10 }), 0);
+  assert.equal(boxIou({ x: 0, y: 0, width: 0, height: 0 }, { x: 0, y: 0, width: 0, height: 0 }), 0);
+});
+
+test('faces keep their ids when detections come back in a different order', () => {
+  const tracker = createMultiFaceTracker();
+  const left = { x: 0, y: 0 };
+  const right = { x: 300, y: 0 };
+  assert.deepEqual(tracker.update([fakeFace(left), fakeFace(right)], 0), [1, 2]);
+  assert.deepEqual(tracker.update([fakeFace({ x: 305, y: 5 }), fakeFace({ x: 5, y: 0 })], 100), [2, 1]);
+});
+
+test('each track takes the detection it overlaps most', () => {
+  const tracker = createMultiFaceTracker();
+  tracker.update([fakeFace({ x: 0 }), fakeFace({ x: 60 })], 0);
+  // Both detections overlap both tracks; the greedy pass pairs the best matches first
+  assert.deepEqual(tracker.update([fakeFace({ x: 55 }), fakeFace({ x: 10 })], 100), [2, 1]);
+});
+
+test('a fast-moving face without overlap is matched by its centroid', () => {
+  const tracker = createMultiFaceTracker();
+  tracker.update([fakeFace({ x: 0 })], 0);
+  // Moved 60px: IoU 0.25 is below minIou, but the centre moved less than half the box diagonal
+  assert.deepEqual(tracker.update([fakeFace({ x: 60 })], 100), [1]);
+  // Moved 200px: too far for either rule, so it is a new face
+  assert.deepEqual(tracker.update([fakeFace({ x: 260 })], 200), [2]);
+});
+
+test('a track survives dropouts up to maxMissingMs, then a returning face gets a new id', () => {
+  const tracker = createMultiFaceTracker({ maxMissingMs: 1000 });
+  tracker.update([fakeFace()], 0);
+  tracker.update([], 500);
+  assert.deepEqual(tracker.update([fakeFace()], 1000), [1]);
+  tracker.update([], 1500);
+  assert.deepEqual(tracker.update([fakeFace()], 2100), [2]);
+
+  const stats = tracker.getStats();
+  assert.deepEqual(stats.map(track => [track.id, track.active]), [[1, false], [2, true]]);
+  assert.equal(stats[0].visibleMs, 1000); // The dropout inside maxMissingMs counts as on screen
+});
+
+test('dominant expressions are counted per track, and reset restarts ids', () => {
+  const tracker = createMultiFaceTracker();
+  tracker.update([fakeFace({ expressions: { neutral: 0.2, happy: 0.8 } })], 0);
+  tracker.update([fakeFace({ expressions: { neutral: 0.9, happy: 0.1 } })], 100);
+  tracker.update([fakeFace({ expressions: { neutral: 0.1, happy: 0.9 } })], 200);
+  const [track] = tracker.getStats();
+  assert.equal(track.expressionCounts.happy, 2);
+  assert.equal(track.expressionCounts.neutral, 1);
+  assert.equal(track.visibleMs, 200);
+
+  tracker.reset();
+  assert.deepEqual(tracker.getStats(), []);
+  assert.deepEqual(tracker.update([fakeFace()], 300), [1]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerOverlayPlugin, drawOverlayPlugins } from '../src/lib/overlayPlugins.js';
+
+// 2D context that tracks its transform (translate and scale only) through save/restore
+const createFakeContext = (width) => {
+  let transform = { a: 1, e: 0 }; // x' = a * x + e
+  const stack = [];
+  return {
+    canvas: { width, height: 100 },
+    save: () => stack.push({ ...transform }),
+    restore: () => {
+      transform = stack.pop();
+    },
+    translate: (x) => {
+      transform.e += transform.a * x;
+    },
+    scale: (x) => {
+      transform.a *= x;
+    },
+    setTransform: (a, b, c, d, e) => {
+      transform = { a, e };
+    },
+    toCanvasX: (x) => transform.a * x + transform.e,
+  };
+};
+
+const result = {
+  detections: [{ detection: { box: { x: 10, y: 20, width: 30, height: 40 } } }],
+  labels: ['Face #1'],
+  trackIds: [1],
+};
+
+// Registers a plugin that reports where the left edge of the face box and some text would land on the canvas
+const drawProbe = (mirrored) => {
+  const drawn = {};
+  const unregister = registerOverlayPlugin({
+    id: 'probe',
+    draw: (context, face, { toScreenBox, drawUnmirrored }) => {
+      drawn.shapeX = context.toCanvasX(face.box.x);
+      const box = toScreenBox(face.box);
+      drawUnmirrored(() => {
+        drawn.textX = context.toCanvasX(box.x);
+        drawn.textScale = context.toCanvasX(1) - context.toCanvasX(0);
+      });
+    },
+  });
+  const context = createFakeContext(200);
+  drawOverlayPlugins(context, result, [], { probe: true }, { mirrored });
+  unregister();
+  return drawn;
+};
+
+test('plugins draw in source coordinates when the frame is not mirrored', () => {
+  assert.deepEqual(drawProbe(false), { shapeX: 10, textX: 10, textScale: 1 });
+});
+
+test('on a mirrored frame, shapes are flipped with it and text stays readable at the on-screen position', () => {
+  // The face's left edge at x=10 shows up at 200 - 10; its on-screen box starts at 200 - 10 - 30
+  assert.deepEqual(drawProbe(true), { shapeX: 190, textX: 160, textScale: 1 });
+});
+
+test('a failing plugin is disabled without affecting the others', () => {
+  let drawnAfter = 0;
+  const unregisterFailing = registerOverlayPlugin({ id: 'failing', draw: () => { throw new Error('boom'); } });
+  const unregisterAfter = registerOverlayPlugin({ id: 'after', draw: () => { drawnAfter++; } });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const settings = { failing: true, after: true };
+    drawOverlayPlugins(createFakeContext(200), result, [], settings, {});
+    drawOverlayPlugins(createFakeContext(200), result, [], settings, {});
+  } finally {
+    console.error = originalError;
+    unregisterFailing();
+    unregisterAfter();
+  }
+  assert.equal(drawnAfter, 2);
+});
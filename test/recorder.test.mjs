@@ -0,0 +1,204 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRecorder, getSupportedMimeType, getFileExtension, getContainerType, normalizeRecordingSettings,
+} from '../src/lib/recorder.js';
+import { createEmitter } from '../src/lib/eventEmitter.js';
+import { createFakeMediaStream, FakeMediaRecorder } from './fakes.mjs';
+
+beforeEach(() => {
+  FakeMediaRecorder.supportedTypes = ['video/webm'];
+  FakeMediaRecorder.instances = [];
+});
+
+test('getSupportedMimeType picks the first format the browser supports', () => {
+  assert.equal(getSupportedMimeType(FakeMediaRecorder), 'video/webm');
+  FakeMediaRecorder.supportedTypes = ['video/mp4; codecs=avc1', 'video/webm; codecs=vp8'];
+  assert.equal(getSupportedMimeType(FakeMediaRecorder), 'video/webm; codecs=vp8');
+  FakeMediaRecorder.supportedTypes = [];
+  assert.equal(getSupportedMimeType(FakeMediaRecorder), '');
+  assert.equal(getSupportedMimeType(undefined), '');
+});
+
+test('formats restrict the MIME types tried and decide the file extension', () => {
+  FakeMediaRecorder.supportedTypes = ['video/webm; codecs=vp8', 'video/mp4'];
+  assert.equal(getSupportedMimeType(FakeMediaRecorder, 'mp4'), 'video/mp4');
+  assert.equal(getSupportedMimeType(FakeMediaRecorder, 'webm'), 'video/webm; codecs=vp8');
+  FakeMediaRecorder.supportedTypes = ['video/webm'];
+  assert.equal(getSupportedMimeType(FakeMediaRecorder, 'mp4'), '');
+
+  assert.equal(getFileExtension('video/mp4; codecs=avc1,mp4a.40.2'), 'mp4');
+  assert.equal(getFileExtension('video/webm; codecs=vp9,opus'), 'webm');
+  assert.equal(getFileExtension('video/x-matroska;codecs=avc1'), 'mkv');
+  assert.equal(getContainerType('video/mp4; codecs=avc1'), 'video/mp4');
+  assert.equal(getContainerType(''), 'video/webm');
+  assert.deepEqual(normalizeRecordingSettings({ format: 'avi', segmentMinutes: '5' }), { format: 'auto', segmentMinutes: 5 });
+});
+
+test('a recorder needs a stream and a supported format', () => {
+  assert.throws(() => createRecorder({ MediaRecorderImpl: FakeMediaRecorder }), /stream is required/);
+  FakeMediaRecorder.supportedTypes = [];
+  assert.throws(() => createRecorder({ stream: createFakeMediaStream(), MediaRecorderImpl: FakeMediaRecorder }), /does not support/);
+});
+
+test('records chunks every timeslice and resolves with the whole recording on stop', async () => {
+  let time = 1000;
+  const stream = createFakeMediaStream();
+  const recorder = createRecorder({ stream, MediaRecorderImpl: FakeMediaRecorder, timeslice: 2000, now: () => time });
+  const states = [];
+  const sizes = [];
+  const stops = [];
+  recorder.on('state', state => states.push(state));
+  recorder.on('data', ({ size }) => sizes.push(size));
+  recorder.on('stop', result => stops.push(result));
+
+  recorder.start();
+  const mediaRecorder = FakeMediaRecorder.instances[0];
+  assert.equal(mediaRecorder.stream, stream);
+  assert.equal(mediaRecorder.timeslice, 2000); // Passed to start(), where MediaRecorder reads it
+  assert.deepEqual(mediaRecorder.options, { mimeType: 'video/webm' });
+
+  mediaRecorder.emitData(10);
+  mediaRecorder.emitData(0); // Empty chunks are dropped
+  mediaRecorder.emitData(5);
+  time = 4000;
+  const result = await recorder.stop();
+
+  assert.deepEqual(states, ['recording', 'stopped']);
+  assert.deepEqual(sizes, [10, 15, 16]);
+  assert.equal(result.size, 16);
+  assert.equal(result.blob.size, 16);
+  assert.equal(result.blob.type, 'video/webm');
+  assert.equal(result.durationMs, 3000);
+  assert.deepEqual(stops, [result]);
+  assert.equal(recorder.getDurationMs(), 3000);
+  assert.equal(stream.getTracks()[0].stopped, false); // The stream belongs to the caller
+});
+
+test('paused time is left out of the duration', async () => {
+  let time = 0;
+  const recorder = createRecorder({ stream: createFakeMediaStream(), MediaRecorderImpl: FakeMediaRecorder, now: () => time });
+  const states = [];
+  recorder.on('state', state => states.push(state));
+  recorder.start();
+  time = 1000;
+  recorder.pause();
+  assert.equal(FakeMediaRecorder.instances[0].state, 'paused');
+  time = 5000;
+  assert.equal(recorder.getDurationMs(), 1000);
+  recorder.resume();
+  recorder.resume(); // Ignored when not paused
+  time = 6500;
+  const result = await recorder.stop();
+
+  assert.deepEqual(states, ['recording', 'paused', 'recording', 'stopped']);
+  assert.equal(result.durationMs, 2500);
+});
+
+test('segments roll over to a new file after segmentMs of recorded time', async () => {
+  let time = 0;
+  const recorder = createRecorder({
+    stream: createFakeMediaStream(), MediaRecorderImpl: FakeMediaRecorder, segmentMs: 2000, now: () => time,
+  });
+  const rollovers = [];
+  const segments = [];
+  const data = [];
+  recorder.on('rollover', rollover => rollovers.push(rollover));
+  recorder.on('segment', segment => segments.push(segment));
+  recorder.on('data', ({ size, segment }) => data.push([segment, size]));
+  recorder.start();
+  const first = FakeMediaRecorder.instances[0];
+  time = 1000;
+  first.emitData(10);
+  time = 2000;
+  first.emitData(10); // Reaches segmentMs: a second recorder takes over and the first one is flushed
+  assert.equal(FakeMediaRecorder.instances.length, 2);
+  assert.deepEqual(rollovers, [{ index: 1, startedAt: 2000 }]);
+  assert.equal(recorder.getSegmentIndex(), 1);
+  const second = FakeMediaRecorder.instances[1];
+  assert.equal(second.timeslice, 1000);
+  time = 3000;
+  second.emitData(5);
+  time = 3500;
+  const result = await recorder.stop();
+
+  assert.deepEqual(data, [[0, 10], [0, 20], [0, 21], [1, 26], [1, 27]]);
+  assert.deepEqual(segments.map(segment => [segment.index, segment.size, segment.durationMs, segment.startedAt, segment.final]), [
+    [0, 21, 2000, 0, false],
+    [1, 6, 1500, 2000, true],
+  ]);
+  assert.equal(result, segments[1]);
+  assert.equal(recorder.getDurationMs(), 3500);
+  assert.equal(recorder.getSize(), 27);
+});
+
+test('a running recorder can be adopted with the chunks it already buffered', async () => {
+  let time = 5000;
+  const stream = createFakeMediaStream();
+  const running = new FakeMediaRecorder(stream, { mimeType: 'video/webm' });
+  running.start(1000);
+  const buffered = [new Blob([new Uint8Array(7)])];
+  const recorder = createRecorder({
+    mediaRecorder: running, initialChunks: buffered, startedAt: 2000, mimeType: 'video/webm', MediaRecorderImpl: FakeMediaRecorder, now: () => time,
+  });
+  recorder.start();
+  assert.equal(running.timeslice, 1000); // Not restarted
+  assert.equal(recorder.getSize(), 7);
+  assert.equal(recorder.getDurationMs(), 3000); // The buffered pre-roll counts
+  time = 6000;
+  const result = await recorder.stop();
+  assert.equal(result.size, 8);
+  assert.equal(result.startedAt, 2000);
+  assert.equal(result.durationMs, 4000);
+});
+
+test('stop can be called repeatedly and a recorder starts only once', async () => {
+  const recorder = createRecorder({ stream: createFakeMediaStream(), MediaRecorderImpl: FakeMediaRecorder });
+  recorder.start();
+  const [first, second] = await Promise.all([recorder.stop(), recorder.stop()]);
+  assert.equal(first, second);
+  assert.throws(() => recorder.start(), /only be started once/);
+});
+
+test('dispose stops a running recording without emitting stop', async () => {
+  const recorder = createRecorder({ stream: createFakeMediaStream(), MediaRecorderImpl: FakeMediaRecorder });
+  let stopped = false;
+  recorder.on('stop', () => {
+    stopped = true;
+  });
+  recorder.start();
+  recorder.dispose();
+  await recorder.stop();
+
+  assert.equal(FakeMediaRecorder.instances[0].state, 'inactive');
+  assert.equal(stopped, false);
+});
+
+test('recorder errors go to the error event', () => {
+  const recorder = createRecorder({ stream: createFakeMediaStream(), MediaRecorderImpl: FakeMediaRecorder });
+  const errors = [];
+  recorder.on('error', err => errors.push(err.message));
+  FakeMediaRecorder.instances[0].onerror({ error: new Error('Encoder crashed.') });
+  assert.deepEqual(errors, ['Encoder crashed.']);
+});
+
+test('emitter listeners can unsubscribe, and a throwing listener does not stop the others', () => {
+  const emitter = createEmitter();
+  const calls = [];
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    emitter.on('event', () => {
+      throw new Error('Listener bug.');
+    });
+    const unsubscribe = emitter.on('event', payload => calls.push(payload));
+    assert.equal(emitter.emit('event', 1), true);
+    unsubscribe();
+    emitter.emit('event', 2);
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(calls, [1]);
+  assert.equal(emitter.emit('other'), false);
+  assert.equal(emitter.listenerCount('event'), 1);
+});
@@ -0,0 +1,5 @@
+// Loaded with `node --import` before the tests: lets Node import the app's modules the way the Next.js bundler
+// does (see resolveHooks.mjs).
+import { register } from 'node:module';
+
+register('./resolveHooks.mjs', import.meta.url);
@@ -0,0 +1,36 @@
+// Minimal renderHook for the React hooks, on react-test-renderer: renders a component that calls the hook and
+// keeps its latest return value in `result.current`. Every render and update runs inside act().
+import { createElement, act } from 'react';
+import TestRenderer from 'react-test-renderer';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true; // Lets act() flush effects and state updates synchronously
+
+export const renderHook = async (useHook, initialProps) => {
+  const result = { current: undefined };
+  const Probe = (props) => {
+    result.current = useHook(props);
+    return null;
+  };
+  let renderer;
+  // react-test-renderer warns that it is deprecated on every create; nothing else is silenced
+  const originalError = console.error;
+  console.error = (...args) => {
+    if (!String(args[0]).includes('react-test-renderer is deprecated')) {
+      originalError(...args);
+    }
+  };
+  try {
+    await act(async () => {
+      renderer = TestRenderer.create(createElement(Probe, initialProps));
+    });
+  } finally {
+    console.error = originalError;
+  }
+  return {
+    result,
+    rerender: props => act(async () => renderer.update(createElement(Probe, props))),
+    unmount: () => act(async () => renderer.unmount()),
+  };
+};
+
+export { act };
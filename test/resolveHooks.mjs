@@ -0,0 +1,24 @@
+// Module resolution hooks for the unit tests. The app's modules are written for the Next.js bundler:
+// relative imports omit the `.js` extension, `@/` points at src/, and the files are ES modules although
+// package.json doesn't declare `"type": "module"`.
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const mapped = specifier.startsWith('@/') ? new URL(specifier.slice(2), SRC_URL).href : specifier;
+  const isLocal = mapped.startsWith('.') || mapped.startsWith('file:');
+  if (isLocal && !/\.[cm]?js$/.test(mapped)) {
+    try {
+      return await nextResolve(`${mapped}.js`, context);
+    } catch {
+      // Not a file without its extension; let Node report the original specifier
+    }
+  }
+  return nextResolve(mapped, context);
+};
+
+export const load = async (url, context, nextLoad) => (
+  url.startsWith(SRC_URL) && url.endsWith('.js')
+    ? nextLoad(url, { ...context, format: 'module' })
+    : nextLoad(url, context)
+);
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSessionReport, compareReports, reportToHTML, formatDuration } from '../src/lib/sessionReport.js';
+import { EXPRESSIONS } from '../src/lib/expressions.js';
+
+const STARTED_AT = 1_000_000;
+
+// Session entry for a face whose expression vector is dominated by `expression`
+const sample = (t, expression, { trackId = 1, probability = 0.9 } = {}) => ({
+  t,
+  timestamp: STARTED_AT + t,
+  faceIndex: 0,
+  trackId,
+  expressions: Object.fromEntries(EXPRESSIONS.map(name => [name, name === expression ? probability : (1 - probability) / 6])),
+  box: { x: 0, y: 0, width: 10, height: 10 },
+});
+
+// Samples every `step` ms over [from, to)
+const run = (from, to, step, expression, options) => {
+  const entries = [];
+  for (let t = from; t < to; t += step) {
+    entries.push(sample(t, expression, options));
+  }
+  return entries;
+};
+
+const createSession = (entries, id = 'session-1') => ({ id, startedAt: STARTED_AT, entries });
+
+test('the expression distribution is weighted by time, not by tick count', () => {
+  // One slow happy sample followed by ten fast neutral ones: ticks say 1:10, time says 1:1
+  const entries = [sample(0, 'happy'), ...run(1000, 2000, 100, 'neutral')];
+  const report = buildSessionReport(createSession(entries), { endedAt: STARTED_AT + 2000 });
+  assert.equal(report.expressionMs.happy, 1000);
+  assert.equal(report.expressionMs.neutral, 1000);
+  assert.equal(report.expressionShares.happy, 0.5);
+});
+
+test('gaps longer than maxGapMs count as absence', () => {
+  const entries = [...run(0, 1000, 100, 'neutral'), ...run(5000, 6000, 100, 'neutral')];
+  const report = buildSessionReport(createSession(entries), { endedAt: STARTED_AT + 10000 });
+  assert.equal(report.durationMs, 10000);
+  assert.equal(report.intervalMs, 100);
+  assert.equal(report.facePresentMs, 2000); // The last sample before each gap lasts one interval
+  assert.equal(report.facePresentShare, 0.2);
+  assert.equal(report.segments.length, 2); // The gap splits the run even though the expression didn't change
+});
+
+test('dominant-expression segments, the longest ones and peaks', () => {
+  const entries = [
+    ...run(0, 3000, 100, 'neutral'),
+    ...run(3000, 3500, 100, 'surprised'),
+    ...run(3500, 5500, 100, 'happy'),
+  ];
+  entries[40] = sample(4000, 'happy', { probability: 0.99 });
+  const report = buildSessionReport(createSession(entries), { endedAt: STARTED_AT + 5500 });
+  assert.deepEqual(report.segments.map(segment => [segment.expression, segment.startMs, segment.durationMs]), [
+    ['neutral', 0, 3000], ['surprised', 3000, 500], ['happy', 3500, 2000],
+  ]);
+  // The 500 ms surprise is below minSegmentMs
+  assert.deepEqual(report.longestSegments.map(segment => segment.expression), ['neutral', 'happy']);
+  assert.deepEqual(report.peaks.happy, { probability: 0.99, t: 4000, trackId: 1 });
+  assert.equal(report.peaks.surprised.t, 3000);
+});
+
+test('faces are counted per track and their time adds up', () => {
+  const entries = [
+    ...run(0, 2000, 100, 'happy', { trackId: 1 }),
+    ...run(1000, 2000, 100, 'sad', { trackId: 2 }),
+  ];
+  const report = buildSessionReport(createSession(entries), { endedAt: STARTED_AT + 2000 });
+  assert.equal(report.distinctFaces, 2);
+  assert.deepEqual(report.faces.map(face => [face.trackId, face.presentMs, face.dominantExpression]), [[1, 2000, 'happy'], [2, 1000, 'sad']]);
+  assert.equal(report.facePresentMs, 2000); // Overlapping faces count once towards presence...
+  assert.equal(report.faceMs, 3000); // ...but both count towards the distribution
+  assert.equal(report.expressionShares.happy, 2 / 3);
+});
+
+test('recordings are matched by session id, or by start time when they have none', () => {
+  const recordings = [
+    { name: 'Mine', startedAt: STARTED_AT + 500, durationMs: 1000, size: 10, sessionId: 'session-1' },
+    { name: 'Older format', startedAt: STARTED_AT + 200, durationMs: 300, size: 5 },
+    { name: 'Other session', startedAt: STARTED_AT + 600, durationMs: 1000, size: 10, sessionId: 'session-2' },
+    { name: 'Before', startedAt: STARTED_AT - 5000, durationMs: 1000, size: 10 },
+  ];
+  const report = buildSessionReport(createSession(run(0, 2000, 100, 'neutral')), { endedAt: STARTED_AT + 2000, recordings });
+  assert.deepEqual(report.recordings.items.map(recording => [recording.name, recording.offsetMs]), [['Older format', 200], ['Mine', 500]]);
+  assert.equal(report.recordings.totalDurationMs, 1300);
+  assert.equal(report.recordings.totalSize, 15);
+});
+
+test('an empty session produces an empty report', () => {
+  const report = buildSessionReport(createSession([]), { endedAt: STARTED_AT + 3000 });
+  assert.equal(report.durationMs, 3000);
+  assert.equal(report.facePresentShare, 0);
+  assert.equal(report.distinctFaces, 0);
+  assert.equal(report.dominantExpression, null);
+  assert.match(reportToHTML(report), /No faces were detected/);
+});
+
+test('two reports compare side by side in a self-contained HTML file', () => {
+  const a = buildSessionReport(createSession(run(0, 2000, 100, 'happy'), 'session-a'), { endedAt: STARTED_AT + 4000 });
+  const b = buildSessionReport(createSession(run(0, 3000, 100, 'sad'), 'session-<b>'), { endedAt: STARTED_AT + 3000 });
+  const diff = compareReports(a, b);
+  assert.equal(diff.durationMs, -1000);
+  assert.equal(diff.facePresentShare, 0.5);
+  assert.equal(diff.expressionShares.sad, 1);
+
+  const html = reportToHTML([a, b]);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /Session comparison/);
+  assert.match(html, /B: session-&lt;b&gt;/);
+  assert.doesNotMatch(html, /<script|<link|src="http/);
+  assert.equal(formatDuration(3_725_000), '1:02:05');
+});
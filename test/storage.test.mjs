@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createRecordingUpload, writeRecordingChunk, completeRecordingUpload, openRecordingMedia, saveSession,
+  assertValidId, validateVideoMimeType, StorageError, MAX_CHUNK_BYTES, MAX_CHUNKS, MAX_RECORDING_BYTES,
+} from '../src/lib/server/storage.js';
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-tracking-storage-'));
+  process.env.FACE_TRACKING_DATA_DIR = dataDir;
+});
+
+after(async () => {
+  delete process.env.FACE_TRACKING_DATA_DIR;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// Asserts that `promise` rejects with a StorageError of the given HTTP status
+const rejectsWithStatus = (promise, status) => assert.rejects(promise, err => err instanceof StorageError && err.status === status);
+
+const readStream = async (stream) => {
+  const parts = [];
+  for await (const part of stream) {
+    parts.push(part);
+  }
+  return Buffer.concat(parts).toString();
+};
+
+test('ids that could escape the data directory are rejected', async () => {
+  for (const id of ['../etc', 'a/b', '', 'x'.repeat(101), 'with space', null]) {
+    assert.throws(() => assertValidId(id), StorageError);
+  }
+  assertValidId('rec-123_abc');
+  await rejectsWithStatus(saveSession({ id: '../../evil', entries: [] }), 400);
+});
+
+test('uploads must declare a webm or mp4 container', async () => {
+  assert.equal(validateVideoMimeType(undefined), 'video/webm');
+  assert.equal(validateVideoMimeType('video/webm; codecs=vp9,opus'), 'video/webm; codecs=vp9,opus');
+  assert.equal(validateVideoMimeType('video/mp4'), 'video/mp4');
+  for (const mimeType of ['text/html', 'image/svg+xml', 'application/javascript', 'video/webm2', 42, `video/webm;${'x'.repeat(200)}`]) {
+    assert.throws(() => validateVideoMimeType(mimeType), err => err.status === 400);
+  }
+  await rejectsWithStatus(createRecordingUpload({ name: 'evil', mimeType: 'text/html' }), 400);
+});
+
+test('a chunked upload is assembled and served inline as a video', async () => {
+  const meta = await createRecordingUpload({ name: '  Clip  ', mimeType: 'video/webm; codecs=vp8' });
+  assert.equal(meta.name, 'Clip');
+  await writeRecordingChunk(meta.id, 1, Buffer.from('world'));
+  await writeRecordingChunk(meta.id, 0, Buffer.from('hello '));
+  const completed = await completeRecordingUpload(meta.id, { totalChunks: 2, vtt: 'WEBVTT\n' });
+  assert.equal(completed.status, 'complete');
+  assert.equal(completed.size, 11);
+
+  const video = await openRecordingMedia(meta.id, 'video');
+  assert.equal(video.type, 'video/webm');
+  assert.equal(video.playable, true);
+  assert.equal(await readStream(video.stream), 'hello world');
+  const track = await openRecordingMedia(meta.id, 'captions');
+  assert.equal(track.type, 'text/vtt');
+  track.stream.destroy();
+  await rejectsWithStatus(openRecordingMedia(meta.id, 'track'), 404); // No track.json was uploaded
+  await rejectsWithStatus(writeRecordingChunk(meta.id, 2, Buffer.from('late')), 409);
+});
+
+test('chunk indexes, chunk sizes and missing chunks are checked', async () => {
+  const meta = await createRecordingUpload({});
+  await rejectsWithStatus(writeRecordingChunk(meta.id, -1, Buffer.from('x')), 400);
+  await rejectsWithStatus(writeRecordingChunk(meta.id, MAX_CHUNKS, Buffer.from('x')), 400);
+  await rejectsWithStatus(writeRecordingChunk(meta.id, 0.5, Buffer.from('x')), 400);
+  await rejectsWithStatus(writeRecordingChunk(meta.id, 0, { byteLength: MAX_CHUNK_BYTES + 1 }), 413);
+  await writeRecordingChunk(meta.id, 0, Buffer.from('x'));
+  await rejectsWithStatus(completeRecordingUpload(meta.id, { totalChunks: 2 }), 409);
+  await rejectsWithStatus(completeRecordingUpload(meta.id, { totalChunks: MAX_CHUNKS + 1 }), 400);
+});
+
+test('the total size of an upload is capped', async () => {
+  const meta = await createRecordingUpload({});
+  const chunksDir = path.join(dataDir, 'recordings', meta.id, 'chunks');
+  // A sparse file stands in for the chunks received so far
+  const handle = await fs.open(path.join(chunksDir, '0.part'), 'w');
+  await handle.truncate(MAX_RECORDING_BYTES - 4);
+  await handle.close();
+  await writeRecordingChunk(meta.id, 1, Buffer.from('1234'));
+  await rejectsWithStatus(writeRecordingChunk(meta.id, 2, Buffer.from('5')), 413);
+  await writeRecordingChunk(meta.id, 1, Buffer.from('abcd')); // Retrying a chunk replaces it, so it still fits
+});
+
+test('a stored video with a disallowed type is never served as that type', async () => {
+  const meta = await createRecordingUpload({});
+  await writeRecordingChunk(meta.id, 0, Buffer.from('<script>alert(1)</script>'));
+  await completeRecordingUpload(meta.id, { totalChunks: 1 });
+  // Metadata written before uploads were validated
+  const metaFile = path.join(dataDir, 'recordings', meta.id, 'meta.json');
+  const stored = JSON.parse(await fs.readFile(metaFile, 'utf8'));
+  await fs.writeFile(metaFile, JSON.stringify({ ...stored, mimeType: 'text/html' }));
+  const video = await openRecordingMedia(meta.id, 'video');
+  video.stream.destroy();
+  assert.equal(video.type, 'application/octet-stream');
+  assert.equal(video.playable, false);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFaceTracker } from '../src/hooks/useFaceTracker.js';
+import { renderHook, act } from './renderHook.mjs';
+import { fakeFace, createFakeFaceApi, createFakeDetector, createFakeVideo, createManualFrameLoop, flush } from './fakes.mjs';
+
+// Hook options loading a fake detector that sees one face in every frame
+const createOptions = (overrides = {}) => {
+  const detector = createFakeDetector({ frames: [[fakeFace()]] });
+  const loop = createManualFrameLoop();
+  const options = {
+    faceapi: createFakeFaceApi(),
+    loadModels: async () => ({ weights: { tinyFaceDetector: {} }, failures: [] }),
+    createDetector: async () => detector,
+    frameLoop: loop.frameLoop,
+    now: () => 1000,
+    clock: () => 0,
+    ...overrides,
+  };
+  return { options, detector, loop };
+};
+
+test('the tracker loads on mount and reports readiness', async () => {
+  const ready = [];
+  const { options } = createOptions({ onReady: info => ready.push(info) });
+  const { result, unmount } = await renderHook(() => useFaceTracker(options));
+  await act(flush);
+  assert.equal(result.current.status, 'ready');
+  assert.equal(result.current.ready, true);
+  assert.equal(result.current.recognition, true);
+  assert.equal(ready.length, 1);
+  await unmount();
+});
+
+test('start runs the detection loop and stop ends it', async () => {
+  const detections = [];
+  const { options, loop } = createOptions({ onDetections: result => detections.push(result) });
+  const { result, unmount } = await renderHook(() => useFaceTracker(options));
+  await act(flush);
+
+  await act(async () => result.current.start(createFakeVideo()));
+  assert.equal(result.current.status, 'running');
+  await act(async () => {
+    loop.tick(0);
+    await flush();
+  });
+  assert.equal(detections.length, 1);
+  assert.equal(result.current.result.detections.length, 1);
+
+  await act(async () => result.current.stop());
+  assert.equal(result.current.status, 'ready');
+  assert.equal(loop.isRunning(), false);
+  await unmount();
+});
+
+test('a failed load sets the error, and load retries', async () => {
+  let attempts = 0;
+  const errors = [];
+  const { options } = createOptions({
+    loadModels: async () => {
+      attempts++;
+      return attempts === 1
+        ? { weights: {}, failures: [{ model: { required: true, label: 'Face detector' }, message: 'Offline.' }] }
+        : { weights: { tinyFaceDetector: {} }, failures: [] };
+    },
+    onError: err => errors.push(err),
+  });
+  const { result, unmount } = await renderHook(() => useFaceTracker(options));
+  await act(flush);
+  assert.equal(result.current.status, 'failed');
+  assert.match(result.current.error, /Offline/);
+  assert.equal(errors.length, 1);
+
+  await act(() => result.current.load());
+  assert.equal(result.current.status, 'ready');
+  assert.equal(result.current.error, '');
+  await unmount();
+});
+
+test('unmounting disposes the tracker, stopping the loop and the detector', async () => {
+  const { options, detector, loop } = createOptions();
+  const { result, unmount } = await renderHook(() => useFaceTracker(options));
+  await act(flush);
+  await act(async () => result.current.start(createFakeVideo()));
+  const { tracker } = result.current;
+
+  await unmount();
+  assert.equal(loop.isRunning(), false);
+  assert.equal(detector.disposed, 1);
+  assert.equal(tracker.getState(), 'disposed');
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useRecorder } from '../src/hooks/useRecorder.js';
+import { renderHook, act } from './renderHook.mjs';
+import { createFakeMediaStream, FakeMediaRecorder, flush } from './fakes.mjs';
+
+beforeEach(() => {
+  FakeMediaRecorder.supportedTypes = ['video/webm'];
+  FakeMediaRecorder.instances = [];
+  globalThis.MediaRecorder = FakeMediaRecorder; // What createRecorder uses by default
+});
+
+afterEach(() => {
+  delete globalThis.MediaRecorder;
+});
+
+test('start records the stream and stop publishes the recording as an object URL', async () => {
+  const stopped = [];
+  const { result, unmount } = await renderHook(() => useRecorder({ onStop: recording => stopped.push(recording) }));
+  assert.equal(result.current.state, 'inactive');
+
+  await act(async () => {
+    assert.equal(result.current.start(createFakeMediaStream()), true);
+  });
+  assert.equal(result.current.state, 'recording');
+  const [mediaRecorder] = FakeMediaRecorder.instances;
+  await act(async () => mediaRecorder.emitData(10));
+  assert.equal(result.current.size, 10);
+
+  await act(async () => {
+    await result.current.stop();
+  });
+  assert.equal(result.current.state, 'stopped');
+  assert.equal(result.current.recording.size, 11); // The final chunk is flushed on stop
+  assert.match(result.current.recording.url, /^blob:/);
+  assert.equal(stopped.length, 1);
+  await unmount();
+});
+
+test('pause and resume are passed on to the recorder', async () => {
+  const { result, unmount } = await renderHook(() => useRecorder());
+  await act(async () => {
+    result.current.start(createFakeMediaStream());
+  });
+  await act(async () => result.current.pause());
+  assert.equal(result.current.state, 'paused');
+  assert.equal(FakeMediaRecorder.instances[0].state, 'paused');
+  await act(async () => result.current.resume());
+  assert.equal(result.current.state, 'recording');
+  assert.equal(FakeMediaRecorder.instances[0].state, 'recording');
+  await unmount();
+});
+
+test('start is refused while a recording is running or paused, and allowed again once it stopped', async () => {
+  const { result, unmount } = await renderHook(() => useRecorder());
+  await act(async () => {
+    result.current.start(createFakeMediaStream());
+  });
+  await act(async () => result.current.pause());
+  await act(async () => {
+    assert.equal(result.current.start(createFakeMediaStream()), false);
+  });
+  assert.equal(FakeMediaRecorder.instances.length, 1); // The paused recorder was kept, not replaced
+  assert.equal(result.current.state, 'paused');
+
+  await act(async () => {
+    await result.current.stop();
+  });
+  await act(async () => {
+    assert.equal(result.current.start(createFakeMediaStream()), true);
+  });
+  assert.equal(FakeMediaRecorder.instances.length, 2);
+  assert.equal(result.current.state, 'recording');
+  await unmount();
+});
+
+test('an unsupported browser reports an error instead of recording', async () => {
+  FakeMediaRecorder.supportedTypes = [];
+  const { result, unmount } = await renderHook(() => useRecorder());
+  await act(async () => {
+    assert.equal(result.current.start(createFakeMediaStream()), false);
+  });
+  assert.match(result.current.error, /does not support/);
+  await unmount();
+});
+
+test('unmounting stops a running recording without publishing it, and revokes the last URL', async () => {
+  const stopped = [];
+  const revoked = [];
+  const originalRevoke = URL.revokeObjectURL;
+  URL.revokeObjectURL = (url) => {
+    revoked.push(url);
+    originalRevoke(url);
+  };
+  try {
+    const first = await renderHook(() => useRecorder());
+    await act(async () => {
+      first.result.current.start(createFakeMediaStream());
+    });
+    await act(async () => {
+      await first.result.current.stop();
+    });
+    const { url } = first.result.current.recording;
+    await first.unmount();
+    assert.deepEqual(revoked, [url]);
+
+    const second = await renderHook(() => useRecorder({ onStop: recording => stopped.push(recording) }));
+    await act(async () => {
+      second.result.current.start(createFakeMediaStream());
+    });
+    const mediaRecorder = FakeMediaRecorder.instances[1];
+    await second.unmount();
+    await flush();
+    assert.equal(mediaRecorder.state, 'inactive');
+    assert.deepEqual(stopped, []);
+  } finally {
+    URL.revokeObjectURL = originalRevoke;
+  }
+});